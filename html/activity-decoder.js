@@ -0,0 +1,264 @@
+/**
+ * FRT Activity Decoder
+ *
+ * Turns FRT program transactions into activity entries (swap, deposit, withdraw, ...),
+ * shared by the wallet journal (transaction-journal.js) and the pool activity feed
+ * (PoolCacheManager.getPoolActivity).
+ *
+ * - decodeTransactionResponse() reads a getTransaction / getTransactions response: actual token
+ *   balance changes of the signer, network fee, pool contract fee, slot and block time
+ * - decodeLocalTransaction() reads a transaction as built (requested amounts, no metadata)
+ * - Amounts are base-unit strings (u64 safe); formatBaseUnits() renders them in token units
+ *
+ * Dependencies:
+ * - FRTInstructions (instructions.js)
+ */
+
+// Activity entry type per FRT instruction (everything else is 'admin')
+const ACTIVITY_TYPES = {
+    Swap: 'swap',
+    Deposit: 'deposit',
+    Withdraw: 'withdraw',
+    InitializePool: 'create_pool',
+    DonateSol: 'donation'
+};
+
+/**
+ * Find and decode the first FRT program instruction
+ * @param {Array} instructions - { programId, data, keys } with base58 strings
+ * @param {string} programId - FRT program ID
+ * @returns {Object|null} { name, discriminator, args, accounts }
+ */
+function decodeProgramInstruction(instructions, programId) {
+    const instruction = instructions.find(ix => ix.programId === programId);
+    if (!instruction) return null;
+    try {
+        return window.FRTInstructions.decodeInstruction(instruction);
+    } catch (error) {
+        console.warn('⚠️ Could not decode FRT instruction:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Token balance changes for accounts owned by `owner`, keyed by mint (base units, BigInt)
+ * @param {Object} meta - Transaction metadata
+ * @param {string} owner - Wallet address
+ * @returns {Map<string, bigint>}
+ */
+function getTokenDeltas(meta, owner) {
+    const deltas = new Map();
+    const apply = (balances, sign) => {
+        (balances || []).forEach(balance => {
+            if (balance.owner !== owner) return;
+            const amount = BigInt(balance.uiTokenAmount.amount);
+            deltas.set(balance.mint, (deltas.get(balance.mint) || 0n) + sign * amount);
+        });
+    };
+    apply(meta.preTokenBalances, -1n);
+    apply(meta.postTokenBalances, 1n);
+    return deltas;
+}
+
+/**
+ * Activity entry from a decoded FRT instruction
+ * @param {Object} decoded - { name, args, accounts }
+ * @param {string} trader - Fee payer / signer
+ * @param {Map|null} deltas - Token balance changes from metadata (null = use requested amounts)
+ * @returns {Object} { trader, type, instruction, pool, direction, inputMint, outputMint, amountIn, amountOut }
+ */
+function buildActivityEntry(decoded, trader, deltas) {
+    const { name, args, accounts } = decoded;
+    const received = mint => (deltas && deltas.has(mint) && deltas.get(mint) > 0n ? deltas.get(mint).toString() : null);
+    const otherMint = (exclude, sign) => {
+        if (!deltas) return null;
+        for (const [mint, delta] of deltas) {
+            if (mint !== exclude && (sign > 0 ? delta > 0n : delta < 0n)) return mint;
+        }
+        return null;
+    };
+
+    const entry = {
+        trader,
+        type: ACTIVITY_TYPES[name] || 'admin',
+        instruction: name,
+        pool: args.pool_id || accounts.poolState || null,
+        direction: null,
+        inputMint: null,
+        outputMint: null,
+        amountIn: null,
+        amountOut: null
+    };
+
+    switch (name) {
+        case 'Swap':
+            entry.inputMint = args.input_token_mint;
+            entry.outputMint = accounts.outputTokenMint || otherMint(args.input_token_mint, 1);
+            entry.amountIn = args.amount_in.toString();
+            entry.amountOut = received(entry.outputMint) || args.expected_amount_out.toString();
+            break;
+        case 'Deposit':
+            entry.inputMint = args.deposit_token_mint;
+            entry.amountIn = args.amount.toString();
+            entry.outputMint = otherMint(args.deposit_token_mint, 1);
+            entry.amountOut = received(entry.outputMint);
+            break;
+        case 'Withdraw':
+            entry.inputMint = otherMint(args.withdraw_token_mint, -1);
+            entry.amountIn = args.lp_amount_to_burn.toString();
+            entry.outputMint = args.withdraw_token_mint;
+            entry.amountOut = received(args.withdraw_token_mint);
+            break;
+        case 'InitializePool':
+            entry.inputMint = accounts.tokenAMint || null;
+            entry.outputMint = accounts.tokenBMint || null;
+            break;
+        case 'DonateSol':
+            entry.amountIn = args.amount.toString();
+            break;
+        default:
+            break;
+    }
+    return entry;
+}
+
+/**
+ * Decode a transaction as built (no metadata: amounts are the requested ones)
+ * @param {Transaction|VersionedTransaction} transaction
+ * @param {string} programId - FRT program ID
+ * @returns {Object|null} Activity entry, or null without an FRT instruction
+ */
+function decodeLocalTransaction(transaction, programId) {
+    let feePayer;
+    let instructions;
+    if (transaction.message && transaction.message.compiledInstructions) {
+        // v0: accounts loaded from lookup tables are unknown here - decode data only
+        const keys = transaction.message.staticAccountKeys.map(key => key.toString());
+        feePayer = keys[0];
+        instructions = transaction.message.compiledInstructions.map(ix => ({
+            programId: keys[ix.programIdIndex],
+            data: ix.data,
+            keys: ix.accountKeyIndexes.every(index => index < keys.length)
+                ? ix.accountKeyIndexes.map(index => keys[index])
+                : null
+        }));
+    } else {
+        feePayer = transaction.feePayer ? transaction.feePayer.toString() : null;
+        instructions = transaction.instructions.map(ix => ({
+            programId: ix.programId.toString(),
+            data: ix.data,
+            keys: ix.keys.map(meta => meta.pubkey.toString())
+        }));
+    }
+    const decoded = decodeProgramInstruction(instructions, programId);
+    return decoded ? buildActivityEntry(decoded, feePayer, null) : null;
+}
+
+/**
+ * Decode a getTransaction response (metadata gives the actual amounts and fees)
+ * Adds slot, blockTime, feeLamports (network), contractFeeLamports (SOL kept by the pool),
+ * solChangeLamports (signer), vaultABalance / vaultBBalance (pool vaults after the transaction)
+ * and error.
+ * Direction is 'AtoB' / 'BtoA' for swaps and 'A' / 'B' for deposits and withdrawals.
+ * @param {Object} response - getTransaction result fetched with maxSupportedTransactionVersion: 0
+ * @param {string} programId - FRT program ID
+ * @returns {Object|null} Activity entry, or null without an FRT instruction
+ */
+function decodeTransactionResponse(response, programId) {
+    const message = response.transaction.message;
+    const meta = response.meta || {};
+    const loaded = meta.loadedAddresses || { writable: [], readonly: [] };
+    const accountKeys = [
+        ...message.staticAccountKeys.map(key => key.toString()),
+        ...loaded.writable.map(key => key.toString()),
+        ...loaded.readonly.map(key => key.toString())
+    ];
+    const instructions = message.compiledInstructions.map(ix => ({
+        programId: accountKeys[ix.programIdIndex],
+        data: ix.data,
+        keys: ix.accountKeyIndexes.map(index => accountKeys[index])
+    }));
+    const decoded = decodeProgramInstruction(instructions, programId);
+    if (!decoded) return null;
+
+    const trader = accountKeys[0];
+    const entry = buildActivityEntry(decoded, trader, getTokenDeltas(meta, trader));
+    entry.slot = response.slot;
+    entry.blockTime = response.blockTime || null;
+    entry.feeLamports = meta.fee !== undefined ? String(meta.fee) : null;
+    entry.contractFeeLamports = null;
+    entry.solChangeLamports = null;
+    entry.vaultABalance = null;
+    entry.vaultBBalance = null;
+    entry.error = meta.err ? JSON.stringify(meta.err) : null;
+
+    if (meta.preBalances && meta.postBalances) {
+        const lamportDelta = index => BigInt(meta.postBalances[index]) - BigInt(meta.preBalances[index]);
+        entry.solChangeLamports = String(lamportDelta(0));
+        // Swap and liquidity contract fees are collected on the pool state account
+        const poolIndex = decoded.accounts.poolState ? accountKeys.indexOf(decoded.accounts.poolState) : -1;
+        if (poolIndex >= 0 && entry.type !== 'create_pool' && lamportDelta(poolIndex) > 0n) {
+            entry.contractFeeLamports = String(lamportDelta(poolIndex));
+        }
+    }
+
+    const postVault = address => {
+        const vaultIndex = address ? accountKeys.indexOf(address) : -1;
+        return (meta.postTokenBalances || []).find(balance => balance.accountIndex === vaultIndex) || null;
+    };
+    const vaultA = postVault(decoded.accounts.tokenAVault);
+    const vaultB = postVault(decoded.accounts.tokenBVault);
+    if (vaultA) entry.vaultABalance = vaultA.uiTokenAmount.amount;
+    if (vaultB) entry.vaultBBalance = vaultB.uiTokenAmount.amount;
+
+    // Token A is whatever mint tokenAVault holds
+    const sideMint = { swap: entry.inputMint, deposit: entry.inputMint, withdraw: entry.outputMint }[entry.type];
+    if (sideMint && vaultA) {
+        const isTokenA = vaultA.mint === sideMint;
+        entry.direction = entry.type === 'swap' ? (isTokenA ? 'AtoB' : 'BtoA') : (isTokenA ? 'A' : 'B');
+    }
+    return entry;
+}
+
+/**
+ * Base-unit string to a display string in token units
+ * @param {string} amount - Base units
+ * @param {number|null} decimals - Token decimals (null/undefined = show base units)
+ * @returns {string}
+ */
+function formatBaseUnits(amount, decimals) {
+    if (amount === null || amount === undefined) return '—';
+    const value = BigInt(amount);
+    if (decimals === null || decimals === undefined) return `${value.toLocaleString()} base units`;
+
+    const divisor = 10n ** BigInt(decimals);
+    const whole = value / divisor;
+    const fraction = (value % divisor).toString().padStart(decimals, '0').replace(/0+$/, '');
+    return fraction ? `${whole.toLocaleString()}.${fraction}` : whole.toLocaleString();
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.FRTActivity = {
+        ACTIVITY_TYPES,
+        decodeProgramInstruction,
+        getTokenDeltas,
+        buildActivityEntry,
+        decodeLocalTransaction,
+        decodeTransactionResponse,
+        formatBaseUnits
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACTIVITY_TYPES,
+        decodeProgramInstruction,
+        getTokenDeltas,
+        buildActivityEntry,
+        decodeLocalTransaction,
+        decodeTransactionResponse,
+        formatBaseUnits
+    };
+}
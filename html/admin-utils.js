@@ -4,11 +4,16 @@
  * 
  * Dependencies:
  * - error-codes.js: Centralized error code mapping (loaded via script tag)
+ * - consolidation-runner.js: Treasury withdrawal log analysis and the consolidation runner
  */
 
 // Global admin state
 let adminConnection = null;
 let adminWallet = null;
+// 'wallet' = the connected wallet signs and sends; 'export' = unsigned durable-nonce transaction for an offline signer
+// nonceAccount is required for 'export' and optional for 'wallet' (slow hardware wallets)
+let adminSigningMode = { mode: 'wallet', nonceAccount: null };
+const KNOWN_NONCE_ACCOUNTS_KEY = 'frt_nonce_accounts';
 
 /**
  * Initialize admin utilities
@@ -28,11 +33,9 @@ async function initializeAdminUtils() {
         
         window.CONFIG = window.TRADING_CONFIG;
         
-        // Initialize connection
-        adminConnection = new solanaWeb3.Connection(window.CONFIG.rpcUrl, {
-            commitment: 'confirmed',
-            disableRetryOnRateLimit: true
-        });
+        // Initialize connection (health-scored endpoint pool with failover)
+        adminConnection = await createRobustConnection();
+
         
         // Check for existing wallet connection
         const isConnected = sessionStorage.getItem('adminWalletConnected') === 'true';
@@ -43,6 +46,11 @@ async function initializeAdminUtils() {
             try {
                 adminWallet = new solanaWeb3.PublicKey(walletAddress);
                 console.log(`✅ Admin wallet restored from session (${walletProvider || 'Unknown'}):`, adminWallet.toString());
+                
+                // Reconnect the signing wallet silently so admin transactions can be signed on this page
+                if (window.WalletAdapter && !(await window.WalletAdapter.restore())) {
+                    console.warn('⚠️ Admin wallet remembered but the wallet did not reconnect - signing will fail until it is connected again');
+                }
             } catch (error) {
                 console.warn('⚠️ Invalid wallet address in session storage');
                 sessionStorage.removeItem('adminWalletConnected');
@@ -51,6 +59,10 @@ async function initializeAdminUtils() {
             }
         }
         
+        // Discriminator overrides from the old brute-force detection are replaced by the program interface manifest
+        localStorage.removeItem('FRT_WITHDRAW_DISC');
+        requireProgramInterface().catch(error => console.warn('⚠️ Program interface not selected yet:', error.message));
+        
         console.log('✅ Admin utilities initialized');
     } catch (error) {
         console.error('❌ Failed to initialize admin utilities:', error);
@@ -59,40 +71,18 @@ async function initializeAdminUtils() {
 }
 
 /**
- * Get available wallet provider
+ * Interface of the deployed program version - FRT instructions are encoded with its layouts
+ * Throws when the program reports a version this dashboard does not know (program-interface.js)
+ */
+async function requireProgramInterface() {
+    return window.FRTProgramInterface.loadProgramInterface(adminConnection, window.CONFIG.programId, adminWallet);
+}
+
+/**
+ * Get the wallet provider (shared WalletAdapter - Phantom, Solflare, Backpack or test signer)
  */
 function getWalletProvider() {
-    // Check for Phantom
-    if (window.solana && window.solana.isPhantom) {
-        return window.solana;
-    }
-    
-    // Check for Backpack
-    if (window.backpack) {
-        return window.backpack;
-    }
-    
-    // Check for Solflare
-    if (window.solflare) {
-        return window.solflare;
-    }
-    
-    // Check for Sollet
-    if (window.sollet) {
-        return window.sollet;
-    }
-    
-    // Check for Slope
-    if (window.Slope) {
-        return window.Slope;
-    }
-    
-    // Check for generic solana provider
-    if (window.solana) {
-        return window.solana;
-    }
-    
-    return null;
+    return window.WalletAdapter || null;
 }
 
 /**
@@ -121,72 +111,120 @@ function validateSolanaAddress(address) {
  * Get system state PDA
  */
 function getSystemStatePDA() {
-    const [systemStatePDA] = solanaWeb3.PublicKey.findProgramAddressSync(
-        [new TextEncoder().encode("system_state")],
-        new solanaWeb3.PublicKey(window.CONFIG.programId)
-    );
-    return systemStatePDA;
+    return window.FRTPda.getSystemStatePDA(window.CONFIG.programId);
 }
 
 /**
  * Get main treasury PDA
  */
 function getMainTreasuryPDA() {
-    const [mainTreasuryPDA] = solanaWeb3.PublicKey.findProgramAddressSync(
-        [new TextEncoder().encode("main_treasury")],
-        new solanaWeb3.PublicKey(window.CONFIG.programId)
-    );
-    return mainTreasuryPDA;
+    return window.FRTPda.getMainTreasuryPDA(window.CONFIG.programId);
 }
 
 /**
  * Get pool state PDA
  */
 function getPoolStatePDA(tokenAMint, tokenBMint, ratioA, ratioB) {
-    // Normalize token mints (lexicographic order)
-    const mints = [new solanaWeb3.PublicKey(tokenAMint), new solanaWeb3.PublicKey(tokenBMint)];
-    mints.sort((a, b) => a.toBuffer().compare(b.toBuffer()));
+    return window.FRTPda.getPoolStatePDA(tokenAMint, tokenBMint, ratioA, ratioB, window.CONFIG.programId);
+}
+
+/**
+ * Admin connection (for the offline signing panel)
+ */
+function getAdminConnection() {
+    return adminConnection;
+}
+
+/**
+ * Choose how admin transactions are signed
+ * @param {string} mode - 'wallet' (sign and send now) or 'export' (unsigned, for a multisig or offline signer)
+ * @param {string} nonceAccount - Durable nonce account (the admin must be its authority): required for
+ *                                'export', optional for 'wallet' where it replaces the recent blockhash
+ */
+function setAdminSigningMode(mode, nonceAccount = null) {
+    if (mode !== 'wallet' && mode !== 'export') {
+        throw new Error(`Unknown signing mode: ${mode}`);
+    }
+    if (mode === 'export' && !nonceAccount) {
+        throw new Error('Export mode needs a durable nonce account');
+    }
+    if (nonceAccount && !validateSolanaAddress(nonceAccount)) {
+        throw new Error('Invalid durable nonce account address');
+    }
+    adminSigningMode = { mode, nonceAccount: nonceAccount || null };
+    sessionStorage.setItem('adminSigningMode', JSON.stringify(adminSigningMode));
+    console.log(`🖋️ Admin signing mode: ${mode}${nonceAccount ? ` (nonce ${nonceAccount})` : ''}`);
+}
+
+function getAdminSigningMode() {
+    return { ...adminSigningMode };
+}
+
+/**
+ * Build a durable-nonce transaction and hand it to the offline signing panel instead of sending it
+ * Always throws: the error has `exported = true` and `bundle`, so pages report it as information.
+ */
+async function exportAdminTransaction(instructions, signers) {
+    const built = await window.FRTTransactions.buildTransaction(adminConnection, {
+        payer: adminWallet,
+        instructions,
+        signers,
+        nonce: { nonceAccount: adminSigningMode.nonceAccount }
+    });
+    if (built.nonce.authority !== adminWallet.toString()) {
+        console.warn(`⚠️ Nonce authority ${built.nonce.authority} is not the admin - it must sign as well`);
+    }
     
-    // Convert numbers to little-endian byte arrays
-    const ratioABytes = new Uint8Array(8);
-    const ratioBBytes = new Uint8Array(8);
-    const ratioAView = new DataView(ratioABytes.buffer);
-    const ratioBView = new DataView(ratioBBytes.buffer);
-    ratioAView.setBigUint64(0, BigInt(ratioA), true); // little-endian
-    ratioBView.setBigUint64(0, BigInt(ratioB), true); // little-endian
+    const operations = instructions
+        .filter(instruction => instruction.programId.toString() === window.CONFIG.programId)
+        .map(instruction => window.FRTInstructions.decodeInstructionData(instruction.data).name);
+    const bundle = window.FRTOfflineSigning.createExportBundle(built, {
+        label: operations.join(' + ') || 'Admin transaction',
+        programId: window.CONFIG.programId,
+        rpcUrl: window.CONFIG.rpcUrl
+    });
+    window.FRTOfflineSigning.showExport(bundle);
     
-    const [poolStatePDA] = solanaWeb3.PublicKey.findProgramAddressSync(
-        [
-            new TextEncoder().encode("pool_state"),
-            mints[0].toBuffer(),
-            mints[1].toBuffer(),
-            ratioABytes,
-            ratioBBytes
-        ],
-        new solanaWeb3.PublicKey(window.CONFIG.programId)
-    );
-    return poolStatePDA;
+    const error = new Error(`📤 ${bundle.label} exported for offline signing (durable nonce ${bundle.nonceAccount}). Nothing was sent - sign it with ${bundle.requiredSigners.join(', ')}, then import and broadcast it.`);
+    error.exported = true;
+    error.bundle = bundle;
+    throw error;
 }
 
 /**
  * Create and send transaction
+ * In export mode the transaction is exported unsigned instead (see exportAdminTransaction).
+ * @param {Array<TransactionInstruction>} instructions
+ * @param {Array<Keypair>} signers - Extra keypairs
+ * @param {Object} options - { ignoreSigningMode } sign with the wallet on a recent blockhash
+ *                           (nonce account management must not use the session nonce)
  */
-async function createAndSendTransaction(instructions, signers = []) {
+async function createAndSendTransaction(instructions, signers = [], options = {}) {
     if (!adminWallet) {
         throw new Error('Wallet not connected');
     }
     
+    // Never send FRT instructions to a program version without a known interface
+    if (instructions.some(instruction => instruction.programId.toString() === window.CONFIG.programId)) {
+        await requireProgramInterface();
+    }
+    
+    const signingMode = options.ignoreSigningMode ? { mode: 'wallet', nonceAccount: null } : adminSigningMode;
+    if (signingMode.mode === 'export') {
+        return exportAdminTransaction(instructions, signers);
+    }
+    
+    // Legacy or v0 transaction with simulated compute limit and priority fee (transaction-builder.js)
+    const buildAdminTransaction = () => window.FRTTransactions.buildTransaction(adminConnection, {
+        payer: adminWallet,
+        instructions,
+        signers,
+        nonce: signingMode.nonceAccount ? { nonceAccount: signingMode.nonceAccount } : null
+    });
+    
     try {
-        // Get recent blockhash + lastValidBlockHeight
-        const latest = await adminConnection.getLatestBlockhash();
-        
-        // Create transaction
-        const transaction = new solanaWeb3.Transaction();
-        transaction.recentBlockhash = latest.blockhash;
-        transaction.feePayer = adminWallet;
-        
-        // Add instructions
-        instructions.forEach(ix => transaction.add(ix));
+        // Build with recent blockhash + lastValidBlockHeight (or the durable nonce)
+        const latest = await buildAdminTransaction();
         
         // Get wallet provider and sign transaction
         const walletProvider = getWalletProvider();
@@ -195,8 +233,8 @@ async function createAndSendTransaction(instructions, signers = []) {
         }
         
         console.log('🔍 Wallet provider:', walletProvider);
-        console.log('🔍 Transaction fee payer:', transaction.feePayer.toString());
-        console.log('🔍 Transaction instructions:', transaction.instructions.length);
+        console.log('🔍 Transaction fee payer:', adminWallet.toString());
+        console.log(`🔍 Transaction: ${latest.version}, ${latest.computeUnitLimit.toLocaleString()} CUs, priority fee ${latest.priorityFeeMicroLamports} µLamports/CU`);
 
         // Ensure the connected wallet matches the configured admin wallet
         try {
@@ -213,76 +251,48 @@ async function createAndSendTransaction(instructions, signers = []) {
             throw precheckErr;
         }
         
-        // Try to sign with the specific wallet method
-        let signedTransaction;
-        try {
-            // Force refresh the page to clear any caching issues
-            console.log('🔍 About to sign transaction with wallet provider:', walletProvider);
-            console.log('🔍 Transaction fee payer:', transaction.feePayer.toString());
-            console.log('🔍 Transaction signers:', transaction.signatures.map(sig => sig.publicKey?.toString()));
-            
-            // Use the wallet's signTransaction method
-            signedTransaction = await walletProvider.signTransaction(transaction);
-            
-            console.log('✅ Transaction signed successfully');
-        } catch (signError) {
-            console.error('❌ Signing error:', signError);
-            console.error('❌ Signing error details:', {
-                message: signError.message,
-                stack: signError.stack,
-                name: signError.name
-            });
-            // Map common wallet mismatch error to a clear admin message
-            if (/not required to sign this transaction/i.test(signError.message || '')) {
-                const providerPk = (getWalletProvider()?.publicKey || {}).toString?.() || 'Unknown';
-                const requiredAdmin = adminWallet?.toString?.() || 'Unknown';
-                throw new Error(`This wallet is not the Admin Authority. Connected: ${providerPk}. Required Admin: ${requiredAdmin}. Please switch to the admin wallet and try again.`);
+        // Sign with the wallet, mapping a wallet mismatch to a clear admin message
+        const signWithProvider = async (tx) => {
+            try {
+                console.log('🔍 About to sign transaction with wallet provider:', walletProvider);
+                const signed = await walletProvider.signTransaction(tx);
+                console.log('✅ Transaction signed successfully');
+                return signed;
+            } catch (signError) {
+                console.error('❌ Signing error:', signError);
+                console.error('❌ Signing error details:', {
+                    message: signError.message,
+                    stack: signError.stack,
+                    name: signError.name
+                });
+                if (/not required to sign this transaction/i.test(signError.message || '')) {
+                    const providerPk = (getWalletProvider()?.publicKey || {}).toString?.() || 'Unknown';
+                    const requiredAdmin = adminWallet?.toString?.() || 'Unknown';
+                    throw new Error(`This wallet is not the Admin Authority. Connected: ${providerPk}. Required Admin: ${requiredAdmin}. Please switch to the admin wallet and try again.`);
+                }
+                throw new Error(`Transaction signing failed: ${signError.message}`);
             }
-            throw new Error(`Transaction signing failed: ${signError.message}`);
-        }
-        
-        // Helper to confirm with the same blockhash/height used when signing
-        async function confirmWith(latestCtx, sig) {
-            return adminConnection.confirmTransaction({
-                signature: sig,
-                blockhash: latestCtx.blockhash,
-                lastValidBlockHeight: latestCtx.lastValidBlockHeight
-            }, 'confirmed');
-        }
+        };
+
+        // Sign, send, rebroadcast until the blockhash expires, and confirm (transaction-lifecycle.js)
+        const sendBuilt = (built) => window.TransactionLifecycle.send(adminConnection, {
+            transaction: built.transaction,
+            lastValidBlockHeight: built.lastValidBlockHeight,
+            nonceAccount: built.nonce ? built.nonce.address : null,
+            label: 'Admin transaction',
+            sign: signWithProvider
+        });
 
-        // Send transaction (with retry on Blockhash not found)
         let signature;
         try {
-            signature = await adminConnection.sendRawTransaction(signedTransaction.serialize());
+            ({ signature } = await sendBuilt(latest));
         } catch (sendErr) {
             const msg = (sendErr?.message || String(sendErr)).toLowerCase();
-            if (msg.includes('blockhash not found') || msg.includes('blockhash not found')) {
-                console.warn('⚠️ Blockhash not found at send. Refreshing blockhash and retrying...');
-                // Rebuild + re-sign with a fresh blockhash
-                const refreshed = await adminConnection.getLatestBlockhash();
-                const retryTx = new solanaWeb3.Transaction();
-                retryTx.recentBlockhash = refreshed.blockhash;
-                retryTx.feePayer = adminWallet;
-                instructions.forEach(ix => retryTx.add(ix));
-                // Re-sign via wallet provider
-                const walletProviderRetry = getWalletProvider();
-                const signedRetry = await walletProviderRetry.signTransaction(retryTx);
-                signature = await adminConnection.sendRawTransaction(signedRetry.serialize());
-                // Swap confirmation context to refreshed
-                const confirmation = await confirmWith(refreshed, signature);
-                if (confirmation.value.err) {
-                    throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
-                }
-                return signature;
+            if (!sendErr?.expired && !msg.includes('blockhash not found')) {
+                throw sendErr;
             }
-            throw sendErr;
-        }
-        
-        // Confirm transaction using the original latest context
-        const confirmation = await confirmWith(latest, signature);
-        
-        if (confirmation.value.err) {
-            throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+            console.warn('⚠️ Blockhash not found or expired. Rebuilding with a fresh blockhash and retrying...');
+            ({ signature } = await sendBuilt(await buildAdminTransaction()));
         }
 
         // Attempt to fetch and print program logs for debugging
@@ -438,6 +448,7 @@ async function disableProgramLogs() {
 
 /**
  * Simulate a single-pool consolidation to get logs without executing
+ * @returns {Promise<Object>} { logs, error } - error is null when the consolidation would succeed
  */
 async function simulateConsolidatePoolFees(poolId) {
     const systemStatePDA = getSystemStatePDA();
@@ -445,21 +456,13 @@ async function simulateConsolidatePoolFees(poolId) {
     const programDataAccount = await getProgramDataAccount();
     const poolStatePDA = new solanaWeb3.PublicKey(poolId);
 
-    const instructionData = new Uint8Array(2);
-    instructionData[0] = 17;
-    instructionData[1] = 1;
-
-    const ix = new solanaWeb3.TransactionInstruction({
-        keys: [
-            { pubkey: adminWallet || solanaWeb3.Keypair.generate().publicKey, isSigner: true, isWritable: false },
-            { pubkey: systemStatePDA, isSigner: false, isWritable: false },
-            { pubkey: mainTreasuryPDA, isSigner: false, isWritable: true },
-            { pubkey: programDataAccount, isSigner: false, isWritable: false },
-            { pubkey: poolStatePDA, isSigner: false, isWritable: true },
-        ],
-        programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-        data: instructionData,
-    });
+    const ix = window.FRTInstructions.buildInstruction('ConsolidatePoolFees', { pool_count: 1 }, {
+        admin: adminWallet || solanaWeb3.Keypair.generate().publicKey,
+        systemState: systemStatePDA,
+        mainTreasury: mainTreasuryPDA,
+        programData: programDataAccount,
+        pools: [poolStatePDA]
+    }, window.CONFIG.programId);
 
     const tx = new solanaWeb3.Transaction().add(ix);
     const { blockhash } = await adminConnection.getLatestBlockhash();
@@ -470,8 +473,9 @@ async function simulateConsolidatePoolFees(poolId) {
     const logs = sim.value?.logs || [];
     console.groupCollapsed('🧪 Simulated Consolidation Logs');
     logs.forEach((l) => console.log(l));
+    if (sim.value?.err) console.warn('Simulation error:', sim.value.err);
     console.groupEnd();
-    return logs;
+    return { logs, error: sim.value?.err || null };
 }
 
 /**
@@ -491,43 +495,19 @@ async function simulateTreasuryWithdrawFees(amount = null) {
         amountLamports = BigInt(lamports);
     }
 
-    // Build instruction data using proper Borsh serialization for PoolInstruction::WithdrawTreasuryFees
-    // The API docs specify this must be Borsh-serialized enum variant, not raw bytes
-    // Use cached discriminator if detected; fallback to 15
-    // Format: [discriminator: u8, amount: u64] = 9 bytes total
-    const instructionData = new Uint8Array(9);
-    let withdrawDiscSim = 15;
-    try {
-        const cached = localStorage.getItem('FRT_WITHDRAW_DISC');
-        if (cached) {
-            const n = Number.parseInt(cached, 10);
-            if (Number.isFinite(n) && n >= 0 && n < 256) withdrawDiscSim = n;
-        }
-    } catch (_) {}
-    instructionData[0] = withdrawDiscSim;
-    // Amount as u64 little-endian (8 bytes)
-    const amountView = new DataView(instructionData.buffer, 1, 8);
-    amountView.setBigUint64(0, amountLamports, true);
-
-    let rentSysvar = solanaWeb3.SYSVAR_RENT_PUBKEY;
-    if (!rentSysvar) {
-        rentSysvar = new solanaWeb3.PublicKey('SysvarRent111111111111111111111111111111111');
-    }
+    // Borsh-serialized PoolInstruction::WithdrawTreasuryFees: [discriminator: u8, amount: u64] = 9 bytes
+    // The discriminator comes from the interface of the deployed program version
+    await requireProgramInterface();
 
     const destinationAccount = adminWallet || solanaWeb3.Keypair.generate().publicKey;
 
-    const ix = new solanaWeb3.TransactionInstruction({
-        keys: [
-            { pubkey: adminWallet || solanaWeb3.Keypair.generate().publicKey, isSigner: true, isWritable: false },
-            { pubkey: mainTreasuryPDA, isSigner: false, isWritable: true },
-            { pubkey: rentSysvar, isSigner: false, isWritable: false },
-            { pubkey: destinationAccount, isSigner: false, isWritable: true },
-            { pubkey: systemStatePDA, isSigner: false, isWritable: false },
-            { pubkey: programDataAccount, isSigner: false, isWritable: false },
-        ],
-        programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-        data: instructionData,
-    });
+    const ix = window.FRTInstructions.buildInstruction('WithdrawTreasuryFees', { amount: amountLamports }, {
+        admin: adminWallet || solanaWeb3.Keypair.generate().publicKey,
+        mainTreasury: mainTreasuryPDA,
+        destination: destinationAccount,
+        systemState: systemStatePDA,
+        programData: programDataAccount
+    }, window.CONFIG.programId);
 
     const tx = new solanaWeb3.Transaction().add(ix);
     const { blockhash } = await adminConnection.getLatestBlockhash();
@@ -549,7 +529,7 @@ async function simulateTreasuryWithdrawFees(amount = null) {
 async function getWithdrawalStatus(amount = 0.0) {
     try {
         const sim = await simulateTreasuryWithdrawFees(amount);
-        const analysis = analyzeTreasuryWithdrawalLogs(sim.logs);
+        const analysis = window.FRTConsolidationRunner.analyzeWithdrawalLogs(sim.logs);
         return analysis;
     } catch (e) {
         // If simulation fails, return unknown (do not block UI)
@@ -557,127 +537,6 @@ async function getWithdrawalStatus(amount = 0.0) {
     }
 }
 
-/**
- * Analyze treasury withdrawal simulation logs for penalty / rate limits
- */
-function analyzeTreasuryWithdrawalLogs(logs) {
-    try {
-        const text = (logs || []).join('\n');
-        const result = { blocked: false };
-        if (!text) return result;
-        // Detect restart penalty
-        if (/restart penalty active/i.test(text) || /SYSTEM RESTART PENALTY ACTIVE/i.test(text)) {
-            result.blocked = true;
-            result.reason = 'restart_penalty';
-            // Support both 'Remaining penalty time: X' and 'Remaining penalty time: X seconds'
-            let m = text.match(/Remaining penalty time:\s*(\d+)/i);
-            if (!m) m = text.match(/Remaining penalty time:\s*(\d+)\s*seconds/i);
-            if (m) result.secondsRemaining = Number(m[1]);
-            return result;
-        }
-        // Detect rate limit window
-        if (/rate limit/i.test(text) || /Next withdrawal allowed in/i.test(text)) {
-            result.blocked = true;
-            result.reason = 'rate_limit';
-            // Match 'Next withdrawal allowed in X seconds' (no colon) and optional colon variant
-            let m = text.match(/Next withdrawal allowed in\s*(\d+)\s*seconds/i);
-            if (!m) m = text.match(/Next withdrawal allowed in:\s*(\d+)/i);
-            if (m) result.secondsRemaining = Number(m[1]);
-            const h = text.match(/current hourly limit[:\s]+([0-9_]+)/i);
-            if (h) {
-                const n = Number(h[1].replace(/_/g, ''));
-                if (Number.isFinite(n)) result.currentHourlyLimitLamports = n;
-            }
-            return result;
-        }
-        return result;
-    } catch (_) {
-        return { blocked: false };
-    }
-}
-
-/**
- * Brute-force detect the correct PoolInstruction enum variant index for WithdrawTreasuryFees
- * Tries indices 0..40 via simulation and returns the first that doesn't fail with InvalidInstructionData
- * Caches the discovered index in localStorage under key 'FRT_WITHDRAW_DISC'
- */
-async function bruteForceDetectWithdrawDiscriminator(amount = 0.0) {
-    try {
-        const testAmount = amount;
-        let found = null;
-        for (let idx = 0; idx <= 40; idx++) {
-            try {
-                const mainTreasuryPDA = getMainTreasuryPDA();
-                const systemStatePDA = getSystemStatePDA();
-                const programDataAccount = await getProgramDataAccount();
-
-                let amountLamports = 0n;
-                if (testAmount !== null) {
-                    const lamports = Math.round(Number(testAmount) * 1_000_000_000);
-                    if (!Number.isFinite(lamports) || lamports < 0) {
-                        throw new Error('Invalid withdrawal amount');
-                    }
-                    amountLamports = BigInt(lamports);
-                }
-
-                const instructionData = new Uint8Array(9);
-                instructionData[0] = idx; // candidate enum variant index
-                const amountView = new DataView(instructionData.buffer, 1, 8);
-                amountView.setBigUint64(0, amountLamports, true);
-
-                let rentSysvar = solanaWeb3.SYSVAR_RENT_PUBKEY;
-                if (!rentSysvar) {
-                    rentSysvar = new solanaWeb3.PublicKey('SysvarRent111111111111111111111111111111111');
-                }
-
-                const destinationAccount = adminWallet || solanaWeb3.Keypair.generate().publicKey;
-
-                const ix = new solanaWeb3.TransactionInstruction({
-                    keys: [
-                        { pubkey: adminWallet || solanaWeb3.Keypair.generate().publicKey, isSigner: true, isWritable: false },
-                        { pubkey: mainTreasuryPDA, isSigner: false, isWritable: true },
-                        { pubkey: rentSysvar, isSigner: false, isWritable: false },
-                        { pubkey: destinationAccount, isSigner: false, isWritable: true },
-                        { pubkey: systemStatePDA, isSigner: false, isWritable: false },
-                        { pubkey: programDataAccount, isSigner: false, isWritable: false },
-                    ],
-                    programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-                    data: instructionData,
-                });
-
-                const tx = new solanaWeb3.Transaction().add(ix);
-                const { blockhash } = await adminConnection.getLatestBlockhash();
-                tx.recentBlockhash = blockhash;
-                tx.feePayer = adminWallet || solanaWeb3.Keypair.generate().publicKey;
-
-                const sim = await adminConnection.simulateTransaction(tx, { sigVerify: false, replaceRecentBlockhash: true });
-                const err = sim.value?.err || null;
-                const logs = sim.value?.logs || [];
-
-                // Heuristic: if deserialization worked, program logs will include program-specific lines
-                const invalidData = !!err && (JSON.stringify(err).includes('InvalidInstructionData') || JSON.stringify(err).includes('invalid instruction data'));
-                if (!invalidData) {
-                    found = { index: idx, logs, err };
-                    break;
-                }
-            } catch (_) {
-                // Continue trying next index
-            }
-        }
-
-        if (found) {
-            try { localStorage.setItem('FRT_WITHDRAW_DISC', String(found.index)); } catch (_) {}
-            console.log(`✅ Detected WithdrawTreasuryFees discriminator index: ${found.index}`);
-            return found.index;
-        }
-        console.warn('⚠️ Unable to detect WithdrawTreasuryFees discriminator index');
-        return null;
-    } catch (e) {
-        console.error('❌ Detection failed:', e);
-        return null;
-    }
-}
-
 /**
  * Top up a pool PDA with lamports to satisfy rent-exempt + pending fee requirements
  * Workaround for consolidation fee consistency failures when available > rent is slightly below pending fees
@@ -718,17 +577,8 @@ async function topUpPoolLamports(poolId, lamports) {
  */
 async function getProgramDataAccount() {
     try {
-        const programId = new solanaWeb3.PublicKey(window.CONFIG.programId);
-        
-        // For upgradeable programs, the program data account is derived as:
         // ProgramData = findProgramAddress([program_id], BPFLoaderUpgradeable)
-        const BPF_LOADER_UPGRADEABLE = new solanaWeb3.PublicKey("BPFLoaderUpgradeab1e11111111111111111111111");
-        
-        // Use findProgramAddressSync for immediate result
-        const [programDataAddress] = solanaWeb3.PublicKey.findProgramAddressSync(
-            [programId.toBytes()],
-            BPF_LOADER_UPGRADEABLE
-        );
+        const programDataAddress = window.FRTPda.getProgramDataAddress(window.CONFIG.programId);
         
         console.log('🔍 Derived program data account:', programDataAddress.toString());
         return programDataAddress;
@@ -912,19 +762,13 @@ async function executeSystemPause(reasonCode = 1) {
         console.log('🔍 Program Data Account:', programDataAccount.toString());
         console.log('🔍 Program ID:', window.CONFIG.programId);
         
-        // Create instruction data: discriminator (1 byte) + reason_code (1 byte)
-        const instructionData = new Uint8Array([12, reasonCode]);
-        console.log('🔍 Instruction data:', Array.from(instructionData));
-        
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                { pubkey: adminWallet, isSigner: true, isWritable: true },
-                { pubkey: systemStatePDA, isSigner: false, isWritable: true },
-                { pubkey: programDataAccount, isSigner: false, isWritable: false }
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        // PauseSystem { reason_code }
+        const instruction = window.FRTInstructions.buildInstruction('PauseSystem', { reason_code: reasonCode }, {
+            admin: adminWallet,
+            systemState: systemStatePDA,
+            programData: programDataAccount
+        }, window.CONFIG.programId);
+        console.log('🔍 Instruction data:', Array.from(instruction.data));
         
         console.log('🔍 Instruction keys:', instruction.keys.map(k => ({
             pubkey: k.pubkey.toString(),
@@ -977,19 +821,12 @@ async function executeSystemUnpause() {
         const mainTreasuryPDA = getMainTreasuryPDA();
         const programDataAccount = await getProgramDataAccount();
         
-        // Create instruction data: discriminator (1 byte)
-        const instructionData = new Uint8Array([13]); // Discriminator for process_system_unpause
-        
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                { pubkey: adminWallet, isSigner: true, isWritable: true },
-                { pubkey: systemStatePDA, isSigner: false, isWritable: true },
-                { pubkey: mainTreasuryPDA, isSigner: false, isWritable: true },
-                { pubkey: programDataAccount, isSigner: false, isWritable: false }
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        const instruction = window.FRTInstructions.buildInstruction('UnpauseSystem', {}, {
+            admin: adminWallet,
+            systemState: systemStatePDA,
+            mainTreasury: mainTreasuryPDA,
+            programData: programDataAccount
+        }, window.CONFIG.programId);
         
         const signature = await createAndSendTransaction([instruction]);
         console.log('✅ System unpause executed successfully:', signature);
@@ -1054,22 +891,14 @@ async function executeAdminChange(newAdminAddress) {
         console.log('🔍 System State PDA:', systemStatePDA.toString());
         console.log('🔍 Program Data Account:', programDataAccount.toString());
         
-        // Create instruction data: discriminator (1 byte) + new_admin (32 bytes)
-        const instructionData = new Uint8Array(33);
-        instructionData[0] = 24; // Discriminator for process_admin_change
-        instructionData.set(newAdminPubkey.toBytes(), 1); // New admin address
-        
-        console.log('🔍 Instruction data:', Array.from(instructionData));
-        
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                { pubkey: adminWallet, isSigner: true, isWritable: true },
-                { pubkey: systemStatePDA, isSigner: false, isWritable: true },
-                { pubkey: programDataAccount, isSigner: false, isWritable: false }
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        // ProcessAdminChange { new_admin }
+        const instruction = window.FRTInstructions.buildInstruction('ProcessAdminChange', { new_admin: newAdminPubkey }, {
+            admin: adminWallet,
+            systemState: systemStatePDA,
+            programData: programDataAccount
+        }, window.CONFIG.programId);
+        
+        console.log('🔍 Instruction data:', Array.from(instruction.data));
         
         console.log('🔍 Instruction keys:', instruction.keys.map(k => ({
             pubkey: k.pubkey.toString(),
@@ -1144,9 +973,9 @@ async function validatePoolStateAccount(poolId) {
 /**
  * Execute pool pause with custom flags
  * @param {string} poolId - Pool state PDA address
- * @param {number} pauseFlags - Pause flags: 1=liquidity, 2=swaps, 3=both
+ * @param {number} pauseFlags - Pause flags from PoolFlags.encodePauseFlags (1=liquidity, 2=swaps, 3=both)
  */
-async function executePoolPauseWithFlags(poolId, pauseFlags = 3) {
+async function executePoolPauseWithFlags(poolId, pauseFlags = PoolFlags.PAUSE_FLAG_ALL) {
     try {
         if (!adminWallet) {
             throw new Error('Wallet not connected');
@@ -1156,7 +985,7 @@ async function executePoolPauseWithFlags(poolId, pauseFlags = 3) {
             throw new Error('Invalid pool ID format');
         }
         
-        if (typeof pauseFlags !== 'number' || pauseFlags < 1 || pauseFlags > 3) {
+        if (!PoolFlags.isValidPauseFlags(pauseFlags)) {
             throw new Error('Invalid pause flags. Use 1 (liquidity), 2 (swaps), or 3 (both)');
         }
         
@@ -1179,32 +1008,20 @@ async function executePoolPauseWithFlags(poolId, pauseFlags = 3) {
         const { poolStatePDA } = await validatePoolStateAccount(poolId);
         console.log('🔍 DEBUG: Pool state PDA validated:', poolStatePDA.toString());
         
-        // Create instruction data: discriminator (1 byte) + pause_flags (1 byte) + pool_id (32 bytes)
-        // According to API: PausePool { pause_flags: u8, pool_id: Pubkey }
-        const instructionData = new Uint8Array(1 + 1 + 32); // 34 bytes total
-        instructionData[0] = 19; // PausePool discriminator
-        instructionData[1] = pauseFlags; // pause_flags: 1=liquidity, 2=swaps, 3=both
-        
-        // Copy pool_id bytes (32 bytes)
-        poolStatePDA.toBytes().forEach((byte, index) => {
-            instructionData[2 + index] = byte;
-        });
-        console.log('🔍 DEBUG: Instruction data:', Array.from(instructionData));
-        console.log('🔍 DEBUG: Using discriminator 19 for PausePool with pause_flags:', pauseFlags);
-        
-        // Use the correct account structure from source code: Pool State PDA is writable
+        // PausePool { pause_flags, pool_id } - pause_flags: 1=liquidity, 2=swaps, 3=both
+        // Pool State PDA is writable (updated by program)
         const programDataAccount = await getProgramDataAccount();
         
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                { pubkey: adminWallet, isSigner: true, isWritable: true },           // [0] Admin Authority Signer
-                { pubkey: systemStatePDA, isSigner: false, isWritable: true },      // [1] System State PDA (writable per API)
-                { pubkey: poolStatePDA, isSigner: false, isWritable: true },        // [2] Pool State PDA (WRITABLE - updated by program)
-                { pubkey: programDataAccount, isSigner: false, isWritable: false }  // [3] Program Data Account
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        const instruction = window.FRTInstructions.buildInstruction('PausePool', {
+            pause_flags: pauseFlags,
+            pool_id: poolStatePDA
+        }, {
+            admin: adminWallet,
+            systemState: systemStatePDA,
+            poolState: poolStatePDA,
+            programData: programDataAccount
+        }, window.CONFIG.programId);
+        console.log('🔍 DEBUG: Instruction data:', Array.from(instruction.data));
         
         console.log('🔍 Pool pause instruction created with accounts:');
         console.log('  - Admin wallet (signer):', adminWallet.toString());
@@ -1237,15 +1054,15 @@ async function executePoolPauseWithFlags(poolId, pauseFlags = 3) {
  * Execute pool pause (legacy wrapper - pauses all operations)
  */
 async function executePoolPause(poolId) {
-    return executePoolPauseWithFlags(poolId, 3); // PAUSE_FLAG_ALL
+    return executePoolPauseWithFlags(poolId, PoolFlags.PAUSE_FLAG_ALL);
 }
 
 /**
  * Execute pool unpause with custom flags
  * @param {string} poolId - Pool state PDA address
- * @param {number} unpauseFlags - Unpause flags: 1=liquidity, 2=swaps, 3=both
+ * @param {number} unpauseFlags - Unpause flags from PoolFlags.encodePauseFlags (1=liquidity, 2=swaps, 3=both)
  */
-async function executePoolUnpauseWithFlags(poolId, unpauseFlags = 3) {
+async function executePoolUnpauseWithFlags(poolId, unpauseFlags = PoolFlags.PAUSE_FLAG_ALL) {
     try {
         if (!adminWallet) {
             throw new Error('Wallet not connected');
@@ -1255,7 +1072,7 @@ async function executePoolUnpauseWithFlags(poolId, unpauseFlags = 3) {
             throw new Error('Invalid pool ID format');
         }
         
-        if (typeof unpauseFlags !== 'number' || unpauseFlags < 1 || unpauseFlags > 3) {
+        if (!PoolFlags.isValidPauseFlags(unpauseFlags)) {
             throw new Error('Invalid unpause flags. Use 1 (liquidity), 2 (swaps), or 3 (both)');
         }
         
@@ -1266,32 +1083,20 @@ async function executePoolUnpauseWithFlags(poolId, unpauseFlags = 3) {
         // Validate that the pool state account exists and is owned by our program
         const { poolStatePDA } = await validatePoolStateAccount(poolId);
         
-        // Create instruction data: discriminator (1 byte) + unpause_flags (1 byte) + pool_id (32 bytes)
-        // According to API: UnpausePool { unpause_flags: u8, pool_id: Pubkey }
-        const instructionData = new Uint8Array(1 + 1 + 32); // 34 bytes total
-        instructionData[0] = 20; // UnpausePool discriminator
-        instructionData[1] = unpauseFlags; // unpause_flags: 1=liquidity, 2=swaps, 3=both
-        
-        // Copy pool_id bytes (32 bytes)
-        poolStatePDA.toBytes().forEach((byte, index) => {
-            instructionData[2 + index] = byte;
-        });
-        console.log('🔍 DEBUG: Instruction data:', Array.from(instructionData));
-        console.log('🔍 DEBUG: Using discriminator 20 for UnpausePool with unpause_flags:', unpauseFlags);
-        
-        // Use the correct account structure from source code: Pool State PDA is writable
+        // UnpausePool { unpause_flags, pool_id } - unpause_flags: 1=liquidity, 2=swaps, 3=both
+        // Pool State PDA is writable (updated by program)
         const programDataAccount = await getProgramDataAccount();
         
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                { pubkey: adminWallet, isSigner: true, isWritable: true },           // [0] Admin Authority Signer
-                { pubkey: systemStatePDA, isSigner: false, isWritable: true },      // [1] System State PDA (writable per API)
-                { pubkey: poolStatePDA, isSigner: false, isWritable: true },        // [2] Pool State PDA (WRITABLE - updated by program)
-                { pubkey: programDataAccount, isSigner: false, isWritable: false }  // [3] Program Data Account
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        const instruction = window.FRTInstructions.buildInstruction('UnpausePool', {
+            unpause_flags: unpauseFlags,
+            pool_id: poolStatePDA
+        }, {
+            admin: adminWallet,
+            systemState: systemStatePDA,
+            poolState: poolStatePDA,
+            programData: programDataAccount
+        }, window.CONFIG.programId);
+        console.log('🔍 DEBUG: Instruction data:', Array.from(instruction.data));
         
         console.log('🔍 Pool unpause instruction created with accounts:');
         console.log('  - Admin wallet (signer):', adminWallet.toString());
@@ -1324,7 +1129,7 @@ async function executePoolUnpauseWithFlags(poolId, unpauseFlags = 3) {
  * Execute pool unpause (legacy wrapper - unpauses all operations)
  */
 async function executePoolUnpause(poolId) {
-    return executePoolUnpauseWithFlags(poolId, 3); // PAUSE_FLAG_ALL
+    return executePoolUnpauseWithFlags(poolId, PoolFlags.PAUSE_FLAG_ALL);
 }
 
 /**
@@ -1356,32 +1161,18 @@ async function executePoolUpdateFees(poolId, updateFlags = 3, liquidityFeeLampor
         const systemStatePDA = getSystemStatePDA();
         const poolStatePDA = new solanaWeb3.PublicKey(poolId);
         
-        // Create instruction data per API: discriminator (22) + flags (u8) + liquidity_fee (u64) + swap_fee (u64) + pool_id (32)
-        const instructionData = new Uint8Array(1 + 1 + 8 + 8 + 32); // 50 bytes total
-        instructionData[0] = 22; // UpdatePoolFees
-        instructionData[1] = updateFlags & 0x03; // update_flags
-        const view = new DataView(instructionData.buffer);
-        // new_liquidity_fee (u64 little-endian) at byte offset 2
-        const liquidity = BigInt((updateFlags & 1) ? liquidityFeeLamports : 0);
-        view.setBigUint64(2, liquidity, true);
-        // new_swap_fee (u64 little-endian) at byte offset 10
-        const swap = BigInt((updateFlags & 2) ? swapFeeLamports : 0);
-        view.setBigUint64(10, swap, true);
-        // pool_id (32 bytes) at byte offset 18
-        poolStatePDA.toBytes().forEach((byte, index) => {
-            instructionData[18 + index] = byte;
-        });
-        
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                { pubkey: adminWallet, isSigner: true, isWritable: true },
-                { pubkey: systemStatePDA, isSigner: false, isWritable: false },
-                { pubkey: poolStatePDA, isSigner: false, isWritable: true },
-                { pubkey: await getProgramDataAccount(), isSigner: false, isWritable: false }
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        // UpdatePoolFees { update_flags, new_liquidity_fee, new_swap_fee, pool_id } = 50 bytes
+        const instruction = window.FRTInstructions.buildInstruction('UpdatePoolFees', {
+            update_flags: updateFlags & 0x03,
+            new_liquidity_fee: BigInt((updateFlags & 1) ? liquidityFeeLamports : 0),
+            new_swap_fee: BigInt((updateFlags & 2) ? swapFeeLamports : 0),
+            pool_id: poolStatePDA
+        }, {
+            admin: adminWallet,
+            systemState: systemStatePDA,
+            poolState: poolStatePDA,
+            programData: await getProgramDataAccount()
+        }, window.CONFIG.programId);
         
         const signature = await createAndSendTransaction([instruction]);
         console.log('✅ Pool fee update executed successfully:', signature);
@@ -1430,39 +1221,18 @@ async function executeSwapSetOwnerOnly(poolId, ownerOnly = true, designatedOwner
 
         // v0.16.x+ tolerates size variations; do not hard-fail on legacy sizes
         
-        // Create instruction data per API: discriminator + enable_restriction + designated_owner + pool_id
-        // Layout: [21, enable_restriction:u8, designated_owner:Pubkey, pool_id:Pubkey]
-        const instructionData = new Uint8Array(1 + 1 + 32 + 32); // 66 bytes total
-        instructionData[0] = 21; // SetSwapOwnerOnly
-        
-        // enable_restriction (1 byte)
-        instructionData[1] = ownerOnly ? 1 : 0;
-        
-        // designated_owner (32 bytes)
-        if (designatedOwner) {
-            const designatedOwnerBytes = new solanaWeb3.PublicKey(designatedOwner).toBuffer();
-            instructionData.set(designatedOwnerBytes, 2);
-        } else {
-            // For disable, we can use a zero address or the current admin wallet
-            const zeroAddress = new solanaWeb3.PublicKey('11111111111111111111111111111111').toBuffer();
-            instructionData.set(zeroAddress, 2);
-        }
-        
-        // pool_id (32 bytes) at offset 34
-        poolStatePDA.toBytes().forEach((byte, index) => {
-            instructionData[34 + index] = byte;
-        });
-        
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                { pubkey: adminWallet, isSigner: true, isWritable: true },
-                { pubkey: systemStatePDA, isSigner: false, isWritable: false },
-                { pubkey: poolStatePDA, isSigner: false, isWritable: true },
-                { pubkey: await getProgramDataAccount(), isSigner: false, isWritable: false }
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        // SetSwapOwnerOnly { enable_restriction, designated_owner, pool_id } = 66 bytes
+        // For disable, the designated owner is the zero address
+        const instruction = window.FRTInstructions.buildInstruction('SetSwapOwnerOnly', {
+            enable_restriction: ownerOnly,
+            designated_owner: designatedOwner || '11111111111111111111111111111111',
+            pool_id: poolStatePDA
+        }, {
+            admin: adminWallet,
+            systemState: systemStatePDA,
+            poolState: poolStatePDA,
+            programData: await getProgramDataAccount()
+        }, window.CONFIG.programId);
         
         const signature = await createAndSendTransaction([instruction]);
         console.log('✅ Swap owner only setting executed successfully:', signature);
@@ -1487,16 +1257,9 @@ async function getTreasuryInfo() {
         
         const mainTreasuryPDA = getMainTreasuryPDA();
         
-        // Create instruction data: discriminator (1 byte) - GetTreasuryInfo = 16
-        const instructionData = new Uint8Array([16]);
-        
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                { pubkey: mainTreasuryPDA, isSigner: false, isWritable: false }
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        const instruction = window.FRTInstructions.buildInstruction('GetTreasuryInfo', {}, {
+            mainTreasury: mainTreasuryPDA
+        }, window.CONFIG.programId);
         
         // Simulate transaction to get treasury info
         const transaction = new solanaWeb3.Transaction().add(instruction);
@@ -1563,56 +1326,27 @@ async function executeTreasuryWithdrawFees(amount = null) {
             amountLamports = BigInt(lamports);
         }
 
-        // Build instruction data using proper Borsh serialization for PoolInstruction::WithdrawTreasuryFees
-        // The API docs specify this must be Borsh-serialized enum variant, not raw bytes
-        // Use cached discriminator if detected; fallback to 15
-        // Format: [discriminator: u8, amount: u64] = 9 bytes total
-        const instructionData = new Uint8Array(9);
-        let withdrawDiscExec = 15;
-        try {
-            const cached = localStorage.getItem('FRT_WITHDRAW_DISC');
-            if (cached) {
-                const n = Number.parseInt(cached, 10);
-                if (Number.isFinite(n) && n >= 0 && n < 256) withdrawDiscExec = n;
-            }
-        } catch (_) {}
-        instructionData[0] = withdrawDiscExec;
-        // Amount as u64 little-endian (8 bytes)
-        const amountView = new DataView(instructionData.buffer, 1, 8);
-        amountView.setBigUint64(0, amountLamports, true);
-
-        // Resolve Rent Sysvar
-        let rentSysvar = solanaWeb3.SYSVAR_RENT_PUBKEY;
-        if (!rentSysvar) {
-            rentSysvar = new solanaWeb3.PublicKey('SysvarRent111111111111111111111111111111111');
-        }
+        // Borsh-serialized PoolInstruction::WithdrawTreasuryFees: [discriminator: u8, amount: u64] = 9 bytes
+        // The discriminator comes from the interface of the deployed program version
+        const programInterface = await requireProgramInterface();
 
         // Destination = admin wallet by default
-        const destinationAccount = adminWallet;
-
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                // [0] System Authority (Signer, Readonly) - program reads authority, no need to write
-                { pubkey: adminWallet, isSigner: true, isWritable: false },
-                // [1] Main Treasury PDA (writable)
-                { pubkey: mainTreasuryPDA, isSigner: false, isWritable: true },
-                // [2] Rent Sysvar (read-only)
-                { pubkey: rentSysvar, isSigner: false, isWritable: false },
-                // [3] Destination account (writable)
-                { pubkey: destinationAccount, isSigner: false, isWritable: true },
-                // [4] System State PDA (read-only)
-                { pubkey: systemStatePDA, isSigner: false, isWritable: false },
-                // [5] Program Data Account (read-only)
-                { pubkey: programDataAccount, isSigner: false, isWritable: false },
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        // Authority signs read-only - program reads authority, no need to write
+        const withdrawAccounts = {
+            admin: adminWallet,
+            mainTreasury: mainTreasuryPDA,
+            destination: adminWallet,
+            systemState: systemStatePDA,
+            programData: programDataAccount
+        };
+
+        const instruction = window.FRTInstructions.buildInstruction('WithdrawTreasuryFees', { amount: amountLamports },
+            withdrawAccounts, window.CONFIG.programId);
 
         // Preflight: simulate to avoid sending failing tx during penalty/rate limit
         try {
             const pre = await simulateTreasuryWithdrawFees(amount ?? 0.0);
-            const analysis = analyzeTreasuryWithdrawalLogs(pre.logs);
+            const analysis = window.FRTConsolidationRunner.analyzeWithdrawalLogs(pre.logs);
             if (analysis.blocked) {
                 const secs = analysis.secondsRemaining ?? null;
                 const reason = analysis.reason === 'restart_penalty' ? 'System restart penalty active' : 'Withdrawal rate limit active';
@@ -1632,46 +1366,8 @@ async function executeTreasuryWithdrawFees(amount = null) {
             return signature;
         } catch (sendErr) {
             const msg = (sendErr?.message || String(sendErr)).toLowerCase();
-            const isInvalidData = msg.includes('invalid instruction data');
-            if (!isInvalidData) {
-                throw sendErr;
-            }
-            console.warn('⚠️ Invalid instruction data on withdraw. Checking logs for rate limits/penalty...');
-            try {
-                const pre = await simulateTreasuryWithdrawFees(amount ?? 0.0);
-                const analysis = analyzeTreasuryWithdrawalLogs(pre.logs);
-                if (analysis.blocked) {
-                    const secs = analysis.secondsRemaining ?? null;
-                    const reason = analysis.reason === 'restart_penalty' ? 'System restart penalty active' : 'Withdrawal rate limit active';
-                    const msg = secs !== null ? `${reason}. Try again in ~${Math.ceil(secs/60)} minutes.` : reason;
-                    throw new Error(msg);
-                }
-            } catch (_) {}
-
-            console.warn('⚠️ Falling back to discriminator auto-detect via simulation...');
-            const detected = await bruteForceDetectWithdrawDiscriminator(amount ?? 0.0);
-            if (typeof detected === 'number') {
-                try { localStorage.setItem('FRT_WITHDRAW_DISC', String(detected)); } catch (_) {}
-                // Rebuild instruction with detected discriminator
-                const retryData = new Uint8Array(9);
-                retryData[0] = detected;
-                new DataView(retryData.buffer, 1, 8).setBigUint64(0, amountLamports, true);
-                const retryIx = new solanaWeb3.TransactionInstruction({
-                    keys: [
-                        { pubkey: adminWallet, isSigner: true, isWritable: false },
-                        { pubkey: mainTreasuryPDA, isSigner: false, isWritable: true },
-                        { pubkey: rentSysvar, isSigner: false, isWritable: false },
-                        { pubkey: destinationAccount, isSigner: false, isWritable: true },
-                        { pubkey: systemStatePDA, isSigner: false, isWritable: false },
-                        { pubkey: programDataAccount, isSigner: false, isWritable: false },
-                    ],
-                    programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-                    data: retryData,
-                });
-                console.log(`🔁 Retrying withdraw with detected discriminator ${detected}...`);
-                const retrySig = await createAndSendTransaction([retryIx]);
-                console.log('✅ Treasury fee withdrawal executed successfully (retry):', retrySig);
-                return retrySig;
+            if (msg.includes('invalid instruction data')) {
+                throw new Error(`${sendErr.message} - the WithdrawTreasuryFees layout of program interface ${programInterface.id} does not match the deployed program v${programInterface.version}`);
             }
             throw sendErr;
         }
@@ -1686,43 +1382,41 @@ async function executeTreasuryWithdrawFees(amount = null) {
  * Execute pool fee consolidation
  */
 async function executeConsolidatePoolFees(poolId) {
+    return executeConsolidatePoolFeesBatch([poolId]);
+}
+
+/**
+ * Consolidate the fees of several pools in one ConsolidatePoolFees instruction
+ * @param {Array<string>} poolIds - Pool state addresses (at most 255)
+ */
+async function executeConsolidatePoolFeesBatch(poolIds) {
     try {
         if (!adminWallet) {
             throw new Error('Wallet not connected');
         }
         
-        if (!validateSolanaAddress(poolId)) {
-            throw new Error('Invalid pool ID format');
+        if (poolIds.length === 0 || poolIds.length > 255) {
+            throw new Error(`Invalid pool count: ${poolIds.length} (1-255 pools per consolidation)`);
+        }
+        const invalid = poolIds.find(poolId => !validateSolanaAddress(poolId));
+        if (invalid) {
+            throw new Error(`Invalid pool ID format: ${invalid}`);
         }
         
-        console.log('🔄 Executing pool fee consolidation for:', poolId);
+        console.log(`🔄 Executing pool fee consolidation for ${poolIds.length} pool(s):`, poolIds);
         
         const systemStatePDA = getSystemStatePDA();
         const mainTreasuryPDA = getMainTreasuryPDA();
         const programDataAccount = await getProgramDataAccount();
-        const poolStatePDA = new solanaWeb3.PublicKey(poolId);
 
-        // Instruction data: [17, pool_count:u8] – single pool consolidation
-        const instructionData = new Uint8Array(2);
-        instructionData[0] = 17; // ConsolidatePoolFees discriminator (per dashboard integration)
-        instructionData[1] = 1;  // pool_count = 1
-
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                // [0] Admin authority signer (read-only signer)
-                { pubkey: adminWallet, isSigner: true, isWritable: false },
-                // [1] System State PDA (read-only)
-                { pubkey: systemStatePDA, isSigner: false, isWritable: false },
-                // [2] Main Treasury PDA (writable)
-                { pubkey: mainTreasuryPDA, isSigner: false, isWritable: true },
-                // [3] Program Data Account (read-only)
-                { pubkey: programDataAccount, isSigner: false, isWritable: false },
-                // [4] Pool State PDA (writable)
-                { pubkey: poolStatePDA, isSigner: false, isWritable: true },
-            ],
-            programId: new solanaWeb3.PublicKey(window.CONFIG.programId),
-            data: instructionData,
-        });
+        // ConsolidatePoolFees { pool_count } - pool state accounts follow the fixed accounts
+        const instruction = window.FRTInstructions.buildInstruction('ConsolidatePoolFees', { pool_count: poolIds.length }, {
+            admin: adminWallet,
+            systemState: systemStatePDA,
+            mainTreasury: mainTreasuryPDA,
+            programData: programDataAccount,
+            pools: poolIds.map(poolId => new solanaWeb3.PublicKey(poolId))
+        }, window.CONFIG.programId);
 
         const signature = await createAndSendTransaction([instruction]);
         console.log('✅ Pool fee consolidation executed successfully:', signature);
@@ -1734,6 +1428,128 @@ async function executeConsolidatePoolFees(poolId) {
     }
 }
 
+/**
+ * Consolidate every pool that simulates successfully, then optionally withdraw treasury fees
+ * @param {Object} options - { dryRun, batchSize, withdraw, onProgress } (see FRTConsolidationRunner.runConsolidation)
+ * @returns {Promise<Object>} Run report
+ */
+async function runTreasuryConsolidation(options = {}) {
+    return window.FRTConsolidationRunner.runConsolidation({
+        discoverPools: discoverAllPools,
+        simulatePool: simulateConsolidatePoolFees,
+        getWithdrawalStatus: () => getWithdrawalStatus(0.0),
+        consolidateBatch: executeConsolidatePoolFeesBatch,
+        withdrawFees: () => executeTreasuryWithdrawFees(0.0)
+    }, options);
+}
+
+// ========================================
+// DURABLE NONCE ACCOUNTS
+// ========================================
+
+/**
+ * Nonce accounts created or inspected on this browser
+ */
+function getKnownNonceAccounts() {
+    try {
+        return JSON.parse(localStorage.getItem(KNOWN_NONCE_ACCOUNTS_KEY) || '[]');
+    } catch (_) {
+        return [];
+    }
+}
+
+function setKnownNonceAccounts(addresses) {
+    try {
+        localStorage.setItem(KNOWN_NONCE_ACCOUNTS_KEY, JSON.stringify(addresses));
+    } catch (error) {
+        console.warn('⚠️ Could not store nonce accounts:', error.message);
+    }
+}
+
+/**
+ * Create a rent-exempt nonce account (new keypair, funded by the admin wallet)
+ * @param {string} authorityAddress - Nonce authority (default: the admin wallet)
+ * @returns {Promise<Object>} { address, signature }
+ */
+async function createNonceAccount(authorityAddress = null) {
+    if (!adminWallet) {
+        throw new Error('Wallet not connected');
+    }
+    if (authorityAddress && !validateSolanaAddress(authorityAddress)) {
+        throw new Error('Invalid nonce authority address');
+    }
+    const nonceKeypair = solanaWeb3.Keypair.generate();
+    const instructions = await window.FRTTransactions.buildCreateNonceAccountInstructions(adminConnection, {
+        payer: adminWallet,
+        nonceAccount: nonceKeypair.publicKey,
+        authority: authorityAddress ? new solanaWeb3.PublicKey(authorityAddress) : adminWallet
+    });
+    
+    console.log('🔢 Creating nonce account:', nonceKeypair.publicKey.toString());
+    const signature = await createAndSendTransaction(instructions, [nonceKeypair], { ignoreSigningMode: true });
+    const address = nonceKeypair.publicKey.toString();
+    setKnownNonceAccounts([...getKnownNonceAccounts().filter(known => known !== address), address]);
+    console.log('✅ Nonce account created:', address);
+    return { address, signature };
+}
+
+/**
+ * Current nonce, authority and balance of a nonce account
+ * @returns {Promise<Object>} FRTTransactions.loadNonceAccount result
+ */
+async function getNonceAccountInfo(address) {
+    if (!validateSolanaAddress(address)) {
+        throw new Error('Invalid nonce account address');
+    }
+    const info = await window.FRTTransactions.loadNonceAccount(adminConnection, address);
+    if (!getKnownNonceAccounts().includes(info.address)) {
+        setKnownNonceAccounts([...getKnownNonceAccounts(), info.address]);
+    }
+    return info;
+}
+
+/**
+ * Advance a nonce - every transaction built on the old nonce can no longer land
+ */
+async function advanceNonceAccount(address) {
+    const info = await getNonceAccountInfo(address);
+    requireNonceAuthority(info);
+    const instruction = window.FRTTransactions.buildAdvanceNonceInstruction({
+        nonceAccount: new solanaWeb3.PublicKey(info.address),
+        authority: adminWallet
+    });
+    const signature = await createAndSendTransaction([instruction], [], { ignoreSigningMode: true });
+    console.log('✅ Nonce advanced:', info.address, signature);
+    return signature;
+}
+
+/**
+ * Close a nonce account - its whole balance goes to the admin wallet
+ */
+async function closeNonceAccount(address) {
+    const info = await getNonceAccountInfo(address);
+    requireNonceAuthority(info);
+    const instruction = window.FRTTransactions.buildCloseNonceAccountInstruction({
+        nonceAccount: new solanaWeb3.PublicKey(info.address),
+        authority: adminWallet,
+        destination: adminWallet,
+        lamports: info.lamports
+    });
+    const signature = await createAndSendTransaction([instruction], [], { ignoreSigningMode: true });
+    setKnownNonceAccounts(getKnownNonceAccounts().filter(known => known !== info.address));
+    if (adminSigningMode.nonceAccount === info.address) {
+        setAdminSigningMode('wallet', null);
+    }
+    console.log('✅ Nonce account closed:', info.address, signature);
+    return signature;
+}
+
+function requireNonceAuthority(info) {
+    if (!adminWallet || info.authority !== adminWallet.toString()) {
+        throw new Error(`The nonce authority is ${info.authority} - connect that wallet to advance or close this account`);
+    }
+}
+
 /**
  * Discover all pools
  */
@@ -1808,6 +1624,17 @@ async function getPoolDebugInfo(poolId) {
     }
 }
 
+// Signing mode chosen earlier in this session - restored on load so the signing panel shows it
+if (typeof sessionStorage !== 'undefined') {
+    try {
+        const savedMode = JSON.parse(sessionStorage.getItem('adminSigningMode') || 'null');
+        if (savedMode) setAdminSigningMode(savedMode.mode, savedMode.nonceAccount);
+    } catch (error) {
+        console.warn('⚠️ Ignoring saved admin signing mode:', error.message);
+        sessionStorage.removeItem('adminSigningMode');
+    }
+}
+
 // Export functions for global access
 if (typeof window !== 'undefined') {
     window.AdminUtils = {
@@ -1818,6 +1645,16 @@ if (typeof window !== 'undefined') {
         getMainTreasuryPDA,
         getPoolStatePDA,
         createAndSendTransaction,
+        requireProgramInterface,
+        getAdminConnection,
+        setAdminSigningMode,
+        getAdminSigningMode,
+        // Durable nonce accounts
+        getKnownNonceAccounts,
+        createNonceAccount,
+        getNonceAccountInfo,
+        advanceNonceAccount,
+        closeNonceAccount,
         // System functions
         executeSystemPause,
         executeSystemUnpause,
@@ -1834,12 +1671,13 @@ if (typeof window !== 'undefined') {
         getTreasuryInfo,
         executeTreasuryWithdrawFees,
         executeConsolidatePoolFees,
+        executeConsolidatePoolFeesBatch,
+        runTreasuryConsolidation,
         discoverAllPools,
         getPoolDebugInfo,
         simulateTreasuryWithdrawFees,
         simulateConsolidatePoolFees,
         topUpPoolLamports,
-        bruteForceDetectWithdrawDiscriminator,
         getWithdrawalStatus,
         // Status functions
         checkSystemPauseStatus,
@@ -0,0 +1,205 @@
+/**
+ * FRT Charts
+ *
+ * Small SVG line and bar charts for the dashboard (no external chart library).
+ *
+ * - renderLineChart() draws one polyline per series over a shared time axis
+ * - renderBarChart() draws grouped bars per time bucket
+ * - Points are { x: timestamp (ms), y: number }; every point gets a hover title
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+const CHART_TICKS = 4;
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgElement(name, attributes = {}, text = null) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    if (text !== null) element.textContent = text;
+    return element;
+}
+
+/**
+ * Compact number for axis labels (1.2K, 3.4M, ...)
+ */
+function formatAxisValue(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+    return abs >= 1 || value === 0 ? value.toFixed(abs >= 100 ? 0 : 2).replace(/\.00$/, '') : value.toPrecision(2);
+}
+
+function formatAxisTime(timestamp, span) {
+    const date = new Date(timestamp);
+    return span > 2 * 24 * 60 * 60 * 1000
+        ? date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+        : date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Axes, grid and scales shared by both chart types
+ * @returns {Object} { svg, x(value), y(value), plotWidth, minX, maxX }
+ */
+function createChartFrame(series, options, includeZero) {
+    const points = series.flatMap(s => s.points);
+    let minX = Math.min(...points.map(p => p.x));
+    let maxX = Math.max(...points.map(p => p.x));
+    let minY = Math.min(...points.map(p => p.y));
+    let maxY = Math.max(...points.map(p => p.y));
+    if (includeZero) minY = Math.min(0, minY);
+    if (minX === maxX) { minX -= 1; maxX += 1; }
+    if (minY === maxY) { maxY += Math.abs(maxY) || 1; }
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const x = value => CHART_PADDING.left + ((value - minX) / (maxX - minX)) * plotWidth;
+    const y = value => CHART_PADDING.top + plotHeight - ((value - minY) / (maxY - minY)) * plotHeight;
+
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+        class: 'frt-chart',
+        role: 'img',
+        'aria-label': options.title || 'Chart'
+    });
+    const formatY = options.formatY || formatAxisValue;
+    for (let i = 0; i <= CHART_TICKS; i++) {
+        const value = minY + ((maxY - minY) * i) / CHART_TICKS;
+        svg.appendChild(svgElement('line', {
+            x1: CHART_PADDING.left, x2: CHART_WIDTH - CHART_PADDING.right,
+            y1: y(value), y2: y(value),
+            class: 'frt-chart-grid'
+        }));
+        svg.appendChild(svgElement('text', {
+            x: CHART_PADDING.left - 6, y: y(value) + 4,
+            'text-anchor': 'end', class: 'frt-chart-label'
+        }, formatY(value)));
+    }
+    for (let i = 0; i <= CHART_TICKS; i++) {
+        const value = minX + ((maxX - minX) * i) / CHART_TICKS;
+        svg.appendChild(svgElement('text', {
+            x: x(value), y: CHART_HEIGHT - 8,
+            'text-anchor': i === 0 ? 'start' : i === CHART_TICKS ? 'end' : 'middle',
+            class: 'frt-chart-label'
+        }, formatAxisTime(value, maxX - minX)));
+    }
+    return { svg, x, y, plotWidth, minX, maxX };
+}
+
+/**
+ * Legend under the chart (one swatch per series)
+ */
+function createLegend(series) {
+    const legend = document.createElement('div');
+    legend.className = 'frt-chart-legend';
+    series.forEach(s => {
+        const item = document.createElement('span');
+        const swatch = document.createElement('span');
+        swatch.className = 'frt-chart-swatch';
+        swatch.style.background = s.color;
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(s.label));
+        legend.appendChild(item);
+    });
+    return legend;
+}
+
+/**
+ * Replace the container content with a chart, or the empty message without data
+ */
+function mountChart(container, series, options, draw) {
+    const visible = series.filter(s => s.points.length > 0);
+    if (visible.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'frt-chart-empty';
+        empty.textContent = options.emptyMessage || 'No data yet';
+        container.replaceChildren(empty);
+        return;
+    }
+    const svg = draw(visible);
+    container.replaceChildren(svg, createLegend(visible));
+}
+
+/**
+ * Line chart
+ * @param {HTMLElement} container
+ * @param {Array} series - [{ label, color, points: [{ x, y }] }], points sorted by x
+ * @param {Object} options - { title, formatY, emptyMessage }
+ */
+function renderLineChart(container, series, options = {}) {
+    mountChart(container, series, options, visible => {
+        const { svg, x, y } = createChartFrame(visible, options, false);
+        const formatY = options.formatY || formatAxisValue;
+        visible.forEach(s => {
+            svg.appendChild(svgElement('polyline', {
+                points: s.points.map(p => `${x(p.x)},${y(p.y)}`).join(' '),
+                fill: 'none',
+                stroke: s.color,
+                'stroke-width': 2
+            }));
+            s.points.forEach(p => {
+                const dot = svgElement('circle', { cx: x(p.x), cy: y(p.y), r: 3, fill: s.color });
+                dot.appendChild(svgElement('title', {}, `${s.label}: ${formatY(p.y)}\n${new Date(p.x).toLocaleString()}`));
+                svg.appendChild(dot);
+            });
+        });
+        return svg;
+    });
+}
+
+/**
+ * Grouped bar chart (series share the x values of their buckets)
+ * @param {HTMLElement} container
+ * @param {Array} series - [{ label, color, points: [{ x, y }] }]
+ * @param {Object} options - { title, formatY, emptyMessage, bucketMs }
+ */
+function renderBarChart(container, series, options = {}) {
+    mountChart(container, series, options, visible => {
+        const { svg, x, y, plotWidth, minX, maxX } = createChartFrame(visible, options, true);
+        const formatY = options.formatY || formatAxisValue;
+        const buckets = options.bucketMs ? Math.max(1, Math.round((maxX - minX) / options.bucketMs) + 1) : 1;
+        const groupWidth = Math.max(4, Math.min(40, (plotWidth / buckets) * 0.8));
+        const barWidth = groupWidth / visible.length;
+        visible.forEach((s, index) => {
+            s.points.forEach(p => {
+                const left = Math.min(
+                    Math.max(x(p.x) - groupWidth / 2, CHART_PADDING.left),
+                    CHART_WIDTH - CHART_PADDING.right - groupWidth
+                ) + index * barWidth;
+                const bar = svgElement('rect', {
+                    x: left,
+                    y: Math.min(y(p.y), y(0)),
+                    width: Math.max(1, barWidth - 1),
+                    height: Math.max(1, Math.abs(y(0) - y(p.y))),
+                    fill: s.color
+                });
+                bar.appendChild(svgElement('title', {}, `${s.label}: ${formatY(p.y)}\n${new Date(p.x).toLocaleString()}`));
+                svg.appendChild(bar);
+            });
+        });
+        return svg;
+    });
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.FRTCharts = {
+        renderLineChart,
+        renderBarChart,
+        formatAxisValue
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        renderLineChart,
+        renderBarChart,
+        formatAxisValue
+    };
+}
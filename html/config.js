@@ -29,6 +29,10 @@ async function loadConfig() {
             // Dashboard settings
             refreshInterval: sharedConfig.dashboard.refreshInterval,
             stateFile: sharedConfig.dashboard.stateFile,
+            cacheTtl: sharedConfig.dashboard.cacheTtl,
+            cacheLatencyBudget: sharedConfig.dashboard.cacheLatencyBudget,
+            precisionMode: sharedConfig.dashboard.precisionMode,
+            transactions: sharedConfig.dashboard.transactions,
             
             // Wallet settings
             expectedWallet: sharedConfig.wallets.expectedBackpackWallet,
@@ -115,59 +119,34 @@ async function createRobustConnection() {
         throw new Error('Configuration not loaded');
     }
     
-    const connectionConfig = {
-        commitment: config.commitment || 'confirmed',
-        disableRetryOnRateLimit: config.disableRetryOnRateLimit || true
-    };
-    
-    // List of RPC endpoints to try (primary + fallbacks)
-    const rpcEndpoints = [
-        config.rpcUrl,
-        ...(config.fallbackRpcUrls || [])
-    ].filter(Boolean);
+    // Pages without rpc-pool.js get a plain single-endpoint connection
+    const pool = window.RpcEndpointPool;
+    if (!pool) {
+        const connectionConfig = {
+            commitment: config.commitment || 'confirmed',
+            disableRetryOnRateLimit: config.disableRetryOnRateLimit || true
+        };
+        if (config.wsUrl) {
+            connectionConfig.wsEndpoint = config.wsUrl;
+        }
+        return new solanaWeb3.Connection(config.rpcUrl, connectionConfig);
+    }
     
-    console.log(`[${new Date().toISOString()}] 🔄 Attempting to connect to ${rpcEndpoints.length} RPC endpoints...`);
+    pool.initialize(config);
+    console.log(`[${new Date().toISOString()}] 🔄 Probing ${pool.endpoints.length} RPC endpoints...`);
     
-    for (let i = 0; i < rpcEndpoints.length; i++) {
-        const rpcUrl = rpcEndpoints[i];
-        try {
-            console.log(`[${new Date().toISOString()}] 🔌 Trying RPC endpoint ${i + 1}/${rpcEndpoints.length}: ${rpcUrl}`);
-            
-            // Create connection without WebSocket first to test basic connectivity
-            const testConnection = new solanaWeb3.Connection(rpcUrl, {
-                ...connectionConfig,
-                wsEndpoint: false // Disable WebSocket for initial test
-            });
-            
-            // Test the connection with a simple call
-            const version = await testConnection.getVersion();
-            console.log(`[${new Date().toISOString()}] ✅ RPC endpoint ${i + 1} working, Solana version:`, version['solana-core']);
-            
-            // If primary endpoint and WebSocket is configured, try with WebSocket
-            if (i === 0 && config.wsUrl) {
-                try {
-                    console.log(`[${new Date().toISOString()}] 📡 Attempting WebSocket connection:`, config.wsUrl);
-                    const wsConnection = new solanaWeb3.Connection(rpcUrl, connectionConfig, config.wsUrl);
-                    // Test WebSocket connection
-                    await wsConnection.getVersion();
-                    console.log(`[${new Date().toISOString()}] ✅ WebSocket connection successful`);
-                    return wsConnection;
-                } catch (wsError) {
-                    console.warn(`[${new Date().toISOString()}] ⚠️ WebSocket failed, falling back to HTTP polling:`, wsError.message);
-                    return testConnection;
-                }
-            }
-            
-            // Return HTTP-only connection for fallback endpoints
-            return testConnection;
-            
-        } catch (error) {
-            console.warn(`[${new Date().toISOString()}] ❌ RPC endpoint ${i + 1} failed:`, error.message);
-            if (i === rpcEndpoints.length - 1) {
-                throw new Error(`All RPC endpoints failed. Last error: ${error.message}`);
-            }
-        }
+    const healthy = await pool.checkHealth();
+    if (healthy === 0) {
+        const lastError = pool.endpoints.map(endpoint => endpoint.lastError).filter(Boolean).pop();
+        throw new Error(`All RPC endpoints failed. Last error: ${lastError || 'unknown'}`);
     }
+    console.log(`[${new Date().toISOString()}] ✅ ${healthy}/${pool.endpoints.length} RPC endpoints reachable`);
+    
+    // Keep scoring endpoints for the rest of the session
+    pool.startHealthChecks();
+    pool.mountStatusPanel();
+    
+    return pool.getConnection();
 }
 
 // Start configuration loading
@@ -0,0 +1,239 @@
+/**
+ * Fixed Ratio Trading - Fee Consolidation Runner
+ *
+ * Moves pool fees into the main treasury for every pool, then optionally withdraws treasury fees.
+ *
+ * - Every pool is simulated alone first; only pools that would succeed are consolidated,
+ *   in batches of `batchSize` pools per ConsolidatePoolFees instruction
+ * - The withdrawal cooldown (restart penalty or hourly rate limit, read from simulation logs)
+ *   is respected: a blocked withdrawal is skipped and the report says when the next run can withdraw
+ * - Dry runs simulate only and report what a real run would do
+ *
+ * The runner only orchestrates. The caller passes the operations, so the same run works with
+ * AdminUtils in the browser (runTreasuryConsolidation) and with FRTClient in Node (frt-cli.js).
+ */
+
+const DEFAULT_CONSOLIDATION_BATCH_SIZE = 5;
+
+/**
+ * Analyze treasury withdrawal simulation logs for penalty / rate limits
+ * @param {Array<string>} logs - WithdrawTreasuryFees simulation logs
+ * @returns {Object} { blocked, reason ('restart_penalty' | 'rate_limit'), secondsRemaining, currentHourlyLimitLamports }
+ */
+function analyzeWithdrawalLogs(logs) {
+    try {
+        const text = (logs || []).join('\n');
+        const result = { blocked: false };
+        if (!text) return result;
+        // Detect restart penalty
+        if (/restart penalty active/i.test(text) || /SYSTEM RESTART PENALTY ACTIVE/i.test(text)) {
+            result.blocked = true;
+            result.reason = 'restart_penalty';
+            // Support both 'Remaining penalty time: X' and 'Remaining penalty time: X seconds'
+            let m = text.match(/Remaining penalty time:\s*(\d+)/i);
+            if (!m) m = text.match(/Remaining penalty time:\s*(\d+)\s*seconds/i);
+            if (m) result.secondsRemaining = Number(m[1]);
+            return result;
+        }
+        // Detect rate limit window
+        if (/rate limit/i.test(text) || /Next withdrawal allowed in/i.test(text)) {
+            result.blocked = true;
+            result.reason = 'rate_limit';
+            // Match 'Next withdrawal allowed in X seconds' (no colon) and optional colon variant
+            let m = text.match(/Next withdrawal allowed in\s*(\d+)\s*seconds/i);
+            if (!m) m = text.match(/Next withdrawal allowed in:\s*(\d+)/i);
+            if (m) result.secondsRemaining = Number(m[1]);
+            const h = text.match(/current hourly limit[:\s]+([0-9_]+)/i);
+            if (h) {
+                const n = Number(h[1].replace(/_/g, ''));
+                if (Number.isFinite(n)) result.currentHourlyLimitLamports = n;
+            }
+            return result;
+        }
+        return result;
+    } catch (_) {
+        return { blocked: false };
+    }
+}
+
+/**
+ * Short reason for a failed simulation (last program log line, else the error)
+ */
+function describeSimulationFailure({ logs, error }) {
+    const programLogs = (logs || []).filter(log => log.startsWith('Program log: '));
+    const last = programLogs[programLogs.length - 1];
+    return last ? last.slice('Program log: '.length) : JSON.stringify(error);
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Run a consolidation pass
+ * @param {Object} operations
+ * @param {Function} operations.discoverPools - () => Promise<[{ address }]>
+ * @param {Function} operations.simulatePool - (address) => Promise<{ logs, error }>
+ * @param {Function} operations.getWithdrawalStatus - () => Promise<analyzeWithdrawalLogs result>
+ * @param {Function} operations.consolidateBatch - (addresses) => Promise<signature> (not called in dry runs)
+ * @param {Function} operations.withdrawFees - () => Promise<signature> (only with options.withdraw)
+ * @param {Object} options - { dryRun, batchSize, withdraw, onProgress(message) }
+ * @returns {Promise<Object>} Run report { dryRun, startedAt, finishedAt, pools, batches, withdrawal, nextWithdrawalAt, summary }
+ */
+async function runConsolidation(operations, options = {}) {
+    const dryRun = !!options.dryRun;
+    const batchSize = options.batchSize ?? DEFAULT_CONSOLIDATION_BATCH_SIZE;
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 255) {
+        throw new Error(`Invalid batch size: ${options.batchSize} (1-255 pools per instruction)`);
+    }
+    const progress = message => {
+        console.log(message);
+        if (options.onProgress) options.onProgress(message);
+    };
+
+    const report = {
+        dryRun,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        pools: [],
+        batches: [],
+        withdrawal: { requested: !!options.withdraw, status: 'not_requested' },
+        nextWithdrawalAt: null,
+        summary: null
+    };
+
+    // Cooldown first, so the report always says when the next withdrawal is possible
+    const cooldown = await operations.getWithdrawalStatus();
+    if (cooldown.blocked) {
+        report.nextWithdrawalAt = cooldown.secondsRemaining !== undefined
+            ? new Date(Date.now() + cooldown.secondsRemaining * 1000).toISOString()
+            : null;
+        progress(`⏳ Treasury withdrawal blocked (${cooldown.reason})${report.nextWithdrawalAt ? ` until ${report.nextWithdrawalAt}` : ''}`);
+    }
+
+    progress('🔍 Discovering pools...');
+    const pools = await operations.discoverPools();
+    progress(`🧪 Simulating consolidation for ${pools.length} pools...`);
+
+    for (const pool of pools) {
+        try {
+            const simulation = await operations.simulatePool(pool.address);
+            report.pools.push(simulation.error
+                ? { address: pool.address, status: 'skipped', reason: describeSimulationFailure(simulation) }
+                : { address: pool.address, status: 'ready' });
+        } catch (error) {
+            report.pools.push({ address: pool.address, status: 'skipped', reason: `Simulation failed: ${error.message}` });
+        }
+    }
+
+    const ready = report.pools.filter(pool => pool.status === 'ready');
+    const batches = chunk(ready.map(pool => pool.address), batchSize);
+    for (const [index, addresses] of batches.entries()) {
+        const batch = { pools: addresses, status: dryRun ? 'dry_run' : 'pending', signature: null, error: null };
+        report.batches.push(batch);
+        if (dryRun) continue;
+
+        progress(`🔄 Consolidating batch ${index + 1}/${batches.length} (${addresses.length} pools)...`);
+        try {
+            batch.signature = await operations.consolidateBatch(addresses);
+            batch.status = 'confirmed';
+        } catch (error) {
+            // Export mode hands the transaction to an offline signer - stop here, as the page loops do
+            if (error.exported) throw error;
+            batch.status = 'failed';
+            batch.error = error.message;
+            console.warn(`⚠️ Consolidation batch ${index + 1} failed:`, error.message);
+        }
+        report.pools
+            .filter(pool => addresses.includes(pool.address))
+            .forEach(pool => { pool.status = batch.status === 'confirmed' ? 'consolidated' : 'failed'; });
+    }
+
+    if (options.withdraw) {
+        if (cooldown.blocked) {
+            report.withdrawal = { requested: true, status: 'blocked', reason: cooldown.reason, secondsRemaining: cooldown.secondsRemaining ?? null };
+        } else if (dryRun) {
+            report.withdrawal = { requested: true, status: 'dry_run' };
+        } else {
+            progress('💰 Withdrawing treasury fees...');
+            try {
+                report.withdrawal = { requested: true, status: 'confirmed', signature: await operations.withdrawFees() };
+            } catch (error) {
+                if (error.exported) throw error;
+                report.withdrawal = { requested: true, status: 'failed', error: error.message };
+            }
+        }
+    }
+
+    const count = status => report.pools.filter(pool => pool.status === status).length;
+    report.summary = {
+        discovered: pools.length,
+        ready: ready.length,
+        skipped: count('skipped'),
+        consolidated: count('consolidated'),
+        failed: count('failed'),
+        batches: report.batches.length,
+        failedBatches: report.batches.filter(batch => batch.status === 'failed').length
+    };
+    report.finishedAt = new Date().toISOString();
+    progress(dryRun
+        ? `✅ Consolidation dry run finished: ${ready.length}/${pools.length} pools would be consolidated`
+        : `✅ Consolidation run finished: ${report.summary.consolidated} pools consolidated, ${report.summary.failed} failed, ${report.summary.skipped} skipped`);
+    return report;
+}
+
+/**
+ * Human-readable report lines
+ * @param {Object} report - runConsolidation result
+ * @returns {Array<string>}
+ */
+function formatConsolidationReport(report) {
+    const { summary } = report;
+    const lines = [
+        `${report.dryRun ? '🧪 Dry run' : '🔄 Run'} ${report.startedAt} → ${report.finishedAt}`,
+        `Pools: ${summary.discovered} discovered, ${summary.ready} ready, ${summary.skipped} skipped` +
+            (report.dryRun ? '' : `, ${summary.consolidated} consolidated, ${summary.failed} failed`),
+        `Batches: ${summary.batches}${summary.failedBatches ? ` (${summary.failedBatches} failed)` : ''}`
+    ];
+    report.batches.forEach((batch, index) => {
+        const detail = batch.signature || batch.error || (report.dryRun ? 'not sent' : '');
+        lines.push(`  ${index + 1}. ${batch.status} - ${batch.pools.length} pools${detail ? ` - ${detail}` : ''}`);
+    });
+    report.pools.filter(pool => pool.status === 'skipped').forEach(pool => {
+        lines.push(`  ⏭️ ${pool.address}: ${pool.reason}`);
+    });
+
+    const withdrawal = report.withdrawal;
+    if (withdrawal.status === 'blocked') {
+        lines.push(`Withdrawal: blocked (${withdrawal.reason})${report.nextWithdrawalAt ? ` until ${report.nextWithdrawalAt}` : ''}`);
+    } else if (withdrawal.status !== 'not_requested') {
+        lines.push(`Withdrawal: ${withdrawal.status}${withdrawal.signature ? ` - ${withdrawal.signature}` : ''}${withdrawal.error ? ` - ${withdrawal.error}` : ''}`);
+    } else if (report.nextWithdrawalAt) {
+        lines.push(`Next withdrawal possible at ${report.nextWithdrawalAt}`);
+    }
+    return lines;
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.FRTConsolidationRunner = {
+        DEFAULT_CONSOLIDATION_BATCH_SIZE,
+        analyzeWithdrawalLogs,
+        runConsolidation,
+        formatConsolidationReport
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_CONSOLIDATION_BATCH_SIZE,
+        analyzeWithdrawalLogs,
+        runConsolidation,
+        formatConsolidationReport
+    };
+}
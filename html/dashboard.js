@@ -12,6 +12,9 @@ let contractVersion = null;
 // Phase 2.2: Treasury and System State variables
 let mainTreasuryState = null;
 let systemState = null;
+// Pools listed in the history chart selector
+let pools = [];
+let poolHistoryRequest = 0;
 
 // Wallet state
 let wallet = null;
@@ -58,19 +61,8 @@ async function initializeDashboard() {
         
         // Initialize Solana connection FIRST
         console.log('🔌 Connecting to Solana RPC...');
-        const connectionConfig = {
-            commitment: 'confirmed',
-            disableRetryOnRateLimit: CONFIG.disableRetryOnRateLimit || true
-        };
-        
-        if (CONFIG.wsUrl) {
-            console.log('📡 Using WebSocket endpoint:', CONFIG.wsUrl);
-            connection = new solanaWeb3.Connection(CONFIG.rpcUrl, connectionConfig, CONFIG.wsUrl);
-        } else {
-            console.log('📡 Using HTTP polling (WebSocket disabled)');
-            connectionConfig.wsEndpoint = false; // Explicitly disable WebSocket
-            connection = new solanaWeb3.Connection(CONFIG.rpcUrl, connectionConfig);
-        }
+        // Health-scored endpoint pool (latency, errors, slot lag) with mid-session failover
+        connection = await createRobustConnection();
         
         // Test RPC connection
         try {
@@ -86,11 +78,15 @@ async function initializeDashboard() {
         await window.TradingDataService.initialize(window.CONFIG, connection);
         console.log('✅ TradingDataService initialized with RPC connection');
         
+        // Activity cache backing the pool history charts
+        await window.PoolCacheManager.initialize(window.CONFIG, connection);
+        
         // Load initial state using centralized service (RPC only)
-        // Note: Pools data is now handled by pools.html page
+        // Note: Pool listing is handled by pools.html - pools here only feed the history charts
         const initialState = await window.TradingDataService.loadAllData('rpc');
         
-        // Store treasury and system state data (pools data ignored)
+        // Store treasury and system state data
+        pools = initialState.pools || [];
         if (initialState.mainTreasuryState) {
             mainTreasuryState = initialState.mainTreasuryState;
             console.log('🏛️ Loaded treasury state via TradingDataService');
@@ -121,6 +117,11 @@ async function initializeDashboard() {
             console.warn('⚠️ Could not fetch contract version:', versionError);
         }
         
+        // Reconnect the wallet chosen on a previous page (silent - never prompts)
+        if (await window.WalletAdapter.restore()) {
+            await handleWalletConnected();
+        }
+        
         // Update title with version (or keep original if failed)
         updateTitle();
         
@@ -134,6 +135,16 @@ async function initializeDashboard() {
 
         }
         
+        // Live treasury and system state updates (polling fallback when the socket drops)
+        try {
+            await startLiveUpdates();
+        } catch (liveError) {
+            console.warn('⚠️ Could not start live updates:', liveError);
+        }
+        
+        // Pool history charts (non-blocking - transaction history can take a while)
+        populateHistoryPoolSelect().then(() => loadPoolHistory());
+        
         // Phase 2.3: Add dashboard state summary
     if (mainTreasuryState || systemState) {
         console.log('🏛️ Enhanced dashboard initialized with:', 
@@ -199,14 +210,8 @@ async function fetchContractVersion() {
             return;
         }
         
-        // Create GetVersion instruction (1-byte discriminator for unit enum!)
-        const instructionData = new Uint8Array([14]); // GetVersion = discriminator 14 (1 byte only!)
-        
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [], // GetVersion requires no accounts
-            programId: new solanaWeb3.PublicKey(CONFIG.programId),
-            data: instructionData,
-        });
+        // Create GetVersion instruction (1-byte discriminator, no accounts)
+        const instruction = window.FRTInstructions.buildInstruction('GetVersion', {}, {}, CONFIG.programId);
         
         // Create transaction with proper structure
         const transaction = new solanaWeb3.Transaction().add(instruction);
@@ -222,7 +227,7 @@ async function fetchContractVersion() {
         console.log('📡 Calling GetVersion instruction on smart contract...');
         console.log('🔍 Debug info:');
         console.log('  Program ID:', CONFIG.programId);
-        console.log('  Instruction data:', Array.from(instructionData));
+        console.log('  Instruction data:', Array.from(instruction.data));
         console.log('  Recent blockhash:', blockhash);
         
         // Check if program account exists before attempting simulation
@@ -353,19 +358,23 @@ async function fetchContractVersion() {
             console.log('📋 Contract version logs:', result.value.logs);
             
             // Look for "Contract Version: X.X.X" in logs
-            const versionLog = result.value.logs.find(log => log.includes('Contract Version:'));
-            if (versionLog) {
-                const versionMatch = versionLog.match(/Contract Version:\s*([0-9\.]+)/);
-                if (versionMatch) {
-                    contractVersion = versionMatch[1];
-                    updateVersionStatus('success', `v${contractVersion}`, 'Successfully fetched');
-                    updateTitle();
-                    console.log(`✅ Contract version fetched from blockchain: ${contractVersion}`);
-                    
-                    // Show success notification
+            const version = window.FRTProgramInterface.parseVersionFromLogs(result.value.logs);
+            if (version) {
+                contractVersion = version;
+                updateTitle();
+                console.log(`✅ Contract version fetched from blockchain: ${contractVersion}`);
+                
+                // Encode instructions with the interface of this version (program-interface.js)
+                try {
+                    const programInterface = window.FRTProgramInterface.selectProgramInterface(contractVersion);
+                    updateVersionStatus('success', `v${contractVersion}`, `Interface ${programInterface.id}`);
                     showStatus('success', `✅ Contract version v${contractVersion} fetched successfully!`);
-                    return;
+                } catch (interfaceError) {
+                    console.error('❌', interfaceError.message);
+                    updateVersionStatus('error', `v${contractVersion} unsupported`, 'Unknown program version');
+                    showStatus('error', `❌ ${interfaceError.message}`);
                 }
+                return;
             }
         }
         
@@ -515,6 +524,7 @@ async function refreshData() {
             if (refreshedState.mainTreasuryState !== undefined) {
                 mainTreasuryState = refreshedState.mainTreasuryState;
                 updateTreasuryStateDisplay();
+                renderSwapCountChart();
                 console.log('🏛️ Treasury state refreshed via TradingDataService');
             }
             if (refreshedState.systemState !== undefined) {
@@ -543,12 +553,178 @@ async function refreshData() {
 }
 
 
+/**
+ * Subscribe to the main treasury and system state accounts
+ */
+async function startLiveUpdates() {
+    const subscriptions = window.SubscriptionManager;
+    subscriptions.initialize(CONFIG, connection);
+    subscriptions.onStatusChange(mode => {
+        const liveStatusEl = document.getElementById('live-status');
+        if (liveStatusEl) {
+            liveStatusEl.textContent = subscriptions.getModeLabel(mode);
+        }
+    });
+    
+    const { mainTreasuryPda, systemStatePda } = await window.TradingDataService.derivePDAAddresses();
+    subscriptions.watchAccount(mainTreasuryPda, handleStateUpdate);
+    subscriptions.watchAccount(systemStatePda, handleStateUpdate);
+}
+
+/**
+ * Apply a pushed treasury/system state update
+ */
+function handleStateUpdate(update, meta) {
+    if (update.type === 'mainTreasury' && update.state) {
+        mainTreasuryState = update.state;
+        updateTreasuryStateDisplay();
+        renderSwapCountChart();
+    } else if (update.type === 'systemState' && update.state) {
+        systemState = update.state;
+        updateSystemStateDisplay();
+    } else {
+        return;
+    }
+    
+    console.log(`📡 ${update.type} updated via ${meta.source} (slot ${meta.slot})`);
+    updateSummaryStats();
+    lastUpdate = new Date();
+    document.getElementById('last-updated').textContent = lastUpdate.toLocaleTimeString();
+}
+
 
         
 
         
 
 
+// ========================================
+// POOL HISTORY CHARTS
+// ========================================
+
+const HISTORY_COLORS = { a: '#3b82f6', b: '#10b981', fees: '#f59e0b', swaps: '#8b5cf6' };
+
+/**
+ * Pool label from cached token symbols (short mints otherwise)
+ */
+async function getHistoryPoolLabel(pool) {
+    const symbol = async mint => {
+        const metadata = await window.PoolCacheManager.getTokenMetadataFromCache(mint);
+        return metadata?.symbol || `${mint.slice(0, 4)}...`;
+    };
+    const [symbolA, symbolB] = await Promise.all([symbol(pool.tokenAMint), symbol(pool.tokenBMint)]);
+    return { symbolA, symbolB, label: `${symbolA}/${symbolB} (${pool.address.slice(0, 8)}...)` };
+}
+
+/**
+ * Fill the history pool selector (keeps the current choice)
+ */
+async function populateHistoryPoolSelect() {
+    const select = document.getElementById('history-pool-select');
+    if (!select) return;
+    
+    const selected = select.value;
+    select.replaceChildren();
+    if (pools.length === 0) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'No pools found';
+        select.appendChild(option);
+        return;
+    }
+    for (const pool of pools) {
+        const option = document.createElement('option');
+        option.value = pool.address;
+        option.textContent = (await getHistoryPoolLabel(pool)).label;
+        select.appendChild(option);
+    }
+    if (pools.some(pool => pool.address === selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Load and render liquidity, volume and fee charts for the selected pool
+ * @param {Object} options - { refresh } re-checks the pool for new transactions
+ */
+async function loadPoolHistory(options = {}) {
+    renderSwapCountChart();
+    
+    const select = document.getElementById('history-pool-select');
+    const pool = select ? pools.find(p => p.address === select.value) : null;
+    const note = document.getElementById('pool-history-note');
+    if (!pool) {
+        note.textContent = 'No pool selected';
+        return;
+    }
+    
+    // Ignore results of a previous selection that finish late
+    const request = ++poolHistoryRequest;
+    const refreshBtn = document.getElementById('history-refresh-btn');
+    refreshBtn.disabled = true;
+    note.textContent = '⏳ Loading pool history...';
+    
+    try {
+        const bucketMs = Number(document.getElementById('history-bucket-select').value);
+        const [history, names] = await Promise.all([
+            window.PoolHistory.getPoolHistory(pool, { bucketMs, refresh: options.refresh }),
+            getHistoryPoolLabel(pool)
+        ]);
+        if (request !== poolHistoryRequest) return;
+        
+        const toTokens = (value, decimals) => (typeof decimals === 'number' ? value / Math.pow(10, decimals) : value);
+        const unit = decimals => (typeof decimals === 'number' ? '' : ' (base units)');
+        const points = (items, value) => items.filter(item => value(item) !== null).map(item => ({ x: item.time, y: value(item) }));
+        
+        window.FRTCharts.renderLineChart(document.getElementById('liquidity-chart'), [
+            { label: `${names.symbolA}${unit(pool.ratioADecimal)}`, color: HISTORY_COLORS.a, points: points(history.snapshots, s => toTokens(s.liquidityA, pool.ratioADecimal)) },
+            { label: `${names.symbolB}${unit(pool.ratioBDecimal)}`, color: HISTORY_COLORS.b, points: points(history.snapshots, s => toTokens(s.liquidityB, pool.ratioBDecimal)) }
+        ], { title: 'Liquidity', emptyMessage: 'No liquidity snapshots yet' });
+        
+        window.FRTCharts.renderBarChart(document.getElementById('volume-chart'), [
+            { label: `${names.symbolA} sold${unit(pool.ratioADecimal)}`, color: HISTORY_COLORS.a, points: points(history.buckets, b => toTokens(b.volumeA, pool.ratioADecimal)) },
+            { label: `${names.symbolB} sold${unit(pool.ratioBDecimal)}`, color: HISTORY_COLORS.b, points: points(history.buckets, b => toTokens(b.volumeB, pool.ratioBDecimal)) }
+        ], { title: 'Swap volume', bucketMs, emptyMessage: 'No swaps in the loaded history' });
+        
+        // Cumulative SOL fees from server snapshots, otherwise fees per period from transactions
+        const feesChart = document.getElementById('fees-chart');
+        if (history.snapshotSource === 'server') {
+            window.FRTCharts.renderLineChart(feesChart, [
+                { label: 'SOL fees collected (total)', color: HISTORY_COLORS.fees, points: points(history.snapshots, s => s.solFees / solanaWeb3.LAMPORTS_PER_SOL) }
+            ], { title: 'Fees', emptyMessage: 'No fee snapshots yet' });
+        } else {
+            window.FRTCharts.renderBarChart(feesChart, [
+                { label: 'Contract fees per period', color: HISTORY_COLORS.fees, points: points(history.buckets, b => b.contractFeeLamports / solanaWeb3.LAMPORTS_PER_SOL) }
+            ], { title: 'Fees', bucketMs, emptyMessage: 'No fees in the loaded history' });
+        }
+        
+        const source = history.snapshotSource === 'server'
+            ? 'Liquidity and fees from server snapshots'
+            : 'Liquidity from vault balances after each transaction';
+        note.textContent = `${source} · volume from the ${history.complete ? '' : 'latest '}${history.activityCount} decoded transactions`;
+    } catch (error) {
+        if (request !== poolHistoryRequest) return;
+        console.error('❌ Error loading pool history:', error);
+        note.textContent = `❌ Could not load pool history: ${error.message}`;
+    } finally {
+        if (request === poolHistoryRequest) refreshBtn.disabled = false;
+    }
+}
+
+/**
+ * Program-wide swap counter from the server treasury snapshots, extended by the live state
+ */
+async function renderSwapCountChart() {
+    const container = document.getElementById('swap-count-chart');
+    if (!container) return;
+    
+    const snapshots = await window.PoolHistory.getTreasurySnapshots(mainTreasuryState);
+    window.FRTCharts.renderLineChart(container, [
+        { label: 'regular_swap_count', color: HISTORY_COLORS.swaps, points: snapshots.map(s => ({ x: s.time, y: s.regular_swap_count })) },
+        { label: 'liquidity_operation_count', color: HISTORY_COLORS.b, points: snapshots.map(s => ({ x: s.time, y: s.liquidity_operation_count })) }
+    ], { title: 'Program swap count', emptyMessage: 'No treasury snapshots yet' });
+}
+
 // parsePoolState function removed - now using centralized TradingDataService.parsePoolState()
 
 
@@ -607,43 +783,17 @@ function updateSummaryStats() {
  */
 function generatePoolFlagsSection(flags, pool) {
     // Only show flags section if any flags are set or if we have flag data
-    const hasFlags = flags.oneToManyRatio || flags.liquidityPaused || flags.swapsPaused || 
-                     flags.withdrawalProtection || flags.singleLpTokenMode;
+    const activeFlags = PoolFlags.POOL_FLAGS.filter(flag => flags[flag.key]);
     
-    if (!hasFlags && (typeof pool.flags === 'undefined' || pool.flags === 0)) {
+    if (activeFlags.length === 0 && (typeof pool.flags === 'undefined' || pool.flags === 0)) {
         return ''; // No flags to display
     }
     
-    const flagItems = [];
-    
-    // One-to-many ratio configuration
-    if (flags.oneToManyRatio) {
-        flagItems.push('<span style="background: #3b82f6; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">🎯 One-to-Many Ratio</span>');
-    }
-    
-    // Liquidity operations paused
-    if (flags.liquidityPaused) {
-        flagItems.push('<span style="background: #ef4444; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">⏸️ Liquidity Paused</span>');
-    }
-    
-    // Swap operations paused
-    if (flags.swapsPaused) {
-        flagItems.push('<span style="background: #f59e0b; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">🚫 Swaps Paused</span>');
-    }
-    
-    // Withdrawal protection active
-    if (flags.withdrawalProtection) {
-        flagItems.push('<span style="background: #10b981; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">🛡️ Withdrawal Protection</span>');
-    }
-    
-    // Single LP token mode (future feature)
-    if (flags.singleLpTokenMode) {
-        flagItems.push('<span style="background: #8b5cf6; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">🔗 Single LP Mode</span>');
-    }
+    const flagItems = activeFlags.map(PoolFlags.formatPoolFlagBadge);
     
     // Show raw flags value for debugging
     const rawFlagsDisplay = typeof pool.flags === 'number' ? 
-        `<span style="color: #6b7280; font-size: 10px; margin-left: 8px;">Raw: ${pool.flags} (0b${pool.flags.toString(2).padStart(5, '0')})</span>` : '';
+        `<span style="color: #6b7280; font-size: 10px; margin-left: 8px;">Raw: ${pool.flags} (0b${pool.flags.toString(2).padStart(PoolFlags.POOL_FLAGS.length, '0')})</span>` : '';
     
     if (flagItems.length === 0 && rawFlagsDisplay) {
         return `
@@ -1205,21 +1355,14 @@ window.blockOwnerOperation = blockOwnerOperation;
 window.handleSecurityError = handleSecurityError;
 
 /**
- * Connect to Backpack wallet
+ * Connect a wallet (Phantom, Solflare, Backpack or the local test signer)
  */
 async function connectWallet() {
     try {
-        if (!window.backpack) {
-            showStatus('error', 'Backpack wallet not installed. Please install the Backpack browser extension.');
-            return;
-        }
-        
-        showStatus('info', 'Connecting to Backpack wallet...');
+        showStatus('info', 'Connecting wallet...');
         
-        const response = await window.backpack.connect();
+        await window.WalletAdapter.connect();
         await handleWalletConnected();
-        
-        console.log('✅ Wallet connected:', response.publicKey.toString());
     } catch (error) {
         console.error('❌ Failed to connect wallet:', error);
         showStatus('error', 'Failed to connect wallet: ' + error.message);
@@ -1231,7 +1374,7 @@ async function connectWallet() {
  */
 async function handleWalletConnected() {
     try {
-        wallet = window.backpack;
+        wallet = window.WalletAdapter;
         isWalletConnected = true;
         
         const publicKey = wallet.publicKey.toString();
@@ -1252,11 +1395,11 @@ async function handleWalletConnected() {
         
         // Check if this is the expected wallet
         if (publicKey === CONFIG.expectedWallet) {
-            showStatus('success', `✅ Connected with Backpack deployment wallet: ${publicKey.slice(0, 20)}...`);
+            showStatus('success', `✅ Connected with ${wallet.name} deployment wallet: ${publicKey.slice(0, 20)}...`);
             const walletAvatar = document.getElementById('wallet-avatar');
             if (walletAvatar) walletAvatar.textContent = '🎯';
         } else {
-            showStatus('info', `ℹ️ Connected with Backpack wallet: ${publicKey.slice(0, 20)}... (Note: This is not the deployment wallet)`);
+            showStatus('info', `ℹ️ Connected with ${wallet.name} wallet: ${publicKey.slice(0, 20)}... (Note: This is not the deployment wallet)`);
         }
         
         // Retry version fetch with connected wallet
@@ -1276,9 +1419,7 @@ async function handleWalletConnected() {
  */
 async function disconnectWallet() {
     try {
-        if (wallet && wallet.disconnect) {
-            await wallet.disconnect();
-        }
+        await window.WalletAdapter.disconnect();
         
         wallet = null;
         isWalletConnected = false;
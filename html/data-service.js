@@ -1,6 +1,126 @@
 // Fixed Ratio Trading - Centralized Data Service
 // This service provides a unified interface for loading pool and system state data
 // RPC-only: loads live data directly from the blockchain (no local state.json)
+// System state and treasury accounts are parsed with versioned layouts (ACCOUNT_LAYOUTS)
+
+// Token decimal lookup comes from utils.js in the browser; headless (Node) callers enrich pools themselves
+const getTokenDisplayUtils = () => (typeof window !== 'undefined' ? window.TokenDisplayUtils : undefined);
+// Program interface of the deployed version (program-interface.js), when the page loads it
+const getProgramInterface = () => (typeof window !== 'undefined' ? window.FRTProgramInterface : undefined);
+
+/**
+ * System state and main treasury layouts, newest first per account type
+ *
+ * A layout matches when the account size equals `size`. Fields are Borsh-encoded in order
+ * (bool, u8, i64, u64, pubkey, option<pubkey>). `defaults` fills the fields an older layout
+ * does not have, so every layout of a type returns the same keys.
+ * program-interface.js names the layout each program version uses.
+ */
+const ACCOUNT_LAYOUTS = {
+    systemState: [
+        {
+            name: 'SystemState v0.16',
+            size: 83,
+            fields: [
+                ['is_paused', 'bool'],
+                ['pause_timestamp', 'i64'],
+                ['pause_reason_code', 'u8'],
+                ['admin_authority', 'pubkey'],
+                ['pending_admin_authority', 'option<pubkey>'],
+                ['admin_change_timestamp', 'i64']
+            ]
+        }
+    ],
+    mainTreasuryState: [
+        {
+            name: 'MainTreasuryState v0.16',
+            size: 136,
+            fields: [
+                ['total_balance', 'u64'],
+                ['rent_exempt_minimum', 'u64'],
+                ['total_withdrawn', 'u64'],
+                ['pool_creation_count', 'u64'],
+                ['liquidity_operation_count', 'u64'],
+                ['regular_swap_count', 'u64'],
+                ['treasury_withdrawal_count', 'u64'],
+                ['failed_operation_count', 'u64'],
+                ['total_pool_creation_fees', 'u64'],
+                ['total_liquidity_fees', 'u64'],
+                ['total_regular_swap_fees', 'u64'],
+                ['total_swap_contract_fees', 'u64'],
+                ['last_update_timestamp', 'i64'],
+                ['total_consolidations_performed', 'u64'],
+                ['last_withdrawal_timestamp', 'i64'],
+                ['donation_count', 'u64'],
+                ['total_donations', 'u64']
+            ]
+        },
+        {
+            // Before donation tracking; the withdrawal timestamp slot held the last consolidation
+            name: 'MainTreasuryState (before donations)',
+            size: 120,
+            fields: [
+                ['total_balance', 'u64'],
+                ['rent_exempt_minimum', 'u64'],
+                ['total_withdrawn', 'u64'],
+                ['pool_creation_count', 'u64'],
+                ['liquidity_operation_count', 'u64'],
+                ['regular_swap_count', 'u64'],
+                ['treasury_withdrawal_count', 'u64'],
+                ['failed_operation_count', 'u64'],
+                ['total_pool_creation_fees', 'u64'],
+                ['total_liquidity_fees', 'u64'],
+                ['total_regular_swap_fees', 'u64'],
+                ['total_swap_contract_fees', 'u64'],
+                ['last_update_timestamp', 'i64'],
+                ['total_consolidations_performed', 'u64'],
+                ['last_consolidation_timestamp', 'i64']
+            ],
+            defaults: { last_withdrawal_timestamp: 0, donation_count: 0, total_donations: 0 }
+        }
+    ]
+};
+
+/**
+ * Read Borsh fields in order (u64 and i64 as Number, public keys as base58)
+ */
+function readLayoutFields(bytes, fields) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const result = {};
+    let offset = 0;
+    const readPubkey = () => {
+        const key = new solanaWeb3.PublicKey(bytes.slice(offset, offset + 32)).toString();
+        offset += 32;
+        return key;
+    };
+    for (const [name, type] of fields) {
+        switch (type) {
+            case 'bool':
+                result[name] = bytes[offset++] !== 0;
+                break;
+            case 'u8':
+                result[name] = bytes[offset++];
+                break;
+            case 'i64':
+                result[name] = Number(view.getBigInt64(offset, true));
+                offset += 8;
+                break;
+            case 'u64':
+                result[name] = Number(view.getBigUint64(offset, true));
+                offset += 8;
+                break;
+            case 'pubkey':
+                result[name] = readPubkey();
+                break;
+            case 'option<pubkey>':
+                result[name] = bytes[offset++] === 1 ? readPubkey() : null;
+                break;
+            default:
+                throw new Error(`Unsupported layout field type ${type}`);
+        }
+    }
+    return result;
+}
 
 class TradingDataService {
     constructor() {
@@ -8,6 +128,8 @@ class TradingDataService {
         this.config = null;
         this.cache = new Map();
         this.cacheTimeout = 30000; // 30 seconds
+        // u64 precision for parsed pools: 'number' (legacy), 'bigint' or 'string'
+        this.precisionMode = 'number';
     }
 
     /**
@@ -16,9 +138,31 @@ class TradingDataService {
     async initialize(config, connection = null) {
         this.config = config;
         this.connection = connection;
+        if (config?.precisionMode) {
+            this.setPrecisionMode(config.precisionMode);
+        }
         console.log('📊 TradingDataService initialized');
     }
 
+    /**
+     * Select how u64 pool fields are returned by parsePoolState
+     * 'number' keeps the legacy behaviour and loses precision above 2^53.
+     * 'bigint' keeps exact values as BigInt; 'string' keeps exact decimal strings
+     * (use this when pool data must survive JSON serialization, e.g. caches).
+     * @param {string} mode - 'number' | 'bigint' | 'string'
+     */
+    setPrecisionMode(mode) {
+        if (!['number', 'bigint', 'string'].includes(mode)) {
+            throw new Error(`Invalid precision mode: ${mode}. Use 'number', 'bigint' or 'string'.`);
+        }
+        if (mode !== this.precisionMode) {
+            // Cached pools were parsed with the previous mode
+            this.clearCache();
+        }
+        this.precisionMode = mode;
+        console.log(`📊 TradingDataService precision mode: ${mode}`);
+    }
+
     /**
      * Load all data (RPC only)
      * @returns {Object} Complete state data
@@ -67,24 +211,7 @@ class TradingDataService {
                 }
             }
 
-            // Enrich pools with on-chain token decimals to replace former state.json dependency
-            if (pools.length > 0 && window.TokenDisplayUtils?.getTokenDecimals) {
-                await Promise.all(pools.map(async (pool) => {
-                    try {
-                        const [decA, decB] = await Promise.all([
-                            window.TokenDisplayUtils.getTokenDecimals(pool.tokenAMint, this.connection),
-                            window.TokenDisplayUtils.getTokenDecimals(pool.tokenBMint, this.connection)
-                        ]);
-                        pool.ratioADecimal = decA;
-                        pool.ratioBDecimal = decB;
-                        // Optional: compute display ratios for convenience
-                        pool.ratioAActual = (pool.ratioANumerator || 0) / Math.pow(10, decA);
-                        pool.ratioBActual = (pool.ratioBDenominator || 0) / Math.pow(10, decB);
-                    } catch (e) {
-                        console.warn('⚠️ Failed to fetch token decimals for pool', pool.address, e?.message);
-                    }
-                }));
-            }
+            await this.enrichPoolDecimals(pools);
 
             // Load treasury and system state from PDAs
             let mainTreasuryState = null;
@@ -100,8 +227,16 @@ class TradingDataService {
                     this.connection.getAccountInfo(mainTreasuryPda, 'confirmed'),
                     this.connection.getAccountInfo(systemStatePda, 'confirmed')
                 ]);
-                if (treasuryAcc?.data) mainTreasuryState = this.parseMainTreasuryState(treasuryAcc.data);
-                if (systemAcc?.data) systemState = this.parseSystemState(systemAcc.data);
+                try {
+                    if (treasuryAcc?.data) mainTreasuryState = this.parseMainTreasuryState(treasuryAcc.data, treasuryAcc.owner);
+                } catch (e) {
+                    console.warn('⚠️ Failed to parse treasury state:', e?.message);
+                }
+                try {
+                    if (systemAcc?.data) systemState = this.parseSystemState(systemAcc.data, systemAcc.owner);
+                } catch (e) {
+                    console.warn('⚠️ Failed to parse system state:', e?.message);
+                }
             } catch (e) {
                 console.warn('⚠️ Failed to load treasury/system state:', e?.message);
             }
@@ -123,6 +258,64 @@ class TradingDataService {
         }
     }
 
+    /**
+     * Load every pool from the server batch cache (pool-data.php?all=1, browser only)
+     * One request instead of a getProgramAccounts scan; callers fall back to loadAllData('rpc').
+     * @param {Object} options - { refresh } asks the server to re-fetch pools older than its refresh window
+     * @returns {Promise<Array|null>} Parsed pools, or null when the batch endpoint returned nothing
+     */
+    async loadPoolsFromServer(options = {}) {
+        if (typeof window === 'undefined' || !window.PoolCacheManager) {
+            return null;
+        }
+
+        const entries = await window.PoolCacheManager.prefetchPools(null, { refresh: options.refresh });
+        const pools = [];
+        for (const entry of entries) {
+            if (!entry.account?.data?.[0]) continue;
+            try {
+                const bytes = Uint8Array.from(atob(entry.account.data[0]), char => char.charCodeAt(0));
+                const poolData = this.parsePoolState(bytes, entry.pool_address);
+                if (poolData) {
+                    pools.push(poolData);
+                }
+            } catch (error) {
+                console.warn(`Failed to parse pool at ${entry.pool_address}:`, error);
+            }
+        }
+        if (pools.length === 0) {
+            return null;
+        }
+
+        await this.enrichPoolDecimals(pools);
+        console.log(`📦 Loaded ${pools.length} pools from the server batch cache`);
+        return pools;
+    }
+
+    /**
+     * Enrich pools with on-chain token decimals to replace former state.json dependency
+     */
+    async enrichPoolDecimals(pools) {
+        if (pools.length === 0 || !getTokenDisplayUtils()?.getTokenDecimals) {
+            return;
+        }
+        await Promise.all(pools.map(async (pool) => {
+            try {
+                const [decA, decB] = await Promise.all([
+                    getTokenDisplayUtils().getTokenDecimals(pool.tokenAMint, this.connection),
+                    getTokenDisplayUtils().getTokenDecimals(pool.tokenBMint, this.connection)
+                ]);
+                pool.ratioADecimal = decA;
+                pool.ratioBDecimal = decB;
+                // Optional: compute display ratios for convenience
+                pool.ratioAActual = Number(pool.ratioANumerator || 0) / Math.pow(10, decA);
+                pool.ratioBActual = Number(pool.ratioBDenominator || 0) / Math.pow(10, decB);
+            } catch (e) {
+                console.warn('⚠️ Failed to fetch token decimals for pool', pool.address, e?.message);
+            }
+        }));
+    }
+
     /**
      * Get a specific pool by address
      * @param {string} poolAddress - Pool address
@@ -149,11 +342,11 @@ class TradingDataService {
             
             if (poolData) {
                 // Enrich with decimals if available
-                if (window.TokenDisplayUtils?.getTokenDecimals) {
+                if (getTokenDisplayUtils()?.getTokenDecimals) {
                     try {
                         const [decA, decB] = await Promise.all([
-                            window.TokenDisplayUtils.getTokenDecimals(poolData.tokenAMint, this.connection),
-                            window.TokenDisplayUtils.getTokenDecimals(poolData.tokenBMint, this.connection)
+                            getTokenDisplayUtils().getTokenDecimals(poolData.tokenAMint, this.connection),
+                            getTokenDisplayUtils().getTokenDecimals(poolData.tokenBMint, this.connection)
                         ]);
                         poolData.ratioADecimal = decA;
                         poolData.ratioBDecimal = decB;
@@ -206,11 +399,15 @@ class TradingDataService {
     /**
      * Centralized pool state parsing
      * This is the single source of truth for pool parsing logic
+     * @param {Uint8Array|Buffer} data - Raw pool account data
+     * @param {string} address - Pool address
+     * @param {Object} options - Optional { precision: 'number' | 'bigint' | 'string' }, defaults to this.precisionMode
      */
-    parsePoolState(data, address) {
+    parsePoolState(data, address, options = {}) {
         try {
             const dataArray = new Uint8Array(data);
             let offset = 0;
+            const precision = options.precision || this.precisionMode;
             
             // Helper functions to read bytes
             const readPubkey = () => {
@@ -223,9 +420,12 @@ class TradingDataService {
                 const view = new DataView(dataArray.buffer, offset, 8);
                 const value = view.getBigUint64(0, true); // little-endian
                 offset += 8;
+                if (precision === 'bigint') return value;
+                if (precision === 'string') return value.toString();
                 return Number(value);
             };
 
+            // Timestamps always fit in a Number, so i64 stays numeric in every mode
             const readI64 = () => {
                 const view = new DataView(dataArray.buffer, offset, 8);
                 const value = view.getBigInt64(0, true); // little-endian
@@ -289,15 +489,8 @@ class TradingDataService {
             const totalConsolidations = readU64();
             const totalFeesConsolidated = readU64();
             
-            // Decode flags
-            const flagsDecoded = {
-                one_to_many_ratio: (flags & 1) !== 0,
-                liquidity_paused: (flags & 2) !== 0,
-                swaps_paused: (flags & 4) !== 0,
-                withdrawal_protection: (flags & 8) !== 0,
-                single_lp_token_mode: (flags & 16) !== 0,
-                swap_owner_only: (flags & 32) !== 0
-            };
+            // Decode flags (pool-flags.js registry)
+            const flagsDecoded = PoolFlags.decodePoolFlagsState(flags);
             
             return {
                 address: address,
@@ -346,6 +539,7 @@ class TradingDataService {
                 
                 // Metadata
                 dataSource: 'rpc',
+                precision,
                 lastUpdated: Date.now()
             };
         } catch (error) {
@@ -371,100 +565,69 @@ class TradingDataService {
         return { mainTreasuryPda, systemStatePda };
     }
 
-    parseMainTreasuryState(data) {
-        try {
-            const bytes = new Uint8Array(data);
-            let offset = 0;
-            const readU64 = () => {
-                const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 8);
-                const val = Number(view.getBigUint64(0, true));
-                offset += 8;
-                return val;
-            };
-            const readI64 = () => {
-                const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 8);
-                const val = Number(view.getBigInt64(0, true));
-                offset += 8;
-                return val;
-            };
-            return {
-                total_balance: readU64(),
-                rent_exempt_minimum: readU64(),
-                total_withdrawn: readU64(),
-                pool_creation_count: readU64(),
-                liquidity_operation_count: readU64(),
-                regular_swap_count: readU64(),
-                treasury_withdrawal_count: readU64(),
-                failed_operation_count: readU64(),
-                total_pool_creation_fees: readU64(),
-                total_liquidity_fees: readU64(),
-                total_regular_swap_fees: readU64(),
-                total_swap_contract_fees: readU64(),
-                last_update_timestamp: readI64(),
-                total_consolidations_performed: readU64(),
-                // Updated schema: last_withdrawal_timestamp instead of last_consolidation_timestamp
-                last_withdrawal_timestamp: readI64(),
-                // Added donation tracking fields
-                donation_count: readU64(),
-                total_donations: readU64()
-            };
-        } catch (e) {
-            console.warn('⚠️ Failed to parse MainTreasuryState:', e?.message);
-            return null;
+    /**
+     * Parse a system state or main treasury account with the layout matching its size
+     * @param {string} type - 'systemState' | 'mainTreasuryState'
+     * @param {Uint8Array|Buffer} data - Raw account data
+     * @param {PublicKey|string} owner - Account owner; checked against the program ID when given
+     * @returns {Object} Parsed fields plus `layout` (name of the layout that matched)
+     */
+    parseAccountWithLayout(type, data, owner = null) {
+        const layouts = ACCOUNT_LAYOUTS[type];
+        if (!layouts) {
+            throw new Error(`Unknown account type: ${type}`);
+        }
+        if (owner && this.config?.programId && owner.toString() !== this.config.programId.toString()) {
+            throw new Error(`${type} account is owned by ${owner.toString()}, not the program ${this.config.programId}`);
+        }
+        const bytes = new Uint8Array(data);
+        const layout = layouts.find(candidate => candidate.size === bytes.length);
+        if (!layout) {
+            const known = layouts.map(candidate => `${candidate.name} (${candidate.size})`).join(', ');
+            throw new Error(`${type} account is ${bytes.length} bytes - no known layout matches: ${known}`);
         }
-    }
 
-    parseSystemState(data) {
-        try {
-            const bytes = new Uint8Array(data);
-            let offset = 0;
-            const readU8 = () => bytes[offset++];
-            const readBool = () => (bytes[offset++] !== 0);
-            const readI64 = () => {
-                const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 8);
-                const val = Number(view.getBigInt64(0, true));
-                offset += 8;
-                return val;
-            };
-            const readPubkey = () => {
-                const slice = bytes.slice(offset, offset + 32);
-                offset += 32;
-                return new solanaWeb3.PublicKey(slice).toString();
-            };
+        const expected = getProgramInterface()?.getActiveProgramInterface()?.stateLayouts?.[type];
+        if (expected && expected !== layout.name) {
+            console.warn(`⚠️ ${type} uses layout ${layout.name}, but the program interface expects ${expected}`);
+        }
+        return { ...(layout.defaults || {}), ...readLayoutFields(bytes, layout.fields), layout: layout.name };
+    }
 
-            // v0.16.x+ SystemState structure (83 bytes):
-            // is_paused: bool (1)
-            // pause_timestamp: i64 (8)
-            // pause_reason_code: u8 (1)
-            // admin_authority: Pubkey (32)
-            // pending_admin_authority: Option<Pubkey> (1 + 32 if Some)
-            // admin_change_timestamp: i64 (8)
-
-            const is_paused = readBool();
-            const pause_timestamp = readI64();
-            const pause_reason_code = readU8();
-            const admin_authority = readPubkey();
-
-            let pending_admin_authority = null;
-            const hasPending = readU8(); // 0 = None, 1 = Some
-            if (hasPending === 1) {
-                pending_admin_authority = readPubkey();
-            }
+    parseMainTreasuryState(data, owner = null) {
+        return this.parseAccountWithLayout('mainTreasuryState', data, owner);
+    }
 
-            const admin_change_timestamp = readI64();
+    parseSystemState(data, owner = null) {
+        return this.parseAccountWithLayout('systemState', data, owner);
+    }
 
-            return {
-                is_paused,
-                pause_timestamp,
-                pause_reason_code,
-                admin_authority,
-                pending_admin_authority,
-                admin_change_timestamp
-            };
-        } catch (e) {
-            console.warn('⚠️ Failed to parse SystemState:', e?.message);
-            return null;
-        }
+    /**
+     * Read a saved state.json snapshot (loadStateJsonExact output, including older ones)
+     * State objects without a `layout` are matched by their fields and filled with the
+     * defaults of that layout, so old snapshots have the same keys as live data.
+     * @param {Object|string} snapshot - Parsed or raw state.json
+     * @returns {Object} Snapshot with main_treasury_state and system_state normalized
+     */
+    readStateSnapshot(snapshot) {
+        const state = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+        const normalize = (type, value) => {
+            if (!value) return null;
+            const layouts = ACCOUNT_LAYOUTS[type];
+            const layout = layouts.find(candidate => candidate.name === value.layout)
+                || layouts.find(candidate => candidate.fields.every(([name]) => name in value));
+            if (!layout) {
+                console.warn(`⚠️ Snapshot ${type} matches no known layout - keeping it as is`);
+                return value;
+            }
+            return { ...(layout.defaults || {}), ...value, layout: layout.name };
+        };
+        return {
+            ...state,
+            pools: state.pools || [],
+            main_treasury_state: normalize('mainTreasuryState', state.main_treasury_state),
+            system_state: normalize('systemState', state.system_state)
+        };
     }
 
     async loadStateJsonExact() {
@@ -476,7 +639,7 @@ class TradingDataService {
                 generated_at: new Date().toISOString(),
                 program_id: programId,
                 rpc_url: rpcUrl,
-                script_version: '1.0.0',
+                script_version: '1.1.0',
                 solana_environment: 'local/remote-testnet'
             },
             pools: [],
@@ -507,10 +670,10 @@ class TradingDataService {
                     // Fetch decimals
                     let decA = 6, decB = 6;
                     try {
-                        if (window.TokenDisplayUtils?.getTokenDecimals) {
+                        if (getTokenDisplayUtils()?.getTokenDecimals) {
                             [decA, decB] = await Promise.all([
-                                window.TokenDisplayUtils.getTokenDecimals(pool.tokenAMint, this.connection),
-                                window.TokenDisplayUtils.getTokenDecimals(pool.tokenBMint, this.connection)
+                                getTokenDisplayUtils().getTokenDecimals(pool.tokenAMint, this.connection),
+                                getTokenDisplayUtils().getTokenDecimals(pool.tokenBMint, this.connection)
                             ]);
                         }
                     } catch (_) {}
@@ -560,7 +723,7 @@ class TradingDataService {
         // Load treasury state
         try {
             const acc = await this.connection.getAccountInfo(mainTreasuryPda, 'confirmed');
-            if (acc?.data) result.main_treasury_state = this.parseMainTreasuryState(acc.data);
+            if (acc?.data) result.main_treasury_state = this.parseMainTreasuryState(acc.data, acc.owner);
         } catch (e) {
             console.warn('Treasury state load failed:', e?.message);
         }
@@ -568,7 +731,7 @@ class TradingDataService {
         // Load system state
         try {
             const acc = await this.connection.getAccountInfo(systemStatePda, 'confirmed');
-            if (acc?.data) result.system_state = this.parseSystemState(acc.data);
+            if (acc?.data) result.system_state = this.parseSystemState(acc.data, acc.owner);
         } catch (e) {
             console.warn('System state load failed:', e?.message);
         }
@@ -596,7 +759,11 @@ class TradingDataService {
 }
 
 // Create a global instance
-window.TradingDataService = new TradingDataService();
+// Pages keep exact u64 strings (they survive the JSON caches); config.precisionMode can override
+if (typeof window !== 'undefined') {
+    window.TradingDataService = new TradingDataService();
+    window.TradingDataService.setPrecisionMode('string');
+}
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
@@ -14,11 +14,8 @@ async function initializeDonation() {
             await new Promise(resolve => setTimeout(resolve, 100));
         }
 
-        // Initialize Solana connection
-        connection = new solanaWeb3.Connection(
-            window.TRADING_CONFIG.rpcUrl,
-            { commitment: window.TRADING_CONFIG.commitment }
-        );
+        // Initialize Solana connection (health-scored endpoint pool with failover)
+        connection = await createRobustConnection();
 
         // Check for wallet
         await checkWallet();
@@ -33,15 +30,15 @@ async function initializeDonation() {
 // Check wallet connection
 async function checkWallet() {
     try {
-        if (window.solana && window.solana.isPhantom) {
-            wallet = window.solana;
-            console.log('✅ Phantom wallet detected');
-        } else if (window.backpack) {
-            wallet = window.backpack;
-            console.log('✅ Backpack wallet detected');
-        } else {
-            throw new Error('No supported wallet found. Please install Phantom or Backpack wallet.');
+        const detected = window.WalletAdapter.detectWallets();
+        if (detected.length === 0) {
+            throw new Error('No supported wallet found. Please install Phantom, Solflare, or Backpack wallet.');
         }
+        wallet = window.WalletAdapter;
+        console.log('✅ Wallets detected:', detected.map(entry => entry.name).join(', '));
+        
+        // Reconnect the wallet chosen on a previous page (silent - never prompts)
+        await wallet.restore();
     } catch (error) {
         console.error('❌ Wallet check failed:', error);
         throw error;
@@ -55,9 +52,11 @@ async function connectWallet() {
             throw new Error('No wallet detected');
         }
 
-        const response = await wallet.connect();
-        console.log('✅ Wallet connected:', response.publicKey.toString());
-        return response.publicKey;
+        if (!wallet.isConnected) {
+            await wallet.connect();
+        }
+        console.log('✅ Wallet connected:', wallet.publicKey.toString());
+        return wallet.publicKey;
     } catch (error) {
         console.error('❌ Wallet connection failed:', error);
         throw new Error('Failed to connect wallet: ' + error.message);
@@ -116,35 +115,22 @@ async function processDonation(amount, message) {
         
         showStatus('Creating donation instruction...', 'info');
         
-        // Create instruction data for DonateSol - using exact API documentation format
-        const messageBytes = new TextEncoder().encode(message);
-        const messageLength = new Uint8Array(new Uint32Array([messageBytes.length]).buffer);
-        
-        const instructionData = new Uint8Array([
-            23,                                    // DonateSol discriminator
-            ...new Uint8Array(new BigUint64Array([BigInt(lamports)]).buffer), // amount (u64 little-endian)
-            ...messageLength,                      // message length (u32 little-endian)
-            ...messageBytes                        // message UTF-8 bytes
-        ]);
-        
-        // Create instruction with exact account structure from updated API documentation
-        const instruction = new solanaWeb3.TransactionInstruction({
-            keys: [
-                { pubkey: walletPublicKey, isSigner: true, isWritable: true },        // [0] Donor Account
-                { pubkey: mainTreasuryPda, isSigner: false, isWritable: true },       // [1] Main Treasury PDA
-                { pubkey: systemStatePda, isSigner: false, isWritable: false },      // [2] System State PDA
-                { pubkey: solanaWeb3.SystemProgram.programId, isSigner: false, isWritable: false } // [3] System Program
-            ],
-            programId: programId,
-            data: instructionData
-        });
+        // DonateSol { amount, message } with exact account structure from instructions.js
+        const instruction = window.FRTInstructions.buildInstruction('DonateSol', {
+            amount: BigInt(lamports),
+            message: message
+        }, {
+            donor: walletPublicKey,
+            mainTreasury: mainTreasuryPda,
+            systemState: systemStatePda
+        }, programId);
         
         console.log('💝 Donation Details:', {
             amount: amount + ' SOL',
             message: message,
             systemStatePda: systemStatePda.toString(),
             mainTreasuryPda: mainTreasuryPda.toString(),
-            instructionDataLength: instructionData.length
+            instructionDataLength: instruction.data.length
         });
 
         // Create transaction
@@ -188,22 +174,13 @@ async function processDonation(amount, message) {
 
         showStatus('Please approve the transaction in your wallet...', 'info');
 
-        // Sign transaction
-        const signedTransaction = await wallet.signTransaction(transaction);
-        
-        showStatus('Sending donation transaction...', 'info');
-        
-        const signature = await connection.sendRawTransaction(signedTransaction.serialize());
-        
-        showStatus('Confirming transaction...', 'info');
-        
-        // Confirm transaction with detailed error handling
-        const confirmation = await connection.confirmTransaction(signature, 'confirmed');
-        
-        if (confirmation.value.err) {
-            console.error('❌ Transaction confirmation error:', confirmation.value.err);
-            throw new Error('Transaction failed: ' + JSON.stringify(confirmation.value.err));
-        }
+        // Sign, send, rebroadcast and confirm (this page's showStatus takes message first)
+        const { signature } = await window.TransactionLifecycle.send(connection, {
+            transaction,
+            label: 'Donation',
+            sign: tx => wallet.signTransaction(tx),
+            onProgress: window.TransactionLifecycle.reportTo((type, statusMessage) => showStatus(statusMessage, type))
+        });
 
         showStatus(`✅ Donation successful! Thank you for supporting Fixed Ratio Trading development!\n\nTransaction: ${signature}\n\nAmount: ${amount} SOL\nMessage: "${message}"`, 'success');
         
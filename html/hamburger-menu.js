@@ -28,6 +28,12 @@ class HamburgerMenu {
         if (filename === 'pools.html') {
             return 'pools';
         }
+        if (filename === 'my-activity.html') {
+            return 'activity';
+        }
+        if (filename === 'my-positions.html') {
+            return 'positions';
+        }
         if (filename === 'admin.html') {
             return 'admin';
         }
@@ -93,6 +99,14 @@ class HamburgerMenu {
                     <span class="hamburger-nav-icon">🏊‍♂️</span>
                     <span class="hamburger-nav-text">Pools</span>
                 </a>
+                <a href="my-activity.html" class="hamburger-nav-item" data-page="activity">
+                    <span class="hamburger-nav-icon">📒</span>
+                    <span class="hamburger-nav-text">My Activity</span>
+                </a>
+                <a href="my-positions.html" class="hamburger-nav-item" data-page="positions">
+                    <span class="hamburger-nav-icon">💧</span>
+                    <span class="hamburger-nav-text">My Positions</span>
+                </a>
                 <a href="dashboard.html" class="hamburger-nav-item" data-page="dashboard">
                     <span class="hamburger-nav-icon">📊</span>
                     <span class="hamburger-nav-text">Dashboard</span>
@@ -0,0 +1,609 @@
+/**
+ * Fixed Ratio Trading - Program Instruction Encoding
+ * Single source of truth for instruction discriminators, data layouts and account orders
+ *
+ * Every page builds FRT program instructions through this module so the byte layouts
+ * live in one place. Each layout can be decoded back into named arguments.
+ * tests/instructions.test.js round-trips every layout against the known-good encodings
+ * in tests/fixtures/instructions.json (run with `node --test tests/`).
+ *
+ * INSTRUCTION_LAYOUTS describes the current program. program-interface.js switches to the
+ * layouts of the deployed program version with useInstructionLayouts().
+ *
+ * Dependencies:
+ * - solanaWeb3 (libs/solana-web3.min.js): only needed when building TransactionInstructions
+ *   or converting base58 strings to public keys
+ */
+
+// ========================================
+// WELL-KNOWN ACCOUNTS
+// ========================================
+
+const WELL_KNOWN_ACCOUNTS = {
+    systemProgram: '11111111111111111111111111111111',
+    tokenProgram: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+    rentSysvar: 'SysvarRent111111111111111111111111111111111'
+};
+
+// ========================================
+// INSTRUCTION LAYOUTS
+// ========================================
+
+/**
+ * Instruction layouts keyed by PoolInstruction variant name.
+ *
+ * fields:   Borsh-serialized arguments following the 1-byte discriminator
+ *           (u8, bool, u64, pubkey, string = u32 length + UTF-8 bytes)
+ * accounts: ordered account list as [name, isSigner, isWritable]; an entry with
+ *           `rest: true` accepts a variable-length list of accounts
+ */
+const INSTRUCTION_LAYOUTS = {
+    InitializePool: {
+        discriminator: 1,
+        fields: [
+            ['ratio_a_numerator', 'u64'],
+            ['ratio_b_denominator', 'u64'],
+            ['flags', 'u8']
+        ],
+        accounts: [
+            ['user', true, true],
+            ['systemProgram', false, false],
+            ['systemState', false, false],
+            ['poolState', false, true],
+            ['tokenProgram', false, false],
+            ['mainTreasury', false, true],
+            ['rentSysvar', false, false],
+            ['tokenAMint', false, false],
+            ['tokenBMint', false, false],
+            ['tokenAVault', false, true],
+            ['tokenBVault', false, true],
+            ['lpTokenAMint', false, true],
+            ['lpTokenBMint', false, true]
+        ]
+    },
+    Deposit: {
+        discriminator: 2,
+        fields: [
+            ['deposit_token_mint', 'pubkey'],
+            ['amount', 'u64'],
+            ['pool_id', 'pubkey']
+        ],
+        accounts: [
+            ['user', true, true],
+            ['systemProgram', false, false],
+            ['systemState', false, false],
+            ['poolState', false, true],
+            ['tokenProgram', false, false],
+            ['tokenAVault', false, true],
+            ['tokenBVault', false, true],
+            ['userInputTokenAccount', false, true],
+            ['userLpTokenAccount', false, true],
+            ['lpTokenAMint', false, true],
+            ['lpTokenBMint', false, true]
+        ]
+    },
+    Withdraw: {
+        discriminator: 3,
+        fields: [
+            ['withdraw_token_mint', 'pubkey'],
+            ['lp_amount_to_burn', 'u64'],
+            ['pool_id', 'pubkey']
+        ],
+        accounts: [
+            ['user', true, true],
+            ['systemProgram', false, false],
+            ['systemState', false, false],
+            ['poolState', false, true],
+            ['tokenProgram', false, false],
+            ['tokenAVault', false, true],
+            ['tokenBVault', false, true],
+            ['userLpTokenAccount', false, true],
+            ['userOutputTokenAccount', false, true],
+            ['lpTokenAMint', false, true],
+            ['lpTokenBMint', false, true]
+        ]
+    },
+    Swap: {
+        discriminator: 4,
+        fields: [
+            ['input_token_mint', 'pubkey'],
+            ['amount_in', 'u64'],
+            ['expected_amount_out', 'u64'],
+            ['pool_id', 'pubkey']
+        ],
+        accounts: [
+            ['user', true, true],
+            ['systemProgram', false, false],
+            ['systemState', false, false],
+            ['poolState', false, true],
+            ['tokenProgram', false, false],
+            ['tokenAVault', false, true],
+            ['tokenBVault', false, true],
+            ['userInputTokenAccount', false, true],
+            ['userOutputTokenAccount', false, true],
+            ['inputTokenMint', false, false],
+            ['outputTokenMint', false, false]
+        ]
+    },
+    PauseSystem: {
+        discriminator: 12,
+        fields: [
+            ['reason_code', 'u8']
+        ],
+        accounts: [
+            ['admin', true, true],
+            ['systemState', false, true],
+            ['programData', false, false]
+        ]
+    },
+    UnpauseSystem: {
+        discriminator: 13,
+        fields: [],
+        accounts: [
+            ['admin', true, true],
+            ['systemState', false, true],
+            ['mainTreasury', false, true],
+            ['programData', false, false]
+        ]
+    },
+    GetVersion: {
+        discriminator: 14,
+        fields: [],
+        accounts: []
+    },
+    WithdrawTreasuryFees: {
+        discriminator: 15,
+        fields: [
+            ['amount', 'u64']
+        ],
+        accounts: [
+            ['admin', true, false],
+            ['mainTreasury', false, true],
+            ['rentSysvar', false, false],
+            ['destination', false, true],
+            ['systemState', false, false],
+            ['programData', false, false]
+        ]
+    },
+    GetTreasuryInfo: {
+        discriminator: 16,
+        fields: [],
+        accounts: [
+            ['mainTreasury', false, false]
+        ]
+    },
+    ConsolidatePoolFees: {
+        discriminator: 17,
+        fields: [
+            ['pool_count', 'u8']
+        ],
+        accounts: [
+            ['admin', true, false],
+            ['systemState', false, false],
+            ['mainTreasury', false, true],
+            ['programData', false, false],
+            { name: 'pools', isSigner: false, isWritable: true, rest: true }
+        ]
+    },
+    PausePool: {
+        discriminator: 19,
+        fields: [
+            ['pause_flags', 'u8'],
+            ['pool_id', 'pubkey']
+        ],
+        accounts: [
+            ['admin', true, true],
+            ['systemState', false, true],
+            ['poolState', false, true],
+            ['programData', false, false]
+        ]
+    },
+    UnpausePool: {
+        discriminator: 20,
+        fields: [
+            ['unpause_flags', 'u8'],
+            ['pool_id', 'pubkey']
+        ],
+        accounts: [
+            ['admin', true, true],
+            ['systemState', false, true],
+            ['poolState', false, true],
+            ['programData', false, false]
+        ]
+    },
+    SetSwapOwnerOnly: {
+        discriminator: 21,
+        fields: [
+            ['enable_restriction', 'bool'],
+            ['designated_owner', 'pubkey'],
+            ['pool_id', 'pubkey']
+        ],
+        accounts: [
+            ['admin', true, true],
+            ['systemState', false, false],
+            ['poolState', false, true],
+            ['programData', false, false]
+        ]
+    },
+    UpdatePoolFees: {
+        discriminator: 22,
+        fields: [
+            ['update_flags', 'u8'],
+            ['new_liquidity_fee', 'u64'],
+            ['new_swap_fee', 'u64'],
+            ['pool_id', 'pubkey']
+        ],
+        accounts: [
+            ['admin', true, true],
+            ['systemState', false, false],
+            ['poolState', false, true],
+            ['programData', false, false]
+        ]
+    },
+    DonateSol: {
+        discriminator: 23,
+        fields: [
+            ['amount', 'u64'],
+            ['message', 'string']
+        ],
+        accounts: [
+            ['donor', true, true],
+            ['mainTreasury', false, true],
+            ['systemState', false, false],
+            ['systemProgram', false, false]
+        ]
+    },
+    ProcessAdminChange: {
+        discriminator: 24,
+        fields: [
+            ['new_admin', 'pubkey']
+        ],
+        accounts: [
+            ['admin', true, true],
+            ['systemState', false, true],
+            ['programData', false, false]
+        ]
+    }
+};
+
+const FIELD_SIZES = { u8: 1, bool: 1, u64: 8, pubkey: 32 };
+
+// Layouts used for encoding and decoding (program-interface.js selects them per program version)
+let activeLayouts = INSTRUCTION_LAYOUTS;
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Encode and decode with the layouts of a specific program version
+ * @param {Object} layouts - Layouts keyed by instruction name (same shape as INSTRUCTION_LAYOUTS)
+ */
+function useInstructionLayouts(layouts) {
+    activeLayouts = layouts;
+}
+
+/**
+ * Look up a layout by instruction name
+ * @param {string} name - PoolInstruction variant name (e.g. 'Swap')
+ * @returns {Object} Layout definition
+ */
+function getInstructionLayout(name) {
+    const layout = activeLayouts[name];
+    if (!layout) {
+        throw new Error(`Unknown FRT instruction: ${name}`);
+    }
+    return layout;
+}
+
+/**
+ * Convert a PublicKey, base58 string or 32-byte array to raw bytes
+ */
+function toPubkeyBytes(value, fieldName) {
+    if (value instanceof Uint8Array && value.length === 32) {
+        return value;
+    }
+    if (value && typeof value.toBytes === 'function') {
+        return value.toBytes();
+    }
+    if (typeof value === 'string') {
+        return new solanaWeb3.PublicKey(value).toBytes();
+    }
+    throw new Error(`Invalid public key for ${fieldName}: ${value}`);
+}
+
+/**
+ * Convert a PublicKey or base58 string to a PublicKey
+ */
+function toPublicKey(value, accountName) {
+    if (!value) {
+        throw new Error(`Missing account: ${accountName}`);
+    }
+    if (value instanceof solanaWeb3.PublicKey) {
+        return value;
+    }
+    return new solanaWeb3.PublicKey(value.toString());
+}
+
+/**
+ * Convert a number, bigint or decimal string to a u64 BigInt, rejecting anything unsafe
+ */
+function toU64(value, fieldName) {
+    if (typeof value === 'number' && (!Number.isSafeInteger(value) || value < 0)) {
+        throw new Error(`Invalid u64 for ${fieldName}: ${value}. Must be a non-negative safe integer (use BigInt for larger values).`);
+    }
+    let big;
+    try {
+        big = BigInt(value);
+    } catch (_) {
+        throw new Error(`Invalid u64 for ${fieldName}: ${value}`);
+    }
+    if (big < 0n || big > 0xffffffffffffffffn) {
+        throw new Error(`u64 out of range for ${fieldName}: ${value}`);
+    }
+    return big;
+}
+
+// ========================================
+// ENCODING / DECODING
+// ========================================
+
+/**
+ * Encode instruction data for a named instruction
+ * @param {string} name - PoolInstruction variant name
+ * @param {Object} args - Field values keyed by field name (u64 accepts number, bigint or string)
+ * @param {Object} options - Optional { discriminator } override
+ * @returns {Uint8Array} Serialized instruction data
+ */
+function encodeInstructionData(name, args = {}, options = {}) {
+    const layout = getInstructionLayout(name);
+    const discriminator = options.discriminator ?? layout.discriminator;
+
+    // Pre-encode variable-length fields so the buffer can be sized exactly
+    const encodedStrings = {};
+    let size = 1;
+    for (const [field, type] of layout.fields) {
+        if (args[field] === undefined || args[field] === null) {
+            throw new Error(`Missing argument ${field} for ${name}`);
+        }
+        if (type === 'string') {
+            encodedStrings[field] = new TextEncoder().encode(String(args[field]));
+            size += 4 + encodedStrings[field].length;
+        } else {
+            size += FIELD_SIZES[type];
+        }
+    }
+
+    const data = new Uint8Array(size);
+    const view = new DataView(data.buffer);
+    data[0] = discriminator;
+    let offset = 1;
+
+    for (const [field, type] of layout.fields) {
+        const value = args[field];
+        switch (type) {
+            case 'u8':
+                if (!Number.isInteger(value) || value < 0 || value > 255) {
+                    throw new Error(`Invalid u8 for ${field}: ${value}`);
+                }
+                data[offset] = value;
+                offset += 1;
+                break;
+            case 'bool':
+                data[offset] = value ? 1 : 0;
+                offset += 1;
+                break;
+            case 'u64':
+                view.setBigUint64(offset, toU64(value, field), true);
+                offset += 8;
+                break;
+            case 'pubkey':
+                data.set(toPubkeyBytes(value, field), offset);
+                offset += 32;
+                break;
+            case 'string':
+                view.setUint32(offset, encodedStrings[field].length, true);
+                data.set(encodedStrings[field], offset + 4);
+                offset += 4 + encodedStrings[field].length;
+                break;
+            default:
+                throw new Error(`Unsupported field type ${type} in ${name}`);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Decode instruction data back into its instruction name and arguments
+ * u64 values are returned as BigInt and public keys as base58 strings.
+ * @param {Uint8Array|Buffer|number[]} data - Raw instruction data
+ * @returns {Object} { name, discriminator, args }
+ */
+function decodeInstructionData(data) {
+    const bytes = data instanceof Uint8Array ? data : Uint8Array.from(data);
+    if (bytes.length < 1) {
+        throw new Error('Empty instruction data');
+    }
+
+    const discriminator = bytes[0];
+    const name = Object.keys(activeLayouts).find(n => activeLayouts[n].discriminator === discriminator);
+    if (!name) {
+        throw new Error(`Unknown FRT instruction discriminator: ${discriminator}`);
+    }
+
+    const layout = activeLayouts[name];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const args = {};
+    let offset = 1;
+
+    const ensure = (n, field) => {
+        if (offset + n > bytes.length) {
+            throw new Error(`Instruction data too short for ${name}.${field}: need ${offset + n} bytes, have ${bytes.length}`);
+        }
+    };
+
+    for (const [field, type] of layout.fields) {
+        switch (type) {
+            case 'u8':
+                ensure(1, field);
+                args[field] = bytes[offset];
+                offset += 1;
+                break;
+            case 'bool':
+                ensure(1, field);
+                args[field] = bytes[offset] !== 0;
+                offset += 1;
+                break;
+            case 'u64':
+                ensure(8, field);
+                args[field] = view.getBigUint64(offset, true);
+                offset += 8;
+                break;
+            case 'pubkey':
+                ensure(32, field);
+                args[field] = new solanaWeb3.PublicKey(bytes.slice(offset, offset + 32)).toString();
+                offset += 32;
+                break;
+            case 'string': {
+                ensure(4, field);
+                const len = view.getUint32(offset, true);
+                offset += 4;
+                ensure(len, field);
+                args[field] = new TextDecoder('utf-8').decode(bytes.slice(offset, offset + len));
+                offset += len;
+                break;
+            }
+            default:
+                throw new Error(`Unsupported field type ${type} in ${name}`);
+        }
+    }
+
+    if (offset !== bytes.length) {
+        throw new Error(`Trailing bytes in ${name} instruction data: expected ${offset}, got ${bytes.length}`);
+    }
+
+    return { name, discriminator, args };
+}
+
+// ========================================
+// ACCOUNT METAS
+// ========================================
+
+/**
+ * Build the ordered account meta list for an instruction
+ * Well-known program/sysvar accounts are filled in automatically when omitted.
+ * @param {string} name - PoolInstruction variant name
+ * @param {Object} accounts - Public keys (PublicKey or base58) keyed by account name
+ * @returns {Array} Account metas { pubkey, isSigner, isWritable }
+ */
+function buildAccountMetas(name, accounts = {}) {
+    const layout = getInstructionLayout(name);
+    const metas = [];
+
+    for (const entry of layout.accounts) {
+        const spec = Array.isArray(entry)
+            ? { name: entry[0], isSigner: entry[1], isWritable: entry[2] }
+            : entry;
+
+        if (spec.rest) {
+            const list = accounts[spec.name] || [];
+            list.forEach((key, i) => {
+                metas.push({ pubkey: toPublicKey(key, `${spec.name}[${i}]`), isSigner: spec.isSigner, isWritable: spec.isWritable });
+            });
+            continue;
+        }
+
+        const value = accounts[spec.name] || WELL_KNOWN_ACCOUNTS[spec.name];
+        metas.push({ pubkey: toPublicKey(value, spec.name), isSigner: spec.isSigner, isWritable: spec.isWritable });
+    }
+
+    return metas;
+}
+
+/**
+ * Name the accounts of a decoded instruction using its layout
+ * @param {string} name - PoolInstruction variant name
+ * @param {Array} keys - Account metas or public keys in instruction order
+ * @returns {Object} Base58 addresses keyed by account name
+ */
+function nameInstructionAccounts(name, keys) {
+    const layout = getInstructionLayout(name);
+    const named = {};
+    let index = 0;
+
+    for (const entry of layout.accounts) {
+        const spec = Array.isArray(entry) ? { name: entry[0] } : entry;
+        if (spec.rest) {
+            named[spec.name] = keys.slice(index).map(k => (k.pubkey || k).toString());
+            index = keys.length;
+            continue;
+        }
+        if (index < keys.length) {
+            named[spec.name] = (keys[index].pubkey || keys[index]).toString();
+        }
+        index++;
+    }
+
+    return named;
+}
+
+/**
+ * Build a complete TransactionInstruction for the FRT program
+ * @param {string} name - PoolInstruction variant name
+ * @param {Object} args - Instruction arguments
+ * @param {Object} accounts - Accounts keyed by account name
+ * @param {string|PublicKey} programId - FRT program ID
+ * @param {Object} options - Optional { discriminator } override
+ * @returns {TransactionInstruction} Instruction ready to add to a transaction
+ */
+function buildInstruction(name, args, accounts, programId, options = {}) {
+    return new solanaWeb3.TransactionInstruction({
+        keys: buildAccountMetas(name, accounts),
+        programId: toPublicKey(programId, 'programId'),
+        data: encodeInstructionData(name, args, options)
+    });
+}
+
+/**
+ * Decode a TransactionInstruction (or compiled { data, keys }) into name, args and named accounts
+ * @param {Object} instruction - Instruction with data and keys
+ * @returns {Object} { name, discriminator, args, accounts }
+ */
+function decodeInstruction(instruction) {
+    const decoded = decodeInstructionData(instruction.data);
+    decoded.accounts = nameInstructionAccounts(decoded.name, instruction.keys || []);
+    return decoded;
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.FRTInstructions = {
+        INSTRUCTION_LAYOUTS,
+        WELL_KNOWN_ACCOUNTS,
+        useInstructionLayouts,
+        getInstructionLayout,
+        encodeInstructionData,
+        decodeInstructionData,
+        buildAccountMetas,
+        nameInstructionAccounts,
+        buildInstruction,
+        decodeInstruction
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INSTRUCTION_LAYOUTS,
+        WELL_KNOWN_ACCOUNTS,
+        useInstructionLayouts,
+        getInstructionLayout,
+        encodeInstructionData,
+        decodeInstructionData,
+        buildAccountMetas,
+        nameInstructionAccounts,
+        buildInstruction,
+        decodeInstruction
+    };
+}
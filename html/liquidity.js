@@ -13,6 +13,10 @@ let poolData = null;
 let poolAddress = null;
 let userTokens = [];
 let selectedToken = null;
+// State from a shared link (liquidity.html?pool=…&op=remove&lp=B&amount=…)
+let urlAddToken = null;             // 'A' | 'B' - token to add
+let urlLPToken = null;              // 'A' | 'B' - LP token to remove
+let pendingUrlAmount = null;        // applied once the token / LP balances are shown
 
 /**
  * Create token image HTML using PHP cache (server-side)
@@ -136,20 +140,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function initializeApp() {
     try {
         // Initialize Solana connection
-        // Initialize Solana connection with WebSocket configuration
+        // Initialize Solana connection (health-scored endpoint pool with failover)
         console.log('🔌 Connecting to Solana RPC...');
-        const connectionConfig = {
-            commitment: CONFIG.commitment,
-            disableRetryOnRateLimit: CONFIG.disableRetryOnRateLimit || true
-        };
+        connection = await createRobustConnection();
         
-        if (CONFIG.wsUrl) {
-            console.log('📡 Using WebSocket endpoint:', CONFIG.wsUrl);
-            connection = new solanaWeb3.Connection(CONFIG.rpcUrl, connectionConfig, CONFIG.wsUrl);
-        } else {
-            console.log('📡 Using HTTP polling (WebSocket disabled)');
-            connectionConfig.wsEndpoint = false; // Explicitly disable WebSocket
-            connection = new solanaWeb3.Connection(CONFIG.rpcUrl, connectionConfig);
+        // Pool cache (IndexedDB) receives live updates from SubscriptionManager
+        if (window.PoolCacheManager) {
+            await window.PoolCacheManager.initialize(window.TRADING_CONFIG, connection);
         }
         
         // Check if SPL Token library is available
@@ -161,12 +158,6 @@ async function initializeApp() {
         
         console.log('✅ SPL Token library ready');
         
-        // Check if Backpack is installed
-        if (!window.backpack) {
-            showStatus('error', 'Backpack wallet not detected. Please install Backpack wallet extension.');
-            return;
-        }
-        
         // Get pool address from URL params first, then sessionStorage as fallback
         const urlParams = new URLSearchParams(window.location.search);
         poolAddress = urlParams.get('pool') || sessionStorage.getItem('selectedPoolAddress');
@@ -182,11 +173,17 @@ async function initializeApp() {
         // Store pool address in sessionStorage for potential navigation
         sessionStorage.setItem('selectedPoolAddress', poolAddress);
         
+        // Operation, token and amount from a shared link
+        restoreLiquidityStateFromUrl();
+        
         // Load pool information
         await loadPoolInformation();
         
-        // Check if already connected
-        if (window.backpack.isConnected) {
+        // Live pool updates (polling fallback when the socket drops)
+        startPoolSubscription();
+        
+        // Reconnect the wallet chosen on a previous page (silent - never prompts)
+        if (await window.WalletAdapter.restore()) {
             await handleWalletConnected();
         }
         
@@ -270,6 +267,32 @@ async function loadPoolInformation() {
     }
 }
 
+/**
+ * Subscribe to the viewed pool so liquidity and flags stay current
+ */
+function startPoolSubscription() {
+    if (!poolData || !window.SubscriptionManager) return;
+    try {
+        window.SubscriptionManager.initialize(window.TRADING_CONFIG, connection);
+        window.SubscriptionManager.watchPool(poolAddress, handlePoolUpdate);
+    } catch (error) {
+        console.warn('⚠️ Could not subscribe to pool updates:', error.message);
+    }
+}
+
+/**
+ * Apply a pushed pool state update, keeping enrichment (symbols, decimals)
+ */
+async function handlePoolUpdate(pool, meta) {
+    console.log(`📡 Pool updated via ${meta.source} (slot ${meta.slot})`);
+    poolData = { ...poolData, ...pool };
+    if (poolData.ratioADecimal !== undefined && poolData.ratioBDecimal !== undefined) {
+        poolData.ratioAActual = Number(poolData.ratioANumerator || 0) / Math.pow(10, poolData.ratioADecimal);
+        poolData.ratioBActual = Number(poolData.ratioBDenominator || 0) / Math.pow(10, poolData.ratioBDecimal);
+    }
+    await updatePoolDisplay();
+}
+
 // parsePoolState function removed - now using centralized TradingDataService.parsePoolState()
 
 /**
@@ -364,7 +387,7 @@ async function updatePoolDisplay() {
             const decimals = isTokenA ? tokenDecimals.tokenADecimals : tokenDecimals.tokenBDecimals;
             return window.TokenDisplayUtils.formatLiquidityAmount(rawAmount, decimals);
         }
-        return window.TokenDisplayUtils.formatLargeNumber(rawAmount);
+        return window.TokenDisplayUtils.formatLargeNumber(Number(rawAmount));
     };
     
     const flags = window.TokenDisplayUtils.interpretPoolFlags(poolData);
@@ -517,21 +540,14 @@ async function updatePoolDisplay() {
 }
 
 /**
- * Connect to Backpack wallet
+ * Connect a wallet (Phantom, Solflare, Backpack or the local test signer)
  */
 async function connectWallet() {
     try {
-        if (!window.backpack) {
-            showStatus('error', 'Backpack wallet not installed. Please install the Backpack browser extension.');
-            return;
-        }
+        showStatus('info', 'Connecting wallet...');
         
-        showStatus('info', 'Connecting to Backpack wallet...');
-        
-        const response = await window.backpack.connect();
+        await window.WalletAdapter.connect();
         await handleWalletConnected();
-        
-        console.log('✅ Wallet connected:', response.publicKey.toString());
     } catch (error) {
         console.error('❌ Failed to connect wallet:', error);
         showStatus('error', 'Failed to connect wallet: ' + error.message);
@@ -543,7 +559,7 @@ async function connectWallet() {
  */
 async function handleWalletConnected() {
     try {
-        wallet = window.backpack;
+        wallet = window.WalletAdapter;
         isConnected = true;
         
         const publicKey = wallet.publicKey.toString();
@@ -555,11 +571,16 @@ async function handleWalletConnected() {
         document.getElementById('connect-wallet-btn').textContent = 'Disconnect';
         document.getElementById('connect-wallet-btn').onclick = disconnectWallet;
         
-        showStatus('success', `✅ Connected with Backpack wallet: ${publicKey.slice(0, 20)}...`);
+        showStatus('success', `✅ Connected with ${wallet.name} wallet: ${publicKey.slice(0, 20)}...`);
         
         // Load user tokens for the pool
         await loadUserTokensForPool();
         
+        // A remove link opens on the LP balances
+        if (document.querySelector('input[name="operation"][value="remove"]').checked) {
+            await loadLPTokenBalances();
+        }
+        
     } catch (error) {
         console.error('❌ Error handling wallet connection:', error);
         showStatus('error', 'Error handling wallet connection: ' + error.message);
@@ -571,9 +592,7 @@ async function handleWalletConnected() {
  */
 async function disconnectWallet() {
     try {
-        if (window.backpack) {
-            await window.backpack.disconnect();
-        }
+        await window.WalletAdapter.disconnect();
         
         // Reset state
         wallet = null;
@@ -584,7 +603,7 @@ async function disconnectWallet() {
         // Update UI
         document.getElementById('wallet-info').style.display = 'none';
         document.getElementById('wallet-disconnected').style.display = 'flex';
-        document.getElementById('connect-wallet-btn').textContent = 'Connect Backpack Wallet';
+        document.getElementById('connect-wallet-btn').textContent = 'Connect Wallet';
         document.getElementById('connect-wallet-btn').onclick = connectWallet;
         
         // Reset token selection
@@ -779,8 +798,9 @@ function updateTokenSelection() {
             copyButtonPlaceholder.replaceWith(copyButton);
         }
         
-        // Auto-select first token (Token A) by default
-        if (index === 0) {
+        // Keep the current choice when the list is rebuilt, else the URL's token= (Token A by default)
+        const selectIsTokenA = selectedToken ? selectedToken.isTokenA : urlAddToken !== 'B';
+        if (poolToken.isTokenA === selectIsTokenA) {
             setTimeout(() => selectToken(tokenForSelection), 100);
         }
     });
@@ -792,6 +812,7 @@ function updateTokenSelection() {
  * Select a token to add liquidity for
  */
 function selectToken(token) {
+    const previousMint = selectedToken?.mint;
     selectedToken = token;
     
     // Update UI selection
@@ -828,8 +849,13 @@ function selectToken(token) {
     amountInput.step = step;
     console.log(`🔧 Set input step to: ${step} for ${token.symbol} (decimals: ${token.decimals})`);
     
-    // Reset amount input
-    amountInput.value = '';
+    // Amount from the URL, kept when the same token is re-selected (balance refresh), reset otherwise
+    if (pendingUrlAmount !== null && getSelectedOperation() === 'add') {
+        amountInput.value = pendingUrlAmount;
+        pendingUrlAmount = null;
+    } else if (previousMint !== token.mint) {
+        amountInput.value = '';
+    }
     updateAddButton();
     
     showStatus('success', `Selected ${token.symbol} for liquidity addition`);
@@ -899,6 +925,7 @@ function updateAddButton() {
     const canAdd = isConnected && selectedToken && hasValidAmount && hasBalance;
     
     addBtn.disabled = !canAdd;
+    syncLiquidityUrlState();
     
     if (!hasValidAmount) {
         addBtn.textContent = '💧 Enter Amount';
@@ -956,8 +983,8 @@ async function addLiquidity() {
         console.log(`💧 Initiating add liquidity: ${amount} ${selectedToken.symbol} to pool ${poolAddress}`);
         
         // Check if wallet is still connected
-        if (!window.backpack?.isConnected) {
-            throw new Error('Wallet not connected. Please connect your Backpack wallet.');
+        if (!window.WalletAdapter.isConnected) {
+            throw new Error('Wallet not connected. Please connect your wallet.');
         }
         
         // Prepare transaction parameters
@@ -966,9 +993,13 @@ async function addLiquidity() {
         console.log(`🔍 Amount conversion: ${amount} ${selectedToken.symbol} → ${amountLamports} lamports (decimals: ${selectedToken.decimals})`);
         const poolPubkey = new solanaWeb3.PublicKey(poolAddress);
         const tokenMint = new solanaWeb3.PublicKey(selectedToken.mint);
-        const userWallet = new solanaWeb3.PublicKey(window.backpack.publicKey);
+        const userWallet = new solanaWeb3.PublicKey(window.WalletAdapter.publicKey);
         const programId = new solanaWeb3.PublicKey(window.TRADING_CONFIG.programId);
         
+        // Encode with the interface of the deployed program version (program-interface.js);
+        // an unknown version throws before anything is signed
+        await window.FRTProgramInterface.loadProgramInterface(connection, programId, userWallet);
+        
         showStatus('info', `Creating liquidity deposit transaction for ${amount} ${selectedToken.symbol}...`);
         
         // Derive required PDAs using correct seed prefixes
@@ -1003,15 +1034,9 @@ async function addLiquidity() {
         // Check if we need to create the associated token account first
         const lpAccountInfo = await connection.getAccountInfo(userLPTokenAccount);
         
-        // Create the transaction with compute budget
-        const transaction = new solanaWeb3.Transaction();
-        
-        // Add compute budget instruction to increase CU limit (security upgrades need ~400k CUs)
-        const computeBudgetInstruction = solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({
-            units: computeUnits
-        });
-        transaction.add(computeBudgetInstruction);
-        console.log(`✅ Added compute budget instruction: ${computeUnits.toLocaleString()} CUs`);
+        // Collect instructions; the compute budget is added by FRTTransactions.buildTransaction
+        // (simulated limit, computeUnits as fallback, priority fee)
+        const instructions = [];
         
         // Add create associated token account instruction if needed
         if (!lpAccountInfo) {
@@ -1024,49 +1049,27 @@ async function addLiquidity() {
                 userWallet,          // owner
                 userWallet           // payer
             );
-            transaction.add(createAtaIx);
+            instructions.push(createAtaIx);
         }
         
-        // Serialize instruction data: Deposit { deposit_token_mint, amount, pool_id }
-        const instructionData = new Uint8Array(73); // 1 + 32 + 8 + 32 bytes
-        instructionData[0] = 2; // Deposit instruction discriminator
-        
-        // Copy deposit_token_mint bytes (32 bytes)
-        tokenMint.toBytes().forEach((byte, index) => {
-            instructionData[1 + index] = byte;
-        });
-        
-        // Copy amount bytes (8 bytes, u64 little-endian)
-        const amountBytes = new ArrayBuffer(8);
-        new DataView(amountBytes).setBigUint64(0, BigInt(amountLamports), true);
-        new Uint8Array(amountBytes).forEach((byte, index) => {
-            instructionData[1 + 32 + index] = byte;
-        });
-        
-        // Copy pool_id bytes (32 bytes)
-        poolPubkey.toBytes().forEach((byte, index) => {
-            instructionData[41 + index] = byte;
-        });
-        
-        const depositInstruction = new solanaWeb3.TransactionInstruction({
-            programId: programId,
-            keys: [
-                { pubkey: userWallet, isSigner: true, isWritable: true },                    // 0: User Authority Signer
-                { pubkey: solanaWeb3.SystemProgram.programId, isSigner: false, isWritable: false }, // 1: System Program
-                { pubkey: systemStatePDA, isSigner: false, isWritable: false },             // 2: System State PDA  
-                { pubkey: poolPubkey, isSigner: false, isWritable: true },                  // 3: Pool State PDA
-                { pubkey: window.splToken.TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },  // 4: SPL Token Program
-                { pubkey: new solanaWeb3.PublicKey(poolData.tokenAVault), isSigner: false, isWritable: true }, // 5: Token A Vault PDA
-                { pubkey: new solanaWeb3.PublicKey(poolData.tokenBVault), isSigner: false, isWritable: true }, // 6: Token B Vault PDA
-                { pubkey: userTokenAccount, isSigner: false, isWritable: true },            // 7: User Input Token Account
-                { pubkey: userLPTokenAccount, isSigner: false, isWritable: true },          // 8: User Output LP Token Account
-                { pubkey: lpTokenAMint, isSigner: false, isWritable: true },                // 9: LP Token A Mint PDA
-                { pubkey: lpTokenBMint, isSigner: false, isWritable: true },                // 10: LP Token B Mint PDA
-            ],
-            data: instructionData
-        });
-        
-        transaction.add(depositInstruction);
+        // Deposit { deposit_token_mint, amount, pool_id } - layout and account order from instructions.js
+        const depositInstruction = window.FRTInstructions.buildInstruction('Deposit', {
+            deposit_token_mint: tokenMint,
+            amount: BigInt(amountLamports),
+            pool_id: poolPubkey
+        }, {
+            user: userWallet,
+            systemState: systemStatePDA,
+            poolState: poolPubkey,
+            tokenAVault: poolData.tokenAVault,
+            tokenBVault: poolData.tokenBVault,
+            userInputTokenAccount: userTokenAccount,
+            userLpTokenAccount: userLPTokenAccount,
+            lpTokenAMint: lpTokenAMint,
+            lpTokenBMint: lpTokenBMint
+        }, programId);
+        
+        instructions.push(depositInstruction);
         
         // Debug: Log transaction details
         console.log('🔍 Add Liquidity Transaction Debug (FIXED VERSION):');
@@ -1086,17 +1089,21 @@ async function addLiquidity() {
             console.log(`    ${index}: ${key.pubkey.toString()} (${key.isSigner ? 'Signer' : 'Non-signer'}, ${key.isWritable ? 'Writable' : 'Read-only'})`);
         });
         
-        // Get recent blockhash
-        const { blockhash } = await connection.getLatestBlockhash();
-        transaction.recentBlockhash = blockhash;
-        transaction.feePayer = userWallet;
+        // Build with recent blockhash, simulated compute limit and priority fee
+        const built = await window.FRTTransactions.buildTransaction(connection, {
+            payer: userWallet,
+            instructions,
+            computeUnits
+        });
+        const transaction = built.transaction;
+        computeUnits = built.computeUnitLimit;
         
         showStatus('info', `Testing transaction simulation first...`);
         
         // Simulate transaction to check for errors
         try {
             console.log('🧪 Simulating add liquidity transaction...');
-            const simulation = await connection.simulateTransaction(transaction);
+            const simulation = await window.FRTTransactions.simulateTransaction(connection, transaction);
             console.log('📊 Simulation result:', simulation);
             
             if (simulation.value.err) {
@@ -1115,26 +1122,14 @@ async function addLiquidity() {
             throw new Error(`Simulation failed: ${simError.message}`);
         }
         
-        showStatus('info', `Waiting for transaction approval...`);
-        
-        // Request signature from wallet
-        const signedTransaction = await window.backpack.signTransaction(transaction);
-        
-        showStatus('info', `Broadcasting transaction...`);
-        
-        // Send transaction
-        const signature = await connection.sendRawTransaction(signedTransaction.serialize());
-        
-        showStatus('info', `Transaction sent! Confirming... (${signature.slice(0, 8)}...)`);
+        // Sign, send, rebroadcast and confirm (progress goes to the status container)
+        const { signature } = await window.TransactionLifecycle.send(connection, {
+            transaction,
+            label: 'Add liquidity',
+            onProgress: window.TransactionLifecycle.reportTo(showStatus)
+        });
         console.log(`📡 Transaction signature: ${signature}`);
         
-        // Wait for confirmation
-        const confirmation = await connection.confirmTransaction(signature, 'confirmed');
-        
-        if (confirmation.value.err) {
-            throw new Error(`Transaction failed: ${confirmation.value.err}`);
-        }
-        
         // Success! Show detailed success message
         showStatus('success', `
             <div style="text-align: left;">
@@ -1273,7 +1268,7 @@ function buildUserFacingErrorMessage(error, currentComputeUnits) {
         return 'Transaction cancelled by user';
     }
     if (lower.includes('wallet not connected')) {
-        return 'Wallet not connected. Please connect your Backpack wallet.';
+        return 'Wallet not connected. Please connect your wallet.';
     }
 
     // Balance/SOL errors (be specific to avoid catching CU phrase)
@@ -1292,30 +1287,13 @@ function buildUserFacingErrorMessage(error, currentComputeUnits) {
  * Phase 2.1: Generate pool flags display section for liquidity page
  */
 function generatePoolFlagsDisplay(flags, pool) {
-    const hasFlags = flags.oneToManyRatio || flags.liquidityPaused || flags.swapsPaused || 
-                     flags.withdrawalProtection || flags.singleLpTokenMode;
+    const activeFlags = PoolFlags.POOL_FLAGS.filter(flag => flags[flag.key]);
     
-    if (!hasFlags && (typeof pool.flags === 'undefined' || pool.flags === 0)) {
+    if (activeFlags.length === 0 && (typeof pool.flags === 'undefined' || pool.flags === 0)) {
         return ''; // No flags to display
     }
     
-    const flagItems = [];
-    
-    if (flags.oneToManyRatio) {
-        flagItems.push('<span style="background: #3b82f6; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">🎯 One-to-Many Ratio</span>');
-    }
-    if (flags.liquidityPaused) {
-        flagItems.push('<span style="background: #ef4444; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">⏸️ Liquidity Paused</span>');
-    }
-    if (flags.swapsPaused) {
-        flagItems.push('<span style="background: #f59e0b; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">🚫 Swaps Paused</span>');
-    }
-    if (flags.withdrawalProtection) {
-        flagItems.push('<span style="background: #10b981; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">🛡️ Withdrawal Protection</span>');
-    }
-    if (flags.singleLpTokenMode) {
-        flagItems.push('<span style="background: #8b5cf6; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;">🔗 Single LP Mode</span>');
-    }
+    const flagItems = activeFlags.map(PoolFlags.formatPoolFlagBadge);
     
     if (flagItems.length > 0) {
         return `
@@ -1469,15 +1447,10 @@ function generatePoolStateFields() {
         <!-- Pool Flags -->
         <div class="pool-state-section">
             <h4 style="color: #dc2626; margin: 0 0 15px 0; border-bottom: 2px solid #fecaca; padding-bottom: 5px;">🚩 Pool Flags</h4>
-            <div class="state-field"><strong>flags (raw):</strong><br><code>${poolData.flags || 0} (binary: ${(poolData.flags || 0).toString(2).padStart(5, '0')})</code></div>
+            <div class="state-field"><strong>flags (raw):</strong><br><code>${poolData.flags || 0} (binary: ${(poolData.flags || 0).toString(2).padStart(PoolFlags.POOL_FLAGS.length, '0')})</code></div>
             <div class="state-field"><strong>Decoded Flags:</strong><br>
                 <div style="margin-top: 5px;">
-                    ${flags.oneToManyRatio ? '🎯 One-to-Many Ratio<br>' : ''}
-                    ${flags.liquidityPaused ? '⏸️ Liquidity Paused<br>' : ''}
-                    ${flags.swapsPaused ? '🚫 Swaps Paused<br>' : ''}
-                    ${flags.withdrawalProtection ? '🛡️ Withdrawal Protection<br>' : ''}
-                    ${flags.singleLpTokenMode ? '🔗 Single LP Mode<br>' : ''}
-                    ${!flags.oneToManyRatio && !flags.liquidityPaused && !flags.swapsPaused && !flags.withdrawalProtection && !flags.singleLpTokenMode ? '✅ No Active Flags' : ''}
+                    ${PoolFlags.POOL_FLAGS.filter(flag => flags[flag.key]).map(flag => `${flag.icon} ${flag.name}<br>`).join('') || '✅ No Active Flags'}
                 </div>
             </div>
         </div>
@@ -1549,15 +1522,67 @@ function switchOperation(operation) {
         // Load LP token balances when switching to remove
         loadLPTokenBalances();
     }
+    syncLiquidityUrlState();
     
     console.log(`🔄 Switched to ${operation} liquidity operation`);
 }
 
+/**
+ * Selected operation radio ('add' | 'remove')
+ */
+function getSelectedOperation() {
+    const removeRadio = document.querySelector('input[name="operation"][value="remove"]');
+    return removeRadio && removeRadio.checked ? 'remove' : 'add';
+}
+
+/**
+ * Restore operation, token and amount from the URL
+ * op=add|remove, token=A|B (add), lp=A|B (remove), amount=<display units of the active input>
+ */
+function restoreLiquidityStateFromUrl() {
+    const state = window.URLState.readUrlState({
+        op: ['add', 'remove'],
+        token: ['A', 'B'],
+        lp: ['A', 'B'],
+        amount: null
+    });
+    urlAddToken = state.token || null;
+    urlLPToken = state.lp || null;
+    pendingUrlAmount = state.amount || null;
+    
+    if (state.op === 'remove') {
+        document.querySelector('input[name="operation"][value="remove"]').checked = true;
+        document.getElementById('add-liquidity-section').style.display = 'none';
+        document.getElementById('remove-liquidity-section').style.display = 'block';
+    }
+    // A sessionStorage pool goes into the URL so the address bar is always shareable
+    window.URLState.updateUrlState({ pool: poolAddress });
+    console.log('🔗 Liquidity state from URL:', state);
+}
+
+/**
+ * Mirror operation, selected token and the typed amount into the URL
+ */
+function syncLiquidityUrlState() {
+    // Never overwrite a shared link before its amount has been applied
+    if (pendingUrlAmount !== null) return;
+    
+    const operation = getSelectedOperation();
+    const amountInput = document.getElementById(operation === 'add' ? 'add-liquidity-amount' : 'remove-liquidity-amount');
+    const lpToken = window.lpTokenData?.activeToken || urlLPToken;
+    window.URLState.updateUrlState({
+        op: operation,
+        token: operation === 'add' && selectedToken ? (selectedToken.isTokenA ? 'A' : 'B') : null,
+        lp: operation === 'remove' ? lpToken : null,
+        amount: amountInput ? amountInput.value.trim() : null
+    });
+}
+
 /**
  * Phase 3.1: Load LP token balances for connected wallet
  */
 async function loadLPTokenBalances() {
-    if (!poolData || !window.backpack?.publicKey) {
+    if (!poolData || !window.WalletAdapter.publicKey) {
         console.log('No wallet connected or pool data unavailable');
         return;
     }
@@ -1567,7 +1592,7 @@ async function loadLPTokenBalances() {
         
         // Get all token accounts for the user
         const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
-            window.backpack.publicKey,
+            window.WalletAdapter.publicKey,
             { programId: window.splToken.TOKEN_PROGRAM_ID }
         );
         
@@ -1611,34 +1636,46 @@ async function loadLPTokenBalances() {
             }
         }
         
-        // Update simplified LP token display
-        const totalLPBalance = lpTokenABalance + lpTokenBBalance;
-        const lpTokenSymbol = totalLPBalance > 0 ? 
-            (lpTokenABalance > 0 ? `LP ${poolData.tokenASymbol}` : `LP ${poolData.tokenBSymbol}`) : 
+        // One LP token is removed at a time: the URL's lp= when held, otherwise whichever is held
+        let activeToken = lpTokenABalance > 0 ? 'A' : 'B';
+        if ((urlLPToken === 'A' && lpTokenABalance > 0) || (urlLPToken === 'B' && lpTokenBBalance > 0)) {
+            activeToken = urlLPToken;
+        }
+        const isActiveA = activeToken === 'A';
+        const activeLPBalance = isActiveA ? lpTokenABalance : lpTokenBBalance;
+        const lpTokenSymbol = activeLPBalance > 0 ? 
+            (isActiveA ? `LP ${poolData.tokenASymbol}` : `LP ${poolData.tokenBSymbol}`) : 
             'LP Token';
         
         // Update the simplified remove liquidity interface
         document.getElementById('selected-lp-token-name').textContent = lpTokenSymbol;
-        document.getElementById('available-lp-balance').textContent = totalLPBalance.toFixed(6);
+        document.getElementById('available-lp-balance').textContent = activeLPBalance.toFixed(6);
         document.getElementById('available-lp-symbol').textContent = lpTokenSymbol;
         
         // Store LP token data for later use
         window.lpTokenData = {
             tokenABalance: lpTokenABalance,
             tokenBBalance: lpTokenBBalance,
-            totalBalance: totalLPBalance,
+            totalBalance: activeLPBalance,
             tokenASymbol: poolData.tokenASymbol,
             tokenBSymbol: poolData.tokenBSymbol,
             // Add the data needed for the remove liquidity function
-            activeToken: lpTokenABalance > 0 ? 'A' : 'B',
-            activeMint: lpTokenABalance > 0 ? poolData.lpTokenAMint : poolData.lpTokenBMint,
-            activeUnderlyingMint: lpTokenABalance > 0 ? poolData.tokenAMint : poolData.tokenBMint,
-            activeUnderlyingSymbol: lpTokenABalance > 0 ? poolData.tokenASymbol : poolData.tokenBSymbol,
-            balance: totalLPBalance,
-            decimals: totalLPBalance > 0 ? (lpTokenABalance > 0 ? lpTokenADecimals : lpTokenBDecimals) : 6,
+            activeToken,
+            activeMint: isActiveA ? poolData.lpTokenAMint : poolData.lpTokenBMint,
+            activeUnderlyingMint: isActiveA ? poolData.tokenAMint : poolData.tokenBMint,
+            activeUnderlyingSymbol: isActiveA ? poolData.tokenASymbol : poolData.tokenBSymbol,
+            balance: activeLPBalance,
+            decimals: activeLPBalance > 0 ? (isActiveA ? lpTokenADecimals : lpTokenBDecimals) : 6,
             symbol: lpTokenSymbol
         };
         
+        // Amount from the URL once the LP balance is known
+        if (pendingUrlAmount !== null && getSelectedOperation() === 'remove') {
+            document.getElementById('remove-liquidity-amount').value = pendingUrlAmount;
+            pendingUrlAmount = null;
+        }
+        updateRemoveButton();
+        
         console.log(`✅ LP token balances loaded: LP ${poolData.tokenASymbol}=${lpTokenABalance}, LP ${poolData.tokenBSymbol}=${lpTokenBBalance}`);
         
         // Show message if no LP tokens found
@@ -1660,6 +1697,7 @@ async function loadLPTokenBalances() {
 function updateRemoveButton() {
     const amount = parseFloat(document.getElementById('remove-liquidity-amount').value) || 0;
     const button = document.getElementById('remove-liquidity-btn');
+    syncLiquidityUrlState();
     
     if (amount > 0 && window.lpTokenData && window.lpTokenData.totalBalance > 0) {
         // Check if amount is within available balance
@@ -1763,17 +1801,21 @@ async function removeLiquidity() {
         console.log(`🔥 Initiating remove liquidity: ${amount} ${lpTokenSymbol} from pool ${poolAddress}`);
         
         // Check if wallet is still connected
-        if (!window.backpack?.isConnected) {
-            throw new Error('Wallet not connected. Please connect your Backpack wallet.');
+        if (!window.WalletAdapter.isConnected) {
+            throw new Error('Wallet not connected. Please connect your wallet.');
         }
         
         // Prepare transaction parameters
         const lpAmountLamports = Math.floor(amount * Math.pow(10, lpTokenDecimals));
         const poolPubkey = new solanaWeb3.PublicKey(poolAddress);
         const withdrawTokenMint = new solanaWeb3.PublicKey(underlyingTokenMint);
-        const userWallet = new solanaWeb3.PublicKey(window.backpack.publicKey);
+        const userWallet = new solanaWeb3.PublicKey(window.WalletAdapter.publicKey);
         const programId = new solanaWeb3.PublicKey(window.TRADING_CONFIG.programId);
         
+        // Encode with the interface of the deployed program version (program-interface.js);
+        // an unknown version throws before anything is signed
+        await window.FRTProgramInterface.loadProgramInterface(connection, programId, userWallet);
+        
         showStatus('info', `Creating liquidity withdrawal transaction for ${amount} ${lpTokenSymbol}...`);
         
         // Derive required PDAs
@@ -1821,16 +1863,9 @@ async function removeLiquidity() {
         // Check if output token account exists, create if needed
         const outputAccountInfo = await connection.getAccountInfo(userOutputTokenAccount);
         
-        // Create transaction with compute budget
-        const transaction = new solanaWeb3.Transaction();
-        
-        // Add compute budget instruction to increase CU limit
-        computeUnitsRemove = 290_000; // default; adjust for testing as needed
-        const computeBudgetInstruction = solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({
-            units: computeUnitsRemove
-        });
-        transaction.add(computeBudgetInstruction);
-        console.log(`✅ Added compute budget instruction: ${computeUnitsRemove.toLocaleString()} CUs`);
+        // Collect instructions; the compute budget is added by FRTTransactions.buildTransaction
+        const instructions = [];
+        computeUnitsRemove = 290_000; // fallback when simulation is unavailable
         
         // Add create associated token account instruction if needed
         if (!outputAccountInfo) {
@@ -1842,7 +1877,7 @@ async function removeLiquidity() {
                 userWallet,
                 userWallet
             );
-            transaction.add(createAtaIx);
+            instructions.push(createAtaIx);
             console.log('✅ Added create associated token account instruction for output token');
         }
         
@@ -1856,28 +1891,11 @@ async function removeLiquidity() {
         console.log('  Withdraw Token Mint bytes:', withdrawTokenMint.toBytes());
         console.log('  LP Amount (lamports):', lpAmountLamports);
         
-        // Serialize withdraw instruction data: Withdraw { withdraw_token_mint, lp_amount_to_burn, pool_id }
-        const instructionData = new Uint8Array(73); // 1 + 32 + 8 + 32 bytes
-        instructionData[0] = 3; // Withdraw instruction discriminator
-        
-        // Copy withdraw_token_mint bytes (32 bytes)
-        const mintBytes = withdrawTokenMint.toBytes();
-        for (let i = 0; i < 32; i++) {
-            instructionData[1 + i] = mintBytes[i];
-        }
-        
-        // Copy lp_amount_to_burn bytes (8 bytes, u64 little-endian)
-        const amountBuffer = new ArrayBuffer(8);
-        const amountView = new DataView(amountBuffer);
-        amountView.setBigUint64(0, BigInt(lpAmountLamports), true);
-        const amountBytes = new Uint8Array(amountBuffer);
-        for (let i = 0; i < 8; i++) {
-            instructionData[1 + 32 + i] = amountBytes[i];
-        }
-        
-        // Copy pool_id bytes (32 bytes)
-        poolPubkey.toBytes().forEach((byte, index) => {
-            instructionData[41 + index] = byte;
+        // Withdraw { withdraw_token_mint, lp_amount_to_burn, pool_id } - layout from instructions.js
+        const instructionData = window.FRTInstructions.encodeInstructionData('Withdraw', {
+            withdraw_token_mint: withdrawTokenMint,
+            lp_amount_to_burn: BigInt(lpAmountLamports),
+            pool_id: poolPubkey
         });
         
         console.log('🔍 Final instruction data:', Array.from(instructionData).map(b => b.toString(16).padStart(2, '0')).join(' '));
@@ -1912,35 +1930,37 @@ async function removeLiquidity() {
         // Create the withdraw instruction
         const withdrawInstruction = new solanaWeb3.TransactionInstruction({
             programId: programId,
-            keys: [
-                { pubkey: userWallet, isSigner: true, isWritable: true },                           // User Authority Signer
-                { pubkey: solanaWeb3.SystemProgram.programId, isSigner: false, isWritable: false }, // System Program
-                { pubkey: systemStatePDA, isSigner: false, isWritable: false },                     // System State PDA
-                { pubkey: poolPubkey, isSigner: false, isWritable: true },                          // Pool State PDA
-                { pubkey: window.splToken.TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },   // SPL Token Program
-                { pubkey: new solanaWeb3.PublicKey(poolData.tokenAVault), isSigner: false, isWritable: true }, // Token A Vault
-                { pubkey: new solanaWeb3.PublicKey(poolData.tokenBVault), isSigner: false, isWritable: true }, // Token B Vault
-                { pubkey: userLPTokenAccount, isSigner: false, isWritable: true },                  // User LP Token Account (input)
-                { pubkey: userOutputTokenAccount, isSigner: false, isWritable: true },              // User Output Token Account
-                { pubkey: lpTokenAMint, isSigner: false, isWritable: true },                        // LP Token A Mint
-                { pubkey: lpTokenBMint, isSigner: false, isWritable: true },                        // LP Token B Mint
-            ],
+            keys: window.FRTInstructions.buildAccountMetas('Withdraw', {
+                user: userWallet,
+                systemState: systemStatePDA,
+                poolState: poolPubkey,
+                tokenAVault: poolData.tokenAVault,
+                tokenBVault: poolData.tokenBVault,
+                userLpTokenAccount: userLPTokenAccount,
+                userOutputTokenAccount: userOutputTokenAccount,
+                lpTokenAMint: lpTokenAMint,
+                lpTokenBMint: lpTokenBMint
+            }),
             data: instructionData
         });
         
-        transaction.add(withdrawInstruction);
+        instructions.push(withdrawInstruction);
         
-        // Get recent blockhash
-        const { blockhash } = await connection.getLatestBlockhash();
-        transaction.recentBlockhash = blockhash;
-        transaction.feePayer = userWallet;
+        // Build with recent blockhash, simulated compute limit and priority fee
+        const built = await window.FRTTransactions.buildTransaction(connection, {
+            payer: userWallet,
+            instructions,
+            computeUnits: computeUnitsRemove
+        });
+        const transaction = built.transaction;
+        computeUnitsRemove = built.computeUnitLimit;
         
         console.log('💰 Transaction prepared, testing simulation first...');
         
         // Simulate transaction first to get detailed error info
         try {
             console.log('🧪 Simulating transaction...');
-            const simulation = await connection.simulateTransaction(transaction);
+            const simulation = await window.FRTTransactions.simulateTransaction(connection, transaction);
             console.log('📊 Simulation result:', simulation);
             
             if (simulation.value.err) {
@@ -1960,15 +1980,12 @@ async function removeLiquidity() {
         
         console.log('💰 Simulation passed, requesting signature...');
         
-        // Sign and send transaction
-        const signedTransaction = await window.backpack.signTransaction(transaction);
-        const signature = await connection.sendRawTransaction(signedTransaction.serialize());
-        
-        console.log('📡 Transaction signature:', signature);
-        showStatus('info', `⏳ Confirming transaction... Signature: ${signature.slice(0, 8)}...`);
-        
-        // Wait for confirmation
-        await connection.confirmTransaction(signature, 'confirmed');
+        // Sign, send, rebroadcast and confirm (progress goes to the status container)
+        const { signature } = await window.TransactionLifecycle.send(connection, {
+            transaction,
+            label: 'Remove liquidity',
+            onProgress: window.TransactionLifecycle.reportTo(showStatus)
+        });
         
         console.log('✅ Liquidity removal successful! Signature:', signature);
         showStatus('success', `✅ Successfully removed ${amount} ${lpTokenSymbol}! You received ${amount.toFixed(6)} ${tokenSymbol}. Transaction: ${signature.slice(0, 8)}...`);
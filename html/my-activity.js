@@ -0,0 +1,319 @@
+// Fixed Ratio Trading My Activity Page - JavaScript Logic
+// Shows the connected wallet's local transaction journal (transaction-journal.js)
+
+// Global state
+let connection = null;
+let walletAddress = null;
+let entries = [];
+const tokenDecimals = new Map();
+
+// Initialize activity page when page loads
+document.addEventListener('DOMContentLoaded', async () => {
+    console.log('📒 Fixed Ratio Trading My Activity page initializing...');
+    await initializeActivityPage();
+});
+
+/**
+ * Initialize the activity page connection and restore the wallet
+ */
+async function initializeActivityPage() {
+    try {
+        // Wait for configuration to be loaded
+        let configAttempts = 0;
+        while (!window.TRADING_CONFIG && configAttempts < 30) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            configAttempts++;
+        }
+
+        if (!window.TRADING_CONFIG) {
+            throw new Error('Configuration failed to load after 3 seconds');
+        }
+
+        // Set up CONFIG alias for backward compatibility
+        window.CONFIG = window.TRADING_CONFIG;
+
+        connection = await createRobustConnection();
+        window.WalletAdapter.setConnection(connection);
+
+        if (window.PoolCacheManager) {
+            await window.PoolCacheManager.initialize(window.CONFIG, connection);
+        }
+
+        // Entries recorded while the page is open (another tab uses its own journal instance)
+        window.TransactionJournal.onChange(entry => {
+            if (entry.wallet === walletAddress) loadActivity();
+        });
+
+        window.WalletAdapter.onChange(() => handleWalletChange());
+        if (await window.WalletAdapter.restore()) {
+            await handleWalletChange();
+        }
+
+        console.log('✅ My Activity page initialization complete');
+    } catch (error) {
+        console.error('❌ Failed to initialize activity page:', error);
+        showError(`Initialization failed: ${error.message}`);
+    }
+}
+
+/**
+ * Connect a wallet from the header button
+ */
+async function connectWallet() {
+    try {
+        await window.WalletAdapter.connect();
+    } catch (error) {
+        showError(`Wallet connection failed: ${error.message}`);
+    }
+}
+
+async function handleWalletChange() {
+    const publicKey = window.WalletAdapter.publicKey;
+    walletAddress = publicKey ? publicKey.toString() : null;
+
+    document.getElementById('wallet-address').textContent = walletAddress || 'not connected';
+    const connectBtn = document.getElementById('connect-wallet-btn');
+    connectBtn.textContent = walletAddress ? '✅ Connected' : '🔗 Connect Wallet';
+    connectBtn.disabled = !!walletAddress;
+    ['backfill-btn', 'refresh-status-btn', 'clear-btn'].forEach(id => {
+        document.getElementById(id).disabled = !walletAddress;
+    });
+
+    await loadActivity();
+}
+
+/**
+ * Load the journal for the connected wallet and render it
+ */
+async function loadActivity() {
+    if (!walletAddress) {
+        entries = [];
+        renderActivity();
+        return;
+    }
+    entries = await window.TransactionJournal.getEntries(walletAddress);
+    await loadTokenDecimals(entries);
+    renderActivity();
+}
+
+/**
+ * Cached decimals for every mint in the journal (never fetched - base units are shown otherwise)
+ */
+async function loadTokenDecimals(journalEntries) {
+    if (!window.PoolCacheManager) return;
+    const mints = new Set();
+    journalEntries.forEach(entry => {
+        if (entry.inputMint) mints.add(entry.inputMint);
+        if (entry.outputMint) mints.add(entry.outputMint);
+    });
+    for (const mint of mints) {
+        if (tokenDecimals.has(mint)) continue;
+        const decimals = await window.PoolCacheManager.getTokenDecimalFromCache(mint);
+        if (decimals !== null) tokenDecimals.set(mint, decimals);
+    }
+}
+
+/**
+ * Base-unit string to display string (token units when decimals are known)
+ */
+function formatBaseUnits(amount, mint) {
+    return window.FRTActivity.formatBaseUnits(amount, mint ? tokenDecimals.get(mint) : null);
+}
+
+function formatLamports(lamports) {
+    if (lamports === null || lamports === undefined) return '—';
+    return `${(Number(lamports) / solanaWeb3.LAMPORTS_PER_SOL).toFixed(6)} SOL`;
+}
+
+function shortAddress(address) {
+    return address ? `${address.slice(0, 4)}...${address.slice(-4)}` : '—';
+}
+
+const ACTIVITY_TYPE_LABELS = {
+    swap: '🔄 Swap',
+    deposit: '➕ Deposit',
+    withdraw: '➖ Withdraw',
+    create_pool: '🏊‍♂️ Create pool',
+    donation: '💝 Donation',
+    admin: '🔧 Admin'
+};
+
+/**
+ * Render the journal table for the selected type filter
+ */
+function renderActivity() {
+    const container = document.getElementById('activity-container');
+    if (!walletAddress) {
+        container.innerHTML = '<div class="loading"><h3>🔗 Connect your wallet</h3><p>Your transaction journal is stored in this browser, per wallet</p></div>';
+        return;
+    }
+
+    const filter = document.getElementById('type-filter').value;
+    const visible = entries.filter(entry => filter === 'all' || entry.type === filter);
+    if (visible.length === 0) {
+        container.innerHTML = '<div class="loading"><h3>📭 No activity yet</h3><p>Transactions sent from this site are recorded automatically. Use "Backfill from chain" to import older ones.</p></div>';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'activity-table';
+    const header = table.createTHead().insertRow();
+    ['Time', 'Type', 'Pool', 'Direction', 'In', 'Out', 'Network fee', 'Slot', 'Status', 'Signature'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    visible.forEach(entry => {
+        const row = body.insertRow();
+        const addCell = (text, className) => {
+            const cell = row.insertCell();
+            cell.textContent = text;
+            if (className) cell.className = className;
+            return cell;
+        };
+
+        const time = entry.blockTime ? new Date(entry.blockTime * 1000) : new Date(entry.recordedAt);
+        addCell(time.toLocaleString());
+        addCell(ACTIVITY_TYPE_LABELS[entry.type] || entry.instruction);
+
+        const poolCell = row.insertCell();
+        poolCell.className = 'mono';
+        if (entry.pool) {
+            const link = document.createElement('a');
+            link.href = `swap.html?pool=${entry.pool}`;
+            link.textContent = shortAddress(entry.pool);
+            link.title = entry.pool;
+            poolCell.appendChild(link);
+        } else {
+            poolCell.textContent = '—';
+        }
+
+        addCell(entry.direction ? entry.direction.replace('to', ' → ') : '—');
+        addCell(entry.type === 'donation' ? formatLamports(entry.amountIn) : formatBaseUnits(entry.amountIn, entry.inputMint));
+        addCell(formatBaseUnits(entry.amountOut, entry.outputMint));
+        addCell(formatLamports(entry.feeLamports));
+        addCell(entry.slot ? entry.slot.toLocaleString() : '—');
+
+        const statusCell = row.insertCell();
+        const badge = document.createElement('span');
+        badge.className = `status-badge ${entry.status}`;
+        badge.textContent = entry.status;
+        if (entry.error) badge.title = entry.error;
+        statusCell.appendChild(badge);
+
+        const signatureCell = row.insertCell();
+        signatureCell.className = 'mono';
+        const link = document.createElement('a');
+        link.href = window.TransactionLifecycle.getExplorerUrl(entry.signature);
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = shortAddress(entry.signature);
+        link.title = entry.signature;
+        signatureCell.appendChild(link);
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'activity-table-wrapper';
+    wrapper.appendChild(table);
+    container.replaceChildren(wrapper);
+}
+
+/**
+ * Import older transactions from the wallet's token account signatures
+ */
+async function backfillActivity() {
+    const button = document.getElementById('backfill-btn');
+    button.disabled = true;
+    try {
+        const recorded = await window.TransactionJournal.backfill(connection, walletAddress, {
+            onProgress: ({ phase, done, total }) => {
+                button.textContent = phase === 'signatures'
+                    ? `⛓️ Scanning accounts ${done}/${total}...`
+                    : `⛓️ Loading transactions ${done}/${total}...`;
+            }
+        });
+        await loadActivity();
+        showStatusMessage(recorded > 0 ? `Imported ${recorded} transactions from chain` : 'No new transactions found', 'success');
+    } catch (error) {
+        showError(`Backfill failed: ${error.message}`);
+    } finally {
+        button.textContent = '⛓️ Backfill from chain';
+        button.disabled = !walletAddress;
+    }
+}
+
+/**
+ * Promote confirmed entries that have finalized since they were recorded
+ */
+async function refreshStatuses() {
+    const button = document.getElementById('refresh-status-btn');
+    button.disabled = true;
+    try {
+        const updated = await window.TransactionJournal.refreshStatuses(connection, walletAddress);
+        await loadActivity();
+        showStatusMessage(`${updated} transactions updated`, 'success');
+    } catch (error) {
+        showError(`Status refresh failed: ${error.message}`);
+    } finally {
+        button.disabled = !walletAddress;
+    }
+}
+
+async function clearActivity() {
+    if (!confirm('Remove this wallet\'s journal from this browser? On-chain history can be imported again with "Backfill from chain".')) {
+        return;
+    }
+    await window.TransactionJournal.clear(walletAddress);
+    await loadActivity();
+}
+
+/**
+ * Show an error message
+ */
+function showError(message) {
+    const container = document.getElementById('error-container');
+    if (container) {
+        container.innerHTML = '';
+        const errorDiv = document.createElement('div');
+        errorDiv.style.background = '#fee2e2';
+        errorDiv.style.color = '#991b1b';
+        errorDiv.style.padding = '15px';
+        errorDiv.style.borderRadius = '6px';
+        errorDiv.style.marginBottom = '20px';
+        errorDiv.style.border = '1px solid #fecaca';
+
+        const strong = document.createElement('strong');
+        strong.textContent = 'Error: ';
+        errorDiv.appendChild(strong);
+        errorDiv.appendChild(document.createTextNode(message));
+        container.appendChild(errorDiv);
+    }
+    console.error('❌ Error:', message);
+}
+
+/**
+ * Show a status message
+ */
+function showStatusMessage(message, type = 'info') {
+    const container = document.getElementById('error-container');
+    if (container) {
+        const statusDiv = document.createElement('div');
+        statusDiv.style.background = type === 'success' ? '#dcfce7' : '#dbeafe';
+        statusDiv.style.color = type === 'success' ? '#166534' : '#1e40af';
+        statusDiv.style.padding = '15px';
+        statusDiv.style.borderRadius = '6px';
+        statusDiv.style.marginBottom = '20px';
+        statusDiv.style.border = `1px solid ${type === 'success' ? '#bbf7d0' : '#bfdbfe'}`;
+        statusDiv.textContent = message;
+        container.replaceChildren(statusDiv);
+
+        // Auto-hide after 3 seconds
+        setTimeout(() => {
+            if (container.contains(statusDiv)) {
+                container.removeChild(statusDiv);
+            }
+        }, 3000);
+    }
+}
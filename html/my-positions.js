@@ -0,0 +1,290 @@
+// Fixed Ratio Trading My Positions Page - JavaScript Logic
+// Scans the connected wallet for LP tokens of every program pool (liquidity.js only checks the pool on screen)
+//
+// LP tokens are minted 1:1 with deposits: LP A redeems for token A, LP B for token B.
+
+const POSITIONS_TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+// Global state
+let connection = null;
+let walletAddress = null;
+let pools = [];
+let positions = [];
+let positionsRequest = 0;
+
+// Initialize positions page when page loads
+document.addEventListener('DOMContentLoaded', async () => {
+    console.log('💧 Fixed Ratio Trading My Positions page initializing...');
+    await initializePositionsPage();
+});
+
+/**
+ * Initialize the positions page connection and restore the wallet
+ */
+async function initializePositionsPage() {
+    try {
+        // Wait for configuration to be loaded
+        let configAttempts = 0;
+        while (!window.TRADING_CONFIG && configAttempts < 30) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            configAttempts++;
+        }
+
+        if (!window.TRADING_CONFIG) {
+            throw new Error('Configuration failed to load after 3 seconds');
+        }
+
+        // Set up CONFIG alias for backward compatibility
+        window.CONFIG = window.TRADING_CONFIG;
+
+        connection = await createRobustConnection();
+        window.WalletAdapter.setConnection(connection);
+        await window.TradingDataService.initialize(window.CONFIG, connection);
+        await window.PoolCacheManager.initialize(window.CONFIG, connection);
+
+        window.WalletAdapter.onChange(() => handleWalletChange());
+        if (await window.WalletAdapter.restore()) {
+            await handleWalletChange();
+        }
+
+        console.log('✅ My Positions page initialization complete');
+    } catch (error) {
+        console.error('❌ Failed to initialize positions page:', error);
+        showError(`Initialization failed: ${error.message}`);
+    }
+}
+
+/**
+ * Connect a wallet from the header button
+ */
+async function connectWallet() {
+    try {
+        await window.WalletAdapter.connect();
+    } catch (error) {
+        showError(`Wallet connection failed: ${error.message}`);
+    }
+}
+
+async function handleWalletChange() {
+    const publicKey = window.WalletAdapter.publicKey;
+    walletAddress = publicKey ? publicKey.toString() : null;
+
+    document.getElementById('wallet-address').textContent = walletAddress || 'not connected';
+    const connectBtn = document.getElementById('connect-wallet-btn');
+    connectBtn.textContent = walletAddress ? '✅ Connected' : '🔗 Connect Wallet';
+    connectBtn.disabled = !!walletAddress;
+    document.getElementById('refresh-positions-btn').disabled = !walletAddress;
+
+    await loadPositions();
+}
+
+/**
+ * Load every program pool and match the wallet's token accounts against their LP mints
+ */
+async function loadPositions() {
+    const request = ++positionsRequest;
+    if (!walletAddress) {
+        positions = [];
+        renderPositions();
+        return;
+    }
+
+    const container = document.getElementById('positions-container');
+    container.innerHTML = '<div class="loading"><h3>⏳ Scanning pools...</h3><p>Matching your token accounts against every pool\'s LP mints</p></div>';
+    const button = document.getElementById('refresh-positions-btn');
+    button.disabled = true;
+
+    try {
+        const [{ pools: programPools }, { value: tokenAccounts }] = await Promise.all([
+            window.TradingDataService.loadFromRPC(),
+            connection.getParsedTokenAccountsByOwner(new solanaWeb3.PublicKey(walletAddress), {
+                programId: new solanaWeb3.PublicKey(POSITIONS_TOKEN_PROGRAM_ID)
+            })
+        ]);
+        if (request !== positionsRequest) return;
+        pools = programPools;
+
+        const found = findPositions(pools, tokenAccounts);
+        await Promise.all(found.map(position => loadTokenSymbol(position.pool)));
+        if (request !== positionsRequest) return;
+
+        positions = found;
+        renderPositions();
+        console.log(`💧 Found ${positions.length} LP positions across ${pools.length} pools`);
+    } catch (error) {
+        if (request !== positionsRequest) return;
+        console.error('❌ Error loading positions:', error);
+        container.innerHTML = '<div class="loading"><h3>❌ Could not load positions</h3></div>';
+        showError(`Loading positions failed: ${error.message}`);
+    } finally {
+        if (request === positionsRequest) button.disabled = !walletAddress;
+    }
+}
+
+/**
+ * LP positions from parsed token accounts (accounts of the same LP mint are summed)
+ * @param {Array} programPools - Pools from TradingDataService.loadFromRPC
+ * @param {Array} tokenAccounts - getParsedTokenAccountsByOwner value
+ * @returns {Array} [{ pool, side ('A' | 'B'), lpMint, lpAmount (BigInt), lpDecimals, underlyingMint, underlyingDecimals, poolLiquidity (BigInt) }]
+ */
+function findPositions(programPools, tokenAccounts) {
+    const lpMints = new Map();
+    programPools.forEach(pool => {
+        lpMints.set(pool.lpTokenAMint, { pool, side: 'A' });
+        lpMints.set(pool.lpTokenBMint, { pool, side: 'B' });
+    });
+
+    const byMint = new Map();
+    tokenAccounts.forEach(account => {
+        const info = account.account.data.parsed.info;
+        const match = lpMints.get(info.mint);
+        const amount = BigInt(info.tokenAmount.amount);
+        if (!match || amount === 0n) return;
+
+        if (!byMint.has(info.mint)) {
+            const { pool, side } = match;
+            byMint.set(info.mint, {
+                pool,
+                side,
+                lpMint: info.mint,
+                lpAmount: 0n,
+                lpDecimals: info.tokenAmount.decimals,
+                underlyingMint: side === 'A' ? pool.tokenAMint : pool.tokenBMint,
+                underlyingDecimals: side === 'A' ? pool.ratioADecimal : pool.ratioBDecimal,
+                poolLiquidity: BigInt(side === 'A' ? pool.tokenALiquidity : pool.tokenBLiquidity)
+            });
+        }
+        byMint.get(info.mint).lpAmount += amount;
+    });
+    return [...byMint.values()];
+}
+
+/**
+ * Token symbols for a pool (metadata cache, then Metaplex, then the mint prefix)
+ */
+async function loadTokenSymbol(pool) {
+    const symbol = async mint => {
+        const cached = await window.PoolCacheManager.getTokenMetadataFromCache(mint);
+        if (cached?.symbol) return cached.symbol;
+        const metadata = await window.TokenDisplayUtils.queryTokenMetadata(mint, connection);
+        if (metadata?.symbol) {
+            await window.PoolCacheManager.setTokenMetadataInCache(mint, metadata);
+            return metadata.symbol;
+        }
+        return mint.slice(0, 4);
+    };
+    if (!pool.tokenASymbol) pool.tokenASymbol = await symbol(pool.tokenAMint);
+    if (!pool.tokenBSymbol) pool.tokenBSymbol = await symbol(pool.tokenBMint);
+}
+
+/**
+ * Share of the pool's liquidity on that side, as a percentage string
+ */
+function formatShare(lpAmount, poolLiquidity) {
+    if (poolLiquidity === 0n) return '—';
+    const percent = Number((lpAmount * 1000000n) / poolLiquidity) / 10000;
+    return percent > 0 ? `${percent.toFixed(4).replace(/\.?0+$/, '')}%` : '< 0.0001%';
+}
+
+function formatAmount(amount, decimals) {
+    return typeof decimals === 'number'
+        ? window.TokenDisplayUtils.formatLiquidityAmount(amount.toString(), decimals)
+        : `${amount.toLocaleString()} base units`;
+}
+
+/**
+ * Render the positions table
+ */
+function renderPositions() {
+    const container = document.getElementById('positions-container');
+    const summary = document.getElementById('positions-summary');
+    if (!walletAddress) {
+        summary.textContent = '';
+        container.innerHTML = '<div class="loading"><h3>🔗 Connect your wallet</h3><p>Your LP tokens are matched against every pool of the program</p></div>';
+        return;
+    }
+
+    const poolCount = new Set(positions.map(position => position.pool.address)).size;
+    summary.textContent = `${positions.length} LP position${positions.length === 1 ? '' : 's'} in ${poolCount} of ${pools.length} pools`;
+    if (positions.length === 0) {
+        container.innerHTML = '<div class="loading"><h3>📭 No LP positions</h3><p>Add liquidity to a pool to receive LP tokens</p></div>';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'activity-table';
+    const header = table.createTHead().insertRow();
+    ['Pool', 'LP token', 'LP balance', 'Redeemable', 'Share of pool liquidity', 'Status', ''].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    positions.forEach(position => {
+        const { pool, side } = position;
+        const underlyingSymbol = side === 'A' ? pool.tokenASymbol : pool.tokenBSymbol;
+        const row = body.insertRow();
+        const addCell = (text, className) => {
+            const cell = row.insertCell();
+            cell.textContent = text;
+            if (className) cell.className = className;
+            return cell;
+        };
+
+        const poolCell = row.insertCell();
+        const poolLink = document.createElement('a');
+        poolLink.href = `swap.html?pool=${pool.address}`;
+        poolLink.textContent = `${pool.tokenASymbol}/${pool.tokenBSymbol}`;
+        poolLink.title = pool.address;
+        poolCell.appendChild(poolLink);
+
+        addCell(`LP ${underlyingSymbol}`).title = position.lpMint;
+        addCell(formatAmount(position.lpAmount, position.lpDecimals));
+        addCell(`${formatAmount(position.lpAmount, position.underlyingDecimals)} ${underlyingSymbol}`);
+        addCell(formatShare(position.lpAmount, position.poolLiquidity));
+
+        const paused = pool.flagsDecoded?.liquidityPaused;
+        const statusCell = row.insertCell();
+        const badge = document.createElement('span');
+        badge.className = `status-badge ${paused ? 'failed' : 'finalized'}`;
+        badge.textContent = paused ? 'liquidity paused' : 'active';
+        statusCell.appendChild(badge);
+
+        const actionCell = row.insertCell();
+        const withdrawLink = document.createElement('a');
+        withdrawLink.className = 'withdraw-link';
+        withdrawLink.href = `liquidity.html?pool=${pool.address}&op=remove&lp=${side}`;
+        withdrawLink.textContent = '➖ Withdraw';
+        actionCell.appendChild(withdrawLink);
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'activity-table-wrapper';
+    wrapper.appendChild(table);
+    container.replaceChildren(wrapper);
+}
+
+/**
+ * Show an error message
+ */
+function showError(message) {
+    const container = document.getElementById('error-container');
+    if (container) {
+        container.innerHTML = '';
+        const errorDiv = document.createElement('div');
+        errorDiv.style.background = '#fee2e2';
+        errorDiv.style.color = '#991b1b';
+        errorDiv.style.padding = '15px';
+        errorDiv.style.borderRadius = '6px';
+        errorDiv.style.marginBottom = '20px';
+        errorDiv.style.border = '1px solid #fecaca';
+
+        const strong = document.createElement('strong');
+        strong.textContent = 'Error: ';
+        errorDiv.appendChild(strong);
+        errorDiv.appendChild(document.createTextNode(message));
+        container.appendChild(errorDiv);
+    }
+    console.error('❌ Error:', message);
+}
@@ -0,0 +1,491 @@
+/**
+ * Offline Signing
+ *
+ * Export / import of admin transactions for a multisig or offline signer:
+ * 1. Export - AdminUtils in 'export' mode builds a durable-nonce transaction (it stays valid until the
+ *    nonce is advanced) and hands it here as a JSON bundle with the unsigned transaction in base64
+ * 2. Sign elsewhere - any signer that takes a base64 wire transaction (hardware wallet host, air-gapped
+ *    machine, multisig members one after another) fills in its signatures
+ * 3. Import - the signed transaction (bundle or bare base64) is decoded into a readable summary of
+ *    every instruction, checked for missing signatures and broadcast through TransactionLifecycle
+ *
+ * Every export uses the nonce account's current nonce: only one exported transaction per nonce can land.
+ *
+ * Dependencies:
+ * - solanaWeb3 (TransactionMessage, SystemInstruction, ComputeBudgetInstruction)
+ * - FRTInstructions (FRT program instruction decoding)
+ * - FRTTransactions (lookup tables for v0 transactions)
+ * - TransactionLifecycle (broadcast and confirmation)
+ */
+
+const OFFLINE_BUNDLE_FORMAT = 'frt-offline-transaction';
+const OFFLINE_BUNDLE_VERSION = 1;
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const COMPUTE_BUDGET_PROGRAM = 'ComputeBudget111111111111111111111111111111';
+
+// ========================================
+// EXPORT
+// ========================================
+
+/**
+ * Wire bytes of a transaction that may still miss signatures
+ */
+function serializeUnsigned(transaction) {
+    const bytes = window.FRTTransactions.isVersionedTransaction(transaction)
+        ? transaction.serialize()
+        : transaction.serialize({ requireAllSignatures: false, verifySignatures: false });
+    return toBase64(bytes);
+}
+
+/**
+ * Export bundle for a transaction built with a durable nonce
+ * @param {Object} built - FRTTransactions.buildTransaction result (with `nonce`)
+ * @param {Object} context - { label, programId, rpcUrl }
+ * @returns {Object} Bundle (JSON-serializable)
+ */
+function createExportBundle(built, context = {}) {
+    if (!built.nonce) {
+        throw new Error('Only durable-nonce transactions can be exported - a recent blockhash expires before offline signing completes');
+    }
+    const encoded = serializeUnsigned(built.transaction);
+    const signers = getRequiredSigners(parseTransactionBytes(fromBase64(encoded)));
+    return {
+        format: OFFLINE_BUNDLE_FORMAT,
+        version: OFFLINE_BUNDLE_VERSION,
+        label: context.label || 'Transaction',
+        createdAt: new Date().toISOString(),
+        programId: context.programId || null,
+        rpcUrl: context.rpcUrl || null,
+        transactionVersion: built.version,
+        feePayer: signers[0],
+        requiredSigners: signers,
+        nonceAccount: built.nonce.address,
+        nonceAuthority: built.nonce.authority,
+        nonce: built.nonce.nonce,
+        encoding: 'base64',
+        transaction: encoded
+    };
+}
+
+// ========================================
+// IMPORT
+// ========================================
+
+/**
+ * Parse an imported transaction: an export bundle (JSON) or a bare base64 wire transaction
+ * @param {string} input - Pasted or uploaded text
+ * @returns {Object} { transaction (VersionedTransaction), bundle (or null) }
+ */
+function parseImport(input) {
+    const text = (input || '').trim();
+    if (!text) {
+        throw new Error('Paste a signed transaction or choose a bundle file');
+    }
+
+    let bundle = null;
+    let encoded = text;
+    if (text.startsWith('{')) {
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid bundle JSON: ${error.message}`);
+        }
+        if (bundle.format !== OFFLINE_BUNDLE_FORMAT) {
+            throw new Error(`Not an FRT offline transaction bundle (format: ${bundle.format || 'missing'})`);
+        }
+        if (bundle.version > OFFLINE_BUNDLE_VERSION) {
+            throw new Error(`Bundle version ${bundle.version} is newer than this dashboard supports (${OFFLINE_BUNDLE_VERSION})`);
+        }
+        encoded = bundle.transaction;
+    }
+
+    let bytes;
+    try {
+        bytes = fromBase64(encoded);
+    } catch (error) {
+        throw new Error('Transaction is not valid base64');
+    }
+    return { transaction: parseTransactionBytes(bytes), bundle };
+}
+
+/**
+ * Legacy and v0 wire transactions both deserialize as VersionedTransaction
+ */
+function parseTransactionBytes(bytes) {
+    try {
+        return solanaWeb3.VersionedTransaction.deserialize(bytes);
+    } catch (error) {
+        throw new Error(`Could not decode transaction: ${error.message}`);
+    }
+}
+
+/**
+ * Signer addresses in signature order (the first is the fee payer)
+ */
+function getRequiredSigners(transaction) {
+    const message = transaction.message;
+    return message.staticAccountKeys
+        .slice(0, message.header.numRequiredSignatures)
+        .map(key => key.toString());
+}
+
+/**
+ * Signature slots of a transaction
+ * @returns {Array} [{ signer, signed }]
+ */
+function getSignatureStatus(transaction) {
+    return getRequiredSigners(transaction).map((signer, index) => ({
+        signer,
+        signed: !!transaction.signatures[index] && transaction.signatures[index].some(byte => byte !== 0)
+    }));
+}
+
+// ========================================
+// HUMAN-READABLE DECODE
+// ========================================
+
+/**
+ * Describe what a transaction does
+ * @param {Connection} connection - Used to load address lookup tables of v0 transactions
+ * @param {VersionedTransaction} transaction
+ * @param {Object} options - { programId } (FRT program, default CONFIG.programId)
+ * @returns {Promise<Object>} { version, feePayer, blockhash, nonce ({ account, authority } or null),
+ *                              signatures, missingSigners, instructions: [{ program, name, details }] }
+ */
+async function describeTransaction(connection, transaction, options = {}) {
+    const message = transaction.message;
+    const programId = options.programId || (window.CONFIG && window.CONFIG.programId);
+
+    const lookupTables = [];
+    for (const lookup of message.addressTableLookups || []) {
+        const table = await window.FRTTransactions.loadLookupTable(connection, lookup.accountKey);
+        if (!table) {
+            throw new Error(`Address lookup table ${lookup.accountKey.toString()} not found - cannot decode accounts`);
+        }
+        lookupTables.push(table);
+    }
+    const { instructions } = solanaWeb3.TransactionMessage.decompile(message, { addressLookupTableAccounts: lookupTables });
+
+    const described = instructions.map(instruction => describeInstruction(instruction, programId));
+    const signatures = getSignatureStatus(transaction);
+    const first = described[0];
+    return {
+        version: message.version === 'legacy' ? 'legacy' : `v${message.version}`,
+        feePayer: signatures[0].signer,
+        blockhash: message.recentBlockhash,
+        nonce: first && first.name === 'AdvanceNonceAccount'
+            ? { account: first.details.nonceAccount, authority: first.details.authority }
+            : null,
+        signatures,
+        missingSigners: signatures.filter(entry => !entry.signed).map(entry => entry.signer),
+        instructions: described
+    };
+}
+
+/**
+ * One instruction as { program, name, details }
+ */
+function describeInstruction(instruction, programId) {
+    const program = instruction.programId.toString();
+    try {
+        if (program === programId) {
+            const decoded = window.FRTInstructions.decodeInstruction(instruction);
+            return { program: 'Fixed Ratio Trading', name: decoded.name, details: { ...stringifyValues(decoded.args), ...decoded.accounts } };
+        }
+        if (program === SYSTEM_PROGRAM_ID) {
+            const type = solanaWeb3.SystemInstruction.decodeInstructionType(instruction);
+            if (type === 'AdvanceNonceAccount') {
+                const decoded = solanaWeb3.SystemInstruction.decodeNonceAdvance(instruction);
+                return { program: 'System', name: type, details: { nonceAccount: decoded.noncePubkey.toString(), authority: decoded.authorizedPubkey.toString() } };
+            }
+            if (type === 'Transfer') {
+                const decoded = solanaWeb3.SystemInstruction.decodeTransfer(instruction);
+                return { program: 'System', name: type, details: { from: decoded.fromPubkey.toString(), to: decoded.toPubkey.toString(), lamports: decoded.lamports.toString() } };
+            }
+            return { program: 'System', name: type, details: {} };
+        }
+        if (program === COMPUTE_BUDGET_PROGRAM) {
+            const type = solanaWeb3.ComputeBudgetInstruction.decodeInstructionType(instruction);
+            if (type === 'SetComputeUnitLimit') {
+                return { program: 'Compute Budget', name: type, details: { units: solanaWeb3.ComputeBudgetInstruction.decodeSetComputeUnitLimit(instruction).units } };
+            }
+            if (type === 'SetComputeUnitPrice') {
+                return { program: 'Compute Budget', name: type, details: { microLamports: solanaWeb3.ComputeBudgetInstruction.decodeSetComputeUnitPrice(instruction).microLamports.toString() } };
+            }
+            return { program: 'Compute Budget', name: type, details: {} };
+        }
+    } catch (error) {
+        console.warn(`⚠️ Could not decode instruction for ${program}:`, error.message);
+        return { program, name: 'Undecodable instruction', details: { error: error.message } };
+    }
+    return {
+        program,
+        name: 'Unknown program',
+        details: { accounts: instruction.keys.map(key => key.pubkey.toString()), dataBytes: instruction.data.length }
+    };
+}
+
+function stringifyValues(values) {
+    const result = {};
+    Object.entries(values).forEach(([key, value]) => {
+        result[key] = typeof value === 'bigint' ? value.toString() : value;
+    });
+    return result;
+}
+
+/**
+ * Plain-text summary for review before broadcasting
+ */
+function formatDescription(description) {
+    const lines = [
+        `Transaction (${description.version}), fee payer ${description.feePayer}`,
+        description.nonce
+            ? `Durable nonce ${description.nonce.account} (authority ${description.nonce.authority})`
+            : `Recent blockhash ${description.blockhash} (expires about a minute after it was built)`,
+        ''
+    ];
+    description.instructions.forEach((instruction, index) => {
+        lines.push(`${index + 1}. ${instruction.program}: ${instruction.name}`);
+        Object.entries(instruction.details).forEach(([key, value]) => {
+            lines.push(`     ${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+        });
+    });
+    lines.push('');
+    description.signatures.forEach(entry => {
+        lines.push(`${entry.signed ? '✅' : '❌'} ${entry.signer}`);
+    });
+    return lines.join('\n');
+}
+
+// ========================================
+// BROADCAST
+// ========================================
+
+/**
+ * Broadcast a fully signed imported transaction and wait for confirmation
+ * @param {Connection} connection
+ * @param {VersionedTransaction} transaction
+ * @param {Object} options - { label, nonceAccount }
+ * @returns {Promise<Object>} TransactionLifecycle.send result ({ signature, status, slot, tracker })
+ */
+async function broadcastSignedTransaction(connection, transaction, options = {}) {
+    const missing = getSignatureStatus(transaction).filter(entry => !entry.signed);
+    if (missing.length > 0) {
+        throw new Error(`Transaction is missing signatures from: ${missing.map(entry => entry.signer).join(', ')}`);
+    }
+    return window.TransactionLifecycle.send(connection, {
+        transaction,
+        signed: true,
+        nonceAccount: options.nonceAccount || null,
+        label: options.label || 'Offline-signed transaction'
+    });
+}
+
+// ========================================
+// ENCODING
+// ========================================
+
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text.replace(/\s+/g, ''));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// ========================================
+// ADMIN PAGE PANEL
+// ========================================
+
+let offlinePanel = null;
+let importedTransaction = null;
+
+/**
+ * Build the signing panel into #offline-signing-panel (admin pages)
+ */
+function mountOfflineSigningPanel() {
+    const container = document.getElementById('offline-signing-panel');
+    if (!container) return;
+
+    container.className = 'admin-section';
+    container.innerHTML = `
+        <h3>🖋️ Signing Mode</h3>
+        <p>Sign admin transactions with the connected wallet, or export them unsigned for a multisig or offline signer.</p>
+        <div class="form-group">
+            <label><input type="radio" name="admin-signing-mode" value="wallet" checked> Wallet signs and sends immediately</label>
+            <label><input type="radio" name="admin-signing-mode" value="export"> Export unsigned (durable nonce) for offline signing</label>
+        </div>
+        <div class="form-group">
+            <label for="offline-nonce-account">Durable Nonce Account</label>
+            <input type="text" id="offline-nonce-account" placeholder="Nonce account address (authority: the admin)">
+            <div class="help-text">Required for export, optional for the wallet (a slow hardware wallet then cannot let the transaction expire). Each transaction uses the account's current nonce, so only one per nonce can land.</div>
+        </div>
+        <div id="offline-export" style="display: none;">
+            <div class="form-group">
+                <label for="offline-export-text">Exported Transaction</label>
+                <textarea id="offline-export-text" rows="4" readonly></textarea>
+                <div class="help-text" id="offline-export-help"></div>
+            </div>
+            <button class="btn btn-secondary" id="offline-download-btn">💾 Download Bundle</button>
+            <button class="btn btn-secondary" id="offline-copy-btn">📋 Copy Base64</button>
+        </div>
+        <div class="form-group" style="margin-top: 20px;">
+            <label for="offline-import-text">Import Signed Transaction</label>
+            <textarea id="offline-import-text" rows="4" placeholder="Paste a signed bundle (JSON) or base64 transaction"></textarea>
+            <input type="file" id="offline-import-file" accept=".json,.txt">
+        </div>
+        <button class="btn btn-secondary" id="offline-decode-btn">🔍 Decode</button>
+        <button class="btn btn-primary" id="offline-broadcast-btn" disabled>📡 Broadcast</button>
+        <pre id="offline-decoded" style="display: none; white-space: pre-wrap; margin-top: 15px; font-size: 12px;"></pre>
+    `;
+    offlinePanel = container;
+
+    const mode = window.AdminUtils ? window.AdminUtils.getAdminSigningMode() : { mode: 'wallet' };
+    container.querySelector(`input[name="admin-signing-mode"][value="${mode.mode}"]`).checked = true;
+    document.getElementById('offline-nonce-account').value = mode.nonceAccount || '';
+
+    container.querySelectorAll('input[name="admin-signing-mode"]').forEach(input => {
+        input.addEventListener('change', applySigningMode);
+    });
+    document.getElementById('offline-nonce-account').addEventListener('change', applySigningMode);
+    document.getElementById('offline-import-file').addEventListener('change', async event => {
+        const file = event.target.files[0];
+        if (file) {
+            document.getElementById('offline-import-text').value = await file.text();
+            decodeImport();
+        }
+    });
+    document.getElementById('offline-import-text').addEventListener('input', () => {
+        importedTransaction = null;
+        document.getElementById('offline-broadcast-btn').disabled = true;
+    });
+    document.getElementById('offline-decode-btn').addEventListener('click', decodeImport);
+    document.getElementById('offline-broadcast-btn').addEventListener('click', broadcastImport);
+}
+
+function panelStatus(type, message) {
+    if (typeof window.showStatus === 'function') {
+        window.showStatus(type, message);
+    }
+    console.log(`🖋️ ${message}`);
+}
+
+/**
+ * Apply the panel's mode and nonce account to AdminUtils
+ */
+function applySigningMode() {
+    const mode = offlinePanel.querySelector('input[name="admin-signing-mode"]:checked').value;
+    const nonceAccount = document.getElementById('offline-nonce-account').value.trim();
+    if (mode === 'export' && !nonceAccount) {
+        panelStatus('warning', 'Enter a durable nonce account to export admin transactions');
+        return;
+    }
+    try {
+        window.AdminUtils.setAdminSigningMode(mode, nonceAccount);
+        panelStatus('info', mode === 'export'
+            ? '📤 Admin actions will now be exported unsigned instead of sent'
+            : `🔑 Admin actions will be signed and sent by the connected wallet${nonceAccount ? ' using the durable nonce' : ''}`);
+    } catch (error) {
+        panelStatus('error', error.message);
+    }
+}
+
+/**
+ * Show an exported bundle in the panel (called by AdminUtils in export mode)
+ */
+function showExport(bundle) {
+    if (!offlinePanel) return;
+    const json = JSON.stringify(bundle, null, 2);
+    document.getElementById('offline-export').style.display = 'block';
+    document.getElementById('offline-export-text').value = json;
+    document.getElementById('offline-export-help').textContent =
+        `${bundle.label} - signers: ${bundle.requiredSigners.join(', ')} - nonce ${bundle.nonce}`;
+    document.getElementById('offline-download-btn').onclick = () => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `frt-${bundle.label.replace(/[^A-Za-z0-9]+/g, '-').toLowerCase()}-${bundle.nonce.slice(0, 8)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+    document.getElementById('offline-copy-btn').onclick = () => navigator.clipboard.writeText(bundle.transaction);
+    offlinePanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+async function decodeImport() {
+    const output = document.getElementById('offline-decoded');
+    const broadcastBtn = document.getElementById('offline-broadcast-btn');
+    broadcastBtn.disabled = true;
+    importedTransaction = null;
+    try {
+        const { transaction, bundle } = parseImport(document.getElementById('offline-import-text').value);
+        const description = await describeTransaction(window.AdminUtils.getAdminConnection(), transaction);
+        output.textContent = (bundle ? `${bundle.label}\n` : '') + formatDescription(description);
+        output.style.display = 'block';
+        importedTransaction = { transaction, bundle, description };
+        broadcastBtn.disabled = description.missingSigners.length > 0;
+        if (description.missingSigners.length > 0) {
+            panelStatus('warning', `Still missing signatures from: ${description.missingSigners.join(', ')}`);
+        }
+    } catch (error) {
+        output.style.display = 'none';
+        panelStatus('error', `Import failed: ${error.message}`);
+    }
+}
+
+async function broadcastImport() {
+    if (!importedTransaction) return;
+    const { transaction, bundle, description } = importedTransaction;
+    const label = bundle ? bundle.label : 'Offline-signed transaction';
+    if (!confirm(`Broadcast this transaction?\n\n${formatDescription(description)}`)) {
+        return;
+    }
+    const broadcastBtn = document.getElementById('offline-broadcast-btn');
+    broadcastBtn.disabled = true;
+    try {
+        panelStatus('info', `📡 Broadcasting ${label}...`);
+        const { signature } = await broadcastSignedTransaction(window.AdminUtils.getAdminConnection(), transaction, {
+            label,
+            nonceAccount: description.nonce ? description.nonce.account : null
+        });
+        panelStatus('success', `✅ ${label} confirmed! Transaction: ${signature.slice(0, 8)}...`);
+        importedTransaction = null;
+    } catch (error) {
+        console.error('❌ Broadcast failed:', error);
+        panelStatus('error', `Broadcast failed: ${error.message}`);
+        broadcastBtn.disabled = false;
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', mountOfflineSigningPanel);
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.FRTOfflineSigning = {
+        createExportBundle,
+        parseImport,
+        getRequiredSigners,
+        getSignatureStatus,
+        describeTransaction,
+        formatDescription,
+        broadcastSignedTransaction,
+        showExport
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createExportBundle,
+        parseImport,
+        getRequiredSigners,
+        getSignatureStatus,
+        describeTransaction,
+        formatDescription,
+        broadcastSignedTransaction
+    };
+}
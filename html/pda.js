@@ -0,0 +1,129 @@
+/**
+ * Fixed Ratio Trading - PDA Derivation
+ * Program-derived addresses for the FRT program, shared by the dashboard pages and the Node SDK
+ *
+ * Every function takes the program ID explicitly so it works without window.CONFIG.
+ *
+ * Dependencies:
+ * - solanaWeb3 (libs/solana-web3.min.js in the browser, @solana/web3.js in Node)
+ */
+
+const BPF_LOADER_UPGRADEABLE_ID = 'BPFLoaderUpgradeab1e11111111111111111111111';
+
+/**
+ * Encode a u64 seed as 8 little-endian bytes
+ */
+function u64SeedBytes(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true);
+    return bytes;
+}
+
+function toProgramKey(programId) {
+    if (!programId) {
+        throw new Error('Program ID is required for PDA derivation');
+    }
+    return new solanaWeb3.PublicKey(programId.toString());
+}
+
+/**
+ * Derive a PDA from string/bytes seeds
+ * @returns {PublicKey} Derived address (bump discarded)
+ */
+function derivePDA(seeds, programId) {
+    const encoded = seeds.map(seed => (typeof seed === 'string' ? new TextEncoder().encode(seed) : seed));
+    const [address] = solanaWeb3.PublicKey.findProgramAddressSync(encoded, toProgramKey(programId));
+    return address;
+}
+
+/**
+ * Get system state PDA
+ */
+function getSystemStatePDA(programId) {
+    return derivePDA(['system_state'], programId);
+}
+
+/**
+ * Get main treasury PDA
+ */
+function getMainTreasuryPDA(programId) {
+    return derivePDA(['main_treasury'], programId);
+}
+
+/**
+ * Get pool state PDA
+ * Token mints are normalized to lexicographic order, matching the program.
+ * @param {string|PublicKey} tokenAMint - First token mint
+ * @param {string|PublicKey} tokenBMint - Second token mint
+ * @param {number|bigint|string} ratioA - Ratio A in basis points
+ * @param {number|bigint|string} ratioB - Ratio B in basis points
+ * @param {string|PublicKey} programId - FRT program ID
+ */
+function getPoolStatePDA(tokenAMint, tokenBMint, ratioA, ratioB, programId) {
+    const mints = [new solanaWeb3.PublicKey(tokenAMint.toString()), new solanaWeb3.PublicKey(tokenBMint.toString())];
+    mints.sort((a, b) => a.toBuffer().compare(b.toBuffer()));
+
+    return derivePDA([
+        'pool_state',
+        mints[0].toBytes(),
+        mints[1].toBytes(),
+        u64SeedBytes(ratioA),
+        u64SeedBytes(ratioB)
+    ], programId);
+}
+
+/**
+ * Get the token vault PDAs of a pool
+ * @returns {Object} { tokenAVault, tokenBVault }
+ */
+function getPoolVaultPDAs(poolAddress, programId) {
+    const pool = new solanaWeb3.PublicKey(poolAddress.toString()).toBytes();
+    return {
+        tokenAVault: derivePDA(['token_a_vault', pool], programId),
+        tokenBVault: derivePDA(['token_b_vault', pool], programId)
+    };
+}
+
+/**
+ * Get the LP token mint PDAs of a pool
+ * @returns {Object} { lpTokenAMint, lpTokenBMint }
+ */
+function getLpMintPDAs(poolAddress, programId) {
+    const pool = new solanaWeb3.PublicKey(poolAddress.toString()).toBytes();
+    return {
+        lpTokenAMint: derivePDA(['lp_token_a_mint', pool], programId),
+        lpTokenBMint: derivePDA(['lp_token_b_mint', pool], programId)
+    };
+}
+
+/**
+ * Get program data account for admin authority validation
+ * For upgradeable programs: ProgramData = findProgramAddress([program_id], BPFLoaderUpgradeable)
+ */
+function getProgramDataAddress(programId) {
+    return derivePDA([toProgramKey(programId).toBytes()], BPF_LOADER_UPGRADEABLE_ID);
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.FRTPda = {
+        getSystemStatePDA,
+        getMainTreasuryPDA,
+        getPoolStatePDA,
+        getPoolVaultPDAs,
+        getLpMintPDAs,
+        getProgramDataAddress
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getSystemStatePDA,
+        getMainTreasuryPDA,
+        getPoolStatePDA,
+        getPoolVaultPDAs,
+        getLpMintPDAs,
+        getProgramDataAddress
+    };
+}
@@ -1,27 +1,102 @@
 /**
  * Pool Data Cache Manager
- * 
+ *
  * Implements the three-tier caching strategy:
- * 1. Server-side file cache (24h TTL)
+ * 1. Server-side file cache (pool-data.php)
  * 2. Direct Solana RPC (always fresh)
- * 3. Browser localStorage LRU cache (5 pools max)
- * 
+ * 3. Browser IndexedDB cache (every pool the user has seen, token decimals and metadata)
+ *
  * Features:
- * - Concurrent requests with freshness comparison
- * - LRU eviction for localStorage
- * - Schema versioning
+ * - Concurrent requests with slot-based freshness comparison within a latency budget
+ * - Batch prefetch of many pools through pool-data.php (?pools= / ?all=1)
+ * - Per-pool activity feed (decoded program transactions) with cursor-based pagination
+ * - Configurable TTLs per data class (config.cacheTtl)
+ * - Schema migrations keyed by SCHEMA_VERSION (the first one imports the old localStorage cache)
+ * - In-memory fallback when IndexedDB is unavailable (private browsing, old browsers)
  * - Comprehensive error handling
  */
 
+const POOL_CACHE_DB_NAME = 'frt_cache';
+const POOL_CACHE_STORES = {
+    pools: 'pools',
+    tokenDecimals: 'token_decimals',
+    tokenMetadata: 'token_metadata',
+    activity: 'pool_activity',
+    activityCursors: 'pool_activity_cursors'
+};
+const LEGACY_POOL_CACHE_KEY = 'frt_pool_cache';
+const LEGACY_TOKEN_DECIMALS_KEY = 'frt_token_decimals';
+
+/**
+ * Schema migrations - POOL_CACHE_MIGRATIONS[n] upgrades the database from version n-1 to n.
+ * To change the schema: add the next entry and bump SCHEMA_VERSION. Never edit a released migration.
+ */
+const POOL_CACHE_MIGRATIONS = {
+    1: (db, transaction) => {
+        db.createObjectStore(POOL_CACHE_STORES.pools, { keyPath: 'address' });
+        db.createObjectStore(POOL_CACHE_STORES.tokenDecimals, { keyPath: 'mint' });
+        db.createObjectStore(POOL_CACHE_STORES.tokenMetadata, { keyPath: 'mint' });
+
+        // Import the previous localStorage LRU cache so returning users keep instant renders
+        try {
+            const legacyPools = JSON.parse(localStorage.getItem(LEGACY_POOL_CACHE_KEY) || '{}').pools || {};
+            const poolStore = transaction.objectStore(POOL_CACHE_STORES.pools);
+            Object.entries(legacyPools).forEach(([address, entry]) => {
+                if (!entry) return;
+                poolStore.put({
+                    address,
+                    data: entry.data,
+                    slot: entry.data?.context?.slot ?? null,
+                    generated_at: entry.generated_at,
+                    cached_at: entry.cached_at || entry.generated_at,
+                    last_accessed: entry.last_accessed || entry.generated_at,
+                    source: entry.source,
+                    extras: entry.extras || null
+                });
+            });
+
+            const legacyDecimals = JSON.parse(localStorage.getItem(LEGACY_TOKEN_DECIMALS_KEY) || '{}');
+            const decimalsStore = transaction.objectStore(POOL_CACHE_STORES.tokenDecimals);
+            Object.entries(legacyDecimals).forEach(([mint, entry]) => {
+                if (typeof entry?.decimals !== 'number') return;
+                decimalsStore.put({ mint, decimals: entry.decimals, cached_at: entry.updated_at || new Date().toISOString() });
+            });
+
+            localStorage.removeItem(LEGACY_POOL_CACHE_KEY);
+            localStorage.removeItem(LEGACY_TOKEN_DECIMALS_KEY);
+            console.log(`📦 Migrated ${Object.keys(legacyPools).length} pools from localStorage cache`);
+        } catch (error) {
+            console.warn('⚠️ Legacy localStorage cache not migrated:', error.message);
+        }
+    },
+    2: (db) => {
+        // Decoded transactions per pool, plus how far back the feed has been paged
+        const activityStore = db.createObjectStore(POOL_CACHE_STORES.activity, { keyPath: 'signature' });
+        activityStore.createIndex('pool', 'pool', { unique: false });
+        db.createObjectStore(POOL_CACHE_STORES.activityCursors, { keyPath: 'address' });
+    }
+};
+
 class PoolCacheManager {
     constructor() {
-        this.SCHEMA_VERSION = '1.0.0';
-        this.LOCALSTORAGE_KEY = 'frt_pool_cache';
-        this.TOKEN_DECIMALS_KEY = 'frt_token_decimals';
-        this.MAX_POOLS = 5;
+        this.SCHEMA_VERSION = 2;
         this.CACHE_TIMEOUT = 10000; // 10 seconds timeout per source
+        // Once one source has answered, wait at most this long for a higher slot from the others
+        this.LATENCY_BUDGET = 1500;
+        // Time-to-live per data class (ms) - override with config.cacheTtl
+        this.TTL = {
+            pool: 5 * 60 * 1000,                      // pool state: instant render without waiting for network
+            tokenDecimals: 30 * 24 * 60 * 60 * 1000,  // decimals never change after mint creation
+            tokenMetadata: 24 * 60 * 60 * 1000,       // symbols/names/images can be updated
+            activity: 30 * 1000                       // newest activity page re-checked after this
+        };
+        this.ACTIVITY_PAGE_SIZE = 20;
+        this.ACTIVITY_SIGNATURE_LIMIT = 100;  // Signatures per getSignaturesForAddress call
+        this.ACTIVITY_BATCH_SIZE = 20;        // Transactions per getTransactions call
         this.connection = null;
         this.config = null;
+        this.dbPromise = null;
+        this.memoryStores = null;
     }
 
     /**
@@ -30,20 +105,162 @@ class PoolCacheManager {
     async initialize(config, connection) {
         this.config = config;
         this.connection = connection;
+        if (config?.cacheTtl) {
+            this.TTL = { ...this.TTL, ...config.cacheTtl };
+        }
+        if (typeof config?.cacheLatencyBudget === 'number') {
+            this.LATENCY_BUDGET = config.cacheLatencyBudget;
+        }
+        await this.openDatabase();
         console.log(`[${new Date().toISOString()}] 🗄️ PoolCacheManager initialized`);
     }
 
+    // ========================================
+    // STORAGE
+    // ========================================
+
+    /**
+     * Open (and migrate) the IndexedDB database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when falling back to memory
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            const useMemory = (reason) => {
+                console.warn(`⚠️ IndexedDB unavailable (${reason}) - using in-memory cache`);
+                this.memoryStores = {};
+                Object.values(POOL_CACHE_STORES).forEach(name => { this.memoryStores[name] = new Map(); });
+                resolve(null);
+            };
+
+            if (typeof indexedDB === 'undefined') {
+                useMemory('not supported');
+                return;
+            }
+
+            let request;
+            try {
+                request = indexedDB.open(POOL_CACHE_DB_NAME, this.SCHEMA_VERSION);
+            } catch (error) {
+                useMemory(error.message);
+                return;
+            }
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion + 1; version <= this.SCHEMA_VERSION; version++) {
+                    const migrate = POOL_CACHE_MIGRATIONS[version];
+                    if (!migrate) {
+                        throw new Error(`Missing cache migration for schema version ${version}`);
+                    }
+                    console.log(`📦 Migrating pool cache schema to v${version}`);
+                    migrate(db, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgraded the schema - close so it can proceed; reopen lazily
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => useMemory(request.error?.message || 'open failed');
+            request.onblocked = () => console.warn('⚠️ Pool cache upgrade blocked by another open tab');
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @param {Function} memoryOperation - (map) => result, used by the in-memory fallback
+     */
+    async runStoreRequest(storeName, mode, operation, memoryOperation) {
+        const db = await this.openDatabase();
+        if (!db) {
+            return memoryOperation(this.memoryStores[storeName]);
+        }
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    readRecord(storeName, key) {
+        return this.runStoreRequest(storeName, 'readonly',
+            store => store.get(key),
+            map => map.get(key));
+    }
+
+    writeRecord(storeName, record) {
+        const key = record.address || record.mint || record.signature;
+        return this.runStoreRequest(storeName, 'readwrite',
+            store => store.put(record),
+            map => { map.set(key, record); return key; });
+    }
+
+    readAllRecords(storeName) {
+        return this.runStoreRequest(storeName, 'readonly',
+            store => store.getAll(),
+            map => Array.from(map.values()));
+    }
+
+    readRecordsByIndex(storeName, indexName, value) {
+        return this.runStoreRequest(storeName, 'readonly',
+            store => store.index(indexName).getAll(value),
+            map => Array.from(map.values()).filter(record => record[indexName] === value));
+    }
+
+    deleteRecords(storeName, keys) {
+        return this.runStoreRequest(storeName, 'readwrite',
+            store => { keys.forEach(key => store.delete(key)); return store.count(); },
+            map => keys.forEach(key => map.delete(key)));
+    }
+
+    clearStore(storeName) {
+        return this.runStoreRequest(storeName, 'readwrite',
+            store => store.clear(),
+            map => map.clear());
+    }
+
     /**
-     * Get pool data prioritizing instant render from localStorage if available
+     * Check a record's age against the TTL of its data class
+     */
+    isWithinTtl(record, dataClass) {
+        if (!record?.cached_at) return false;
+        return Date.now() - new Date(record.cached_at).getTime() < this.TTL[dataClass];
+    }
+
+    /**
+     * Context slot of a cached/fetched result (null when unknown)
+     */
+    getResultSlot(result) {
+        const slot = result?.slot ?? result?.data?.context?.slot;
+        return typeof slot === 'number' ? slot : null;
+    }
+
+    // ========================================
+    // POOL DATA
+    // ========================================
+
+    /**
+     * Get pool data prioritizing instant render from the local cache if available
      */
     async getPoolData(poolAddress) {
         console.log(`[${new Date().toISOString()}] 🔄 Loading pool data for: ${poolAddress}`);
         try {
-            // 1) Try localStorage first for instant render
-            const local = await this.fetchFromLocalStorage(poolAddress);
-            const FRESH_THRESHOLD = 5 * 60 * 1000; // 5 minutes
-            const isFresh = local && (Date.now() - new Date(local.generated_at).getTime() < FRESH_THRESHOLD);
-            if (isFresh) {
+            // 1) Try the local cache first for instant render
+            const local = await this.fetchFromLocalCache(poolAddress);
+            if (local && local.fresh) {
                 // Fire background refresh (server cache + RPC) without blocking
                 (async () => {
                     try {
@@ -52,22 +269,22 @@ class PoolCacheManager {
                             Promise.race([this.fetchFromSolanaRPC(poolAddress), this.createTimeoutPromise(this.CACHE_TIMEOUT)])
                         ]);
                         const updated = await this.selectFreshestData(bgResults, poolAddress);
-                        if (updated) await this.updateLocalStorageCache(poolAddress, updated);
+                        if (updated) await this.updateLocalCache(poolAddress, updated);
                     } catch (_) {}
                 })();
-                console.log(`[${new Date().toISOString()}] ⚡ Using localStorage for instant render`);
+                console.log(`[${new Date().toISOString()}] ⚡ Using local cache for instant render`);
                 return local;
             }
 
-            // 2) Otherwise, race all sources with performance-first selection
-            const results = await Promise.allSettled([
+            // 2) Otherwise, race all sources and keep the highest slot seen within the latency budget
+            const results = await this.collectWithinLatencyBudget(poolAddress, [
                 Promise.race([this.fetchFromServerCache(poolAddress), this.createTimeoutPromise(this.CACHE_TIMEOUT)]),
                 Promise.race([this.fetchFromSolanaRPC(poolAddress), this.createTimeoutPromise(this.CACHE_TIMEOUT)]),
-                local // may be null
+                Promise.resolve(local) // may be null
             ]);
             const selected = await this.selectFreshestData(results, poolAddress);
             if (!selected) throw new Error('No valid pool data received from any source');
-            await this.updateLocalStorageCache(poolAddress, selected);
+            await this.updateLocalCache(poolAddress, selected);
             console.log(`[${new Date().toISOString()}] ✅ Pool data loaded from: ${selected.source}`);
             return selected;
         } catch (error) {
@@ -76,24 +293,70 @@ class PoolCacheManager {
         }
     }
 
+    /**
+     * Settle source promises, but stop waiting LATENCY_BUDGET ms after the first usable result
+     * Sources that answer later are still written to the local cache (the slot guard keeps the newest).
+     * @returns {Promise<Array>} Promise.allSettled-style results for the sources that made it in time
+     */
+    collectWithinLatencyBudget(poolAddress, promises) {
+        return new Promise((resolve) => {
+            const results = [];
+            let pending = promises.length;
+            let budgetTimer = null;
+            let done = false;
+
+            const finish = () => {
+                if (done) return;
+                done = true;
+                clearTimeout(budgetTimer);
+                resolve(results.slice());
+            };
+
+            promises.forEach(promise => {
+                promise.then(
+                    value => {
+                        if (done) {
+                            if (value?.data) {
+                                console.log(`[${new Date().toISOString()}] ⏱️ ${value.source} arrived after latency budget (slot ${this.getResultSlot(value) ?? 'unknown'})`);
+                                this.updateLocalCache(poolAddress, value);
+                            }
+                            return;
+                        }
+                        results.push({ status: 'fulfilled', value });
+                        if (value?.data && !budgetTimer) {
+                            budgetTimer = setTimeout(finish, this.LATENCY_BUDGET);
+                        }
+                    },
+                    reason => {
+                        if (!done) results.push({ status: 'rejected', reason });
+                    }
+                ).finally(() => {
+                    pending--;
+                    if (pending === 0) finish();
+                });
+            });
+        });
+    }
+
     /**
      * Fetch from server cache endpoint
      */
     async fetchFromServerCache(poolAddress) {
         const startTime = performance.now();
-        
+
         try {
             const response = await fetch(`./pool-data.php?poolAddress=${poolAddress}`);
             const responseTime = performance.now() - startTime;
-            
+
             if (response.ok) {
                 const data = await response.json();
                 const cacheStatus = response.headers.get('X-Cache-Status') || 'unknown';
-                
+
                 console.log(`[${new Date().toISOString()}] 📋 Server cache ${cacheStatus} (${Math.round(responseTime)}ms)`);
-                
+
                 return {
                     data: data.rpc_response,
+                    slot: data.slot ?? data.rpc_response?.context?.slot ?? null,
                     generated_at: data.generated_at,
                     source: `server-cache-${cacheStatus}`,
                     response_time: responseTime,
@@ -110,6 +373,48 @@ class PoolCacheManager {
         }
     }
 
+    /**
+     * Warm the local cache for many pools with one batched pool-data.php request
+     * @param {string[]|null} poolAddresses - Pools to fetch, or null for every pool of the program
+     * @param {Object} options - { refresh }
+     * @returns {Promise<Array>} Batch entries ({ pool_address, slot, generated_at, age_seconds, cache_status, account })
+     */
+    async prefetchPools(poolAddresses = null, options = {}) {
+        const startTime = performance.now();
+        const query = poolAddresses
+            ? `pools=${poolAddresses.map(address => address.toString()).join(',')}`
+            : 'all=1';
+
+        try {
+            const response = await fetch(`./pool-data.php?${query}${options.refresh ? '&refresh=1' : ''}`);
+            if (!response.ok) {
+                console.warn(`⚠️ Batch prefetch failed (${response.status}):`, await response.text());
+                return [];
+            }
+            const batch = await response.json();
+            const responseTime = performance.now() - startTime;
+
+            let stored = 0;
+            for (const entry of batch.value || []) {
+                if (!entry.account) continue;
+                await this.updateLocalCache(entry.pool_address, {
+                    data: { context: { slot: entry.slot }, value: entry.account },
+                    slot: entry.slot,
+                    generated_at: entry.generated_at,
+                    source: `server-batch-${entry.cache_status}`,
+                    response_time: responseTime
+                });
+                stored++;
+            }
+
+            console.log(`[${new Date().toISOString()}] 📦 Prefetched ${stored}/${(batch.value || []).length} pools in one request (${Math.round(responseTime)}ms)`);
+            return batch.value || [];
+        } catch (error) {
+            console.warn('⚠️ Batch prefetch error:', error.message);
+            return [];
+        }
+    }
+
     /**
      * Fetch directly from Solana RPC
      */
@@ -132,36 +437,24 @@ class PoolCacheManager {
         }
 
         const startTime = performance.now();
-        
+
         try {
-            const accountInfo = await this.connection.getAccountInfo(
+            // Slot comes from the same response as the data, so the two always match
+            const { context, value: accountInfo } = await this.connection.getAccountInfoAndContext(
                 new solanaWeb3.PublicKey(poolAddress),
                 'confirmed'
             );
-            
+
             const responseTime = performance.now() - startTime;
             console.log(`[${new Date().toISOString()}] 🔗 Direct RPC fetch (${Math.round(responseTime)}ms)`);
-            
-            if (accountInfo) {
-                // Convert to same format as server cache
-                const rpcResponse = {
-                    context: { slot: await this.connection.getSlot() },
-                    value: {
-                        data: [accountInfo.data.toString('base64'), 'base64'],
-                        executable: accountInfo.executable,
-                        lamports: accountInfo.lamports,
-                        owner: accountInfo.owner.toString(),
-                        rentEpoch: accountInfo.rentEpoch,
-                        space: accountInfo.data.length
-                    }
-                };
 
+            if (accountInfo) {
                 return {
-                    data: rpcResponse,
+                    data: this.toRpcResponse(accountInfo, context.slot),
+                    slot: context.slot,
                     generated_at: new Date().toISOString(),
                     source: 'direct-rpc',
-                    response_time: responseTime,
-                    schema_version: this.SCHEMA_VERSION
+                    response_time: responseTime
                 };
             } else {
                 console.warn('⚠️ Pool not found via RPC');
@@ -174,46 +467,74 @@ class PoolCacheManager {
     }
 
     /**
-     * Fetch from localStorage LRU cache
+     * Convert account info to the server cache format (raw getAccountInfo JSON response)
      */
-    async fetchFromLocalStorage(poolAddress) {
-        try {
-            const cacheData = JSON.parse(localStorage.getItem(this.LOCALSTORAGE_KEY) || '{}');
-            
-            if (!cacheData.schema_version || cacheData.schema_version !== this.SCHEMA_VERSION) {
-                console.log('🧹 LocalStorage schema mismatch, clearing cache');
-                localStorage.removeItem(this.LOCALSTORAGE_KEY);
-                return null;
+    toRpcResponse(accountInfo, slot) {
+        return {
+            context: { slot },
+            value: {
+                data: [accountInfo.data.toString('base64'), 'base64'],
+                executable: accountInfo.executable,
+                lamports: accountInfo.lamports,
+                owner: accountInfo.owner.toString(),
+                rentEpoch: accountInfo.rentEpoch,
+                space: accountInfo.data.length
             }
+        };
+    }
 
-            const poolCache = cacheData.pools?.[poolAddress];
-            if (poolCache) {
-                console.log(`💾 LocalStorage hit for pool`);
-                
-                // Update last accessed time
-                poolCache.last_accessed = new Date().toISOString();
-                this.updateAccessOrder(cacheData, poolAddress);
-                localStorage.setItem(this.LOCALSTORAGE_KEY, JSON.stringify(cacheData));
-                
-                return {
-                    data: poolCache.data,
-                    generated_at: poolCache.generated_at,
-                    source: 'localStorage',
-                    response_time: 1, // Very fast
-                    schema_version: poolCache.schema_version || this.SCHEMA_VERSION
-                };
-            } else {
-                console.log('💾 LocalStorage miss');
+    /**
+     * Store a pushed account update (SubscriptionManager) in the same format as a direct RPC fetch
+     * Updates older than the cached slot are ignored.
+     * @param {string} poolAddress - Pool address
+     * @param {AccountInfo} accountInfo - Account info from onAccountChange / polling
+     * @param {number} slot - Context slot of the update
+     * @param {string} source - 'subscription' | 'polling'
+     */
+    async ingestAccountUpdate(poolAddress, accountInfo, slot, source = 'subscription') {
+        await this.updateLocalCache(poolAddress, {
+            data: this.toRpcResponse(accountInfo, slot),
+            slot,
+            generated_at: new Date().toISOString(),
+            source,
+            response_time: 0
+        });
+    }
+
+    /**
+     * Fetch from the local IndexedDB cache
+     * @returns {Object|null} Result with `fresh` set when the record is within the pool TTL
+     */
+    async fetchFromLocalCache(poolAddress) {
+        try {
+            const record = await this.readRecord(POOL_CACHE_STORES.pools, poolAddress);
+            if (!record || !record.data) {
+                console.log('💾 Local cache miss');
                 return null;
             }
+
+            console.log(`💾 Local cache hit for pool`);
+            record.last_accessed = new Date().toISOString();
+            this.writeRecord(POOL_CACHE_STORES.pools, record).catch(() => {});
+
+            return {
+                data: record.data,
+                slot: record.slot ?? null,
+                generated_at: record.generated_at,
+                source: 'local-cache',
+                response_time: 1, // Very fast
+                fresh: this.isWithinTtl(record, 'pool')
+            };
         } catch (error) {
-            console.warn('⚠️ LocalStorage error:', error.message);
+            console.warn('⚠️ Local cache error:', error.message);
             return null;
         }
     }
 
     /**
-     * Select the best data balancing freshness and performance
+     * Select the freshest data by context slot
+     * Higher slot always wins; on equal slots the fastest source wins.
+     * Results without a slot are only compared by generated_at among themselves.
      */
     async selectFreshestData(results, poolAddress) {
         const validResults = results
@@ -225,49 +546,28 @@ class PoolCacheManager {
             return null;
         }
 
-        // Performance-first selection: prefer fast cached data if reasonably fresh
-        const FRESH_THRESHOLD = 5 * 60 * 1000; // 5 minutes in milliseconds
-        const now = Date.now();
-        
-        // Sort by performance (localStorage > server cache > RPC)
-        const performanceOrder = ['localStorage', 'server-cache-hit', 'server-cache-miss', 'direct-rpc'];
         validResults.sort((a, b) => {
-            const indexA = performanceOrder.indexOf(a.source);
-            const indexB = performanceOrder.indexOf(b.source);
-            return (indexA === -1 ? 999 : indexA) - (indexB === -1 ? 999 : indexB);
+            const slotA = this.getResultSlot(a);
+            const slotB = this.getResultSlot(b);
+            if (slotA !== slotB) {
+                if (slotA === null) return 1;
+                if (slotB === null) return -1;
+                return slotB - slotA;
+            }
+            if (slotA === null) {
+                return new Date(b.generated_at).getTime() - new Date(a.generated_at).getTime();
+            }
+            return (a.response_time || 0) - (b.response_time || 0);
         });
+        const selectedResult = validResults[0];
 
-        // Find the best balance of performance and freshness
-        let selectedResult = null;
-        
-        for (const result of validResults) {
-            const age = now - new Date(result.generated_at).getTime();
-            
-            // If data is fresh enough (< 5 minutes), use the fastest source
-            if (age < FRESH_THRESHOLD) {
-                selectedResult = result;
-                break;
-            }
-        }
-        
-        // If no fresh data available, use the freshest regardless of source
-        if (!selectedResult) {
-            validResults.sort((a, b) => {
-                const dateA = new Date(a.generated_at);
-                const dateB = new Date(b.generated_at);
-                return dateB.getTime() - dateA.getTime();
-            });
-            selectedResult = validResults[0];
-        }
-        
         // Log comparison for debugging
         if (validResults.length > 1) {
-            console.log('📊 Cache selection (performance-first):');
+            console.log('📊 Cache selection (highest slot):');
             validResults.forEach((result) => {
-                const age = Date.now() - new Date(result.generated_at).getTime();
-                const ageText = Math.round(age/1000);
+                const slot = this.getResultSlot(result);
                 const selected = result === selectedResult;
-                console.log(`  ${selected ? '✅' : '  '} ${result.source}: ${ageText}s old (${Math.round(result.response_time)}ms)`);
+                console.log(`  ${selected ? '✅' : '  '} ${result.source}: slot ${slot ?? 'unknown'} (${Math.round(result.response_time || 0)}ms)`);
             });
         }
 
@@ -275,130 +575,277 @@ class PoolCacheManager {
     }
 
     /**
-     * Update localStorage cache with LRU eviction
+     * Update the local cache (never replaces a record with an older slot)
      */
-    async updateLocalStorageCache(poolAddress, freshData) {
+    async updateLocalCache(poolAddress, freshData) {
         try {
-            let cacheData = JSON.parse(localStorage.getItem(this.LOCALSTORAGE_KEY) || '{}');
-            
-            // Initialize cache structure if needed
-            if (!cacheData.schema_version) {
-                cacheData = {
-                    schema_version: this.SCHEMA_VERSION,
-                    pools: {},
-                    access_order: []
-                };
+            const existing = await this.readRecord(POOL_CACHE_STORES.pools, poolAddress);
+            const newSlot = this.getResultSlot(freshData);
+            if (existing?.data && existing.slot !== null && existing.slot !== undefined && newSlot !== null && newSlot < existing.slot) {
+                console.log(`[${new Date().toISOString()}] ⏭️ Skipped cache update: slot ${newSlot} older than cached ${existing.slot}`);
+                return;
             }
 
-            // Add/update pool data
-            cacheData.pools[poolAddress] = {
+            const now = new Date().toISOString();
+            await this.writeRecord(POOL_CACHE_STORES.pools, {
+                address: poolAddress,
                 data: freshData.data,
+                slot: newSlot,
                 generated_at: freshData.generated_at,
-                last_accessed: new Date().toISOString(),
-                cached_at: new Date().toISOString(),
+                cached_at: now,
+                last_accessed: now,
                 source: freshData.source,
-                schema_version: this.SCHEMA_VERSION,
-                extras: (cacheData.pools[poolAddress]?.extras || null)
-            };
-
-            // Update access order
-            this.updateAccessOrder(cacheData, poolAddress);
-
-            // Enforce LRU eviction (keep only 5 pools)
-            while (cacheData.access_order.length > this.MAX_POOLS) {
-                const oldestPool = cacheData.access_order.shift();
-                delete cacheData.pools[oldestPool];
-                console.log(`[${new Date().toISOString()}] 🗑️ Evicted old pool from cache: ${oldestPool.substring(0, 8)}...`);
-            }
-
-            // Save to localStorage
-            localStorage.setItem(this.LOCALSTORAGE_KEY, JSON.stringify(cacheData));
-            console.log(`[${new Date().toISOString()}] 💾 Updated localStorage cache (${Object.keys(cacheData.pools).length}/${this.MAX_POOLS} pools)`);
-            
+                extras: existing?.extras || null
+            });
+            console.log(`[${new Date().toISOString()}] 💾 Updated local cache (slot ${newSlot ?? 'unknown'})`);
         } catch (error) {
-            console.warn('⚠️ Failed to update localStorage cache:', error.message);
+            console.warn('⚠️ Failed to update local cache:', error.message);
         }
     }
 
-    /**
-     * Update access order for LRU management
-     */
-    updateAccessOrder(cacheData, poolAddress) {
-        // Remove from current position
-        const index = cacheData.access_order.indexOf(poolAddress);
-        if (index > -1) {
-            cacheData.access_order.splice(index, 1);
-        }
-        
-        // Add to end (most recently used)
-        cacheData.access_order.push(poolAddress);
-    }
-
     /**
      * Read cached extras (symbols/decimals) for a pool
      */
-    getLocalExtras(poolAddress) {
+    async getLocalExtras(poolAddress) {
         try {
-            const cacheData = JSON.parse(localStorage.getItem(this.LOCALSTORAGE_KEY) || '{}');
-            return cacheData.pools?.[poolAddress]?.extras || null;
+            const record = await this.readRecord(POOL_CACHE_STORES.pools, poolAddress);
+            return record?.extras || null;
         } catch (_) { return null; }
     }
 
     /**
      * Write cached extras (symbols/decimals) for a pool
      */
-    setLocalExtras(poolAddress, extras) {
+    async setLocalExtras(poolAddress, extras) {
         try {
-            const cacheData = JSON.parse(localStorage.getItem(this.LOCALSTORAGE_KEY) || '{}');
-            if (!cacheData.schema_version) {
-                cacheData.schema_version = this.SCHEMA_VERSION;
-                cacheData.pools = {};
-                cacheData.access_order = [];
-            }
-            if (!cacheData.pools[poolAddress]) {
-                cacheData.pools[poolAddress] = {
-                    data: null,
-                    generated_at: new Date().toISOString(),
-                    last_accessed: new Date().toISOString(),
-                    cached_at: new Date().toISOString(),
-                    source: 'localStorage',
-                    schema_version: this.SCHEMA_VERSION,
-                    extras: null
-                };
-            }
-            cacheData.pools[poolAddress].extras = extras;
-            localStorage.setItem(this.LOCALSTORAGE_KEY, JSON.stringify(cacheData));
+            const record = await this.readRecord(POOL_CACHE_STORES.pools, poolAddress) || {
+                address: poolAddress,
+                data: null,
+                slot: null,
+                generated_at: new Date().toISOString(),
+                cached_at: new Date().toISOString(),
+                last_accessed: new Date().toISOString(),
+                source: 'local-cache'
+            };
+            record.extras = extras;
+            await this.writeRecord(POOL_CACHE_STORES.pools, record);
         } catch (e) {
             console.warn('⚠️ Failed to set local extras:', e?.message);
         }
     }
 
+    // ========================================
+    // TOKEN DATA
+    // ========================================
+
     /**
      * Token decimals cache (per-mint) for instant renders across pools
      */
-    getTokenDecimalFromCache(mintAddress) {
+    async getTokenDecimalFromCache(mintAddress) {
         try {
-            const raw = localStorage.getItem(this.TOKEN_DECIMALS_KEY) || '{}';
-            const store = JSON.parse(raw);
-            const entry = store[mintAddress];
-            if (entry && typeof entry.decimals === 'number') {
-                return entry.decimals;
+            const record = await this.readRecord(POOL_CACHE_STORES.tokenDecimals, mintAddress);
+            if (record && typeof record.decimals === 'number' && this.isWithinTtl(record, 'tokenDecimals')) {
+                return record.decimals;
             }
             return null;
         } catch (_) { return null; }
     }
 
-    setTokenDecimalInCache(mintAddress, decimals) {
+    async setTokenDecimalInCache(mintAddress, decimals) {
         try {
-            const raw = localStorage.getItem(this.TOKEN_DECIMALS_KEY) || '{}';
-            const store = JSON.parse(raw);
-            store[mintAddress] = { decimals, updated_at: new Date().toISOString() };
-            localStorage.setItem(this.TOKEN_DECIMALS_KEY, JSON.stringify(store));
+            await this.writeRecord(POOL_CACHE_STORES.tokenDecimals, {
+                mint: mintAddress,
+                decimals,
+                cached_at: new Date().toISOString()
+            });
         } catch (e) {
             console.warn('⚠️ Failed to set token decimals cache:', e?.message);
         }
     }
 
+    /**
+     * Token metadata cache (symbol, name, image) per mint
+     */
+    async getTokenMetadataFromCache(mintAddress) {
+        try {
+            const record = await this.readRecord(POOL_CACHE_STORES.tokenMetadata, mintAddress);
+            if (record && this.isWithinTtl(record, 'tokenMetadata')) {
+                return record.metadata;
+            }
+            return null;
+        } catch (_) { return null; }
+    }
+
+    async setTokenMetadataInCache(mintAddress, metadata) {
+        try {
+            await this.writeRecord(POOL_CACHE_STORES.tokenMetadata, {
+                mint: mintAddress,
+                metadata,
+                cached_at: new Date().toISOString()
+            });
+        } catch (e) {
+            console.warn('⚠️ Failed to set token metadata cache:', e?.message);
+        }
+    }
+
+    // ========================================
+    // POOL ACTIVITY
+    // ========================================
+
+    /**
+     * Recent program activity for a pool (swaps, deposits, withdrawals, ...), newest first
+     * The first page checks for newer signatures once TTL.activity has passed; later pages are
+     * served from the cache and only go to the RPC past the oldest signature fetched so far.
+     * A `before` signature that is not cached (e.g. the feed restarted since it was shown) is
+     * paged straight from the RPC and not cached, so the cached feed stays without gaps.
+     * @param {string} poolAddress - Pool state address
+     * @param {Object} options - { limit, before (signature of the last entry shown), refresh }
+     * @returns {Promise<Object>} { entries, hasMore } - entries are FRTActivity entries plus signature
+     */
+    async getPoolActivity(poolAddress, options = {}) {
+        const limit = options.limit || this.ACTIVITY_PAGE_SIZE;
+        let cursor = await this.readRecord(POOL_CACHE_STORES.activityCursors, poolAddress);
+        if (!cursor || (!options.before && (options.refresh || !this.isWithinTtl(cursor, 'activity')))) {
+            cursor = await this.fetchNewerActivity(poolAddress, cursor);
+        }
+
+        let cached = await this.readPoolActivity(poolAddress);
+        const startAfter = options.before ? cached.findIndex(entry => entry.signature === options.before) : -1;
+        if (options.before && startAfter === -1) {
+            return this.fetchActivityPageBefore(poolAddress, options.before, limit);
+        }
+        while (cached.length - (startAfter + 1) < limit && !cursor.reached_end) {
+            cursor = await this.fetchOlderActivity(poolAddress, cursor);
+            cached = await this.readPoolActivity(poolAddress);
+        }
+
+        const entries = cached.slice(startAfter + 1, startAfter + 1 + limit);
+        return {
+            entries,
+            hasMore: cached.length > startAfter + 1 + limit || !cursor.reached_end
+        };
+    }
+
+    /**
+     * Cached activity for a pool, newest first
+     */
+    async readPoolActivity(poolAddress) {
+        const records = await this.readRecordsByIndex(POOL_CACHE_STORES.activity, 'pool', poolAddress);
+        return records.sort((a, b) => b.slot - a.slot);
+    }
+
+    /**
+     * Fetch signatures newer than the cursor (the first page when there is no cursor)
+     */
+    async fetchNewerActivity(poolAddress, cursor) {
+        const infos = await this.connection.getSignaturesForAddress(new solanaWeb3.PublicKey(poolAddress), {
+            limit: this.ACTIVITY_SIGNATURE_LIMIT,
+            until: cursor?.newest_signature || undefined
+        });
+
+        // A full page after the cursor may have skipped signatures - restart the feed from here
+        if (cursor && infos.length === this.ACTIVITY_SIGNATURE_LIMIT) {
+            const stale = await this.readPoolActivity(poolAddress);
+            await this.deleteRecords(POOL_CACHE_STORES.activity, stale.map(entry => entry.signature));
+            console.log(`[${new Date().toISOString()}] 🔁 Activity gap for ${poolAddress.slice(0, 8)} - restarting feed`);
+            cursor = null;
+        }
+
+        const next = {
+            address: poolAddress,
+            newest_signature: infos.length > 0 ? infos[0].signature : (cursor?.newest_signature || null),
+            oldest_signature: cursor ? cursor.oldest_signature : (infos.length > 0 ? infos[infos.length - 1].signature : null),
+            reached_end: cursor ? cursor.reached_end : infos.length < this.ACTIVITY_SIGNATURE_LIMIT,
+            cached_at: new Date().toISOString()
+        };
+        await this.storeActivity(poolAddress, infos);
+        await this.writeRecord(POOL_CACHE_STORES.activityCursors, next);
+        return next;
+    }
+
+    /**
+     * Fetch the next signatures older than the cursor
+     */
+    async fetchOlderActivity(poolAddress, cursor) {
+        const infos = await this.connection.getSignaturesForAddress(new solanaWeb3.PublicKey(poolAddress), {
+            limit: this.ACTIVITY_SIGNATURE_LIMIT,
+            before: cursor.oldest_signature
+        });
+        const next = {
+            ...cursor,
+            oldest_signature: infos.length > 0 ? infos[infos.length - 1].signature : cursor.oldest_signature,
+            reached_end: infos.length < this.ACTIVITY_SIGNATURE_LIMIT
+        };
+        await this.storeActivity(poolAddress, infos);
+        await this.writeRecord(POOL_CACHE_STORES.activityCursors, next);
+        return next;
+    }
+
+    /**
+     * One page of activity older than a signature that is not in the cache (uncached)
+     * @returns {Promise<Object>} { entries, hasMore } - same shape as getPoolActivity
+     */
+    async fetchActivityPageBefore(poolAddress, before, limit) {
+        const infos = await this.connection.getSignaturesForAddress(new solanaWeb3.PublicKey(poolAddress), {
+            limit: this.ACTIVITY_SIGNATURE_LIMIT,
+            before
+        });
+        const { entries, decodedAll } = await this.decodeActivity(poolAddress, infos, limit);
+        return {
+            entries: entries.slice(0, limit),
+            hasMore: entries.length > limit || !decodedAll || infos.length === this.ACTIVITY_SIGNATURE_LIMIT
+        };
+    }
+
+    /**
+     * Decode successful program transactions into activity entries, newest first
+     * @param {string} poolAddress
+     * @param {Array} infos - getSignaturesForAddress results, newest first
+     * @param {number} [maxEntries] - Stop after the batch that reaches this many entries
+     * @returns {Promise<Object>} { entries, landed, decodedAll }
+     */
+    async decodeActivity(poolAddress, infos, maxEntries = Infinity) {
+        const programId = this.config.programId.toString();
+        const landed = infos.filter(info => !info.err);
+        const entries = [];
+        let decoded = 0;
+
+        while (decoded < landed.length && entries.length < maxEntries) {
+            const batch = landed.slice(decoded, decoded + this.ACTIVITY_BATCH_SIZE);
+            const responses = await this.connection.getTransactions(batch.map(info => info.signature), {
+                commitment: 'confirmed',
+                maxSupportedTransactionVersion: 0
+            });
+            for (let j = 0; j < batch.length; j++) {
+                const entry = responses[j] ? window.FRTActivity.decodeTransactionResponse(responses[j], programId) : null;
+                if (!entry) continue;
+                entries.push({
+                    ...entry,
+                    signature: batch[j].signature,
+                    pool: poolAddress,
+                    cached_at: new Date().toISOString()
+                });
+            }
+            decoded += batch.length;
+        }
+        return { entries, landed: landed.length, decodedAll: decoded >= landed.length };
+    }
+
+    /**
+     * Decode successful program transactions and cache them under the pool
+     * @param {string} poolAddress
+     * @param {Array} infos - getSignaturesForAddress results, newest first
+     */
+    async storeActivity(poolAddress, infos) {
+        const { entries, landed } = await this.decodeActivity(poolAddress, infos);
+        for (const entry of entries) {
+            await this.writeRecord(POOL_CACHE_STORES.activity, entry);
+        }
+        if (landed > 0) {
+            console.log(`[${new Date().toISOString()}] 📜 Cached ${entries.length} activity entries for ${poolAddress.slice(0, 8)} (${landed} transactions)`);
+        }
+    }
+
     /**
      * Create timeout promise
      */
@@ -411,10 +858,10 @@ class PoolCacheManager {
     /**
      * Clear all caches
      */
-    clearCache() {
+    async clearCache() {
         try {
-            localStorage.removeItem(this.LOCALSTORAGE_KEY);
-            console.log('🧹 Cleared localStorage cache');
+            await Promise.all(Object.values(POOL_CACHE_STORES).map(name => this.clearStore(name)));
+            console.log('🧹 Cleared pool cache');
         } catch (error) {
             console.warn('⚠️ Failed to clear cache:', error.message);
         }
@@ -423,18 +870,29 @@ class PoolCacheManager {
     /**
      * Get cache statistics
      */
-    getCacheStats() {
+    async getCacheStats() {
         try {
-            const cacheData = JSON.parse(localStorage.getItem(this.LOCALSTORAGE_KEY) || '{}');
+            const [pools, decimals, metadata, activity] = await Promise.all([
+                this.readAllRecords(POOL_CACHE_STORES.pools),
+                this.readAllRecords(POOL_CACHE_STORES.tokenDecimals),
+                this.readAllRecords(POOL_CACHE_STORES.tokenMetadata),
+                this.readAllRecords(POOL_CACHE_STORES.activity)
+            ]);
             return {
-                schema_version: cacheData.schema_version,
-                pool_count: Object.keys(cacheData.pools || {}).length,
-                max_pools: this.MAX_POOLS,
-                pools: Object.keys(cacheData.pools || {}).map(address => ({
-                    address: address.substring(0, 8) + '...',
-                    generated_at: cacheData.pools[address]?.generated_at,
-                    last_accessed: cacheData.pools[address]?.last_accessed,
-                    source: cacheData.pools[address]?.source
+                schema_version: this.SCHEMA_VERSION,
+                storage: this.memoryStores ? 'memory' : 'indexeddb',
+                ttl: this.TTL,
+                pool_count: pools.length,
+                token_decimals_count: decimals.length,
+                token_metadata_count: metadata.length,
+                activity_count: activity.length,
+                pools: pools.map(record => ({
+                    address: record.address.substring(0, 8) + '...',
+                    slot: record.slot,
+                    generated_at: record.generated_at,
+                    last_accessed: record.last_accessed,
+                    source: record.source,
+                    fresh: this.isWithinTtl(record, 'pool')
                 }))
             };
         } catch (error) {
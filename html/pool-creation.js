@@ -1,5 +1,5 @@
 // Pool Creation Dashboard - JavaScript Logic
-// Handles Backpack wallet connection, token fetching, and pool creation
+// Handles wallet connection (via WalletAdapter), token fetching, and pool creation
 // Configuration is loaded from config.js
 //
 // Dependencies:
@@ -120,15 +120,12 @@ async function initializeApp() {
         
         console.log('✅ SPL Token library ready');
         
-        // Check if Backpack is installed
-        if (!window.backpack) {
-            showStatus('error', 'Backpack wallet not detected. Please install Backpack wallet extension.');
-            return;
-        }
-        
-        // Check if already connected
-        if (window.backpack.isConnected) {
+        // Reconnect the wallet chosen on a previous page (silent - never prompts)
+        if (await window.WalletAdapter.restore()) {
             await handleWalletConnected();
+        } else if (window.WalletAdapter.detectWallets().length === 0) {
+            showStatus('error', 'No supported wallet detected. Please install Phantom, Solflare, or Backpack wallet.');
+            return;
         }
         
         console.log('✅ Pool Creation Dashboard initialized');
@@ -143,21 +140,14 @@ async function initializeApp() {
 // Users do not need to manually initialize the program
 
 /**
- * Connect to Backpack wallet
+ * Connect a wallet (Phantom, Solflare, Backpack or the local test signer)
  */
 async function connectWallet() {
     try {
-        if (!window.backpack) {
-            showStatus('error', 'Backpack wallet not installed. Please install the Backpack browser extension.');
-            return;
-        }
-        
-        showStatus('info', 'Connecting to Backpack wallet...');
+        showStatus('info', 'Connecting wallet...');
         
-        const response = await window.backpack.connect();
+        await window.WalletAdapter.connect();
         await handleWalletConnected();
-        
-        console.log('✅ Wallet connected:', response.publicKey.toString());
     } catch (error) {
         console.error('❌ Failed to connect wallet:', error);
         showStatus('error', 'Failed to connect wallet: ' + error.message);
@@ -169,7 +159,7 @@ async function connectWallet() {
  */
 async function handleWalletConnected() {
     try {
-        wallet = window.backpack;
+        wallet = window.WalletAdapter;
         isConnected = true;
         
         const publicKey = wallet.publicKey.toString();
@@ -181,7 +171,7 @@ async function handleWalletConnected() {
         document.getElementById('connect-wallet-btn').textContent = 'Disconnect';
         document.getElementById('connect-wallet-btn').onclick = disconnectWallet;
         
-        showStatus('success', `✅ Connected with Backpack wallet: ${publicKey.slice(0, 20)}...`);
+        showStatus('success', `✅ Connected with ${wallet.name} wallet: ${publicKey.slice(0, 20)}...`);
         
         // System initialization is handled by deployment authority
         
@@ -204,9 +194,7 @@ async function handleWalletConnected() {
  */
 async function disconnectWallet() {
     try {
-        if (window.backpack) {
-            await window.backpack.disconnect();
-        }
+        await window.WalletAdapter.disconnect();
         
         // Reset state
         wallet = null;
@@ -218,7 +206,7 @@ async function disconnectWallet() {
         // Update UI
         document.getElementById('wallet-info').style.display = 'none';
         document.getElementById('wallet-disconnected').style.display = 'flex';
-        document.getElementById('connect-wallet-btn').textContent = 'Connect Backpack Wallet';
+        document.getElementById('connect-wallet-btn').textContent = 'Connect Wallet';
         document.getElementById('connect-wallet-btn').onclick = connectWallet;
         // Initialize System button removed - system initialization is deployment authority responsibility
         
@@ -1276,43 +1264,17 @@ function updatePoolFlags() {
  * Get selected pool flags
  */
 function getSelectedFlags() {
-    const flags = [];
-    
-    if (document.getElementById('flag-owner-only-swaps').checked) {
-        flags.push({ name: 'Owner-Only Swaps', icon: '🔒', color: '#7c3aed' });
-    }
-    if (document.getElementById('flag-exact-exchange').checked) {
-        flags.push({ name: 'Exact Exchange Required', icon: '🎯', color: '#dc2626' });
-    }
-    
-    return flags;
+    return PoolFlags.getPoolFlagsSetBy('creation')
+        .filter(flag => document.getElementById(flag.creationCheckboxId)?.checked);
 }
 
 /**
  * Calculate flags byte value from selected checkboxes
- * Only bits 5 and 6 are allowed during pool initialization
+ * Only flags with setBy 'creation' in pool-flags.js are allowed during pool initialization;
+ * the rest are managed by the contract or the admin authority.
  */
 function calculateFlagsByte() {
-    let flags = 0;
-    
-    // Bit 5 (32): Owner-only swaps (settable at creation)
-    if (document.getElementById('flag-owner-only-swaps').checked) {
-        flags |= 32;
-    }
-    
-    // Bit 6 (64): Exact exchange required (settable at creation)
-    if (document.getElementById('flag-exact-exchange').checked) {
-        flags |= 64;
-    }
-    
-    // Note: Other flags (bits 0-4) are managed by the system or admin authority:
-    // - Bit 0 (1): One-to-many ratio (automatically set by contract based on ratio analysis)
-    // - Bit 1 (2): Liquidity paused (set by admin after creation)
-    // - Bit 2 (4): Swaps paused (set by admin after creation)
-    // - Bit 3 (8): Withdrawal protection (set by admin after creation)
-    // - Bit 4 (16): Single LP token mode (reserved for future use)
-    
-    return flags;
+    return PoolFlags.encodePoolFlags(getSelectedFlags().map(flag => flag.key));
 }
 
 /**
@@ -1415,9 +1377,11 @@ function resetPoolCreation() {
     
     document.getElementById('ratio-input').value = '1';
     
-    // Reset valid flag checkboxes (only bits 5 and 6 are settable at creation)
-    document.getElementById('flag-owner-only-swaps').checked = false;
-    document.getElementById('flag-exact-exchange').checked = false;
+    // Reset valid flag checkboxes (only creation flags are settable at creation)
+    PoolFlags.getPoolFlagsSetBy('creation').forEach(flag => {
+        const checkbox = document.getElementById(flag.creationCheckboxId);
+        if (checkbox) checkbox.checked = false;
+    });
     
     updatePoolCreationDisplay();
 }
@@ -1492,72 +1456,6 @@ async function createPool() {
     }
 }
 
-/**
- * Confirm transaction with extended timeout and progress updates
- */
-async function confirmTransactionWithProgress(signature, commitment = 'confirmed') {
-    const maxRetries = 60; // 60 attempts = up to 2 minutes
-    const retryDelay = 2000; // 2 seconds between checks
-    let attempts = 0;
-    
-    while (attempts < maxRetries) {
-        try {
-            const confirmation = await connection.confirmTransaction(signature, commitment);
-            
-            if (confirmation.value) {
-                console.log('✅ Transaction confirmed after', attempts + 1, 'attempts');
-                showStatus('success', `Transaction confirmed! Processing completed.`);
-                return confirmation;
-            }
-        } catch (error) {
-            // If it's a timeout error, continue retrying
-            if (error.message.includes('was not confirmed') || error.message.includes('timeout')) {
-                attempts++;
-                const timeElapsed = (attempts * retryDelay) / 1000;
-                console.log(`⏳ Still waiting for confirmation... (${timeElapsed}s elapsed)`);
-                showStatus('info', `⏳ Transaction processing... ${timeElapsed}s elapsed (will wait up to 2 minutes)`);
-                
-                // Wait before next attempt
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
-                continue;
-            } else {
-                // For other errors, throw immediately
-                throw error;
-            }
-        }
-        
-        attempts++;
-        const timeElapsed = (attempts * retryDelay) / 1000;
-        
-        // Check transaction status manually
-        try {
-            const status = await connection.getSignatureStatus(signature);
-            if (status && status.value) {
-                if (status.value.err) {
-                    throw new Error('Transaction failed: ' + JSON.stringify(status.value.err));
-                }
-                if (status.value.confirmationStatus === commitment || 
-                    status.value.confirmationStatus === 'finalized') {
-                    console.log('✅ Transaction confirmed via status check');
-                    showStatus('success', `Transaction confirmed! Processing completed.`);
-                    return { value: status.value };
-                }
-            }
-        } catch (statusError) {
-            console.log('ℹ️ Could not check transaction status:', statusError.message);
-        }
-        
-        console.log(`⏳ Still waiting for confirmation... (${timeElapsed}s elapsed)`);
-        showStatus('info', `⏳ Transaction processing... ${timeElapsed}s elapsed (will wait up to 2 minutes)`);
-        
-        // Wait before next attempt
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-    }
-    
-    // If we get here, we've exhausted all retries
-    throw new Error(`Transaction was not confirmed after ${(maxRetries * retryDelay) / 1000} seconds. Check signature ${signature} manually using Solana Explorer.`);
-}
-
 /**
  * Create pool transaction
  */
@@ -1565,6 +1463,10 @@ async function createPoolTransaction(tokenA, tokenB, ratio) {
     const maxRetries = 3;
     let lastError;
     
+    // Encode with the interface of the deployed program version (program-interface.js);
+    // an unknown version throws before anything is signed (and is not worth retrying)
+    await window.FRTProgramInterface.loadProgramInterface(connection, CONFIG.programId, wallet.publicKey);
+    
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
             console.log(`🏊‍♂️ Creating real pool transaction (attempt ${attempt}/${maxRetries})...`);
@@ -1836,20 +1738,17 @@ async function createPoolTransaction(tokenA, tokenB, ratio) {
         }
         
         // ✅ InitializePool instruction data: discriminator + ratios + flags (u8)
-        // Discriminator: InitializePool=1 (single byte)
-        const discriminator = new Uint8Array([1]);
-        const ratioAInstructionBytes = new Uint8Array(new BigUint64Array([BigInt(finalRatioABasisPoints)]).buffer);
-        const ratioBInstructionBytes = new Uint8Array(new BigUint64Array([BigInt(finalRatioBBasisPoints)]).buffer);
-        const flags = calculateFlagsByte();
-        const flagsByte = new Uint8Array([flags]);
-        
         // Exact 18-byte format: [1-byte discriminator] + [8-byte ratio A] + [8-byte ratio B] + [1-byte flags]
-        const instructionData = concatUint8Arrays([
-            discriminator,
-            ratioAInstructionBytes,
-            ratioBInstructionBytes,
-            flagsByte
-        ]);
+        const flags = calculateFlagsByte();
+        const instructionData = window.FRTInstructions.encodeInstructionData('InitializePool', {
+            ratio_a_numerator: BigInt(finalRatioABasisPoints),
+            ratio_b_denominator: BigInt(finalRatioBBasisPoints),
+            flags: flags
+        });
+        const discriminator = instructionData.slice(0, 1);
+        const ratioAInstructionBytes = instructionData.slice(1, 9);
+        const ratioBInstructionBytes = instructionData.slice(9, 17);
+        const flagsByte = instructionData.slice(17, 18);
         
         console.log('🔍 BASIS POINTS INSTRUCTION DATA for InitializePool:');
         console.log('  Discriminator: [1] (single byte)');
@@ -1910,21 +1809,18 @@ async function createPoolTransaction(tokenA, tokenB, ratio) {
         
         // ✅ CORRECTED: Account structure matches API documentation exactly
         // 13 accounts total, matching the exact order from A_FIXED_RATIO_TRADING_API.md
-        const accountKeys = [
-            { pubkey: wallet.publicKey, isSigner: true, isWritable: true },            // 0: User Authority Signer (writable for fee transfer)
-            { pubkey: solanaWeb3.SystemProgram.programId, isSigner: false, isWritable: false }, // 1: System Program
-            { pubkey: systemStatePDA[0], isSigner: false, isWritable: false },        // 2: System State PDA
-            { pubkey: poolStatePDA[0], isSigner: false, isWritable: true },           // 3: Pool State PDA (writable)
-            { pubkey: new solanaWeb3.PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'), isSigner: false, isWritable: false },   // 4: SPL Token Program
-            { pubkey: mainTreasuryPDA[0], isSigner: false, isWritable: true },        // 5: Main Treasury PDA (writable)
-            { pubkey: solanaWeb3.SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },      // 6: Rent Sysvar
-            { pubkey: tokenAMint, isSigner: false, isWritable: false },         // 7: Token A Mint Account (readable)
-            { pubkey: tokenBMint, isSigner: false, isWritable: false },            // 8: Token B Mint Account (readable)
-            { pubkey: tokenAVaultPDA[0], isSigner: false, isWritable: true },         // 9: Token A Vault PDA (writable)
-            { pubkey: tokenBVaultPDA[0], isSigner: false, isWritable: true },         // 10: Token B Vault PDA (writable)
-            { pubkey: lpTokenAMintPDA[0], isSigner: false, isWritable: true },        // 11: LP Token A Mint PDA (writable)
-            { pubkey: lpTokenBMintPDA[0], isSigner: false, isWritable: true }         // 12: LP Token B Mint PDA (writable)
-        ];
+        const accountKeys = window.FRTInstructions.buildAccountMetas('InitializePool', {
+            user: wallet.publicKey,          // writable for fee transfer
+            systemState: systemStatePDA[0],
+            poolState: poolStatePDA[0],
+            mainTreasury: mainTreasuryPDA[0],
+            tokenAMint: tokenAMint,
+            tokenBMint: tokenBMint,
+            tokenAVault: tokenAVaultPDA[0],
+            tokenBVault: tokenBVaultPDA[0],
+            lpTokenAMint: lpTokenAMintPDA[0],
+            lpTokenBMint: lpTokenBMintPDA[0]
+        });
         
         // Validate all account keys have proper structure
         accountKeys.forEach((account, index) => {
@@ -1991,62 +1887,47 @@ async function createPoolTransaction(tokenA, tokenB, ratio) {
             data: instructionData
         });
         
-        // Create compute budget instruction for pool creation
-        console.log(`🎯 Setting compute budget: ${poolCreateComputeUnits.toLocaleString()} CUs`);
-        
-        // Verify ComputeBudgetProgram is available
-        if (!solanaWeb3.ComputeBudgetProgram) {
-            console.error('❌ ComputeBudgetProgram not available in solanaWeb3!');
-            throw new Error('ComputeBudgetProgram not available');
-        }
-        
-        const computeBudgetInstruction = solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({
-            units: poolCreateComputeUnits
-        });
-        
-        // Debug the compute budget instruction
-        console.log('🔍 Compute Budget Instruction:', {
-            programId: computeBudgetInstruction.programId.toString(),
-            data: Array.from(computeBudgetInstruction.data),
-            dataHex: computeBudgetInstruction.data.toString('hex'),
-            keys: computeBudgetInstruction.keys.length
-        });
-        
-        // Create transaction with compute budget and pool creation instruction
-        const transaction = new solanaWeb3.Transaction()
-            .add(computeBudgetInstruction)
-            .add(createPoolInstruction);
-        
-        console.log(`✅ Added compute budget instruction: ${poolCreateComputeUnits.toLocaleString()} CUs`);
-        console.log('📋 Transaction has', transaction.instructions.length, 'instructions');
+        // Compute budget, priority fee and transaction version come from FRTTransactions.buildTransaction;
+        // poolCreateComputeUnits is the fallback limit when simulation is unavailable
+        console.log(`🎯 Fallback compute budget: ${poolCreateComputeUnits.toLocaleString()} CUs`);
         
         // ✅ SECURITY FIX: No longer need to sign with LP token mint keypairs
         // LP token mints are now PDAs controlled by the smart contract
         console.log('🔒 SECURITY: LP token mints are now PDAs controlled by the smart contract');
         console.log('   This prevents users from creating fake LP tokens to drain pools');
 
-        // Get fresh blockhash right before simulating/sending
-        console.log('🔄 Getting fresh blockhash...');
+        // Build with a fresh blockhash right before simulating/sending (or on a durable nonce, which never expires)
+        const nonceAccount = document.getElementById('pool-nonce-account')?.value.trim() || null;
+        console.log(nonceAccount ? `🔄 Building transaction on durable nonce ${nonceAccount}...` : '🔄 Building transaction with fresh blockhash...');
         const startTime = Date.now();
-        const { blockhash: freshBlockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+        const built = await window.FRTTransactions.buildTransaction(connection, {
+            payer: wallet.publicKey,
+            instructions: [createPoolInstruction],
+            computeUnits: poolCreateComputeUnits,
+            nonce: nonceAccount ? { nonceAccount } : null
+        });
+        if (built.nonce && built.nonce.authority !== wallet.publicKey.toString()) {
+            throw new Error(`The nonce authority is ${built.nonce.authority} - only the connected wallet can sign for the nonce`);
+        }
+        const { transaction, blockhash: freshBlockhash, lastValidBlockHeight, computeUnitLimit } = built;
         const blockhashTime = Date.now();
-        console.log(`📅 Fresh blockhash: ${freshBlockhash.slice(0, 8)}... (valid until block ${lastValidBlockHeight})`);
-        console.log(`⏰ Blockhash fetch time: ${blockhashTime - startTime}ms`);
-
-        transaction.recentBlockhash = freshBlockhash;
-        transaction.feePayer = wallet.publicKey;
+        console.log(built.nonce
+            ? `📅 Durable nonce: ${freshBlockhash.slice(0, 8)}... (valid until the nonce is advanced)`
+            : `📅 Fresh blockhash: ${freshBlockhash.slice(0, 8)}... (valid until block ${lastValidBlockHeight})`);
+        console.log(`⏰ Build time: ${blockhashTime - startTime}ms`);
 
         // Pre-simulate to surface CU and logic errors before wallet signing
         let simulation;
         try {
             console.log('🧪 Simulating pool creation transaction...');
             console.log('🔍 Transaction details:', {
-                numInstructions: transaction.instructions.length,
-                computeUnits: poolCreateComputeUnits,
-                feePayer: transaction.feePayer?.toString()
+                version: built.version,
+                computeUnits: computeUnitLimit,
+                priorityFeeMicroLamports: built.priorityFeeMicroLamports,
+                feePayer: wallet.publicKey.toString()
             });
             
-            simulation = await connection.simulateTransaction(transaction);
+            simulation = await window.FRTTransactions.simulateTransaction(connection, transaction, { replaceRecentBlockhash: false });
             console.log('📊 Simulation result:', simulation);
             console.log('📊 Simulation logs exist?', !!simulation.value.logs);
             console.log('📊 Number of logs:', simulation.value.logs?.length || 0);
@@ -2062,7 +1943,7 @@ async function createPoolTransaction(tokenA, tokenB, ratio) {
                 }
                 
                 // Pass logs from the right location
-                const cuHint = getComputeUnitErrorMessage(simulation.value.err, simulation.value.logs, poolCreateComputeUnits);
+                const cuHint = getComputeUnitErrorMessage(simulation.value.err, simulation.value.logs, computeUnitLimit);
                 const baseMsg = `Simulation failed: ${JSON.stringify(simulation.value.err)}`;
                 throw new Error(cuHint ? `${baseMsg}. ${cuHint}` : baseMsg);
             }
@@ -2072,7 +1953,7 @@ async function createPoolTransaction(tokenA, tokenB, ratio) {
         } catch (simError) {
             console.error('❌ Simulation error:', simError);
             // Handle the error like liquidity.js does
-            const cuHint = getComputeUnitErrorMessage(simError?.message || JSON.stringify(simError), simulation?.value?.logs, poolCreateComputeUnits);
+            const cuHint = getComputeUnitErrorMessage(simError?.message || JSON.stringify(simError), simulation?.value?.logs, computeUnitLimit);
             if (cuHint) {
                 throw new Error(`${simError.message || 'Simulation failed'}. ${cuHint}`);
             }
@@ -2081,38 +1962,17 @@ async function createPoolTransaction(tokenA, tokenB, ratio) {
         
         console.log('📝 Requesting wallet signature...');
 
-        // Request signature from wallet, then send
-        const signedTx = await wallet.signTransaction(transaction);
-        const signature = await connection.sendRawTransaction(signedTx.serialize());
-        const sentTime = Date.now();
-        console.log('✅ Pool creation transaction sent:', signature);
-        console.log(`⚡ Total time from blockhash to send: ${sentTime - blockhashTime}ms`);
-        
-        // Wait for confirmation with retry logic for blockhash expiration
-        console.log('⏳ Waiting for transaction confirmation...');
-        let confirmation;
-        try {
-            confirmation = await connection.confirmTransaction({
-                signature: signature,
-                blockhash: freshBlockhash,
-                lastValidBlockHeight: lastValidBlockHeight
-            }, 'confirmed');
-        } catch (confirmError) {
-            console.log('⚠️ Confirmation with blockhash failed:', confirmError.message);
-            console.log(`🕐 Time elapsed since blockhash: ${Date.now() - blockhashTime}ms`);
-            console.log('🔄 Trying confirmation without blockhash...');
-            
-            try {
-                confirmation = await connection.confirmTransaction(signature, 'confirmed');
-            } catch (retryError) {
-                console.log('❌ Confirmation retry also failed:', retryError.message);
-                throw retryError;
-            }
-        }
-        
-        if (confirmation.value.err) {
-            throw new Error(`Pool creation failed: ${JSON.stringify(confirmation.value.err)}`);
-        }
+        // Sign, send, rebroadcast until the blockhash expires, and confirm
+        const { signature } = await window.TransactionLifecycle.send(connection, {
+            transaction,
+            lastValidBlockHeight,
+            nonceAccount: built.nonce ? built.nonce.address : null,
+            label: 'Pool creation',
+            sign: tx => wallet.signTransaction(tx),
+            onProgress: window.TransactionLifecycle.reportTo(showStatus)
+        });
+        console.log('✅ Pool creation transaction confirmed:', signature);
+        console.log(`⚡ Total time from blockhash to confirmation: ${Date.now() - blockhashTime}ms`);
         
         console.log('✅ Pool created successfully!');
         console.log('Pool details:', {
@@ -2157,8 +2017,8 @@ async function createPoolTransaction(tokenA, tokenB, ratio) {
                 throw error;
             }
             
-            // Check if it's a blockhash error and we should retry
-            if (error.message && error.message.includes('Blockhash not found') && attempt < maxRetries) {
+            // Check if it's a blockhash error (or the blockhash expired before confirmation) and we should retry
+            if (error.message && (error.expired || error.message.includes('Blockhash not found')) && attempt < maxRetries) {
                 console.log(`🔄 Blockhash expired, retrying in 2 seconds... (attempt ${attempt}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, 2000));
                 continue;
@@ -2252,7 +2112,7 @@ function buildUserFacingErrorMessage(error, currentComputeUnits) {
         return 'Transaction cancelled by user';
     }
     if (lower.includes('wallet not connected')) {
-        return 'Wallet not connected. Please connect your Backpack wallet.';
+        return 'Wallet not connected. Please connect your wallet.';
     }
 
     // Balance/SOL errors
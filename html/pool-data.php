@@ -4,10 +4,18 @@
  * 
  * Provides cached access to Solana pool state data with fallback to RPC
  * - Caches raw Solana RPC getAccountInfo responses
+ * - Every record carries the RPC context slot (top-level "slot") for client freshness checks
  * - 24-hour file-based cache with atomic writes
  * - Comprehensive validation and metrics logging
+ * - Records a liquidity/fee snapshot per pool on every fresh RPC fetch (history mode)
+ *   and for every pool on a fixed schedule: php pool-data.php --snapshot (cron)
+ * - Records the MainTreasuryState counters (swap count, ...) next to the pool snapshots
  * 
  * Usage: /pool-data.php?poolAddress=<base58_address>
+ *        /pool-data.php?pools=<address>,<address>,...   (batch, up to $MAX_BATCH_POOLS)
+ *        /pool-data.php?all=1                           (batch, every pool of the program)
+ *        /pool-data.php?history=<address>               (recorded snapshots, oldest first)
+ *        /pool-data.php?history=treasury                (recorded treasury counters, oldest first)
  */
 
 header('Access-Control-Allow-Origin: *');
@@ -23,8 +31,14 @@ $METRICS_FILE = $CACHE_DIR . '/metrics.log';
 $DEBUG_LOG_FILE = $CACHE_DIR . '/debug.log';
 $SCHEMA_VERSION = '1.0.0';
 $PROGRAM_ID = 'quXSYkeZ8ByTCtYY1J1uxQmE36UZ3LmNGgE3CYMFixD'; // FRT Program ID
+$MAIN_TREASURY_ADDRESS = '4LwioejiK9ML57kqm6K7b4FHtPAGz88to3b9j1cPiEeN'; // PDA ['main_treasury'] of $PROGRAM_ID (html/pda.js)
 $RPC_TIMEOUT = 15; // seconds
 $LOCK_TIMEOUT = 30; // Maximum time to wait for lock in seconds
+$MAX_BATCH_POOLS = 100; // getMultipleAccounts limit per call
+$BATCH_LOCK_TIMEOUT = 2; // seconds to wait for each pool lock in batch mode (busy pools are served from cache)
+$POOL_INDEX_DURATION = 2 * 60; // seconds the ?all=1 pool list is reused (a new pool also drops it)
+$HISTORY_MIN_INTERVAL = 60; // seconds between recorded snapshots of one pool
+$HISTORY_MAX_SNAPSHOTS = 2000; // oldest snapshots are dropped beyond this
 
 // Request-scoped ID for tracing
 try {
@@ -335,6 +349,17 @@ function tryRpcEndpoint($poolAddress, $rpcUrl, $startTime) {
     ];
 }
 
+/**
+ * Context slot of an RPC response (null if the node did not report one)
+ * Clients compare sources by slot rather than by generated_at.
+ */
+function contextSlot($rpcResponse) {
+    if (isset($rpcResponse['context']['slot']) && is_numeric($rpcResponse['context']['slot'])) {
+        return (int)$rpcResponse['context']['slot'];
+    }
+    return null;
+}
+
 /**
  * Save pool data to cache with atomic write
  */
@@ -348,6 +373,7 @@ function saveToCache($poolAddress, $rpcResponse, $parsedPoolData = null) {
     $cacheData = [
         'schema_version' => $SCHEMA_VERSION,
         'generated_at' => gmdate('c'), // Use UTC timestamp
+        'slot' => contextSlot($rpcResponse),
         'pool_address' => $poolAddress,
         'rpc_response' => $rpcResponse
     ];
@@ -373,9 +399,162 @@ function saveToCache($poolAddress, $rpcResponse, $parsedPoolData = null) {
     @chmod($cacheFile, 0644);
     
     logMetrics($poolAddress, 'cache_write', null, strlen($jsonData));
+    if (recordHistorySnapshot($poolAddress, $rpcResponse, $parsedPoolData)) {
+        recordTreasurySnapshot();
+    }
     return true;
 }
 
+// ========================================
+// HISTORY MODE
+// ========================================
+
+/**
+ * History file of a pool (kept next to the pool data cache)
+ */
+function historyFile($poolAddress) {
+    global $CACHE_DIR;
+    return $CACHE_DIR . '/history/' . sanitizeFilename($poolAddress) . '.json';
+}
+
+/**
+ * Load recorded snapshots of a pool, oldest first
+ */
+function loadHistory($poolAddress) {
+    $jsonData = @file_get_contents(historyFile($poolAddress));
+    if ($jsonData === false) {
+        return [];
+    }
+    $history = json_decode($jsonData, true);
+    return isset($history['snapshots']) && is_array($history['snapshots']) ? $history['snapshots'] : [];
+}
+
+/**
+ * Append a liquidity/fee snapshot of a freshly fetched pool (best-effort)
+ */
+function recordHistorySnapshot($poolAddress, $rpcResponse, $parsedPoolData = null) {
+    if ($parsedPoolData === null) {
+        if (!isset($rpcResponse['value']['data'][0])) {
+            return false;
+        }
+        $binaryData = base64_decode($rpcResponse['value']['data'][0]);
+        if ($binaryData === false || strlen($binaryData) < 300) { // not a pool state account
+            return false;
+        }
+        try {
+            $parsedPoolData = parsePoolState($binaryData);
+        } catch (Exception $e) {
+            return false;
+        }
+    }
+    
+    return appendHistorySnapshot($poolAddress, contextSlot($rpcResponse), [
+        'total_token_a_liquidity' => $parsedPoolData['total_token_a_liquidity'],
+        'total_token_b_liquidity' => $parsedPoolData['total_token_b_liquidity'],
+        'collected_fees_token_a' => $parsedPoolData['collected_fees_token_a'],
+        'collected_fees_token_b' => $parsedPoolData['collected_fees_token_b'],
+        'collected_liquidity_fees' => $parsedPoolData['collected_liquidity_fees'],
+        'collected_swap_contract_fees' => $parsedPoolData['collected_swap_contract_fees'],
+        'total_sol_fees_collected' => $parsedPoolData['total_sol_fees_collected']
+    ]);
+}
+
+/**
+ * Append the MainTreasuryState counters (best-effort)
+ * The account only keeps running totals, so these snapshots are the program-wide series.
+ * Skips the RPC call while the last snapshot is younger than $HISTORY_MIN_INTERVAL.
+ */
+function recordTreasurySnapshot() {
+    global $MAIN_TREASURY_ADDRESS, $PROGRAM_ID, $HISTORY_MIN_INTERVAL;
+    
+    $snapshots = loadHistory($MAIN_TREASURY_ADDRESS);
+    $last = end($snapshots);
+    if ($last !== false && time() - strtotime($last['timestamp']) < $HISTORY_MIN_INTERVAL) {
+        return false;
+    }
+    
+    $result = rpcRequest('getAccountInfo', [
+        $MAIN_TREASURY_ADDRESS,
+        [
+            'encoding' => 'base64',
+            'commitment' => 'confirmed'
+        ]
+    ]);
+    if ($result === false || !isset($result['value']['data'][0]) || trim($result['value']['owner'] ?? '') !== trim($PROGRAM_ID)) {
+        logMetrics($MAIN_TREASURY_ADDRESS, 'treasury_fetch_failed', null, null, 'MainTreasuryState unavailable');
+        return false;
+    }
+    $counters = parseMainTreasuryCounters(base64_decode($result['value']['data'][0]));
+    if ($counters === null) {
+        logMetrics($MAIN_TREASURY_ADDRESS, 'treasury_parse_failed', null, null, 'Unexpected MainTreasuryState size');
+        return false;
+    }
+    
+    return appendHistorySnapshot($MAIN_TREASURY_ADDRESS, contextSlot($result), $counters);
+}
+
+/**
+ * Append one snapshot to a history file
+ * At most one snapshot per $HISTORY_MIN_INTERVAL and per slot. The read-modify-write runs
+ * under an exclusive flock on <history file>.lock, so concurrent requests never drop snapshots.
+ */
+function appendHistorySnapshot($address, $slot, $fields) {
+    global $SCHEMA_VERSION, $HISTORY_MIN_INTERVAL, $HISTORY_MAX_SNAPSHOTS;
+    
+    $historyFile = historyFile($address);
+    if (!file_exists(dirname($historyFile)) && !@mkdir(dirname($historyFile), 0755, true)) {
+        return false;
+    }
+    $lockHandle = @fopen($historyFile . '.lock', 'c');
+    if (!$lockHandle || !flock($lockHandle, LOCK_EX)) {
+        if ($lockHandle) {
+            fclose($lockHandle);
+        }
+        logMetrics($address, 'history_lock_failed', null, null, 'Failed to lock history file');
+        return false;
+    }
+    
+    try {
+        $snapshots = loadHistory($address);
+        $last = end($snapshots);
+        if ($last !== false) {
+            if ($slot !== null && $last['slot'] !== null && $slot <= $last['slot']) {
+                return false;
+            }
+            if (time() - strtotime($last['timestamp']) < $HISTORY_MIN_INTERVAL) {
+                return false;
+            }
+        }
+        
+        $snapshots[] = array_merge([
+            'slot' => $slot,
+            'timestamp' => gmdate('c')
+        ], $fields);
+        if (count($snapshots) > $HISTORY_MAX_SNAPSHOTS) {
+            $snapshots = array_slice($snapshots, -$HISTORY_MAX_SNAPSHOTS);
+        }
+        
+        $tempFile = $historyFile . '.tmp';
+        $jsonData = json_encode([
+            'schema_version' => $SCHEMA_VERSION,
+            'pool_address' => $address,
+            'snapshots' => $snapshots
+        ]);
+        
+        // Atomic write: write to temp file, then rename
+        if (file_put_contents($tempFile, $jsonData) === false || !@rename($tempFile, $historyFile)) {
+            @unlink($tempFile);
+            logMetrics($address, 'history_write_failed', null, null, 'Failed to write history file');
+            return false;
+        }
+        @chmod($historyFile, 0644);
+        return true;
+    } finally {
+        flock($lockHandle, LOCK_UN);
+        fclose($lockHandle);
+    }
+}
+
 /**
  * Update existing cache file with parsed_pool_data (best-effort)
  */
@@ -415,7 +594,7 @@ function updateCacheWithParsedData($poolAddress, $parsedPoolData) {
 /**
  * Load pool data from cache
  */
-function loadFromCache($poolAddress) {
+function loadFromCache($poolAddress, $allowExpired = false) {
     global $CACHE_DIR, $CACHE_DURATION, $SCHEMA_VERSION;
     
     $filename = sanitizeFilename($poolAddress);
@@ -427,7 +606,7 @@ function loadFromCache($poolAddress) {
     
     // Check if cache is expired
     $fileAge = time() - filemtime($cacheFile);
-    if ($fileAge > $CACHE_DURATION) {
+    if ($fileAge > $CACHE_DURATION && !$allowExpired) {
         logMetrics($poolAddress, 'cache_expired', null, filesize($cacheFile));
         return false;
     }
@@ -450,6 +629,11 @@ function loadFromCache($poolAddress) {
         return false;
     }
     
+    // Files written before the slot field was added
+    if (!array_key_exists('slot', $cacheData)) {
+        $cacheData['slot'] = contextSlot($cacheData['rpc_response'] ?? null);
+    }
+    
     logMetrics($poolAddress, 'cache_hit', null, strlen($jsonData));
     return $cacheData;
 }
@@ -584,6 +768,41 @@ function parsePoolState($binaryData) {
     ];
 }
 
+/**
+ * Parse the counters of a MainTreasuryState account (null when it is not one)
+ * The counters lead both layouts (136 bytes, and 120 bytes before donations; ACCOUNT_LAYOUTS
+ * in data-service.js). u64 values are read like parsePoolState (float beyond 2^53).
+ */
+function parseMainTreasuryCounters($binaryData) {
+    if ($binaryData === false || !in_array(strlen($binaryData), [136, 120], true)) {
+        return null;
+    }
+    
+    $fields = [
+        'total_balance',
+        'rent_exempt_minimum',
+        'total_withdrawn',
+        'pool_creation_count',
+        'liquidity_operation_count',
+        'regular_swap_count',
+        'treasury_withdrawal_count',
+        'failed_operation_count',
+        'total_pool_creation_fees',
+        'total_liquidity_fees',
+        'total_regular_swap_fees',
+        'total_swap_contract_fees'
+    ];
+    $counters = [];
+    foreach ($fields as $index => $field) {
+        $value = 0;
+        for ($i = 0; $i < 8; $i++) {
+            $value += ord($binaryData[$index * 8 + $i]) * pow(256, $i);
+        }
+        $counters[$field] = $value;
+    }
+    return $counters;
+}
+
 /**
  * Base58 encode function with GMP and BCMath fallback
  */
@@ -761,12 +980,434 @@ function fetchTokenMetadata($mintAddress, $rpcUrl) {
     ];
 }
 
+// ========================================
+// BATCH MODE
+// ========================================
+
+/**
+ * Call an RPC method, trying the primary endpoint then the fallbacks
+ * Returns the JSON-RPC `result`, or false if every endpoint failed
+ */
+function rpcRequest($method, $params) {
+    global $RPC_URL, $FALLBACK_RPC_URLS, $RPC_TIMEOUT;
+    
+    $payload = json_encode([
+        'jsonrpc' => '2.0',
+        'id' => 1,
+        'method' => $method,
+        'params' => $params
+    ]);
+    
+    foreach (array_merge([$RPC_URL], $FALLBACK_RPC_URLS) as $rpcUrl) {
+        $startTime = microtime(true);
+        $context = stream_context_create([
+            'http' => [
+                'method' => 'POST',
+                'header' => [
+                    'Content-Type: application/json',
+                    'User-Agent: FRT-PoolCache/1.0'
+                ],
+                'content' => $payload,
+                'timeout' => $RPC_TIMEOUT
+            ]
+        ]);
+        
+        $response = @file_get_contents($rpcUrl, false, $context);
+        $responseTime = (microtime(true) - $startTime) * 1000;
+        $data = $response === false ? null : json_decode($response, true);
+        
+        if ($data && isset($data['result'])) {
+            logMetrics($method, 'rpc_batch_fetch', $responseTime, strlen($response));
+            return $data['result'];
+        }
+        
+        $error = $response === false ? 'Network error' : ($data['error']['message'] ?? 'Invalid JSON response');
+        logMetrics($method, 'rpc_endpoint_failed', $responseTime, null, "Failed: $rpcUrl ($error)");
+    }
+    
+    return false;
+}
+
+/**
+ * Check that an account is a pool owned by the program (same rules as tryRpcEndpoint)
+ */
+function isProgramPoolAccount($accountInfo) {
+    global $PROGRAM_ID;
+    
+    if (!$accountInfo || trim($accountInfo['owner'] ?? '') !== trim($PROGRAM_ID)) {
+        return false;
+    }
+    return isset($accountInfo['data'][0]) && strlen($accountInfo['data'][0]) >= 100;
+}
+
+/**
+ * Fetch many pools with getMultipleAccounts (chunked)
+ * Returns [address => rpcResponse|null] (null = missing or not a pool), or false if RPC failed
+ */
+function fetchMultiplePoolsFromRPC($addresses) {
+    global $MAX_BATCH_POOLS;
+    
+    $results = [];
+    foreach (array_chunk($addresses, $MAX_BATCH_POOLS) as $chunk) {
+        $result = rpcRequest('getMultipleAccounts', [
+            $chunk,
+            [
+                'encoding' => 'base64',
+                'commitment' => 'confirmed'
+            ]
+        ]);
+        if ($result === false || !isset($result['value'])) {
+            return false;
+        }
+        foreach ($chunk as $index => $address) {
+            $accountInfo = $result['value'][$index] ?? null;
+            $results[$address] = isProgramPoolAccount($accountInfo)
+                ? ['context' => $result['context'], 'value' => $accountInfo]
+                : null;
+        }
+    }
+    return $results;
+}
+
+/**
+ * Fetch every pool of the program with getProgramAccounts
+ * Returns [address => rpcResponse], or false if RPC failed
+ */
+function fetchAllProgramPoolsFromRPC() {
+    global $PROGRAM_ID;
+    
+    $result = rpcRequest('getProgramAccounts', [
+        $PROGRAM_ID,
+        [
+            'encoding' => 'base64',
+            'commitment' => 'confirmed',
+            'withContext' => true
+        ]
+    ]);
+    if ($result === false || !isset($result['value'])) {
+        return false;
+    }
+    
+    $pools = [];
+    foreach ($result['value'] as $keyedAccount) {
+        $accountInfo = $keyedAccount['account'];
+        // Pool states are larger than the treasury/system state accounts
+        if (!isProgramPoolAccount($accountInfo) || strlen(base64_decode($accountInfo['data'][0])) <= 300) {
+            continue;
+        }
+        $pools[$keyedAccount['pubkey']] = ['context' => $result['context'], 'value' => $accountInfo];
+    }
+    return $pools;
+}
+
+/**
+ * Cached list of the program's pool addresses
+ * Kept for $POOL_INDEX_DURATION only - pools created since are listed on the next ?all=1 after that.
+ */
+function loadProgramPoolIndex() {
+    global $CACHE_DIR, $POOL_INDEX_DURATION;
+    
+    $indexFile = $CACHE_DIR . '/program_pools.json';
+    if (!file_exists($indexFile) || time() - filemtime($indexFile) > $POOL_INDEX_DURATION) {
+        return false;
+    }
+    $index = json_decode(@file_get_contents($indexFile), true);
+    return isset($index['pools']) && is_array($index['pools']) ? $index['pools'] : false;
+}
+
+/**
+ * Drop the pool index when a pool it does not list was fetched (a newly created pool),
+ * so the next ?all=1 lists the program's pools again instead of waiting for the TTL
+ */
+function invalidateProgramPoolIndexFor($poolAddress) {
+    global $CACHE_DIR;
+    
+    $indexFile = $CACHE_DIR . '/program_pools.json';
+    if (!file_exists($indexFile)) {
+        return;
+    }
+    $index = json_decode(@file_get_contents($indexFile), true);
+    if (isset($index['pools']) && is_array($index['pools']) && in_array($poolAddress, $index['pools'], true)) {
+        return;
+    }
+    @unlink($indexFile);
+    logMetrics($poolAddress, 'pool_index_invalidated', null, null, 'Pool not in program pool index');
+}
+
+/**
+ * Write a fetched pool to the cache under the single-pool path's lock
+ * A busy lock means another request is writing a fresh copy, so this write is skipped.
+ */
+function saveToCacheLocked($poolAddress, $rpcResponse) {
+    global $BATCH_LOCK_TIMEOUT;
+    
+    $lockHandle = acquireLock($poolAddress, $BATCH_LOCK_TIMEOUT);
+    if (!$lockHandle) {
+        return false;
+    }
+    try {
+        return saveToCache($poolAddress, $rpcResponse);
+    } finally {
+        releaseLock($lockHandle, $poolAddress);
+    }
+}
+
+function saveProgramPoolIndex($addresses) {
+    global $CACHE_DIR;
+    
+    $indexFile = $CACHE_DIR . '/program_pools.json';
+    $tempFile = $indexFile . '.tmp';
+    $json = json_encode(['generated_at' => gmdate('c'), 'pools' => array_values($addresses)], JSON_PRETTY_PRINT);
+    if (file_put_contents($tempFile, $json, LOCK_EX) === false || !rename($tempFile, $indexFile)) {
+        @unlink($tempFile);
+        return false;
+    }
+    @chmod($indexFile, 0644);
+    return true;
+}
+
+/**
+ * Cache record shape for a freshly fetched response (used even if the cache write fails)
+ */
+function freshCacheData($rpcResponse) {
+    return [
+        'generated_at' => gmdate('c'),
+        'slot' => contextSlot($rpcResponse),
+        'rpc_response' => $rpcResponse
+    ];
+}
+
+/**
+ * One entry of the batch response
+ */
+function batchEntry($poolAddress, $cacheData, $cacheStatus) {
+    if ($cacheData === false || $cacheData === null) {
+        return [
+            'pool_address' => $poolAddress,
+            'slot' => null,
+            'generated_at' => null,
+            'age_seconds' => null,
+            'cache_status' => $cacheStatus,
+            'account' => null
+        ];
+    }
+    return [
+        'pool_address' => $poolAddress,
+        'slot' => $cacheData['slot'] ?? contextSlot($cacheData['rpc_response']),
+        'generated_at' => $cacheData['generated_at'],
+        'age_seconds' => max(0, time() - strtotime($cacheData['generated_at'])),
+        'cache_status' => $cacheStatus,
+        'account' => $cacheData['rpc_response']['value']
+    ];
+}
+
+/**
+ * Serve many pools in one getMultipleAccounts-style response
+ * Cached files are served as-is; missing/expired ones are fetched together and written back
+ * while holding their per-pool locks (as the single-pool path does).
+ *
+ * @param array|null $addresses Pool addresses, or null for every pool of the program
+ */
+function handleBatchRequest($addresses, $refreshRequested) {
+    global $SCHEMA_VERSION, $PROGRAM_ID, $REQUEST_ID, $startTime, $BATCH_LOCK_TIMEOUT;
+    
+    $fetched = [];
+    if ($addresses === null) {
+        $addresses = loadProgramPoolIndex();
+        if ($addresses === false) {
+            $fetched = fetchAllProgramPoolsFromRPC();
+            if ($fetched === false) {
+                http_response_code(504);
+                echo json_encode(['error' => 'Failed to list program pools from Solana RPC']);
+                debugLog('batch_list_failed');
+                exit;
+            }
+            $addresses = array_keys($fetched);
+            saveProgramPoolIndex($addresses);
+            foreach ($fetched as $poolAddress => $rpcResponse) {
+                saveToCacheLocked($poolAddress, $rpcResponse);
+            }
+        }
+    }
+    
+    $entries = [];
+    $toFetch = [];
+    foreach ($addresses as $poolAddress) {
+        if (isset($fetched[$poolAddress])) {
+            $entries[$poolAddress] = batchEntry($poolAddress, freshCacheData($fetched[$poolAddress]), 'miss');
+            continue;
+        }
+        $cachedData = loadFromCache($poolAddress);
+        if ($cachedData !== false && !needsRefresh($poolAddress, $refreshRequested)) {
+            $entries[$poolAddress] = batchEntry($poolAddress, $cachedData, 'hit');
+        } else {
+            $toFetch[] = $poolAddress;
+        }
+    }
+    
+    // Same per-pool lock as the single-pool path, taken in address order so batches never livelock
+    $locks = [];
+    $lockOrder = $toFetch;
+    sort($lockOrder);
+    try {
+        foreach ($lockOrder as $poolAddress) {
+            $lockHandle = acquireLock($poolAddress, $BATCH_LOCK_TIMEOUT);
+            if (!$lockHandle) {
+                $cachedData = loadFromCache($poolAddress, true);
+                $entries[$poolAddress] = batchEntry($poolAddress, $cachedData, $cachedData !== false ? 'hit-lock-failed' : 'lock-failed');
+                continue;
+            }
+            // Another request may have refreshed the pool while we waited for the lock
+            $cachedData = loadFromCache($poolAddress);
+            if ($cachedData !== false && !needsRefresh($poolAddress, $refreshRequested)) {
+                releaseLock($lockHandle, $poolAddress);
+                $entries[$poolAddress] = batchEntry($poolAddress, $cachedData, 'hit-after-lock');
+                continue;
+            }
+            $locks[$poolAddress] = $lockHandle;
+        }
+        
+        $locked = array_values(array_filter($toFetch, function ($poolAddress) use ($locks) {
+            return isset($locks[$poolAddress]);
+        }));
+        $rpcResults = empty($locked) ? [] : fetchMultiplePoolsFromRPC($locked);
+        foreach ($locked as $poolAddress) {
+            if ($rpcResults === false) {
+                // RPC down - serve whatever we have, however old
+                $entries[$poolAddress] = batchEntry($poolAddress, loadFromCache($poolAddress, true), 'stale-rpc-failed');
+            } elseif ($rpcResults[$poolAddress] === null) {
+                $entries[$poolAddress] = batchEntry($poolAddress, null, 'not-found');
+            } else {
+                saveToCache($poolAddress, $rpcResults[$poolAddress]);
+                invalidateProgramPoolIndexFor($poolAddress);
+                $entries[$poolAddress] = batchEntry($poolAddress, freshCacheData($rpcResults[$poolAddress]), $refreshRequested ? 'refreshed' : 'miss');
+            }
+        }
+    } finally {
+        foreach ($locks as $poolAddress => $lockHandle) {
+            releaseLock($lockHandle, $poolAddress);
+        }
+    }
+    
+    // Keep the order the client asked for
+    $value = [];
+    $highestSlot = null;
+    foreach ($addresses as $poolAddress) {
+        $entry = $entries[$poolAddress];
+        $value[] = $entry;
+        if ($entry['slot'] !== null && ($highestSlot === null || $entry['slot'] > $highestSlot)) {
+            $highestSlot = $entry['slot'];
+        }
+    }
+    
+    $responseData = [
+        'schema_version' => $SCHEMA_VERSION,
+        'generated_at' => gmdate('c'),
+        'program_id' => $PROGRAM_ID,
+        'context' => ['slot' => $highestSlot],
+        'value' => $value
+    ];
+    
+    header('Cache-Control: public, max-age=60');
+    header('X-Cache-Status: batch');
+    header('X-Batch-Count: ' . count($value));
+    header('X-Request-Id: ' . $REQUEST_ID);
+    
+    $json = json_encode($responseData);
+    logMetrics('batch', 'batch_complete', (microtime(true) - $startTime) * 1000, strlen($json));
+    debugLog('batch_complete', ['count' => count($value), 'fetched' => count($toFetch)]);
+    echo $json;
+}
+
 // Main execution starts here
 $startTime = microtime(true);
 
+// Scheduled history snapshots (cron): php pool-data.php --snapshot
+// Records every pool of the program, whether or not a page requested it since the last run
+if (PHP_SAPI === 'cli' && in_array('--snapshot', $argv ?? [], true)) {
+    $pools = fetchAllProgramPoolsFromRPC();
+    if ($pools === false) {
+        fwrite(STDERR, "Failed to list program pools from Solana RPC\n");
+        logMetrics('snapshot', 'snapshot_failed', null, null, 'getProgramAccounts failed');
+        exit(1);
+    }
+    $recorded = 0;
+    foreach ($pools as $address => $rpcResponse) {
+        if (recordHistorySnapshot($address, $rpcResponse)) {
+            $recorded++;
+        }
+    }
+    $treasuryRecorded = recordTreasurySnapshot();
+    logMetrics('snapshot', 'snapshot_complete', (microtime(true) - $startTime) * 1000, null);
+    echo json_encode(['pools' => count($pools), 'recorded' => $recorded, 'treasury_recorded' => $treasuryRecorded]) . "\n";
+    exit(0);
+}
+
 // Get and validate parameters
 $poolAddress = $_GET['poolAddress'] ?? '';
 $refreshRequested = isset($_GET['refresh']) && $_GET['refresh'] == '1';
+
+// History mode: ?history=<address> or ?history=treasury
+if (isset($_GET['history'])) {
+    $historyAddress = trim($_GET['history']);
+    if ($historyAddress === 'treasury') {
+        $historyAddress = $MAIN_TREASURY_ADDRESS;
+    }
+    if (!validatePoolAddress($historyAddress)) {
+        http_response_code(400);
+        logMetrics($historyAddress, 'invalid_address', null, null, 'Invalid format (history)');
+        echo json_encode([
+            'error' => 'Invalid pool address format',
+            'provided' => $historyAddress
+        ]);
+        exit;
+    }
+    $snapshots = loadHistory($historyAddress);
+    header('Cache-Control: public, max-age=60');
+    header('X-History-Count: ' . count($snapshots));
+    logMetrics($historyAddress, 'history_served', (microtime(true) - $startTime) * 1000, null);
+    echo json_encode([
+        'schema_version' => $SCHEMA_VERSION,
+        'generated_at' => gmdate('c'),
+        'pool_address' => $historyAddress,
+        'snapshots' => $snapshots
+    ]);
+    exit;
+}
+
+// Batch mode: ?pools=<a>,<b>,... or ?all=1
+if (isset($_GET['pools']) || (isset($_GET['all']) && $_GET['all'] == '1')) {
+    $batchAddresses = null;
+    if (isset($_GET['pools'])) {
+        $batchAddresses = array_values(array_unique(array_filter(array_map('trim', explode(',', $_GET['pools'])))));
+        if (empty($batchAddresses) || count($batchAddresses) > $MAX_BATCH_POOLS) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => "pools must list between 1 and $MAX_BATCH_POOLS addresses",
+                'usage' => 'pool-data.php?pools=<address>,<address>,... or pool-data.php?all=1'
+            ]);
+            exit;
+        }
+        foreach ($batchAddresses as $address) {
+            if (!validatePoolAddress($address)) {
+                http_response_code(400);
+                logMetrics($address, 'invalid_address', null, null, 'Invalid format (batch)');
+                echo json_encode([
+                    'error' => 'Invalid pool address format',
+                    'provided' => $address
+                ]);
+                exit;
+            }
+        }
+    }
+    debugLog('batch_request_received', [
+        'mode' => $batchAddresses === null ? 'all' : 'list',
+        'count' => $batchAddresses === null ? null : count($batchAddresses),
+        'refresh' => $refreshRequested
+    ]);
+    handleBatchRequest($batchAddresses, $refreshRequested);
+    exit;
+}
 debugLog('request_received', [
     'poolAddress_prefix' => substr($poolAddress, 0, 8) . '...',
     'refresh' => $refreshRequested,
@@ -841,6 +1482,7 @@ if ($cachedData !== false && !$shouldRefresh) {
     header('Cache-Control: public, max-age=60');
     header('X-Cache-Status: hit');
     header('X-Generated-At: ' . $cachedData['generated_at']);
+    header('X-Context-Slot: ' . ($cachedData['slot'] ?? ''));
     
         echo json_encode($cachedData);
         debugLog('served_cache', ['status' => 'hit', 'generated_at' => $cachedData['generated_at'] ?? null]);
@@ -861,6 +1503,7 @@ if ($shouldRefresh || $cachedData === false) {
             header('Cache-Control: public, max-age=60');
             header('X-Cache-Status: hit-lock-failed');
             header('X-Generated-At: ' . $cachedData['generated_at']);
+            header('X-Context-Slot: ' . ($cachedData['slot'] ?? ''));
             
             echo json_encode($cachedData);
             debugLog('served_cache', ['status' => 'hit-lock-failed', 'generated_at' => $cachedData['generated_at'] ?? null]);
@@ -886,6 +1529,7 @@ if ($shouldRefresh || $cachedData === false) {
         header('Cache-Control: public, max-age=60');
         header('X-Cache-Status: hit-after-lock');
         header('X-Generated-At: ' . $cachedData['generated_at']);
+        header('X-Context-Slot: ' . ($cachedData['slot'] ?? ''));
         
         echo json_encode($cachedData);
         debugLog('served_cache', ['status' => 'hit-after-lock', 'generated_at' => $cachedData['generated_at'] ?? null]);
@@ -913,6 +1557,7 @@ if ($rpcData === false) {
         header('Cache-Control: public, max-age=60');
         header('X-Cache-Status: stale-rpc-failed');
         header('X-Generated-At: ' . $cachedData['generated_at']);
+        header('X-Context-Slot: ' . ($cachedData['slot'] ?? ''));
         
         echo json_encode($cachedData);
         exit;
@@ -988,6 +1633,7 @@ try {
 
 // Save to cache including parsed data to speed future hits (best-effort)
 saveToCache($poolAddress, $rpcData, $parsedPoolData);
+invalidateProgramPoolIndexFor($poolAddress);
 debugLog('cache_saved');
 
 // Release lock after saving to cache
@@ -999,6 +1645,7 @@ if ($lockHandle) {
 $responseData = [
     'schema_version' => $SCHEMA_VERSION,
     'generated_at' => gmdate('c'), // Use UTC timestamp
+    'slot' => contextSlot($rpcData),
     'pool_address' => $poolAddress,
     'rpc_response' => $rpcData
 ];
@@ -1012,6 +1659,7 @@ if ($parsedPoolData !== null) {
 header('Cache-Control: public, max-age=60');
 header('X-Cache-Status: ' . ($shouldRefresh ? 'refreshed' : 'miss'));
 header('X-Generated-At: ' . $responseData['generated_at']);
+header('X-Context-Slot: ' . ($responseData['slot'] ?? ''));
 header('X-Request-Id: ' . $REQUEST_ID);
 
 $totalTime = (microtime(true) - $startTime) * 1000;
@@ -0,0 +1,265 @@
+/**
+ * Fixed Ratio Trading - Pool Flags Registry
+ * Single source of truth for the pool state `flags` byte (PoolState.flags on-chain)
+ *
+ * Every page decodes, encodes and displays flags through this registry, so adding a
+ * contract flag means adding one entry to POOL_FLAGS.
+ *
+ * setBy:
+ * - 'creation' - chosen by the pool creator in InitializePool (pool-creation.js checkboxes)
+ * - 'admin'    - toggled by the admin authority after creation (PausePool / UnpausePool)
+ * - 'system'   - set by the contract itself
+ *
+ * pauseFlag is the bit used by the PausePool/UnpausePool instruction argument, which is
+ * numbered differently from the pool state byte (1 = liquidity, 2 = swaps).
+ * No dependencies - safe to load on the render-first swap page.
+ */
+
+const POOL_FLAGS = [
+    {
+        key: 'oneToManyRatio',
+        stateKey: 'one_to_many_ratio',
+        bit: 0,
+        value: 1,
+        name: 'One-to-Many Ratio',
+        icon: '🎯',
+        color: '#3b82f6',
+        setBy: 'system',
+        description: 'One side of the ratio is exactly one whole token (set by the contract at creation)'
+    },
+    {
+        key: 'liquidityPaused',
+        stateKey: 'liquidity_paused',
+        bit: 1,
+        value: 2,
+        name: 'Liquidity Paused',
+        icon: '⏸️',
+        color: '#ef4444',
+        setBy: 'admin',
+        pauseFlag: 1,
+        description: 'Deposits and withdrawals are paused'
+    },
+    {
+        key: 'swapsPaused',
+        stateKey: 'swaps_paused',
+        bit: 2,
+        value: 4,
+        name: 'Swaps Paused',
+        icon: '🚫',
+        color: '#f59e0b',
+        setBy: 'admin',
+        pauseFlag: 2,
+        description: 'Swaps are paused'
+    },
+    {
+        key: 'withdrawalProtection',
+        stateKey: 'withdrawal_protection',
+        bit: 3,
+        value: 8,
+        name: 'Withdrawal Protection',
+        icon: '🛡️',
+        color: '#10b981',
+        setBy: 'admin',
+        description: 'Withdrawal protection is active'
+    },
+    {
+        key: 'singleLpTokenMode',
+        stateKey: 'single_lp_token_mode',
+        bit: 4,
+        value: 16,
+        name: 'Single LP Mode',
+        icon: '🔗',
+        color: '#8b5cf6',
+        setBy: 'system',
+        description: 'Single LP token mode (reserved for a future contract version)'
+    },
+    {
+        key: 'swapForOwnersOnly',
+        stateKey: 'swap_owner_only',
+        bit: 5,
+        value: 32,
+        name: 'Owner-Only Swaps',
+        icon: '🔒',
+        color: '#7c3aed',
+        setBy: 'creation',
+        creationCheckboxId: 'flag-owner-only-swaps',
+        description: 'Only pool owners can perform swaps'
+    },
+    {
+        key: 'exactExchangeRequired',
+        stateKey: 'exact_exchange_required',
+        bit: 6,
+        value: 64,
+        name: 'Exact Exchange Required',
+        icon: '⚖️',
+        color: '#dc2626',
+        setBy: 'creation',
+        creationCheckboxId: 'flag-exact-exchange',
+        description: 'Swaps must divide exactly - amounts that leave dust are rejected'
+    }
+];
+
+const PAUSE_FLAG_ALL = POOL_FLAGS.reduce((all, flag) => all | (flag.pauseFlag || 0), 0);
+
+/**
+ * Look up a flag by key (camelCase or on-chain snake_case name)
+ * @param {string} key - e.g. 'swapsPaused' or 'swaps_paused'
+ * @returns {Object} Registry entry
+ */
+function getPoolFlag(key) {
+    const flag = POOL_FLAGS.find(entry => entry.key === key || entry.stateKey === key);
+    if (!flag) {
+        throw new Error(`Unknown pool flag: ${key}`);
+    }
+    return flag;
+}
+
+/**
+ * Read the raw flags byte from a number, numeric string or pool object
+ * Accepts both the server (`flags`) and decoded (`flagsDecoded`) shapes.
+ * @param {number|string|Object} flagsOrPool - Flags value or pool data
+ * @returns {number} Flags byte (0 if unknown)
+ */
+function getFlagsValue(flagsOrPool) {
+    if (flagsOrPool === null || flagsOrPool === undefined) return 0;
+    if (typeof flagsOrPool === 'number') return flagsOrPool;
+    if (typeof flagsOrPool === 'string' || typeof flagsOrPool === 'bigint') return parseInt(flagsOrPool, 10) || 0;
+    if (flagsOrPool.flags !== undefined && flagsOrPool.flags !== null) return getFlagsValue(flagsOrPool.flags);
+    if (flagsOrPool.flagsDecoded) {
+        return POOL_FLAGS.reduce((value, flag) => (flagsOrPool.flagsDecoded[flag.stateKey] ? value | flag.value : value), 0);
+    }
+    return 0;
+}
+
+/**
+ * Check a single flag
+ * @param {number|string|Object} flagsOrPool - Flags value or pool data
+ * @param {string} key - Flag key
+ */
+function isPoolFlagSet(flagsOrPool, key) {
+    return (getFlagsValue(flagsOrPool) & getPoolFlag(key).value) !== 0;
+}
+
+/**
+ * Decode the flags byte for UI code
+ * @param {number|string|Object} flagsOrPool - Flags value or pool data
+ * @returns {Object} { oneToManyRatio, liquidityPaused, swapsPaused, ... } booleans
+ */
+function decodePoolFlags(flagsOrPool) {
+    const value = getFlagsValue(flagsOrPool);
+    const decoded = {};
+    POOL_FLAGS.forEach(flag => { decoded[flag.key] = (value & flag.value) !== 0; });
+    return decoded;
+}
+
+/**
+ * Decode the flags byte with on-chain field names (TradingDataService.parsePoolState → flagsDecoded)
+ * @param {number} flags - Flags byte
+ * @returns {Object} { one_to_many_ratio, liquidity_paused, ... } booleans
+ */
+function decodePoolFlagsState(flags) {
+    const value = getFlagsValue(flags);
+    const decoded = {};
+    POOL_FLAGS.forEach(flag => { decoded[flag.stateKey] = (value & flag.value) !== 0; });
+    return decoded;
+}
+
+/**
+ * Encode flags into the state byte
+ * @param {string[]|Object} flags - List of keys, or { key: boolean }
+ * @returns {number} Flags byte
+ */
+function encodePoolFlags(flags) {
+    const keys = Array.isArray(flags) ? flags : Object.keys(flags).filter(key => flags[key]);
+    return keys.reduce((value, key) => value | getPoolFlag(key).value, 0);
+}
+
+/**
+ * Encode the PausePool/UnpausePool argument
+ * @param {string[]} keys - Pausable flag keys, e.g. ['liquidityPaused', 'swapsPaused']
+ * @returns {number} pause_flags / unpause_flags byte
+ */
+function encodePauseFlags(keys) {
+    return keys.reduce((value, key) => {
+        const flag = getPoolFlag(key);
+        if (!flag.pauseFlag) {
+            throw new Error(`Pool flag ${flag.key} cannot be paused or unpaused`);
+        }
+        return value | flag.pauseFlag;
+    }, 0);
+}
+
+/**
+ * Check a PausePool/UnpausePool argument
+ * @param {number} pauseFlags - Instruction argument
+ * @returns {boolean} True if non-zero and only uses known pause bits
+ */
+function isValidPauseFlags(pauseFlags) {
+    return Number.isInteger(pauseFlags) && pauseFlags > 0 && (pauseFlags & ~PAUSE_FLAG_ALL) === 0;
+}
+
+/**
+ * Registry entries whose bit is set
+ * @param {number|string|Object} flagsOrPool - Flags value or pool data
+ * @returns {Array} Registry entries
+ */
+function getActivePoolFlags(flagsOrPool) {
+    const value = getFlagsValue(flagsOrPool);
+    return POOL_FLAGS.filter(flag => (value & flag.value) !== 0);
+}
+
+/**
+ * Registry entries a given authority can set
+ * @param {string} setBy - 'creation' | 'admin' | 'system'
+ * @returns {Array} Registry entries
+ */
+function getPoolFlagsSetBy(setBy) {
+    return POOL_FLAGS.filter(flag => flag.setBy === setBy);
+}
+
+/**
+ * Small colored badge for a flag (dashboard, liquidity and pools cards)
+ * @param {Object} flag - Registry entry
+ * @returns {string} HTML
+ */
+function formatPoolFlagBadge(flag) {
+    return `<span style="background: ${flag.color}; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px;" title="${flag.description}">${flag.icon} ${flag.name}</span>`;
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.PoolFlags = {
+        POOL_FLAGS,
+        PAUSE_FLAG_ALL,
+        getPoolFlag,
+        getFlagsValue,
+        isPoolFlagSet,
+        decodePoolFlags,
+        decodePoolFlagsState,
+        encodePoolFlags,
+        encodePauseFlags,
+        isValidPauseFlags,
+        getActivePoolFlags,
+        getPoolFlagsSetBy,
+        formatPoolFlagBadge
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POOL_FLAGS,
+        PAUSE_FLAG_ALL,
+        getPoolFlag,
+        getFlagsValue,
+        isPoolFlagSet,
+        decodePoolFlags,
+        decodePoolFlagsState,
+        encodePoolFlags,
+        encodePauseFlags,
+        isValidPauseFlags,
+        getActivePoolFlags,
+        getPoolFlagsSetBy,
+        formatPoolFlagBadge
+    };
+}
@@ -0,0 +1,219 @@
+/**
+ * Pool History
+ *
+ * Time series for the dashboard charts: liquidity, swap volume and fees per pool, plus the
+ * program-wide MainTreasuryState counters.
+ *
+ * Sources:
+ * 1. Server snapshots (pool-data.php?history=) - recorded on every fresh pool fetch
+ * 2. Decoded transaction history (PoolCacheManager.getPoolActivity) - volume and fees per
+ *    period, and vault balances when the server has no snapshots (static hosting)
+ * 3. Server treasury snapshots (pool-data.php?history=treasury) - MainTreasuryState counters,
+ *    recorded next to the pool snapshots (the account only keeps running totals)
+ *
+ * Amounts are base units as Numbers (chart precision); times are ms timestamps.
+ *
+ * Dependencies:
+ * - PoolCacheManager (pool-cache-manager.js, which decodes through activity-decoder.js)
+ */
+
+// MainTreasuryState counters recorded per snapshot (parseMainTreasuryCounters in pool-data.php)
+const TREASURY_HISTORY_FIELDS = [
+    'pool_creation_count',
+    'liquidity_operation_count',
+    'regular_swap_count',
+    'failed_operation_count',
+    'total_liquidity_fees',
+    'total_regular_swap_fees',
+    'total_swap_contract_fees'
+];
+
+class PoolHistory {
+    constructor() {
+        this.ACTIVITY_LIMIT = 200;                  // Decoded transactions per pool used for the charts
+        this.ACTIVITY_PAGE_SIZE = 50;
+    }
+
+    /**
+     * Complete history of a pool
+     * @param {Object} pool - Pool from TradingDataService (address, tokenALiquidity, ...)
+     * @param {Object} options - { bucketMs, limit, refresh }
+     * @returns {Promise<Object>} { snapshots, snapshotSource ('server' | 'transactions'), buckets, activityCount, complete }
+     */
+    async getPoolHistory(pool, options = {}) {
+        const bucketMs = options.bucketMs || 60 * 60 * 1000;
+        const [serverSnapshots, activity] = await Promise.all([
+            this.getServerSnapshots(pool.address),
+            this.getActivity(pool.address, { limit: options.limit, refresh: options.refresh })
+        ]);
+
+        let snapshots;
+        let snapshotSource;
+        if (serverSnapshots.length > 0) {
+            // The live pool state extends the recorded series to now
+            snapshots = [...serverSnapshots, {
+                time: Date.now(),
+                slot: null,
+                liquidityA: Number(pool.tokenALiquidity),
+                liquidityB: Number(pool.tokenBLiquidity),
+                feesA: Number(pool.collectedFeesTokenA),
+                feesB: Number(pool.collectedFeesTokenB),
+                solFees: Number(pool.totalSolFeesCollected)
+            }];
+            snapshotSource = 'server';
+        } else {
+            snapshots = this.snapshotsFromActivity(activity.entries);
+            snapshotSource = 'transactions';
+        }
+
+        return {
+            snapshots,
+            snapshotSource,
+            buckets: this.bucketActivity(activity.entries, bucketMs),
+            activityCount: activity.entries.length,
+            complete: activity.complete
+        };
+    }
+
+    /**
+     * Snapshots recorded by pool-data.php, oldest first ([] when the endpoint is unavailable)
+     */
+    async getServerSnapshots(poolAddress) {
+        try {
+            const response = await fetch(`./pool-data.php?history=${poolAddress}`);
+            if (!response.ok) {
+                console.warn(`⚠️ Pool history unavailable (${response.status})`);
+                return [];
+            }
+            const history = await response.json();
+            return (history.snapshots || []).map(snapshot => ({
+                time: Date.parse(snapshot.timestamp),
+                slot: snapshot.slot,
+                liquidityA: Number(snapshot.total_token_a_liquidity),
+                liquidityB: Number(snapshot.total_token_b_liquidity),
+                feesA: Number(snapshot.collected_fees_token_a),
+                feesB: Number(snapshot.collected_fees_token_b),
+                solFees: Number(snapshot.total_sol_fees_collected)
+            }));
+        } catch (error) {
+            console.warn('⚠️ Pool history error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Newest decoded transactions of a pool through the cached activity feed
+     * @returns {Promise<Object>} { entries (newest first), complete (whole history loaded) }
+     */
+    async getActivity(poolAddress, options = {}) {
+        const limit = options.limit || this.ACTIVITY_LIMIT;
+        const entries = [];
+        let hasMore = true;
+        let refresh = !!options.refresh;
+        while (hasMore && entries.length < limit) {
+            const page = await window.PoolCacheManager.getPoolActivity(poolAddress, {
+                limit: Math.min(this.ACTIVITY_PAGE_SIZE, limit - entries.length),
+                before: entries.length > 0 ? entries[entries.length - 1].signature : undefined,
+                refresh
+            });
+            entries.push(...page.entries);
+            hasMore = page.hasMore && page.entries.length > 0;
+            refresh = false;
+        }
+        return { entries, complete: !hasMore };
+    }
+
+    /**
+     * Vault balances after each decoded transaction, oldest first
+     * (entries cached before vault balances were decoded are skipped)
+     */
+    snapshotsFromActivity(entries) {
+        return entries
+            .filter(entry => entry.blockTime && entry.vaultABalance !== null && entry.vaultABalance !== undefined)
+            .map(entry => ({
+                time: entry.blockTime * 1000,
+                slot: entry.slot,
+                liquidityA: Number(entry.vaultABalance),
+                liquidityB: Number(entry.vaultBBalance || 0),
+                feesA: null,
+                feesB: null,
+                solFees: null
+            }))
+            .reverse();
+    }
+
+    /**
+     * Swap volume, swap count and SOL fees per period, oldest first
+     * Volume is counted on the input side: volumeA = token A sold (A→B swaps), volumeB = token B sold.
+     * @param {Array} entries - FRTActivity entries
+     * @param {number} bucketMs - Period length
+     * @returns {Array} [{ time, volumeA, volumeB, swaps, liquidityOperations, contractFeeLamports }]
+     */
+    bucketActivity(entries, bucketMs) {
+        const buckets = new Map();
+        entries.forEach(entry => {
+            if (!entry.blockTime) return;
+            const time = Math.floor((entry.blockTime * 1000) / bucketMs) * bucketMs;
+            if (!buckets.has(time)) {
+                buckets.set(time, { time, volumeA: 0, volumeB: 0, swaps: 0, liquidityOperations: 0, contractFeeLamports: 0 });
+            }
+            const bucket = buckets.get(time);
+            if (entry.type === 'swap') {
+                bucket.swaps++;
+                if (entry.direction === 'AtoB') bucket.volumeA += Number(entry.amountIn);
+                if (entry.direction === 'BtoA') bucket.volumeB += Number(entry.amountIn);
+            } else if (entry.type === 'deposit' || entry.type === 'withdraw') {
+                bucket.liquidityOperations++;
+            }
+            if (entry.contractFeeLamports) bucket.contractFeeLamports += Number(entry.contractFeeLamports);
+        });
+        return [...buckets.values()].sort((a, b) => a.time - b.time);
+    }
+
+    // ========================================
+    // TREASURY COUNTERS
+    // ========================================
+
+    /**
+     * Treasury counter snapshots recorded by pool-data.php, oldest first
+     * @param {Object} liveState - Parsed MainTreasuryState; extends the recorded series to now
+     * @returns {Promise<Array>} [{ time, slot, pool_creation_count, regular_swap_count, ... }]
+     */
+    async getTreasurySnapshots(liveState = null) {
+        const toSnapshot = (time, slot, state) => {
+            const snapshot = { time, slot };
+            TREASURY_HISTORY_FIELDS.forEach(field => { snapshot[field] = Number(state[field] || 0); });
+            return snapshot;
+        };
+
+        let snapshots = [];
+        try {
+            const response = await fetch('./pool-data.php?history=treasury');
+            if (response.ok) {
+                const history = await response.json();
+                snapshots = (history.snapshots || []).map(snapshot =>
+                    toSnapshot(Date.parse(snapshot.timestamp), snapshot.slot, snapshot));
+            } else {
+                console.warn(`⚠️ Treasury history unavailable (${response.status})`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Treasury history error:', error.message);
+        }
+
+        if (liveState) {
+            snapshots.push(toSnapshot(Date.now(), null, liveState));
+        }
+        return snapshots;
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.PoolHistory = new PoolHistory();
+    console.log('📈 PoolHistory loaded');
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PoolHistory };
+}
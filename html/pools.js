@@ -5,6 +5,13 @@
 let connection = null;
 let pools = [];
 let lastUpdate = null;
+let poolActivity = [];
+let poolActivityHasMore = false;
+let poolActivityRequest = 0;
+let poolFilters = { q: '', flags: [], sort: '', page: 1 };
+let poolCreationSlots = {};         // pool address -> slot of its first transaction
+let poolCreationCursors = {};       // pool address -> oldest signature seen while its history is still being paged
+let poolCreationSlotsLoading = false;
 
 // Initialize pools page when page loads
 document.addEventListener('DOMContentLoaded', async () => {
@@ -35,19 +42,8 @@ async function initializePoolsPage() {
         
         // Initialize Solana connection
         console.log('🔌 Connecting to Solana RPC...');
-        const connectionConfig = {
-            commitment: 'confirmed',
-            disableRetryOnRateLimit: CONFIG.disableRetryOnRateLimit || true
-        };
-        
-        if (CONFIG.wsUrl) {
-            console.log('📡 Using WebSocket endpoint:', CONFIG.wsUrl);
-            connection = new solanaWeb3.Connection(CONFIG.rpcUrl, connectionConfig, CONFIG.wsUrl);
-        } else {
-            console.log('📡 Using HTTP polling (WebSocket disabled)');
-            connectionConfig.wsEndpoint = false;
-            connection = new solanaWeb3.Connection(CONFIG.rpcUrl, connectionConfig);
-        }
+        // Health-scored endpoint pool (latency, errors, slot lag) with mid-session failover
+        connection = await createRobustConnection();
         
         // Test RPC connection
         try {
@@ -63,11 +59,19 @@ async function initializePoolsPage() {
         await window.TradingDataService.initialize(window.CONFIG, connection);
         console.log('✅ TradingDataService initialized with RPC connection');
         
+        // Pool cache (IndexedDB) receives live updates from SubscriptionManager and the batched pool list
+        if (window.PoolCacheManager) {
+            await window.PoolCacheManager.initialize(window.CONFIG, connection);
+        }
+        
+        // Search, filters, sorting and page from the URL
+        restorePoolFiltersFromUrl();
+        
         // Load initial pools data
         await loadPoolsData();
         
-        // Start periodic updates
-        startPeriodicUpdates();
+        // Start live updates
+        startLiveUpdates();
         
         console.log('✅ Pools page initialization complete');
         
@@ -91,41 +95,25 @@ async function testConnection() {
 }
 
 /**
- * Load pools data from the blockchain
+ * Load pools data
+ * Every pool comes from one batched server request (pool-data.php?all=1), which also warms the
+ * pool cache for the swap/liquidity pages. The getProgramAccounts scan runs only when that fails.
+ * @param {Object} options - { refresh } re-fetches stale pools on the server, { rpc } skips the server
  */
-async function loadPoolsData() {
+async function loadPoolsData(options = {}) {
     try {
         console.log('🔍 Loading pools data...');
         
-        // Load all data using centralized service
-        const data = await window.TradingDataService.loadAllData('rpc');
+        let loadedPools = options.rpc ? null : await window.TradingDataService.loadPoolsFromServer({ refresh: options.refresh });
+        if (!loadedPools) {
+            console.log('🔄 Server pool list unavailable - scanning program accounts over RPC');
+            const data = await window.TradingDataService.loadAllData('rpc');
+            loadedPools = data.pools || [];
+        }
         
-        if (data.pools && data.pools.length > 0) {
+        if (loadedPools.length > 0) {
             // Normalize field names from snake_case to camelCase for compatibility
-            pools = data.pools.map(pool => {
-                console.log('🐛 Original pool fields:', Object.keys(pool));
-                return {
-                    ...pool,
-                    // Add camelCase aliases for snake_case fields (only if they exist)
-                    tokenAMint: pool.token_a_mint || pool.tokenAMint,
-                    tokenBMint: pool.token_b_mint || pool.tokenBMint,
-                    tokenAVault: pool.token_a_vault || pool.tokenAVault,
-                    tokenBVault: pool.token_b_vault || pool.tokenBVault,
-                    lpTokenAMint: pool.lp_token_a_mint || pool.lpTokenAMint,
-                    lpTokenBMint: pool.lp_token_b_mint || pool.lpTokenBMint,
-                    ratioANumerator: pool.ratio_a_numerator || pool.ratioANumerator,
-                    ratioBDenominator: pool.ratio_b_denominator || pool.ratioBDenominator,
-                    ratioADecimal: pool.ratio_a_decimal || pool.ratioADecimal,
-                    ratioBDecimal: pool.ratio_b_decimal || pool.ratioBDecimal,
-                    ratioAActual: pool.ratio_a_actual || pool.ratioAActual,
-                    ratioBActual: pool.ratio_b_actual || pool.ratioBActual,
-                    totalTokenALiquidity: pool.total_token_a_liquidity || pool.totalTokenALiquidity,
-                    totalTokenBLiquidity: pool.total_token_b_liquidity || pool.totalTokenBLiquidity,
-                    collectedFeesTokenA: pool.collected_fees_token_a || pool.collectedFeesTokenA,
-                    collectedFeesTokenB: pool.collected_fees_token_b || pool.collectedFeesTokenB,
-                    totalSolFeesCollected: pool.total_sol_fees_collected || pool.totalSolFeesCollected
-                };
-            });
+            pools = loadedPools.map(normalizePoolFields);
             console.log(`📁 Loaded ${pools.length} pools`);
             
             // Fetch token symbols for all pools
@@ -139,18 +127,51 @@ async function loadPoolsData() {
         
         // Debug: Log pool data structure
         console.log('🐛 Pool data structure:', pools.length > 0 ? pools[0] : 'No pools');
-        console.log('🐛 Raw pool data from service:', data.pools.length > 0 ? data.pools[0] : 'No pools');
+        console.log('🐛 Raw pool data from service:', loadedPools.length > 0 ? loadedPools[0] : 'No pools');
         
-        // Update display
+        // Update display (cached creation slots first so ?sort=oldest|newest renders in order)
+        restorePoolCreationSlots();
         renderPools();
         updateLastUpdated();
         
+        // Creation order needs the signature history of any new pool
+        if (poolFilters.sort === 'oldest' || poolFilters.sort === 'newest') {
+            loadPoolCreationSlots();
+        }
+        
     } catch (error) {
         console.error('❌ Failed to load pools data:', error);
         showError(`Failed to load pools: ${error.message}`);
     }
 }
 
+/**
+ * Normalize field names from snake_case to camelCase for compatibility
+ */
+function normalizePoolFields(pool) {
+    return {
+        ...pool,
+        // Add camelCase aliases for snake_case fields (only if they exist)
+        tokenAMint: pool.token_a_mint || pool.tokenAMint,
+        tokenBMint: pool.token_b_mint || pool.tokenBMint,
+        tokenAVault: pool.token_a_vault || pool.tokenAVault,
+        tokenBVault: pool.token_b_vault || pool.tokenBVault,
+        lpTokenAMint: pool.lp_token_a_mint || pool.lpTokenAMint,
+        lpTokenBMint: pool.lp_token_b_mint || pool.lpTokenBMint,
+        ratioANumerator: pool.ratio_a_numerator || pool.ratioANumerator,
+        ratioBDenominator: pool.ratio_b_denominator || pool.ratioBDenominator,
+        ratioADecimal: pool.ratio_a_decimal || pool.ratioADecimal,
+        ratioBDecimal: pool.ratio_b_decimal || pool.ratioBDecimal,
+        ratioAActual: pool.ratio_a_actual || pool.ratioAActual,
+        ratioBActual: pool.ratio_b_actual || pool.ratioBActual,
+        totalTokenALiquidity: pool.total_token_a_liquidity || pool.totalTokenALiquidity,
+        totalTokenBLiquidity: pool.total_token_b_liquidity || pool.totalTokenBLiquidity,
+        collectedFeesTokenA: pool.collected_fees_token_a || pool.collectedFeesTokenA,
+        collectedFeesTokenB: pool.collected_fees_token_b || pool.collectedFeesTokenB,
+        totalSolFeesCollected: pool.total_sol_fees_collected || pool.totalSolFeesCollected
+    };
+}
+
 /**
  * Enrich pools with token symbols
  */
@@ -191,17 +212,45 @@ async function enrichPoolsWithTokenSymbols(poolsToEnrich) {
 }
 
 /**
- * Start periodic updates
+ * Start live updates (program account subscription, polling fallback when the socket drops)
  */
-function startPeriodicUpdates() {
-    // Update every 2 minutes (120 seconds)
-    setInterval(async () => {
-        try {
-            await loadPoolsData();
-        } catch (error) {
-            console.error('❌ Periodic update failed:', error);
+function startLiveUpdates() {
+    const subscriptions = window.SubscriptionManager;
+    subscriptions.initialize(CONFIG, connection);
+    subscriptions.onStatusChange(mode => {
+        const liveStatusEl = document.getElementById('live-status');
+        if (liveStatusEl) {
+            liveStatusEl.textContent = subscriptions.getModeLabel(mode);
         }
-    }, 120000);
+    });
+    // Full program scans are heavy - keep the fallback poll at 2 minutes
+    subscriptions.watchProgram(handleProgramUpdate, { pollInterval: 120000 });
+}
+
+/**
+ * Apply a pushed program account update to the pools list
+ */
+async function handleProgramUpdate(update, meta) {
+    if (update.type !== 'pool') return;
+
+    const index = pools.findIndex(pool => pool.address === update.address);
+    if (index === -1) {
+        // New pool - full reload picks up decimals and symbols (the server pool list may not have it yet)
+        console.log(`🆕 New pool detected via ${meta.source}: ${update.address}`);
+        await loadPoolsData({ rpc: true });
+        return;
+    }
+
+    // Keep enrichment (decimals, symbols) and replace on-chain state
+    console.log(`📡 Pool ${update.address.slice(0, 8)} updated via ${meta.source} (slot ${meta.slot})`);
+    pools[index] = normalizePoolFields({ ...pools[index], ...update.state });
+    renderPools();
+    updateLastUpdated();
+    
+    // A state change on the selected pool usually means a new swap/deposit/withdrawal
+    if (update.address === window._selectedPoolAddress) {
+        loadPoolActivity({ refresh: true });
+    }
 }
 
 /**
@@ -213,7 +262,7 @@ async function refreshPools() {
         refreshBtn.disabled = true;
         refreshBtn.textContent = '🔄 Refreshing...';
         
-        await loadPoolsData();
+        await loadPoolsData({ refresh: true });
         
         refreshBtn.disabled = false;
         refreshBtn.textContent = '🔄 Refresh';
@@ -307,10 +356,33 @@ function renderPools() {
         return;
     }
 
+    const matchingPools = getFilteredPools();
+    const pageCount = Math.max(1, Math.ceil(matchingPools.length / POOLS_PAGE_SIZE));
+    poolFilters.page = Math.min(poolFilters.page, pageCount);
+    const pagePools = matchingPools.slice((poolFilters.page - 1) * POOLS_PAGE_SIZE, poolFilters.page * POOLS_PAGE_SIZE);
+    renderPoolsPager(matchingPools.length, pageCount);
+    
+    if (matchingPools.length === 0) {
+        container.innerHTML = '';
+        const loadingDiv = document.createElement('div');
+        loadingDiv.className = 'loading';
+        
+        const h3 = document.createElement('h3');
+        h3.textContent = '🔍 No matching pools';
+        loadingDiv.appendChild(h3);
+        
+        const p = document.createElement('p');
+        p.textContent = `None of the ${pools.length} pools match the search and filters.`;
+        loadingDiv.appendChild(p);
+        
+        container.appendChild(loadingDiv);
+        return;
+    }
+
     const list = document.createElement('div');
     list.className = 'pool-listbox';
 
-    pools.forEach(pool => {
+    pagePools.forEach(pool => {
         console.log('🐛 Processing pool:', pool.address, 'symbols:', pool.tokenASymbol, pool.tokenBSymbol);
         console.log('🐛 Pool tokenAMint:', pool.tokenAMint, 'tokenBMint:', pool.tokenBMint);
         
@@ -427,6 +499,7 @@ function setSelectedPool(poolAddress) {
         highlightSelectedItem('');
         disableActionButtons();
     }
+    loadPoolActivity();
 }
 
 /**
@@ -486,6 +559,380 @@ function goSwapSelected() {
     window.location.href = `swap.html?pool=${window._selectedPoolAddress}`;
 }
 
+// ========================================
+// POOL SEARCH, FILTERS AND SORTING
+// ========================================
+
+const POOLS_PAGE_SIZE = 25;
+const POOL_CREATION_SLOTS_STORAGE_KEY = 'frt_pool_creation_slots';
+const POOL_CREATION_CURSORS_STORAGE_KEY = 'frt_pool_creation_cursors';
+const POOL_CREATION_SIGNATURE_PAGE = 1000;
+// getSignaturesForAddress calls per page load; unfinished lookups resume on the next visit
+const POOL_CREATION_REQUEST_BUDGET = 40;
+
+// Filter checkboxes (pools.html data-flag) -> pool flag test; checked filters must all match
+const POOL_FLAG_FILTERS = {
+    'paused': flags => flags.liquidityPaused || flags.swapsPaused,
+    'owner-only': flags => flags.swapForOwnersOnly,
+    'exact-exchange': flags => flags.exactExchangeRequired,
+    'one-to-many': flags => flags.oneToManyRatio
+};
+
+// Sort options ('' keeps the program scan order)
+const POOL_SORTS = ['', 'liquidity', 'fees', 'oldest', 'newest'];
+
+/**
+ * Restore search, filters, sorting and page from the URL
+ * pools.html?q=usdc&flags=paused,one-to-many&sort=liquidity&page=2
+ */
+function restorePoolFiltersFromUrl() {
+    const state = window.URLState.readUrlState({ q: null, flags: null, sort: POOL_SORTS.filter(Boolean), page: null });
+    poolFilters = {
+        q: state.q || '',
+        flags: (state.flags || '').split(',').filter(flag => POOL_FLAG_FILTERS[flag]),
+        sort: state.sort || '',
+        page: Math.max(1, parseInt(state.page, 10) || 1)
+    };
+    
+    document.getElementById('pool-search').value = poolFilters.q;
+    document.getElementById('pool-sort').value = poolFilters.sort;
+    document.querySelectorAll('#pool-flag-filters input[data-flag]').forEach(input => {
+        input.checked = poolFilters.flags.includes(input.dataset.flag);
+    });
+}
+
+/**
+ * Read the filter controls, re-render from the first page and mirror the state into the URL
+ */
+function updatePoolFilters() {
+    poolFilters = {
+        q: document.getElementById('pool-search').value.trim(),
+        flags: [...document.querySelectorAll('#pool-flag-filters input[data-flag]:checked')].map(input => input.dataset.flag),
+        sort: document.getElementById('pool-sort').value,
+        page: 1
+    };
+    if (poolFilters.sort === 'oldest' || poolFilters.sort === 'newest') {
+        loadPoolCreationSlots();
+    }
+    syncPoolFiltersUrlState();
+    renderPools();
+}
+
+/**
+ * Go to a page of the filtered list
+ */
+function goToPoolsPage(page) {
+    poolFilters.page = page;
+    syncPoolFiltersUrlState();
+    renderPools();
+    document.getElementById('pools-container').scrollIntoView({ block: 'nearest' });
+}
+
+function syncPoolFiltersUrlState() {
+    window.URLState.updateUrlState({
+        q: poolFilters.q,
+        flags: poolFilters.flags.join(','),
+        sort: poolFilters.sort,
+        page: poolFilters.page > 1 ? poolFilters.page : null
+    });
+}
+
+/**
+ * Pools matching the search and flag filters, in the selected order
+ * Search matches token symbols, token mints and the pool address (case-insensitive substring).
+ */
+function getFilteredPools() {
+    const query = poolFilters.q.toLowerCase();
+    const matching = pools.filter(pool => {
+        if (query) {
+            const fields = [pool.tokenASymbol, pool.tokenBSymbol, pool.tokenAMint, pool.tokenBMint, pool.address];
+            if (!fields.some(field => field && field.toLowerCase().includes(query))) return false;
+        }
+        const flags = window.PoolFlags.decodePoolFlags(pool);
+        return poolFilters.flags.every(filter => POOL_FLAG_FILTERS[filter](flags));
+    });
+    
+    switch (poolFilters.sort) {
+        case 'liquidity':
+            return matching.sort((a, b) => getPoolLiquidityValue(b) - getPoolLiquidityValue(a));
+        case 'fees':
+            return matching.sort((a, b) => Number(b.totalSolFeesCollected || 0) - Number(a.totalSolFeesCollected || 0));
+        case 'oldest':
+        case 'newest': {
+            // Pools whose creation slot is not known yet stay at the end in scan order
+            const direction = poolFilters.sort === 'oldest' ? 1 : -1;
+            const slotOf = pool => poolCreationSlots[pool.address];
+            return matching.sort((a, b) => {
+                if (slotOf(a) === undefined || slotOf(b) === undefined) {
+                    return (slotOf(a) === undefined) - (slotOf(b) === undefined);
+                }
+                return (slotOf(a) - slotOf(b)) * direction;
+            });
+        }
+        default:
+            return matching;
+    }
+}
+
+/**
+ * Total liquidity of both sides in whole tokens (decimals differ per token)
+ */
+function getPoolLiquidityValue(pool) {
+    const side = (amount, decimals) => Number(amount || 0) / Math.pow(10, decimals || 0);
+    return side(pool.tokenALiquidity, pool.ratioADecimal) + side(pool.tokenBLiquidity, pool.ratioBDecimal);
+}
+
+/**
+ * Result count and page controls
+ */
+function renderPoolsPager(matchCount, pageCount) {
+    const summary = document.getElementById('pool-filter-summary');
+    const filtered = matchCount !== pools.length;
+    summary.textContent = filtered ? `${matchCount} of ${pools.length} pools` : `${pools.length} pools`;
+    if ((poolFilters.sort === 'oldest' || poolFilters.sort === 'newest') && poolCreationSlotsLoading) {
+        summary.textContent += ' - looking up creation order...';
+    } else if ((poolFilters.sort === 'oldest' || poolFilters.sort === 'newest') && Object.keys(poolCreationCursors).length > 0) {
+        summary.textContent += ' - creation order partly estimated';
+    }
+    
+    const pager = document.getElementById('pools-pager');
+    pager.style.display = pageCount > 1 ? 'flex' : 'none';
+    document.getElementById('pools-page-label').textContent = `Page ${poolFilters.page} of ${pageCount}`;
+    document.getElementById('pools-prev-btn').disabled = poolFilters.page <= 1;
+    document.getElementById('pools-next-btn').disabled = poolFilters.page >= pageCount;
+}
+
+/**
+ * Creation slots and unfinished lookup cursors kept in localStorage
+ */
+function restorePoolCreationSlots() {
+    try {
+        poolCreationSlots = JSON.parse(localStorage.getItem(POOL_CREATION_SLOTS_STORAGE_KEY) || '{}');
+        poolCreationCursors = JSON.parse(localStorage.getItem(POOL_CREATION_CURSORS_STORAGE_KEY) || '{}');
+    } catch (_) {
+        poolCreationSlots = {};
+        poolCreationCursors = {};
+    }
+}
+
+function storePoolCreationSlots() {
+    try {
+        localStorage.setItem(POOL_CREATION_SLOTS_STORAGE_KEY, JSON.stringify(poolCreationSlots));
+        localStorage.setItem(POOL_CREATION_CURSORS_STORAGE_KEY, JSON.stringify(poolCreationCursors));
+    } catch (error) {
+        console.warn('⚠️ Could not store pool creation slots:', error.message);
+    }
+}
+
+/**
+ * Creation slot of every pool (the slot of the pool state account's oldest signature)
+ * Pool state has no creation timestamp, so the signature history is paged back to the start.
+ * Each page load spends at most POOL_CREATION_REQUEST_BUDGET RPC calls: pools without any
+ * slot go first, busy pools keep their oldest slot so far as an estimate plus a cursor, and
+ * the next visit continues from that cursor. Finished slots never change and stay cached.
+ */
+async function loadPoolCreationSlots() {
+    if (poolCreationSlotsLoading) return;
+    restorePoolCreationSlots();
+    
+    const pending = pools
+        .filter(pool => poolCreationSlots[pool.address] === undefined || poolCreationCursors[pool.address])
+        .sort((a, b) => (poolCreationSlots[a.address] !== undefined) - (poolCreationSlots[b.address] !== undefined));
+    if (pending.length === 0) {
+        renderPools();
+        return;
+    }
+    poolCreationSlotsLoading = true;
+    renderPools();
+    console.log(`🕰️ Looking up creation slots for ${pending.length} pools...`);
+    
+    let requests = 0;
+    try {
+        for (const pool of pending) {
+            if (requests >= POOL_CREATION_REQUEST_BUDGET) break;
+            try {
+                const poolKey = new solanaWeb3.PublicKey(pool.address);
+                let before = poolCreationCursors[pool.address];
+                while (requests < POOL_CREATION_REQUEST_BUDGET) {
+                    requests++;
+                    const signatures = await connection.getSignaturesForAddress(poolKey, { before, limit: POOL_CREATION_SIGNATURE_PAGE });
+                    if (signatures.length > 0) {
+                        const oldest = signatures[signatures.length - 1];
+                        poolCreationSlots[pool.address] = oldest.slot;
+                        before = oldest.signature;
+                    }
+                    if (signatures.length < POOL_CREATION_SIGNATURE_PAGE) {
+                        before = undefined;
+                        break;
+                    }
+                }
+                if (before) {
+                    poolCreationCursors[pool.address] = before;
+                } else {
+                    delete poolCreationCursors[pool.address];
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not look up creation slot for pool ${pool.address}:`, error.message);
+            }
+        }
+    } finally {
+        storePoolCreationSlots();
+        poolCreationSlotsLoading = false;
+    }
+    
+    const unfinished = pools.filter(pool => poolCreationSlots[pool.address] === undefined || poolCreationCursors[pool.address]).length;
+    if (unfinished > 0) {
+        console.log(`⏸️ Pool creation slots: ${unfinished} lookups continue on the next visit (${requests} RPC calls used)`);
+    } else {
+        console.log('✅ Pool creation slots loaded');
+    }
+    renderPools();
+}
+
+// ========================================
+// POOL ACTIVITY FEED
+// ========================================
+
+/**
+ * Load the selected pool's activity feed (first page, or the next older page with more: true)
+ */
+async function loadPoolActivity({ refresh = false, more = false } = {}) {
+    const section = document.getElementById('pool-activity-section');
+    const poolAddress = window._selectedPoolAddress;
+    if (!poolAddress || !window.PoolCacheManager) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    const request = ++poolActivityRequest;
+    const pool = pools.find(p => p.address === poolAddress);
+    section.style.display = 'block';
+    document.getElementById('pool-activity-pair').textContent = pool ? `· ${pool.tokenASymbol}/${pool.tokenBSymbol}` : '';
+    if (!more) {
+        document.getElementById('pool-activity-container').innerHTML = '<div class="loading"><p>🔍 Loading recent transactions...</p></div>';
+    }
+    
+    try {
+        const before = more && poolActivity.length > 0 ? poolActivity[poolActivity.length - 1].signature : null;
+        const page = await window.PoolCacheManager.getPoolActivity(poolAddress, { refresh, before });
+        // The selection changed while this page was loading
+        if (request !== poolActivityRequest) return;
+        
+        poolActivity = more ? [...poolActivity, ...page.entries] : page.entries;
+        poolActivityHasMore = page.hasMore;
+        await renderPoolActivity(pool);
+    } catch (error) {
+        console.error('❌ Failed to load pool activity:', error);
+        if (request === poolActivityRequest) {
+            showError(`Failed to load pool activity: ${error.message}`);
+        }
+    }
+}
+
+function refreshPoolActivity() {
+    loadPoolActivity({ refresh: true });
+}
+
+function loadMorePoolActivity() {
+    loadPoolActivity({ more: true });
+}
+
+/**
+ * Render the activity table for the selected pool
+ */
+async function renderPoolActivity(pool) {
+    const container = document.getElementById('pool-activity-container');
+    document.getElementById('pool-activity-more-btn').style.display = poolActivityHasMore ? 'inline-block' : 'none';
+    
+    if (poolActivity.length === 0) {
+        container.innerHTML = '<div class="loading"><p>📭 No transactions found for this pool</p></div>';
+        return;
+    }
+    
+    // Symbols for the pool's tokens and LP tokens; decimals from the cache when known
+    const symbols = {};
+    if (pool) {
+        symbols[pool.tokenAMint] = pool.tokenASymbol;
+        symbols[pool.tokenBMint] = pool.tokenBSymbol;
+        symbols[pool.lpTokenAMint] = `LP ${pool.tokenASymbol}`;
+        symbols[pool.lpTokenBMint] = `LP ${pool.tokenBSymbol}`;
+    }
+    const decimals = {};
+    for (const mint of Object.keys(symbols)) {
+        decimals[mint] = await window.PoolCacheManager.getTokenDecimalFromCache(mint);
+    }
+    const formatAmount = (amount, mint) => {
+        if (amount === null || amount === undefined) return '—';
+        const formatted = window.FRTActivity.formatBaseUnits(amount, decimals[mint]);
+        return symbols[mint] && decimals[mint] !== null ? `${formatted} ${symbols[mint]}` : formatted;
+    };
+    const formatSol = lamports => `${(Number(lamports) / solanaWeb3.LAMPORTS_PER_SOL).toFixed(6)} SOL`;
+    const shortAddress = address => `${address.slice(0, 4)}...${address.slice(-4)}`;
+    const sideSymbol = side => (pool ? (side === 'A' ? pool.tokenASymbol : pool.tokenBSymbol) : side);
+    const typeLabels = {
+        swap: '🔄 Swap',
+        deposit: '➕ Deposit',
+        withdraw: '➖ Withdraw',
+        create_pool: '🏊‍♂️ Pool created',
+        donation: '💝 Donation',
+        admin: '🔧 Admin'
+    };
+    
+    const table = document.createElement('table');
+    table.className = 'activity-table';
+    const header = table.createTHead().insertRow();
+    ['Time', 'Type', 'Trader', 'Direction', 'In', 'Out', 'Fees', 'Signature'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    
+    const body = table.createTBody();
+    poolActivity.forEach(entry => {
+        const row = body.insertRow();
+        const addCell = (text, className) => {
+            const cell = row.insertCell();
+            cell.textContent = text;
+            if (className) cell.className = className;
+            return cell;
+        };
+        
+        addCell(entry.blockTime ? new Date(entry.blockTime * 1000).toLocaleString() : `slot ${entry.slot}`);
+        addCell(typeLabels[entry.type] || entry.instruction);
+        addCell(shortAddress(entry.trader), 'mono').title = entry.trader;
+        
+        let direction = '—';
+        if (entry.direction === 'AtoB' || entry.direction === 'BtoA') {
+            direction = `${sideSymbol(entry.direction[0])} → ${sideSymbol(entry.direction[3])}`;
+        } else if (entry.direction) {
+            direction = sideSymbol(entry.direction);
+        }
+        addCell(direction);
+        addCell(formatAmount(entry.amountIn, entry.inputMint));
+        addCell(formatAmount(entry.amountOut, entry.outputMint));
+        
+        const fees = [];
+        if (entry.feeLamports !== null) fees.push(`${formatSol(entry.feeLamports)} network`);
+        if (entry.contractFeeLamports) fees.push(`${formatSol(entry.contractFeeLamports)} pool`);
+        addCell(fees.join(' + ') || '—');
+        
+        const signatureCell = row.insertCell();
+        signatureCell.className = 'mono';
+        const link = document.createElement('a');
+        link.href = window.TransactionLifecycle.getExplorerUrl(entry.signature);
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = shortAddress(entry.signature);
+        link.title = entry.signature;
+        signatureCell.appendChild(link);
+    });
+    
+    const wrapper = document.createElement('div');
+    wrapper.className = 'activity-table-wrapper';
+    wrapper.appendChild(table);
+    container.replaceChildren(wrapper);
+}
+
 /**
  * Update the last updated timestamp
  */
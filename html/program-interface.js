@@ -0,0 +1,173 @@
+/**
+ * Fixed Ratio Trading - Program Interface Manifest
+ *
+ * Instruction indices, account orders and state layouts per deployed program version.
+ * The dashboard asks the program for its version (GetVersion) and encodes every
+ * instruction with the matching interface instead of guessing discriminators.
+ *
+ * - fetchProgramVersion() simulates GetVersion and reads "Contract Version: X.Y.Z" from the logs
+ * - selectProgramInterface() activates the interface for a version (FRTInstructions.useInstructionLayouts)
+ *   and throws error.unknownVersion when this dashboard does not know the version
+ * - loadProgramInterface() does both once per program ID
+ *
+ * Dependencies:
+ * - solanaWeb3 (libs/solana-web3.min.js)
+ * - FRTInstructions (instructions.js)
+ */
+
+// GetVersion must keep its index in every version - it is how the version is discovered
+const GET_VERSION_DISCRIMINATOR = 14;
+
+// INSTRUCTION_LAYOUTS in instructions.js is the v0.16/v0.17 interface. A release that changes it
+// gets its own entry here, and the previous layouts stay pinned in this snapshot.
+// Older programs are only added with layouts taken from their IDL or changelog - until then
+// selectProgramInterface() stops them with error.unknownVersion.
+const V0_16_INSTRUCTIONS = Object.freeze({ ...FRTInstructions.INSTRUCTION_LAYOUTS });
+
+/**
+ * Supported program versions (newest first)
+ *
+ * versions:     major.minor of the GetVersion result
+ * instructions: layouts keyed by instruction name (see INSTRUCTION_LAYOUTS in instructions.js)
+ * stateLayouts: system state and treasury layout names (ACCOUNT_LAYOUTS in data-service.js)
+ */
+const PROGRAM_INTERFACES = [
+    {
+        id: 'v0.16',
+        versions: ['0.16', '0.17'],
+        instructions: V0_16_INSTRUCTIONS,
+        stateLayouts: {
+            systemState: 'SystemState v0.16',
+            mainTreasuryState: 'MainTreasuryState v0.16'
+        }
+    }
+];
+
+let activeInterface = null;
+const interfaceRequests = new Map();
+
+/**
+ * Read the version from GetVersion logs
+ * @param {Array} logs - Simulation or transaction logs
+ * @returns {string|null} e.g. '0.17.1070'
+ */
+function parseVersionFromLogs(logs) {
+    for (const log of logs || []) {
+        const match = log.match(/Contract Version:\s*([0-9]+\.[0-9]+(?:\.[0-9]+)?)/);
+        if (match) return match[1];
+    }
+    return null;
+}
+
+/**
+ * Manifest entry for a version
+ * @returns {Object|null}
+ */
+function findProgramInterface(version) {
+    const [major, minor] = String(version).split('.');
+    return PROGRAM_INTERFACES.find(entry => entry.versions.includes(`${major}.${minor}`)) || null;
+}
+
+function supportedVersionsText() {
+    return PROGRAM_INTERFACES.flatMap(entry => entry.versions.map(v => `v${v}.x`)).join(', ');
+}
+
+/**
+ * Activate the interface for a program version
+ * @param {string} version - GetVersion result
+ * @returns {Object} { version, id, versions, instructions, stateLayouts }
+ */
+function selectProgramInterface(version) {
+    const entry = findProgramInterface(version);
+    if (!entry) {
+        const error = new Error(`Unsupported program version v${version}. This dashboard knows ${supportedVersionsText()} - update it before sending transactions to this program.`);
+        error.unknownVersion = true;
+        error.version = version;
+        throw error;
+    }
+    FRTInstructions.useInstructionLayouts(entry.instructions);
+    activeInterface = { version, ...entry };
+    console.log(`🧩 Program interface ${entry.id} selected for v${version}`);
+    return activeInterface;
+}
+
+/**
+ * Ask the program for its version (simulated GetVersion, nothing is sent)
+ * @param {Connection} connection
+ * @param {string|PublicKey} programId
+ * @param {PublicKey} payer - Existing fee payer for the simulation (default: throwaway key)
+ * @returns {Promise<string>} Version string
+ */
+async function fetchProgramVersion(connection, programId, payer = null) {
+    const instruction = FRTInstructions.buildInstruction('GetVersion', {}, {}, programId, {
+        discriminator: GET_VERSION_DISCRIMINATOR
+    });
+    const { blockhash } = await connection.getLatestBlockhash();
+    const message = new solanaWeb3.TransactionMessage({
+        payerKey: payer || solanaWeb3.Keypair.generate().publicKey,
+        recentBlockhash: blockhash,
+        instructions: [instruction]
+    }).compileToLegacyMessage();
+
+    const simulation = await connection.simulateTransaction(new solanaWeb3.VersionedTransaction(message), {
+        sigVerify: false,
+        replaceRecentBlockhash: true,
+        commitment: 'confirmed'
+    });
+    const version = parseVersionFromLogs(simulation.value.logs);
+    if (version) {
+        return version;
+    }
+    const err = simulation.value.err ? JSON.stringify(simulation.value.err) : null;
+    if (err && err.includes('AccountNotFound')) {
+        throw new Error('GetVersion simulation needs an existing fee payer - connect a funded wallet');
+    }
+    throw new Error(err ? `GetVersion simulation failed: ${err}` : 'Program did not report a version');
+}
+
+/**
+ * Fetch the version and select its interface (once per program ID; failures are retried)
+ * @returns {Promise<Object>} Active interface (see selectProgramInterface)
+ */
+async function loadProgramInterface(connection, programId, payer = null) {
+    const key = programId.toString();
+    if (!interfaceRequests.has(key)) {
+        const request = fetchProgramVersion(connection, programId, payer).then(selectProgramInterface);
+        request.catch(() => interfaceRequests.delete(key));
+        interfaceRequests.set(key, request);
+    }
+    return interfaceRequests.get(key);
+}
+
+/**
+ * Currently selected interface, or null before a version was selected
+ */
+function getActiveProgramInterface() {
+    return activeInterface;
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.FRTProgramInterface = {
+        PROGRAM_INTERFACES,
+        parseVersionFromLogs,
+        findProgramInterface,
+        selectProgramInterface,
+        fetchProgramVersion,
+        loadProgramInterface,
+        getActiveProgramInterface
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROGRAM_INTERFACES,
+        parseVersionFromLogs,
+        findProgramInterface,
+        selectProgramInterface,
+        fetchProgramVersion,
+        loadProgramInterface,
+        getActiveProgramInterface
+    };
+}
@@ -0,0 +1,437 @@
+/**
+ * RPC Endpoint Pool
+ *
+ * Health-scored routing across config.rpcUrl and every config.fallbackRpcUrls entry:
+ * - Tracks latency, error rate and slot lag per endpoint
+ * - Routes every HTTP JSON-RPC call to the healthiest endpoint
+ * - Backs off rate-limited endpoints (HTTP 429, honoring Retry-After)
+ * - Counts JSON-RPC errors returned with HTTP 200 as endpoint failures (unless the request itself was bad)
+ * - Fails over mid-session: a failed call is retried on the next-best endpoint
+ *
+ * Pages keep using a normal solanaWeb3.Connection - the pool plugs in through its `fetch` option.
+ * WebSocket subscriptions stay on config.wsUrl (or the primary endpoint).
+ *
+ * Dependencies:
+ * - solanaWeb3
+ */
+
+class RpcEndpointPool {
+    constructor() {
+        this.HEALTH_CHECK_INTERVAL = 30000;
+        this.HEALTH_CHECK_TIMEOUT = 5000;
+        this.MAX_SLOT_LAG = 150;           // Slots behind the best endpoint before it counts as stale
+        this.BASE_BACKOFF = 1000;
+        this.MAX_BACKOFF = 60000;
+        this.FAILURES_BEFORE_BACKOFF = 3;
+        this.EWMA_ALPHA = 0.3;
+        // JSON-RPC errors caused by the request, not the endpoint (parse error, invalid request/params,
+        // preflight simulation failure, signature verification, signature length, unsupported tx version)
+        this.REQUEST_ERROR_CODES = new Set([-32700, -32600, -32602, -32002, -32003, -32013, -32015]);
+        this.RATE_LIMIT_ERROR_CODES = new Set([429, -32429]);
+        this.config = null;
+        this.endpoints = [];
+        this.activeUrl = null;
+        this.connection = null;
+        this.healthTimer = null;
+        this.listeners = [];
+        this.panel = null;
+    }
+
+    /**
+     * Initialize endpoints from config (safe to call again - stats are kept for known URLs)
+     * @param {Object} config - Dashboard config (rpcUrl, fallbackRpcUrls, wsUrl, commitment)
+     */
+    initialize(config) {
+        const urls = [config.rpcUrl, ...(config.fallbackRpcUrls || [])].filter(Boolean);
+        const unique = Array.from(new Set(urls));
+        if (unique.length === 0) {
+            throw new Error('No RPC endpoints configured');
+        }
+
+        const known = new Map(this.endpoints.map(endpoint => [endpoint.url, endpoint]));
+        this.endpoints = unique.map((url, index) => known.get(url) || this.createEndpointState(url, index));
+        this.endpoints.forEach((endpoint, index) => { endpoint.priority = index; });
+
+        if (this.config && this.config.rpcUrl !== config.rpcUrl) {
+            this.connection = null;
+        }
+        this.config = config;
+        console.log(`[${new Date().toISOString()}] 🔌 RpcEndpointPool initialized with ${this.endpoints.length} endpoint(s)`);
+    }
+
+    createEndpointState(url, priority) {
+        return {
+            url,
+            priority,
+            latency: null,       // EWMA in ms
+            errorRate: 0,        // EWMA of failures (0..1)
+            slot: null,
+            slotLag: 0,
+            requests: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            backoffMs: 0,
+            backoffUntil: 0,
+            lastError: null,
+            lastCheckedAt: null
+        };
+    }
+
+    /**
+     * Get the pooled connection (created once per primary endpoint)
+     * @returns {Connection} Connection whose HTTP calls are routed through the pool
+     */
+    getConnection() {
+        if (!this.config) {
+            throw new Error('RpcEndpointPool not initialized');
+        }
+        if (!this.connection) {
+            const connectionConfig = {
+                commitment: this.config.commitment || 'confirmed',
+                // The pool handles 429s itself - web3.js must not retry on the same endpoint
+                disableRetryOnRateLimit: true,
+                fetch: (input, init) => this.fetch(input, init)
+            };
+            if (this.config.wsUrl) {
+                connectionConfig.wsEndpoint = this.config.wsUrl;
+            }
+            this.connection = new solanaWeb3.Connection(this.endpoints[0].url, connectionConfig);
+        }
+        return this.connection;
+    }
+
+    // ========================================
+    // ROUTING
+    // ========================================
+
+    /**
+     * Health score (lower is better)
+     */
+    score(endpoint) {
+        const latency = endpoint.latency === null ? 500 : endpoint.latency;
+        const stalePenalty = endpoint.slotLag > this.MAX_SLOT_LAG ? 10000 : endpoint.slotLag * 10;
+        return latency + endpoint.errorRate * 2000 + stalePenalty + endpoint.priority * 25;
+    }
+
+    /**
+     * Pick the healthiest endpoint, skipping excluded URLs
+     * Endpoints in backoff are only used when every candidate is backing off.
+     */
+    selectEndpoint(exclude = new Set()) {
+        const now = Date.now();
+        const candidates = this.endpoints.filter(endpoint => !exclude.has(endpoint.url));
+        if (candidates.length === 0) return null;
+
+        const available = candidates.filter(endpoint => endpoint.backoffUntil <= now);
+        if (available.length > 0) {
+            return available.reduce((best, endpoint) => (this.score(endpoint) < this.score(best) ? endpoint : best));
+        }
+        return candidates.reduce((best, endpoint) => (endpoint.backoffUntil < best.backoffUntil ? endpoint : best));
+    }
+
+    /**
+     * fetch() replacement handed to solanaWeb3.Connection
+     * The request URL is ignored - each call goes to the healthiest endpoint, then the next on failure.
+     */
+    async fetch(input, init) {
+        const tried = new Set();
+        let lastResponse = null;
+        let lastError = null;
+
+        while (tried.size < this.endpoints.length) {
+            const endpoint = this.selectEndpoint(tried);
+            if (!endpoint) break;
+            tried.add(endpoint.url);
+
+            const startTime = performance.now();
+            try {
+                const response = await globalThis.fetch(endpoint.url, init);
+                if (response.status === 429) {
+                    this.recordRateLimit(endpoint, response.headers.get('Retry-After'));
+                    lastResponse = response;
+                    continue;
+                }
+                if (response.status >= 500) {
+                    this.recordFailure(endpoint, `HTTP ${response.status}`);
+                    lastResponse = response;
+                    continue;
+                }
+                const rpcError = await this.readEndpointError(response);
+                if (rpcError) {
+                    if (this.RATE_LIMIT_ERROR_CODES.has(rpcError.code)) {
+                        this.recordRateLimit(endpoint, response.headers.get('Retry-After'));
+                    } else {
+                        this.recordFailure(endpoint, rpcError.message);
+                    }
+                    lastResponse = response;
+                    continue;
+                }
+                this.recordSuccess(endpoint, performance.now() - startTime);
+                this.setActive(endpoint);
+                return response;
+            } catch (error) {
+                this.recordFailure(endpoint, error.message);
+                lastError = error;
+            }
+        }
+
+        if (lastResponse) return lastResponse;
+        throw lastError || new Error('No RPC endpoints available');
+    }
+
+    /**
+     * JSON-RPC error in a successful HTTP response that reflects on the endpoint
+     * (node behind, unavailable, internal error, rate limit in the body, unparseable reply).
+     * Reads a clone so web3.js still gets the untouched body.
+     * @returns {Promise<{code: number, message: string}|null>}
+     */
+    async readEndpointError(response) {
+        if (!response.ok) return null;
+        let json;
+        try {
+            json = await response.clone().json();
+        } catch (_) {
+            return { code: null, message: 'Invalid JSON-RPC response' };
+        }
+        const replies = Array.isArray(json) ? json : [json];
+        const error = replies
+            .map(reply => reply && reply.error)
+            .find(replyError => replyError && !this.REQUEST_ERROR_CODES.has(replyError.code));
+        if (!error) return null;
+        return { code: error.code, message: `JSON-RPC error ${error.code}: ${error.message || 'unknown'}` };
+    }
+
+    // ========================================
+    // HEALTH TRACKING
+    // ========================================
+
+    ewma(previous, sample) {
+        return previous === null ? sample : previous + this.EWMA_ALPHA * (sample - previous);
+    }
+
+    recordSuccess(endpoint, latency) {
+        endpoint.requests++;
+        endpoint.latency = this.ewma(endpoint.latency, latency);
+        endpoint.errorRate = this.ewma(endpoint.errorRate, 0);
+        endpoint.consecutiveFailures = 0;
+        endpoint.backoffMs = 0;
+        endpoint.backoffUntil = 0;
+        this.notify();
+    }
+
+    recordFailure(endpoint, message) {
+        endpoint.requests++;
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        endpoint.errorRate = this.ewma(endpoint.errorRate, 1);
+        endpoint.lastError = message;
+        console.warn(`⚠️ RPC endpoint failed (${this.describe(endpoint.url)}): ${message}`);
+        if (endpoint.consecutiveFailures >= this.FAILURES_BEFORE_BACKOFF) {
+            this.backOff(endpoint);
+        }
+        this.notify();
+    }
+
+    recordRateLimit(endpoint, retryAfter) {
+        endpoint.requests++;
+        endpoint.lastError = 'HTTP 429 (rate limited)';
+        const retryAfterMs = parseInt(retryAfter, 10) * 1000;
+        this.backOff(endpoint, Number.isFinite(retryAfterMs) ? retryAfterMs : 0);
+        this.notify();
+    }
+
+    /**
+     * Exponential backoff (doubles per consecutive backoff, capped at MAX_BACKOFF)
+     */
+    backOff(endpoint, minimumMs = 0) {
+        endpoint.backoffMs = Math.min(this.MAX_BACKOFF, Math.max(minimumMs, endpoint.backoffMs ? endpoint.backoffMs * 2 : this.BASE_BACKOFF));
+        endpoint.backoffUntil = Date.now() + endpoint.backoffMs;
+        console.warn(`⏳ Backing off ${this.describe(endpoint.url)} for ${Math.round(endpoint.backoffMs / 1000)}s`);
+    }
+
+    setActive(endpoint) {
+        if (this.activeUrl === endpoint.url) return;
+        if (this.activeUrl) {
+            console.log(`🔀 RPC failover: ${this.describe(this.activeUrl)} → ${this.describe(endpoint.url)}`);
+        }
+        this.activeUrl = endpoint.url;
+        this.notify();
+    }
+
+    /**
+     * Probe every endpoint with getSlot (latency + slot lag)
+     * @returns {Promise<number>} Number of reachable endpoints (rate-limited ones count as reachable)
+     */
+    async checkHealth() {
+        const commitment = this.config.commitment || 'confirmed';
+        const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getSlot', params: [{ commitment }] });
+
+        const results = await Promise.all(this.endpoints.map(async (endpoint) => {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), this.HEALTH_CHECK_TIMEOUT) : null;
+            const startTime = performance.now();
+            try {
+                const response = await globalThis.fetch(endpoint.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    signal: controller ? controller.signal : undefined
+                });
+                if (response.status === 429) {
+                    this.recordRateLimit(endpoint, response.headers.get('Retry-After'));
+                    return true;
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                const json = await response.json();
+                if (typeof json.result !== 'number') {
+                    throw new Error(json.error?.message || 'Invalid getSlot response');
+                }
+                endpoint.slot = json.result;
+                this.recordSuccess(endpoint, performance.now() - startTime);
+                return true;
+            } catch (error) {
+                endpoint.slot = null;
+                this.recordFailure(endpoint, error.name === 'AbortError' ? 'health check timed out' : error.message);
+                return false;
+            } finally {
+                if (timer) clearTimeout(timer);
+                endpoint.lastCheckedAt = Date.now();
+            }
+        }));
+
+        const slots = this.endpoints.map(endpoint => endpoint.slot).filter(slot => slot !== null);
+        const bestSlot = slots.length ? Math.max(...slots) : null;
+        this.endpoints.forEach(endpoint => {
+            endpoint.slotLag = bestSlot !== null && endpoint.slot !== null ? bestSlot - endpoint.slot : 0;
+        });
+        this.notify();
+
+        return results.filter(Boolean).length;
+    }
+
+    startHealthChecks(interval = this.HEALTH_CHECK_INTERVAL) {
+        if (this.healthTimer) return;
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(error => console.warn('⚠️ RPC health check failed:', error.message));
+        }, interval);
+    }
+
+    stopHealthChecks() {
+        if (!this.healthTimer) return;
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    // ========================================
+    // STATUS
+    // ========================================
+
+    /**
+     * Register a status listener
+     * @param {Function} listener - Called with getStatus() on every change
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        const status = this.getStatus();
+        this.listeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.warn('⚠️ RPC status listener failed:', error.message);
+            }
+        });
+        this.renderStatusPanel(status);
+    }
+
+    getStatus() {
+        const now = Date.now();
+        return {
+            activeUrl: this.activeUrl,
+            endpoints: this.endpoints.map(endpoint => ({
+                url: endpoint.url,
+                active: endpoint.url === this.activeUrl,
+                latency: endpoint.latency === null ? null : Math.round(endpoint.latency),
+                errorRate: Math.round(endpoint.errorRate * 100) / 100,
+                slot: endpoint.slot,
+                slotLag: endpoint.slotLag,
+                backingOff: endpoint.backoffUntil > now,
+                backoffRemainingMs: Math.max(0, endpoint.backoffUntil - now),
+                requests: endpoint.requests,
+                failures: endpoint.failures,
+                lastError: endpoint.lastError
+            }))
+        };
+    }
+
+    /**
+     * Host name only - keeps API keys in URL paths out of logs and the UI
+     */
+    describe(url) {
+        try {
+            return new URL(url).host;
+        } catch (_) {
+            return url;
+        }
+    }
+
+    /**
+     * Mount the small status panel (bottom corner, expands on click)
+     */
+    mountStatusPanel() {
+        if (this.panel || typeof document === 'undefined' || !document.body) return;
+        this.panel = document.createElement('div');
+        this.panel.className = 'rpc-status-panel';
+        this.panel.title = 'RPC endpoint status';
+        this.panel.addEventListener('click', () => this.panel.classList.toggle('expanded'));
+        document.body.appendChild(this.panel);
+        this.renderStatusPanel(this.getStatus());
+    }
+
+    renderStatusPanel(status) {
+        if (!this.panel) return;
+        const active = status.endpoints.find(endpoint => endpoint.active);
+        const summary = document.createElement('div');
+        summary.className = 'rpc-status-summary';
+        summary.textContent = active
+            ? `🔌 ${this.describe(active.url)}${active.latency !== null ? ` · ${active.latency}ms` : ''}`
+            : '🔌 Connecting...';
+
+        const details = document.createElement('div');
+        details.className = 'rpc-status-details';
+        status.endpoints.forEach(endpoint => {
+            const row = document.createElement('div');
+            row.className = 'rpc-status-row';
+            const icon = endpoint.backingOff ? '⏳' : (endpoint.errorRate > 0.5 ? '🔴' : (endpoint.slotLag > this.MAX_SLOT_LAG ? '🟠' : '🟢'));
+            const parts = [
+                `${icon} ${this.describe(endpoint.url)}${endpoint.active ? ' (in use)' : ''}`,
+                endpoint.latency !== null ? `${endpoint.latency}ms` : '--',
+                `${Math.round(endpoint.errorRate * 100)}% err`,
+                `lag ${endpoint.slotLag}`
+            ];
+            if (endpoint.backingOff) {
+                parts.push(`retry in ${Math.ceil(endpoint.backoffRemainingMs / 1000)}s`);
+            }
+            row.textContent = parts.join(' · ');
+            if (endpoint.lastError) row.title = endpoint.lastError;
+            details.appendChild(row);
+        });
+
+        this.panel.replaceChildren(summary, details);
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.RpcEndpointPool = new RpcEndpointPool();
+    console.log('🔌 RpcEndpointPool loaded');
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RpcEndpointPool;
+}
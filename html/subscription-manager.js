@@ -0,0 +1,364 @@
+/**
+ * Account Subscription Manager
+ *
+ * Real-time pool and program state over the RPC WebSocket:
+ * 1. onAccountChange for the pool being viewed (or a single treasury/system account)
+ * 2. onProgramAccountChange for program-wide views (pools list, dashboard)
+ * 3. Automatic HTTP polling fallback while the socket is down
+ *
+ * Decoded updates are fed into PoolCacheManager (when loaded) and handed to page callbacks.
+ * Unchanged account data is never dispatched twice, so socket and polling can overlap safely.
+ *
+ * Dependencies:
+ * - solanaWeb3
+ * - data-service.js (TradingDataService parsing)
+ * - pool-cache-manager.js (optional)
+ */
+
+class SubscriptionManager {
+    constructor() {
+        this.SOCKET_OPEN_TIMEOUT = 10000; // Fall back to polling if the socket has not opened by then
+        this.DEFAULT_POLL_INTERVAL = 10000;
+        this.connection = null;
+        this.config = null;
+        this.subscriptions = new Map();
+        this.nextKey = 1;
+        this.mode = 'idle'; // 'idle' | 'connecting' | 'websocket' | 'polling'
+        this.statusListeners = [];
+        this.socketTimeout = null;
+        this.pdaAddresses = null;
+    }
+
+    /**
+     * Initialize with the page's connection
+     * @param {Object} config - Dashboard config (programId, commitment, refreshInterval)
+     * @param {Connection} connection - Solana connection (WebSocket endpoint from config.wsUrl)
+     */
+    initialize(config, connection) {
+        if (this.connection && this.connection !== connection) {
+            this.unsubscribeAll();
+        }
+        this.config = config;
+        this.connection = connection;
+        this.attachSocketListeners();
+        console.log(`[${new Date().toISOString()}] 📡 SubscriptionManager initialized`);
+    }
+
+    /**
+     * Subscribe to a single pool account
+     * @param {string} poolAddress - Pool state address
+     * @param {Function} onUpdate - Called with (pool, meta) where meta = { slot, source }
+     * @param {Object} options - { pollInterval }
+     * @returns {number} Subscription key for unsubscribe()
+     */
+    watchPool(poolAddress, onUpdate, options = {}) {
+        return this.addSubscription({
+            type: 'account',
+            address: poolAddress,
+            onUpdate,
+            unwrap: true,
+            pollInterval: options.pollInterval
+        });
+    }
+
+    /**
+     * Subscribe to a single program account of any kind (e.g. main treasury, system state)
+     * @param {string} address - Account address
+     * @param {Function} onUpdate - Called with (update, meta) where update = { type, address, state }
+     * @param {Object} options - { pollInterval }
+     * @returns {number} Subscription key for unsubscribe()
+     */
+    watchAccount(address, onUpdate, options = {}) {
+        return this.addSubscription({
+            type: 'account',
+            address: address.toString(),
+            onUpdate,
+            unwrap: false,
+            pollInterval: options.pollInterval
+        });
+    }
+
+    /**
+     * Subscribe to every account owned by the program
+     * @param {Function} onUpdate - Called with (update, meta) where update = { type, address, state }
+     *                              and type is 'pool' | 'mainTreasury' | 'systemState'
+     * @param {Object} options - { pollInterval }
+     * @returns {number} Subscription key for unsubscribe()
+     */
+    watchProgram(onUpdate, options = {}) {
+        return this.addSubscription({
+            type: 'program',
+            address: this.config.programId,
+            onUpdate,
+            pollInterval: options.pollInterval
+        });
+    }
+
+    /**
+     * Remove a subscription (socket and polling)
+     */
+    async unsubscribe(key) {
+        const sub = this.subscriptions.get(key);
+        if (!sub) return;
+        this.subscriptions.delete(key);
+        this.stopPolling(sub);
+        try {
+            if (sub.socketId !== null && sub.socketId !== undefined) {
+                if (sub.type === 'account') {
+                    await this.connection.removeAccountChangeListener(sub.socketId);
+                } else {
+                    await this.connection.removeProgramAccountChangeListener(sub.socketId);
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to remove subscription:', error.message);
+        }
+        if (this.subscriptions.size === 0) {
+            this.setMode('idle');
+        }
+    }
+
+    unsubscribeAll() {
+        for (const key of Array.from(this.subscriptions.keys())) {
+            this.unsubscribe(key);
+        }
+    }
+
+    /**
+     * Register a status listener
+     * @param {Function} listener - Called with (mode) on every mode change
+     */
+    onStatusChange(listener) {
+        this.statusListeners.push(listener);
+        listener(this.mode);
+    }
+
+    /**
+     * Short status label for page footers
+     */
+    getModeLabel(mode = this.mode) {
+        switch (mode) {
+            case 'websocket': return '🟢 Live';
+            case 'connecting': return '🟡 Connecting...';
+            case 'polling': return '🟠 Polling';
+            default: return '';
+        }
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            subscriptions: this.subscriptions.size
+        };
+    }
+
+    // ========================================
+    // SUBSCRIPTIONS
+    // ========================================
+
+    addSubscription(sub) {
+        if (!this.connection) {
+            throw new Error('SubscriptionManager not initialized');
+        }
+        const key = this.nextKey++;
+        sub.key = key;
+        sub.socketId = null;
+        sub.pollTimer = null;
+        sub.fingerprints = new Map();
+        sub.pollInterval = sub.pollInterval || this.config.refreshInterval || this.DEFAULT_POLL_INTERVAL;
+        this.subscriptions.set(key, sub);
+
+        const commitment = this.config.commitment || 'confirmed';
+        try {
+            const pubkey = new solanaWeb3.PublicKey(sub.address);
+            if (sub.type === 'account') {
+                sub.socketId = this.connection.onAccountChange(pubkey, (accountInfo, context) => {
+                    this.handleAccount(sub, sub.address, accountInfo, context?.slot, 'subscription');
+                }, commitment);
+            } else {
+                sub.socketId = this.connection.onProgramAccountChange(pubkey, (keyedAccountInfo, context) => {
+                    this.handleAccount(sub, keyedAccountInfo.accountId.toString(), keyedAccountInfo.accountInfo, context?.slot, 'subscription');
+                }, commitment);
+            }
+            console.log(`📡 Subscribed to ${sub.type} ${sub.address.toString().slice(0, 8)}...`);
+        } catch (error) {
+            console.warn(`⚠️ ${sub.type} subscription failed, polling instead:`, error.message);
+            this.setMode('polling');
+        }
+
+        if (this.mode === 'polling') {
+            this.startPolling(sub);
+        } else if (this.mode === 'idle') {
+            this.setMode(this.connection._rpcWebSocketConnected ? 'websocket' : 'connecting');
+        }
+        return key;
+    }
+
+    /**
+     * Follow the connection's WebSocket lifecycle (socket drop → polling, reconnect → live)
+     * web3.js re-sends the subscriptions itself when the socket reopens.
+     */
+    attachSocketListeners() {
+        const socket = this.connection?._rpcWebSocket;
+        if (!socket || typeof socket.on !== 'function') {
+            console.warn('⚠️ WebSocket lifecycle not observable on this connection - using polling fallback');
+            this.socketObservable = false;
+            return;
+        }
+        this.socketObservable = true;
+        socket.on('open', () => {
+            if (this.subscriptions.size === 0) return;
+            console.log('✅ Subscription socket open - live updates active');
+            const wasPolling = this.mode === 'polling';
+            this.setMode('websocket');
+            // Catch up on anything that changed while the socket was down
+            if (wasPolling) {
+                this.subscriptions.forEach(sub => this.pollOnce(sub));
+            }
+        });
+        socket.on('close', () => {
+            if (this.subscriptions.size === 0) return;
+            console.warn('⚠️ Subscription socket closed - falling back to polling');
+            this.setMode('polling');
+        });
+        socket.on('error', (error) => {
+            if (this.subscriptions.size === 0 || this.mode === 'polling') return;
+            console.warn('⚠️ Subscription socket error - falling back to polling:', error?.message || error);
+            this.setMode('polling');
+        });
+    }
+
+    setMode(mode) {
+        if (mode === 'connecting' && !this.socketObservable) {
+            mode = 'polling';
+        }
+        if (this.mode === mode) return;
+        this.mode = mode;
+
+        clearTimeout(this.socketTimeout);
+        if (mode === 'connecting') {
+            this.socketTimeout = setTimeout(() => {
+                if (this.mode === 'connecting') {
+                    console.warn('⚠️ Subscription socket did not open - falling back to polling');
+                    this.setMode('polling');
+                }
+            }, this.SOCKET_OPEN_TIMEOUT);
+        }
+
+        this.subscriptions.forEach(sub => {
+            if (mode === 'polling') {
+                this.startPolling(sub);
+            } else {
+                this.stopPolling(sub);
+            }
+        });
+
+        this.statusListeners.forEach(listener => {
+            try {
+                listener(mode);
+            } catch (error) {
+                console.warn('⚠️ Subscription status listener failed:', error.message);
+            }
+        });
+    }
+
+    // ========================================
+    // POLLING FALLBACK
+    // ========================================
+
+    startPolling(sub) {
+        if (sub.pollTimer) return;
+        console.log(`🔄 Polling ${sub.type} ${sub.address.toString().slice(0, 8)}... every ${Math.round(sub.pollInterval / 1000)}s`);
+        sub.pollTimer = setInterval(() => this.pollOnce(sub), sub.pollInterval);
+    }
+
+    stopPolling(sub) {
+        if (!sub.pollTimer) return;
+        clearInterval(sub.pollTimer);
+        sub.pollTimer = null;
+    }
+
+    async pollOnce(sub) {
+        if (!this.subscriptions.has(sub.key) || sub.polling) return;
+        sub.polling = true;
+        const commitment = this.config.commitment || 'confirmed';
+        try {
+            const pubkey = new solanaWeb3.PublicKey(sub.address);
+            if (sub.type === 'account') {
+                const { context, value } = await this.connection.getAccountInfoAndContext(pubkey, commitment);
+                if (value) {
+                    this.handleAccount(sub, sub.address, value, context.slot, 'polling');
+                }
+            } else {
+                const { context, value } = await this.connection.getProgramAccounts(pubkey, { commitment, withContext: true });
+                value.forEach(({ pubkey: accountId, account }) => {
+                    this.handleAccount(sub, accountId.toString(), account, context.slot, 'polling');
+                });
+            }
+        } catch (error) {
+            console.warn(`⚠️ Poll failed for ${sub.type} ${sub.address.toString().slice(0, 8)}...:`, error.message);
+        } finally {
+            sub.polling = false;
+        }
+    }
+
+    // ========================================
+    // DECODING AND DISPATCH
+    // ========================================
+
+    /**
+     * Decode a changed account, feed the cache and notify the page
+     */
+    async handleAccount(sub, address, accountInfo, slot, source) {
+        try {
+            const fingerprint = accountInfo.data.toString('base64');
+            if (sub.fingerprints.get(address) === fingerprint) return;
+            sub.fingerprints.set(address, fingerprint);
+
+            const update = await this.decodeAccount(address, accountInfo);
+            if (!update) return;
+
+            if (update.type === 'pool' && window.PoolCacheManager?.ingestAccountUpdate) {
+                await window.PoolCacheManager.ingestAccountUpdate(address, accountInfo, slot, source);
+            }
+
+            await sub.onUpdate(sub.unwrap ? update.state : update, { slot, source });
+        } catch (error) {
+            console.warn(`⚠️ Failed to process update for ${address.slice(0, 8)}...:`, error.message);
+        }
+    }
+
+    /**
+     * Decode a program account by address/size
+     * @returns {Object|null} { type, address, state }
+     */
+    async decodeAccount(address, accountInfo) {
+        const dataService = window.TradingDataService;
+        if (!dataService) {
+            throw new Error('TradingDataService not loaded');
+        }
+        if (!this.pdaAddresses) {
+            const { mainTreasuryPda, systemStatePda } = await dataService.derivePDAAddresses();
+            this.pdaAddresses = {
+                mainTreasury: mainTreasuryPda.toString(),
+                systemState: systemStatePda.toString()
+            };
+        }
+
+        if (address === this.pdaAddresses.mainTreasury) {
+            return { type: 'mainTreasury', address, state: dataService.parseMainTreasuryState(accountInfo.data, accountInfo.owner) };
+        }
+        if (address === this.pdaAddresses.systemState) {
+            return { type: 'systemState', address, state: dataService.parseSystemState(accountInfo.data, accountInfo.owner) };
+        }
+        if (accountInfo.data.length > 300) { // Pool states are larger
+            return { type: 'pool', address, state: dataService.parsePoolState(accountInfo.data, address) };
+        }
+        return null;
+    }
+}
+
+// Create global instance
+window.SubscriptionManager = new SubscriptionManager();
+
+console.log('📡 SubscriptionManager loaded');
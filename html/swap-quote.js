@@ -0,0 +1,212 @@
+/**
+ * Fixed Ratio Trading - Swap Quote Engine
+ * Exact integer swap quotes in token base units (basis points), mirroring the on-chain math
+ *
+ * On-chain:  A→B  amount_out = amount_in * ratio_B / ratio_A   (floor)
+ *            B→A  amount_out = amount_in * ratio_A / ratio_B   (floor)
+ * Pools with the exact-exchange flag (pool-flags.js) reject any swap whose division leaves a remainder (dust).
+ *
+ * The swap UI, the transaction preview and the expected_amount_out sent in the Swap
+ * instruction all come from these functions so they can never disagree.
+ * Only depends on pool-flags.js - safe to load on the render-first swap page.
+ */
+
+const U64_MAX = 0xffffffffffffffffn;
+const POOL_FLAG_EXACT_EXCHANGE_REQUIRED = PoolFlags.getPoolFlag('exactExchangeRequired').value;
+
+/**
+ * Convert a value to a non-negative BigInt
+ * @param {number|bigint|string} value - Integer amount
+ * @param {string} label - Name used in error messages
+ * @returns {bigint}
+ */
+function toQuoteBigInt(value, label) {
+    if (typeof value === 'bigint') {
+        if (value < 0n) throw new Error(`Invalid ${label}: ${value}. Must be non-negative.`);
+        return value;
+    }
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`Invalid ${label}: ${value}. Must be a non-negative safe integer.`);
+        }
+        return BigInt(value);
+    }
+    const str = String(value ?? '').trim();
+    if (!/^\d+$/.test(str)) {
+        throw new Error(`Invalid ${label}: ${value}. Must be a non-negative integer.`);
+    }
+    return BigInt(str);
+}
+
+/**
+ * Validate token decimals (0-9, as supported by the program)
+ */
+function validateQuoteDecimals(decimals, label) {
+    if (typeof decimals !== 'number' || !Number.isInteger(decimals) || decimals < 0 || decimals > 9) {
+        throw new Error(`Invalid ${label}: ${decimals}. Must be an integer between 0 and 9.`);
+    }
+    return decimals;
+}
+
+/**
+ * Convert a display amount to base units without floating point
+ * Digits beyond the token's decimals are truncated, matching what the wallet can actually send.
+ * @param {string|number} displayAmount - Amount in display units (e.g. "1.5")
+ * @param {number} decimals - Token decimal places
+ * @returns {bigint} Amount in base units
+ */
+function toBaseUnits(displayAmount, decimals) {
+    validateQuoteDecimals(decimals, 'decimals');
+    let str = typeof displayAmount === 'number'
+        ? displayAmount.toFixed(Math.min(20, decimals + 2))
+        : String(displayAmount ?? '').trim();
+    if (str.startsWith('.')) str = '0' + str;
+    if (!/^\d+(\.\d*)?$/.test(str)) {
+        throw new Error(`Invalid amount: ${displayAmount}`);
+    }
+    const [whole, fraction = ''] = str.split('.');
+    return BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+}
+
+/**
+ * Convert base units to an exact display string
+ * @param {number|bigint|string} baseUnits - Amount in base units
+ * @param {number} decimals - Token decimal places
+ * @returns {string} Display amount with trailing zeros trimmed (e.g. "1.5")
+ */
+function fromBaseUnits(baseUnits, decimals) {
+    validateQuoteDecimals(decimals, 'decimals');
+    const raw = toQuoteBigInt(baseUnits, 'amount').toString();
+    if (decimals === 0) return raw;
+    const padded = raw.padStart(decimals + 1, '0');
+    const whole = padded.slice(0, padded.length - decimals);
+    const fraction = padded.slice(padded.length - decimals).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * Build a quote pair from pool data (RPC, server or cache shape)
+ * Decimals are required - guessing them would produce quotes the program rejects.
+ * @param {Object} poolData - Pool data with ratios, decimals and flags
+ * @returns {Object} { ratioA, ratioB, decimalsA, decimalsB, exactExchangeRequired }
+ */
+function getQuotePair(poolData) {
+    if (!poolData) {
+        throw new Error('Pool data not available');
+    }
+    const ratioA = toQuoteBigInt(poolData.ratioANumerator ?? poolData.ratio_a_numerator, 'ratio A');
+    const ratioB = toQuoteBigInt(poolData.ratioBDenominator ?? poolData.ratio_b_denominator, 'ratio B');
+    if (ratioA === 0n || ratioB === 0n) {
+        throw new Error('Pool ratios must be positive');
+    }
+
+    const decimalsA = poolData.ratioADecimal ?? poolData.ratio_a_decimal ?? poolData.tokenDecimals?.tokenADecimals;
+    const decimalsB = poolData.ratioBDecimal ?? poolData.ratio_b_decimal ?? poolData.tokenDecimals?.tokenBDecimals;
+    if (decimalsA === undefined || decimalsA === null || decimalsB === undefined || decimalsB === null) {
+        throw new Error('Token decimal information missing');
+    }
+
+    const flags = parseInt(poolData.flags ?? poolData.pool_flags, 10) || 0;
+
+    return {
+        ratioA,
+        ratioB,
+        decimalsA: validateQuoteDecimals(Number(decimalsA), 'token A decimals'),
+        decimalsB: validateQuoteDecimals(Number(decimalsB), 'token B decimals'),
+        exactExchangeRequired: (flags & POOL_FLAG_EXACT_EXCHANGE_REQUIRED) !== 0
+    };
+}
+
+/**
+ * Resolve numerator/denominator and decimals for a swap direction
+ */
+function getDirectionTerms(pair, direction) {
+    if (direction === 'AtoB') {
+        return { numerator: pair.ratioB, denominator: pair.ratioA, inputDecimals: pair.decimalsA, outputDecimals: pair.decimalsB };
+    }
+    if (direction === 'BtoA') {
+        return { numerator: pair.ratioA, denominator: pair.ratioB, inputDecimals: pair.decimalsB, outputDecimals: pair.decimalsA };
+    }
+    throw new Error(`Invalid swap direction: ${direction}`);
+}
+
+/**
+ * Input-driven quote: what the program pays out for an exact input
+ * @param {Object} pair - From getQuotePair
+ * @param {string} direction - 'AtoB' | 'BtoA'
+ * @param {number|bigint|string} amountIn - Input amount in base units
+ * @returns {Object} Quote { direction, amountIn, amountOut, remainder, hasDust, dustBlocked,
+ *                   inputDecimals, outputDecimals, amountInDisplay, amountOutDisplay }
+ */
+function quoteExactIn(pair, direction, amountIn) {
+    const { numerator, denominator, inputDecimals, outputDecimals } = getDirectionTerms(pair, direction);
+    const input = toQuoteBigInt(amountIn, 'input amount');
+    if (input > U64_MAX) {
+        throw new Error('Input amount exceeds u64 range');
+    }
+
+    const product = input * numerator;
+    const amountOut = product / denominator;
+    const remainder = product % denominator;
+    if (amountOut > U64_MAX) {
+        throw new Error('Output amount exceeds u64 range');
+    }
+
+    const hasDust = remainder !== 0n;
+    return {
+        direction,
+        amountIn: input,
+        amountOut,
+        remainder,
+        hasDust,
+        dustBlocked: hasDust && pair.exactExchangeRequired,
+        inputDecimals,
+        outputDecimals,
+        amountInDisplay: fromBaseUnits(input, inputDecimals),
+        amountOutDisplay: fromBaseUnits(amountOut, outputDecimals)
+    };
+}
+
+/**
+ * Output-driven quote: the smallest input that pays out at least the desired amount
+ * The returned quote is the input-driven quote for that input, so amountOut is exactly
+ * what the program will pay (it may exceed the request by rounding).
+ * @param {Object} pair - From getQuotePair
+ * @param {string} direction - 'AtoB' | 'BtoA'
+ * @param {number|bigint|string} amountOut - Desired output in base units
+ * @returns {Object} Quote (see quoteExactIn) plus requestedAmountOut
+ */
+function quoteExactOut(pair, direction, amountOut) {
+    const { numerator, denominator } = getDirectionTerms(pair, direction);
+    const desired = toQuoteBigInt(amountOut, 'output amount');
+
+    // ceil(desired * denominator / numerator)
+    const amountIn = (desired * denominator + numerator - 1n) / numerator;
+    const quote = quoteExactIn(pair, direction, amountIn);
+    quote.requestedAmountOut = desired;
+    return quote;
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.SwapQuote = {
+        POOL_FLAG_EXACT_EXCHANGE_REQUIRED,
+        toBaseUnits,
+        fromBaseUnits,
+        getQuotePair,
+        quoteExactIn,
+        quoteExactOut
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POOL_FLAG_EXACT_EXCHANGE_REQUIRED,
+        toBaseUnits,
+        fromBaseUnits,
+        getQuotePair,
+        quoteExactIn,
+        quoteExactOut
+    };
+}
@@ -14,12 +14,13 @@ let wallet = null;
 let isConnected = false;
 let userTokens = [];
 let swapDirection = 'AtoB'; // 'AtoB' or 'BtoA'
-let tokenPairRatio = null; // 🎯 CENTRALIZED: TokenPairRatio instance for all calculations
+let pendingUrlAmounts = null; // { amount } or { out } from the URL, applied once the pool has rendered
+let tokenPairRatio = null; // 🎯 CENTRALIZED: ratio display helper (swap math lives in SwapQuote)
 // Removed: poolStatusCheckInterval - no more periodic monitoring
 // No slippage tolerance needed for fixed ratio trading
 
 // Multi-wallet support variables
-let currentWalletType = null; // 'phantom', 'solflare', 'backpack'
+let currentWalletType = null; // 'phantom', 'solflare', 'backpack', 'test-signer'
 let availableWallets = [];
 let walletDropdownVisible = false;
 
@@ -122,35 +123,51 @@ async function ensureSPLTokenLibrary() {
     }
 }
 
+// Transaction modules in load order (each needs the ones before it); a quote needs none of them
+const TRANSACTION_SCRIPTS = [
+    'instructions.js',
+    'program-interface.js',
+    'transaction-builder.js',
+    'activity-decoder.js',
+    'transaction-journal.js',
+    'transaction-lifecycle.js'
+];
+let transactionModulesPromise = null;
+
+/**
+ * Lazy load the instruction, transaction and journal modules when needed for transactions
+ * @returns {Promise<boolean>} True when every module is loaded
+ */
+async function ensureTransactionModules() {
+    if (!transactionModulesPromise) {
+        transactionModulesPromise = (async () => {
+            for (const src of TRANSACTION_SCRIPTS) {
+                await loadScriptDeferred(src);
+            }
+            console.log('✅ Transaction modules loaded');
+        })();
+    }
+    try {
+        await transactionModulesPromise;
+        return true;
+    } catch (error) {
+        console.error('❌ Error loading transaction modules:', error);
+        transactionModulesPromise = null; // Retry on the next swap
+        return false;
+    }
+}
+
 /**
- * Simple flags interpretation from server data (no dependencies)
+ * Simple flags interpretation from server data (pool-flags.js registry)
  * Based on API docs: pool_state.swaps_paused() and pool_state.liquidity_paused() methods
  */
 function interpretPoolFlags(poolData) {
-    const flags = {
-        swapsPaused: false,
-        liquidityPaused: false,
-        oneToManyRatio: false,
-        exactExchangeRequired: false
-    };
+    // Bit layout lives in pool-flags.js
+    const flags = PoolFlags.decodePoolFlags(poolData);
     
     // Check if pool has flags field from server
     if (poolData && poolData.flags !== undefined) {
-        const flagValue = parseInt(poolData.flags) || 0;
-        
-        // Interpret flags using bitwise operations based on contract documentation
-        // Bit 0 (value 1): Simple ratio flag
-        // Bit 1 (value 2): Liquidity paused
-        // Bit 2 (value 4): Swaps paused  
-        // Bit 5 (value 32): Swap for owners only
-        // Bit 6 (value 64): Exact exchange required (no dust allowed)
-        
-        flags.swapsPaused = (flagValue & 4) !== 0;
-        flags.liquidityPaused = (flagValue & 2) !== 0;
-        flags.swapForOwnersOnly = (flagValue & 32) !== 0;
-        flags.exactExchangeRequired = (flagValue & 64) !== 0;
-        
-        console.log(`🚩 Pool flags value: ${flagValue}`);
+        console.log(`🚩 Pool flags value: ${PoolFlags.getFlagsValue(poolData)}`);
         if (flags.exactExchangeRequired) {
             console.log('⚠️ EXACT EXCHANGE REQUIRED: This pool requires amounts that divide exactly (no dust)');
         }
@@ -169,6 +186,7 @@ async function loadPoolDataFromServerOnly(poolAddress, forceRefresh = false) {
         
         // Add refresh parameter if requested
         const refreshParam = forceRefresh ? '&refresh=1' : '';
+        const fetchStart = performance.now();
         const response = await fetch(`./pool-data.php?poolAddress=${poolAddress}${refreshParam}`);
         
         if (!response.ok) {
@@ -182,6 +200,13 @@ async function loadPoolDataFromServerOnly(poolAddress, forceRefresh = false) {
             poolData = serverData.parsed_pool_data;
             console.log('✅ Pool data loaded from server:', poolData);
             
+            updateCacheStatusDisplay({
+                source: `server-cache-${response.headers.get('X-Cache-Status') || 'unknown'}`,
+                response_time: performance.now() - fetchStart,
+                generated_at: serverData.generated_at,
+                slot: serverData.slot ?? serverData.rpc_response?.context?.slot ?? null
+            });
+            
             // Render the page immediately with server data
             console.log('🎨 Starting updatePoolDisplay...');
             const displayStart = performance.now();
@@ -191,6 +216,7 @@ async function loadPoolDataFromServerOnly(poolAddress, forceRefresh = false) {
             console.log('🔄 Starting initializeSwapInterface...');
             const interfaceStart = performance.now();
             initializeSwapInterface();
+            applyPendingUrlAmounts();
             console.log(`🔄 initializeSwapInterface took ${(performance.now() - interfaceStart).toFixed(1)}ms`);
             clearStatus();
             
@@ -261,12 +287,8 @@ async function initializeApp() {
 
         // Initialize Solana connection for transactions only (no pool data fetching)
         console.log(`[${new Date().toISOString()}] 🔌 Connecting to Solana RPC for transactions only...`);
-        const connectionConfig = {
-            commitment: CONFIG.commitment,
-            disableRetryOnRateLimit: CONFIG.disableRetryOnRateLimit || true,
-            wsEndpoint: false // Disable WebSocket, use HTTP only
-        };
-                connection = new solanaWeb3.Connection(CONFIG.rpcUrl, connectionConfig);
+        // Health-scored endpoint pool (latency, errors, slot lag) with mid-session failover
+        connection = await createRobustConnection();
         
         console.log('✅ Solana connection established (SPL Token library will load when needed)');
         
@@ -283,9 +305,9 @@ async function initializeApp() {
             }, 100);
         }
         
-        // Check if Backpack is installed (but don't block interface if not)
-        if (!window.backpack) {
-            console.log('⚠️ Backpack wallet not detected - interface will work without wallet connection');
+        // Check for a wallet (but don't block interface if none)
+        if (window.WalletAdapter.detectWallets().length === 0) {
+            console.log('⚠️ No wallet detected - interface will work without wallet connection');
             // Don't return here - continue with pool loading
         }
         
@@ -301,32 +323,9 @@ async function initializeApp() {
         await loadPoolData();
         
         // Defer wallet connect and WS upgrade until idle to avoid blocking render
+        // Wallet connection will be handled at the very end of pool data processing
+        // (the pooled connection already carries config.wsUrl for subscriptions)
         showWalletConnection();
-        const runAfterIdle = (fn) => {
-            if ('requestIdleCallback' in window) { window.requestIdleCallback(() => fn(), { timeout: 2000 }); }
-            else { setTimeout(fn, 0); }
-        };
-        runAfterIdle(async () => {
-            try {
-                // Upgrade to WS after paint if we deferred it
-                if (fastRender && CONFIG.wsUrl) {
-                    try {
-                        console.log('📡 Upgrading to WebSocket connection (idle)');
-                        const newConn = new solanaWeb3.Connection(CONFIG.rpcUrl, {
-                            commitment: CONFIG.commitment,
-                            disableRetryOnRateLimit: CONFIG.disableRetryOnRateLimit || true
-                        }, CONFIG.wsUrl);
-                        connection = newConn;
-                        if (window.TradingDataService) {
-                            window.TradingDataService.connection = newConn;
-                        }
-                    } catch (e) {
-                        console.warn('⚠️ WS upgrade failed (will continue with HTTP):', e?.message);
-                    }
-                }
-                // Wallet connection will be handled at the very end of pool data processing
-            } catch (_) {}
-        });
         
     } catch (error) {
         console.error('❌ Error initializing swap page:', error);
@@ -436,15 +435,12 @@ async function enrichPoolData() {
     // 🎯 CENTRALIZED: Create TokenPairRatio instance for all calculations
     try {
         // Server provides all necessary decimal and ratio data
+        // Never guess decimals: a wrong guess yields quotes the program rejects, so SwapQuote refuses to quote instead
         if (typeof poolData.ratioADecimal !== 'number' || typeof poolData.ratioBDecimal !== 'number') {
-            console.warn('Warning: Server did not provide token decimals, using defaults');
-            poolData.ratioADecimal = poolData.ratioADecimal || 6;
-            poolData.ratioBDecimal = poolData.ratioBDecimal || 6;
-                poolData.ratioAActual = (poolData.ratioANumerator || 0) / Math.pow(10, poolData.ratioADecimal);
-                poolData.ratioBActual = (poolData.ratioBDenominator || 0) / Math.pow(10, poolData.ratioBDecimal);
+            console.warn('Warning: Server did not provide token decimals, swap quotes unavailable until they load');
         }
 
-        // Create simple ratio calculation object (no dependencies)
+        // Create simple ratio display object (no dependencies) - swap math lives in SwapQuote
         // Store token symbols in poolData for consistent access
         poolData.tokenASymbol = poolData.token_a_ticker || poolData.tokenASymbol || 'tSAT';
         poolData.tokenBSymbol = poolData.token_b_ticker || poolData.tokenBSymbol || 'tBTC';
@@ -454,25 +450,6 @@ async function enrichPoolData() {
             ratioB: poolData.ratio_b_actual || poolData.ratioBActual || 1,
             tokenASymbol: poolData.tokenASymbol,
             tokenBSymbol: poolData.tokenBSymbol,
-            tokenADecimals: poolData.ratio_a_decimal || poolData.ratioADecimal || 6,
-            tokenBDecimals: poolData.ratio_b_decimal || poolData.ratioBDecimal || 6,
-            
-            // Simple swap calculation methods
-            SwapAToB: function(amountA) {
-                return (amountA * this.ratioB) / this.ratioA;
-            },
-            SwapBToA: function(amountB) {
-                return (amountB * this.ratioA) / this.ratioB;
-            },
-            
-            // Convert display amounts to basis points
-            ADisplayToBasisPoints: function(displayAmount) {
-                return Math.floor(displayAmount * Math.pow(10, this.tokenADecimals));
-            },
-            
-            BDisplayToBasisPoints: function(displayAmount) {
-                return Math.floor(displayAmount * Math.pow(10, this.tokenBDecimals));
-            },
             
             ExchangeDisplay: function() {
                 const rate = this.ratioB / this.ratioA;
@@ -595,54 +572,10 @@ function formatTokenAmount(amount, decimals) {
 }
 
 /**
- * Detect available wallets in the browser
+ * Detect available wallets in the browser (via the shared WalletAdapter)
  */
 function detectAvailableWallets() {
-    const wallets = [];
-    
-    // Check for Phantom
-    if (window.solana && window.solana.isPhantom) {
-        console.log('🔍 Phantom detected:', {
-            isPhantom: window.solana.isPhantom,
-            publicKey: window.solana.publicKey?.toString() || 'Not connected',
-            isConnected: window.solana.isConnected
-        });
-        wallets.push({
-            type: 'phantom',
-            name: 'Phantom',
-            provider: window.solana,
-            detected: true
-        });
-    }
-    
-    // Check for Solflare
-    if (window.solflare && window.solflare.isSolflare) {
-        console.log('🔍 Solflare detected:', {
-            isSolflare: window.solflare.isSolflare,
-            publicKey: window.solflare.publicKey?.toString() || 'Not connected',
-            isConnected: window.solflare.isConnected
-        });
-        wallets.push({
-            type: 'solflare',
-            name: 'Solflare',
-            provider: window.solflare,
-            detected: true
-        });
-    }
-    
-    // Check for Backpack
-    if (window.backpack) {
-        console.log('🔍 Backpack detected:', {
-            publicKey: window.backpack.publicKey?.toString() || 'Not connected',
-            isConnected: window.backpack.isConnected
-        });
-        wallets.push({
-            type: 'backpack',
-            name: 'Backpack',
-            provider: window.backpack,
-            detected: true
-        });
-    }
+    const wallets = window.WalletAdapter.detectWallets().map(entry => ({ ...entry, detected: true }));
     
     availableWallets = wallets;
     updateWalletDropdownStatus();
@@ -695,7 +628,11 @@ function handleWalletButtonClick() {
         return;
     }
     
-    if (wallets.length === 1) {
+    // A configured test signer always wins - automated tests set it up explicitly
+    const testSigner = wallets.find(w => w.type === 'test-signer');
+    if (testSigner) {
+        connectSpecificWallet(testSigner.type);
+    } else if (wallets.length === 1) {
         // Auto-connect to the only available wallet
         connectSpecificWallet(wallets[0].type);
     } else {
@@ -752,7 +689,7 @@ async function connectSpecificWallet(walletType) {
         document.removeEventListener('click', closeDropdownOnOutsideClick);
     }
     
-    const walletInfo = availableWallets.find(w => w.type === walletType);
+    const walletInfo = detectAvailableWallets().find(w => w.type === walletType);
     if (!walletInfo || !walletInfo.detected) {
         showStatus('error', `${walletType.charAt(0).toUpperCase() + walletType.slice(1)} wallet not detected. Please install it first.`);
         return;
@@ -764,40 +701,14 @@ async function connectSpecificWallet(walletType) {
         
         currentWalletType = walletType;
         
-        // Connect based on wallet type
-        switch (walletType) {
-            case 'phantom':
-                // Phantom might need specific connection options
-                try {
-                    await window.solana.connect({ onlyIfTrusted: false });
-                } catch (phantomError) {
-                    // Fallback to basic connect
-                    await window.solana.connect();
-                }
-                wallet = window.solana;
-                break;
-            case 'solflare':
-                await window.solflare.connect();
-                wallet = window.solflare;
-                break;
-            case 'backpack':
-                await window.backpack.connect();
-                wallet = window.backpack;
-                break;
-            default:
-                throw new Error(`Unsupported wallet type: ${walletType}`);
-        }
-        
-        // Some wallets need a moment for publicKey to be available
-        let attempts = 0;
-        while ((!wallet || !wallet.publicKey) && attempts < 10) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-            attempts++;
+        // The test signer builds its keypair with solanaWeb3, which this page loads lazily
+        if (walletType === 'test-signer') {
+            await initializeSolanaConnection();
         }
         
-        if (!wallet || !wallet.publicKey) {
-            throw new Error(`${walletInfo.name} connection failed - publicKey not available`);
-        }
+        // Connects, waits for the publicKey and remembers the choice for other pages
+        await window.WalletAdapter.connect(walletType);
+        wallet = window.WalletAdapter;
         
         await handleWalletConnected();
         
@@ -807,10 +718,6 @@ async function connectSpecificWallet(walletType) {
             window.walletDetectionInterval = null;
         }
         
-        // Save connection state to localStorage
-        localStorage.setItem('wallet_connected', 'true');
-        localStorage.setItem('wallet_type', walletType);
-        
     } catch (error) {
         console.error(`❌ Error connecting to ${walletInfo.name}:`, error);
         
@@ -863,9 +770,7 @@ function updateWalletButton() {
     if (walletBtn && walletBtnText) {
         if (isConnected && wallet) {
             walletBtn.className = 'wallet-btn connected';
-            const walletName = currentWalletType ? 
-                currentWalletType.charAt(0).toUpperCase() + currentWalletType.slice(1) : 
-                'Wallet';
+            const walletName = wallet.name || 'Wallet';
             const address = wallet.publicKey.toString();
             walletBtnText.textContent = `🔓 ${walletName} ${address.slice(0, 4)}...${address.slice(-4)}`;
         } else {
@@ -880,65 +785,28 @@ function updateWalletButton() {
  */
 async function checkWalletPersistence() {
     try {
-        // Check if wallet was previously connected
-        const wasConnected = localStorage.getItem('wallet_connected') === 'true';
-        const walletType = localStorage.getItem('wallet_type');
+        const walletType = window.WalletAdapter.getRememberedType();
         
-        if (wasConnected && walletType) {
-            console.log(`🔄 Attempting to restore previous ${walletType} wallet connection...`);
-            
-            try {
-                let walletProvider = null;
-                
-                // Get the appropriate wallet provider
-                switch (walletType) {
-                    case 'phantom':
-                        if (window.solana && window.solana.isPhantom) {
-                            walletProvider = window.solana;
-                        }
-                        break;
-                    case 'solflare':
-                        if (window.solflare && window.solflare.isSolflare) {
-                            walletProvider = window.solflare;
-                        }
-                        break;
-                    case 'backpack':
-                        if (window.backpack) {
-                            walletProvider = window.backpack;
-                        }
-                        break;
-                }
-                
-                if (walletProvider) {
-                    // Try to connect (this will work if user previously authorized)
-                    await walletProvider.connect();
-                    wallet = walletProvider;
-                    currentWalletType = walletType;
-                    console.log(`✅ ${walletType} wallet connection restored successfully`);
-                    await handleWalletConnected();
-                } else {
-                    console.log(`⚠️ ${walletType} wallet not available, clearing persistence`);
-                    localStorage.removeItem('wallet_connected');
-                    localStorage.removeItem('wallet_type');
-                    updateWalletButton();
-                }
-            } catch (connectError) {
-                // Connection failed - user likely disconnected or rejected
-                console.log(`⚠️ Could not restore ${walletType} wallet connection:`, connectError.message);
-                localStorage.removeItem('wallet_connected');
-                localStorage.removeItem('wallet_type');
-                
-                // Update UI to show disconnected state
-                updateWalletButton();
-            }
-        } else {
+        if (!walletType) {
             console.log('🔄 No previous wallet connection found');
+            return;
+        }
+        
+        if (walletType === 'test-signer') {
+            await initializeSolanaConnection();
+        }
+        
+        // Silent reconnect - clears the remembered choice if the wallet is gone or no longer authorized
+        if (await window.WalletAdapter.restore()) {
+            wallet = window.WalletAdapter;
+            currentWalletType = walletType;
+            await handleWalletConnected();
+        } else {
+            updateWalletButton();
         }
     } catch (error) {
         console.warn('⚠️ Error checking wallet persistence:', error);
-        // Clear state if there's an error
-        localStorage.removeItem('wallet_connected');
-        localStorage.removeItem('wallet_type');
+        window.WalletAdapter.forget();
         updateWalletButton();
     }
 }
@@ -952,31 +820,8 @@ async function disconnectWallet() {
         console.log(`🔗 Disconnecting ${currentWalletType || 'wallet'}...`);
         showStatus('info', 'Disconnecting wallet...');
         
-        // Disconnect based on current wallet type
-        if (currentWalletType && wallet) {
-            try {
-                switch (currentWalletType) {
-                    case 'phantom':
-                        if (wallet.disconnect) {
-                            await wallet.disconnect();
-                        }
-                        break;
-                    case 'solflare':
-                        if (wallet.disconnect) {
-                            await wallet.disconnect();
-                        }
-                        break;
-                    case 'backpack':
-                        if (wallet.disconnect) {
-                            await wallet.disconnect();
-                        }
-                        break;
-                }
-            } catch (disconnectError) {
-                console.warn('⚠️ Wallet disconnect method failed:', disconnectError.message);
-                // Continue with cleanup even if disconnect fails
-            }
-        }
+        // Disconnects the provider and forgets the remembered choice
+        await window.WalletAdapter.disconnect();
         
         // Reset wallet state
         wallet = null;
@@ -984,10 +829,6 @@ async function disconnectWallet() {
         userTokens = [];
         currentWalletType = null;
         
-        // Clear connection state from localStorage
-        localStorage.removeItem('wallet_connected');
-        localStorage.removeItem('wallet_type');
-        
         // Update wallet button to show disconnected state
         updateWalletButton();
         
@@ -1065,13 +906,8 @@ async function initializeSolanaConnection() {
             throw new Error('solanaWeb3 not available');
         }
         
-        const connectionConfig = {
-            commitment: window.CONFIG.commitment || 'confirmed',
-            disableRetryOnRateLimit: true,
-            wsEndpoint: false // Disable WebSocket, use HTTP only
-        };
-        
-        connection = new solanaWeb3.Connection(window.CONFIG.rpcUrl, connectionConfig);
+        // Endpoint pool (rpc-pool.js): config.rpcUrl plus fallbackRpcUrls, routed by health with failover
+        connection = await createRobustConnection();
         console.log('✅ Solana RPC connection initialized for wallet operations');
         
         return connection;
@@ -1086,7 +922,7 @@ async function initializeSolanaConnection() {
  */
 async function handleWalletConnected() {
     try {
-        // wallet should already be set by connectSpecificWallet function
+        // wallet (the shared WalletAdapter) should already be set by connectSpecificWallet / checkWalletPersistence
         if (!wallet || !wallet.publicKey) {
             throw new Error('Wallet or publicKey is not available');
         }
@@ -1097,6 +933,8 @@ async function handleWalletConnected() {
         
         // Initialize Solana connection for wallet operations
         await initializeSolanaConnection();
+        // Wallets without signAndSendTransaction (test signer) send through this page's connection
+        window.WalletAdapter.setConnection(connection);
         
         // Defer token/balance calls to avoid blocking
         const runAfterIdle = (fn) => {
@@ -1129,9 +967,7 @@ async function handleWalletConnected() {
         // Update wallet button to show connected state
         updateWalletButton();
         
-        const walletName = currentWalletType ? 
-            currentWalletType.charAt(0).toUpperCase() + currentWalletType.slice(1) : 
-            'Wallet';
+        const walletName = wallet.name || 'Wallet';
         showStatus('success', `${walletName} connected: ${wallet.publicKey.toString().slice(0, 8)}...`);
         
     } catch (error) {
@@ -1204,30 +1040,11 @@ async function loadUserTokensForPool() {
             } catch (_) {}
         }
         if (!tokenAccounts) {
-            try {
-                tokenAccounts = await connection.getParsedTokenAccountsByOwner(
-            wallet.publicKey,
-            { programId: window.splToken.TOKEN_PROGRAM_ID }
-        );
-            } catch (e) {
-                console.warn('⚠️ Primary RPC token fetch failed:', e?.message);
-                await new Promise(r => setTimeout(r, 300));
-                const fallbacks = (window.TRADING_CONFIG?.fallbackRpcUrls || []);
-                for (const rpc of fallbacks) {
-                    try {
-                        const altConn = new solanaWeb3.Connection(rpc, { commitment: 'confirmed', disableRetryOnRateLimit: true });
-                        tokenAccounts = await altConn.getParsedTokenAccountsByOwner(
-                            wallet.publicKey,
-                            { programId: window.splToken.TOKEN_PROGRAM_ID }
-                        );
-                        console.log('✅ Token accounts fetched via fallback RPC');
-                        break;
-                    } catch (e2) {
-                        console.warn('⚠️ Fallback RPC failed:', e2?.message);
-                    }
-                }
-                if (!tokenAccounts) throw e;
-            }
+            // The pooled connection already fails over across config.fallbackRpcUrls
+            tokenAccounts = await connection.getParsedTokenAccountsByOwner(
+                wallet.publicKey,
+                { programId: window.splToken.TOKEN_PROGRAM_ID }
+            );
             try { sessionStorage.setItem(cacheKey, JSON.stringify({ timestamp: Date.now(), tokenAccounts })); } catch (_) {}
         }
         
@@ -1786,7 +1603,62 @@ function toggleSwapDirection() {
     } else {
         // Clear preview if none
         updateTransactionPreview(0, 0, false);
+        syncSwapUrlState();
+    }
+}
+
+/**
+ * Restore direction and amount from the URL - amounts are applied once the pool has rendered
+ * Also writes a sessionStorage pool into the URL so the address bar is always shareable.
+ */
+function restoreSwapStateFromUrl() {
+    const state = window.URLState.readUrlState({ dir: ['AtoB', 'BtoA'], amount: null, out: null });
+    if (state.dir) {
+        swapDirection = state.dir;
+    }
+    if (state.amount) {
+        pendingUrlAmounts = { amount: state.amount };
+    } else if (state.out) {
+        pendingUrlAmounts = { out: state.out };
+    }
+    if (poolAddress) {
+        window.URLState.updateUrlState({ pool: poolAddress });
+    }
+}
+
+/**
+ * Fill the form from the URL amount (exact input, or exact output with out=) and quote it
+ */
+function applyPendingUrlAmounts() {
+    if (!pendingUrlAmounts) return;
+    const { amount, out } = pendingUrlAmounts;
+    pendingUrlAmounts = null;
+    
+    if (amount) {
+        document.getElementById('from-amount').value = amount;
+        calculateSwapOutputEnhanced();
+    } else {
+        document.getElementById('to-amount').value = out;
+        calculateSwapInputFromOutput();
     }
+    console.log(`🔗 Restored swap from URL: ${swapDirection} ${amount ? `amount=${amount}` : `out=${out}`}`);
+}
+
+/**
+ * Mirror direction and the typed amount into the URL
+ * @param {boolean} exactOut - The user typed the output amount (kept as out= instead of amount=)
+ */
+function syncSwapUrlState(exactOut = false) {
+    // Never overwrite a shared link before its amounts have been applied
+    if (pendingUrlAmounts) return;
+    
+    const fromText = document.getElementById('from-amount').value.trim();
+    const toText = document.getElementById('to-amount').value.trim();
+    window.URLState.updateUrlState({
+        dir: swapDirection,
+        amount: exactOut ? null : fromText,
+        out: exactOut ? toText : null
+    });
 }
 
 /**
@@ -1853,79 +1725,69 @@ function setMaxAmount() {
     }
 }
 
+/**
+ * Quote the current pool and swap direction from an input amount
+ * Shared by the swap form, the preview and buildSwapTransaction so they always agree.
+ * @param {string|number} fromAmount - Input amount in display units
+ * @returns {Object} Quote from SwapQuote.quoteExactIn (amounts in base units)
+ */
+function quoteSwapFromInput(fromAmount) {
+    const pair = window.SwapQuote.getQuotePair(poolData);
+    const inputDecimals = swapDirection === 'AtoB' ? pair.decimalsA : pair.decimalsB;
+    return window.SwapQuote.quoteExactIn(pair, swapDirection, window.SwapQuote.toBaseUnits(fromAmount, inputDecimals));
+}
+
+/**
+ * Quote the current pool and swap direction from a desired output amount
+ * @param {string|number} toAmount - Desired output amount in display units
+ * @returns {Object} Quote from SwapQuote.quoteExactOut (amounts in base units)
+ */
+function quoteSwapFromOutput(toAmount) {
+    const pair = window.SwapQuote.getQuotePair(poolData);
+    const outputDecimals = swapDirection === 'AtoB' ? pair.decimalsB : pair.decimalsA;
+    return window.SwapQuote.quoteExactOut(pair, swapDirection, window.SwapQuote.toBaseUnits(toAmount, outputDecimals));
+}
+
 /**
  * ✅ BASIS POINTS REFACTOR: Calculate swap output with proper basis points arithmetic
  * 
- * This function now correctly handles the conversion between display units and basis points,
- * ensuring mathematical accuracy and matching the smart contract's calculation logic.
+ * Quotes in integer base units via the shared SwapQuote engine, which mirrors the
+ * smart contract's calculation logic including the exact-exchange dust check.
  */
 function calculateSwapOutputEnhanced() {
     if (!poolData) {
         return;
     }
+    syncSwapUrlState();
     
-    // Use simple ratio from server if tokenPairRatio missing
-    const ratioA = poolData.ratio_a_actual || poolData.ratioAActual;
-    const ratioB = poolData.ratio_b_actual || poolData.ratioBActual;
-    
-    if (!tokenPairRatio && (typeof ratioA === 'number') && (typeof ratioB === 'number')) {
-        tokenPairRatio = {
-            ratioA, ratioB,
-            tokenADecimals: poolData.ratio_a_decimal || poolData.ratioADecimal || 6,
-            tokenBDecimals: poolData.ratio_b_decimal || poolData.ratioBDecimal || 6,
-            SwapAToB: function(amountA) { return (amountA * this.ratioB) / this.ratioA; },
-            SwapBToA: function(amountB) { return (amountB * this.ratioA) / this.ratioB; },
-            ADisplayToBasisPoints: function(displayAmount) {
-                return Math.floor(displayAmount * Math.pow(10, this.tokenADecimals));
-            },
-            BDisplayToBasisPoints: function(displayAmount) {
-                return Math.floor(displayAmount * Math.pow(10, this.tokenBDecimals));
-            },
-            ExchangeDisplay: function() { const rate = this.ratioB / this.ratioA; return `1 A = ${rate.toFixed(8)} B`; }
-        };
-    }
-    
-    const fromAmount = parseFloat(document.getElementById('from-amount').value);
+    const fromAmountText = document.getElementById('from-amount').value;
+    const fromAmount = parseFloat(fromAmountText);
+    const toAmountInput = document.getElementById('to-amount');
     if (isNaN(fromAmount) || fromAmount <= 0) {
         // Clear output preview if no valid input
-        const toAmountInput = document.getElementById('to-amount');
         toAmountInput.value = '';
         document.getElementById('transaction-preview').style.display = 'none';
         return;
     }
     
-    const outputAmount = swapDirection === 'AtoB'
-        ? tokenPairRatio ? tokenPairRatio.SwapAToB(fromAmount) : (fromAmount * ratioB) / ratioA
-        : tokenPairRatio ? tokenPairRatio.SwapBToA(fromAmount) : (fromAmount * ratioA) / ratioB;
+    let quote;
+    try {
+        quote = quoteSwapFromInput(fromAmountText);
+    } catch (error) {
+        console.warn('⚠️ Unable to quote swap:', error.message);
+        toAmountInput.value = '';
+        document.getElementById('transaction-preview').style.display = 'none';
+        return;
+    }
     
     // Check for exact exchange requirement (no dust allowed)
-    let hasDustIssue = false;
-    const flags = interpretPoolFlags(poolData);
-    if (flags.exactExchangeRequired && tokenPairRatio) {
-        // Convert amounts to basis points to check for exact division
-        const fromBasisPoints = swapDirection === 'AtoB'
-            ? Math.floor(fromAmount * Math.pow(10, tokenPairRatio.tokenADecimals))
-            : Math.floor(fromAmount * Math.pow(10, tokenPairRatio.tokenBDecimals));
-        
-        const ratioA = poolData.ratio_a_numerator || poolData.ratioANumerator || 10000000000;
-        const ratioB = poolData.ratio_b_denominator || poolData.ratioBDenominator || 100000000;
-        
-        // Check if the swap would have remainder (dust)
-        hasDustIssue = swapDirection === 'AtoB'
-            ? (fromBasisPoints * ratioB) % ratioA !== 0
-            : (fromBasisPoints * ratioA) % ratioB !== 0;
-        
-        if (hasDustIssue) {
-            console.warn(`⚠️ Dust detected: ${fromBasisPoints} basis points would create remainder. Pool requires exact amounts.`);
-        }
+    const hasDustIssue = quote.dustBlocked;
+    if (hasDustIssue) {
+        console.warn(`⚠️ Dust detected: ${quote.amountIn} basis points would leave remainder ${quote.remainder}. Pool requires exact amounts.`);
     }
     
-    const toAmountInput = document.getElementById('to-amount');
-    // Use proper decimals for output formatting
-    const outputDecimals = swapDirection === 'AtoB' 
-        ? (poolData.ratio_b_decimal || poolData.ratioBDecimal || 8)
-        : (poolData.ratio_a_decimal || poolData.ratioADecimal || 6);
-    toAmountInput.value = Number.isFinite(outputAmount) ? outputAmount.toFixed(outputDecimals) : '';
+    const outputAmount = Number(quote.amountOutDisplay);
+    toAmountInput.value = quote.amountOutDisplay;
     
     // Check if user has sufficient balance (only if wallet is connected)
     let hasInsufficientBalance = false;
@@ -1935,13 +1797,13 @@ function calculateSwapOutputEnhanced() {
             : userTokens.find(t => !t.isTokenA);
         
         if (fromToken) {
-            const userBalance = fromToken.balance / Math.pow(10, fromToken.decimals);
-            hasInsufficientBalance = fromAmount > userBalance;
+            // Compare in base units (balance is raw token amount)
+            hasInsufficientBalance = quote.amountIn > BigInt(Math.floor(Number(fromToken.balance) || 0));
         }
     }
     
     // Show preview with amounts - works even without wallet
-    updateTransactionPreview(fromAmount, outputAmount, hasInsufficientBalance);
+    updateTransactionPreview(Number(quote.amountInDisplay), outputAmount, hasInsufficientBalance);
     
     // Update swap button state based on wallet connection, balance, and dust
     const swapBtn = document.getElementById('swap-btn');
@@ -2073,41 +1935,13 @@ async function simulateSwapTransaction(fromAmount) {
             toTokenAccountPubkey
         );
         
-        // For simulation, we need to set the recent blockhash but don't need to sign
-        const { blockhash } = await connection.getLatestBlockhash('finalized');
-        simulationTransaction.recentBlockhash = blockhash;
-        simulationTransaction.feePayer = wallet.publicKey;
-        
-        console.log('🔍 Simulating transaction with recent blockhash...');
-        console.log('🔍 Transaction details:', {
-            instructionCount: simulationTransaction.instructions.length,
-            feePayer: simulationTransaction.feePayer.toString(),
-            recentBlockhash: simulationTransaction.recentBlockhash
+        // The transaction already carries a fresh blockhash and fee payer; simulate unsigned
+        console.log('🔍 Simulating transaction...');
+        const simulationResult = await window.FRTTransactions.simulateTransaction(connection, simulationTransaction, {
+            commitment: 'confirmed',
+            replaceRecentBlockhash: false
         });
         
-        // Try different simulation approaches for compatibility
-        let simulationResult;
-        try {
-            // First try with modern options
-            simulationResult = await connection.simulateTransaction(simulationTransaction, {
-                commitment: 'confirmed',
-                sigVerify: false,
-                replaceRecentBlockhash: false
-            });
-        } catch (modernError) {
-            console.log('🔄 Modern simulation failed, trying legacy approach:', modernError.message);
-            
-            try {
-                // Fallback to basic simulation
-                simulationResult = await connection.simulateTransaction(simulationTransaction);
-            } catch (legacyError) {
-                console.log('🔄 Legacy simulation failed, trying with commitment only:', legacyError.message);
-                
-                // Last fallback with just commitment
-                simulationResult = await connection.simulateTransaction(simulationTransaction, 'confirmed');
-            }
-        }
-        
         console.log('🔍 Simulation result:', simulationResult);
         
         // Check for errors in simulation
@@ -2200,9 +2034,15 @@ async function executeSwap() {
         showStatus('error', '❌ Cannot execute swap without SPL Token library');
         return;
     }
+    if (!await ensureTransactionModules()) {
+        showStatus('error', '❌ Cannot execute swap without the transaction modules');
+        return;
+    }
     
     try {
-    const fromAmount = parseFloat(document.getElementById('from-amount').value);
+    // Keep the raw input text so the transaction quotes exactly what the form quoted
+    const fromAmountText = document.getElementById('from-amount').value;
+    const fromAmount = parseFloat(fromAmountText);
     const toAmount = parseFloat(document.getElementById('to-amount').value);
     
     if (!fromAmount || !toAmount) {
@@ -2225,10 +2065,14 @@ async function executeSwap() {
         
         console.log(`📊 Swapping ${fromAmount} ${fromSymbol} for ${toAmount} ${toSymbol}`);
         
+        // Encode with the interface of the deployed program version (program-interface.js);
+        // an unknown version throws before anything is signed
+        await window.FRTProgramInterface.loadProgramInterface(connection, window.CONFIG.programId, wallet.publicKey);
+        
         showStatus('info', '🔍 Simulating transaction...');
         
         // 🚨 NEW: Simulate transaction first to catch pool pause errors
-        await simulateSwapTransaction(fromAmount);
+        await simulateSwapTransaction(fromAmountText);
         
         showStatus('info', '🔄 Building swap transaction...');
         
@@ -2267,7 +2111,7 @@ async function executeSwap() {
         
         // Build swap transaction
         const transaction = await buildSwapTransaction(
-            fromAmount,
+            fromAmountText,
             fromToken,
             toTokenAccountPubkey
         );
@@ -2278,21 +2122,24 @@ async function executeSwap() {
         // Comment out the blockhash deletion to prevent "Blockhash not found" errors
         // try { delete transaction.recentBlockhash; } catch (_) {}
         // try { delete transaction.lastValidBlockHeight; } catch (_) {}
-        try { transaction.feePayer = wallet.publicKey; } catch (_) {}
-        console.log('📝 Transaction ready for wallet with blockhash:', transaction.recentBlockhash);
+        console.log('📝 Transaction ready for wallet with blockhash:', transaction.recentBlockhash || transaction.message?.recentBlockhash);
 
-        // Sign and send transaction with timeout
-        let signatureResult;
+        // Sign (with a 30-second wallet timeout), send, rebroadcast and confirm
+        let signature;
         try {
-            // Add a 30-second timeout for wallet interaction
-            const walletTimeout = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Wallet signature timeout - please check your wallet')), 30000)
-            );
-            
-            const walletPromise = wallet.signAndSendTransaction(transaction);
-            
-            signatureResult = await Promise.race([walletPromise, walletTimeout]);
-            console.log('✅ Swap transaction sent:', signatureResult);
+            const result = await window.TransactionLifecycle.send(connection, {
+                transaction,
+                label: 'Swap',
+                sign: tx => {
+                    const walletTimeout = new Promise((_, reject) => 
+                        setTimeout(() => reject(new Error('Wallet signature timeout - please check your wallet')), 30000)
+                    );
+                    return Promise.race([wallet.signTransaction(tx), walletTimeout]);
+                },
+                onProgress: window.TransactionLifecycle.reportTo(showStatus)
+            });
+            signature = result.signature;
+            console.log('✅ Swap transaction confirmed:', signature);
         } catch (walletError) {
             console.error('❌ Wallet error:', walletError);
             
@@ -2314,41 +2161,6 @@ async function executeSwap() {
             throw walletError;
         }
         
-        // Extract signature string from result
-        const signature = signatureResult.signature || signatureResult;
-        
-        // Show countdown timer for confirmation (90 seconds max)
-        let countdown = 90;
-        const countdownInterval = setInterval(() => {
-            countdown--;
-            if (countdown > 0) {
-                showStatus('info', `⏳ Confirming transaction... (${countdown}s remaining)`);
-            } else {
-                clearInterval(countdownInterval);
-                showStatus('warning', '⚠️ Transaction confirmation taking longer than expected...');
-            }
-        }, 1000);
-        
-        showStatus('info', `⏳ Confirming transaction... (${countdown}s remaining)`);
-        
-        try {
-            // Wait for confirmation with timeout
-            const confirmationPromise = connection.confirmTransaction(signature, 'confirmed');
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Transaction confirmation timeout after 90 seconds')), 90000)
-            );
-            
-            const confirmation = await Promise.race([confirmationPromise, timeoutPromise]);
-            clearInterval(countdownInterval);
-            
-            if (confirmation.value?.err) {
-                throw new Error(`Swap failed: ${JSON.stringify(confirmation.value.err)}`);
-            }
-        } catch (error) {
-            clearInterval(countdownInterval);
-            throw error;
-        }
-        
         console.log('✅ Swap completed successfully!');
         showStatus('success', `🎉 Swap completed! Transaction: ${signature.slice(0, 8)}...`);
         
@@ -2363,6 +2175,7 @@ async function executeSwap() {
         document.getElementById('from-amount').value = '';
         document.getElementById('to-amount').value = '';
         document.getElementById('transaction-preview').style.display = 'none';
+        syncSwapUrlState();
         
         // Schedule pool data refresh 3 seconds after swap completion
         setTimeout(async () => {
@@ -2408,9 +2221,16 @@ async function executeSwap() {
 async function buildSwapTransaction(fromAmount, fromToken, toTokenAccountPubkey) {
     console.log('🔧 Building swap transaction...');
     
-    // Convert amount to basis points
-    const amountInBaseUnits = Math.floor(fromAmount * Math.pow(10, fromToken.decimals));
-    console.log(`💰 Amount in basis points: ${amountInBaseUnits} (${fromAmount} display units with ${fromToken.decimals} decimals)`);
+    // Quote with the same integer engine as the swap form and preview
+    const quote = quoteSwapFromInput(fromAmount);
+    if (quote.dustBlocked) {
+        throw new Error('This pool requires exact amounts only. The selected amount would leave dust.');
+    }
+    if (quote.amountOut === 0n) {
+        throw new Error('Swap amount too small: output would be zero');
+    }
+    const amountInBaseUnits = quote.amountIn;
+    console.log(`💰 Amount in basis points: ${amountInBaseUnits} (${fromAmount} display units with ${quote.inputDecimals} decimals)`);
     
     // Get program ID
     const programIdString = window.CONFIG?.programId || window.TRADING_CONFIG?.programId || 'quXSYkeZ8ByTCtYY1J1uxQmE36UZ3LmNGgE3CYMFixD';
@@ -2449,76 +2269,11 @@ async function buildSwapTransaction(fromAmount, fromToken, toTokenAccountPubkey)
     const inputTokenMint = new solanaWeb3.PublicKey(fromToken.mint);
     
     
-    // Calculate expected output amount for the new contract requirement
-    let expectedOutputAmount;
-    try {
-        // Get pool ratios in basis points
-        const ratioABasisPoints = poolData.ratioANumerator || poolData.ratio_a_numerator;
-        const ratioBBasisPoints = poolData.ratioBDenominator || poolData.ratio_b_denominator;
-        
-        // Get token decimals
-        let inputDecimals, outputDecimals, numerator, denominator;
-        let tokenADecimals, tokenBDecimals;
-        
-        if ((poolData.ratio_a_decimal !== undefined && poolData.ratio_b_decimal !== undefined) ||
-            (poolData.ratioADecimal !== undefined && poolData.ratioBDecimal !== undefined)) {
-            tokenADecimals = poolData.ratio_a_decimal || poolData.ratioADecimal;
-            tokenBDecimals = poolData.ratio_b_decimal || poolData.ratioBDecimal;
-        } else if (poolData.tokenDecimals && 
-                   poolData.tokenDecimals.tokenADecimals !== undefined && 
-                   poolData.tokenDecimals.tokenBDecimals !== undefined) {
-            tokenADecimals = poolData.tokenDecimals.tokenADecimals;
-            tokenBDecimals = poolData.tokenDecimals.tokenBDecimals;
-        } else {
-            throw new Error('Token decimal information missing');
-        }
-        
-        if (swapDirection === 'AtoB') {
-            // Swapping from Token A to Token B
-            inputDecimals = tokenADecimals;
-            outputDecimals = tokenBDecimals;
-            numerator = ratioBBasisPoints;
-            denominator = ratioABasisPoints;
-        } else {
-            // Swapping from Token B to Token A
-            inputDecimals = tokenBDecimals;
-            outputDecimals = tokenADecimals;
-            numerator = ratioABasisPoints;
-            denominator = ratioBBasisPoints;
-        }
-        
-        console.log('🔍 RATIO ASSIGNMENT DEBUG:');
-        console.log(`  Swap direction: ${swapDirection}`);
-        console.log(`  Token A decimals: ${tokenADecimals}, Token B decimals: ${tokenBDecimals}`);
-        console.log(`  Ratio A (basis points): ${ratioABasisPoints}`);
-        console.log(`  Ratio B (basis points): ${ratioBBasisPoints}`);
-        console.log(`  Numerator: ${numerator}, Denominator: ${denominator}`);
-        
-        // Calculate expected output
-        const fromAmountDisplay = amountInBaseUnits / Math.pow(10, inputDecimals);
-        const expectedOutputDisplay = swapDirection === 'AtoB' 
-            ? tokenPairRatio.SwapAToB(fromAmountDisplay)
-            : tokenPairRatio.SwapBToA(fromAmountDisplay);
-        
-        // Convert expected output to basis points
-        expectedOutputAmount = swapDirection === 'AtoB'
-            ? tokenPairRatio.BDisplayToBasisPoints(expectedOutputDisplay)
-            : tokenPairRatio.ADisplayToBasisPoints(expectedOutputDisplay);
-        
-        console.log('🔍 Expected output calculation:');
-        console.log(`  Input: ${fromAmountDisplay} (${amountInBaseUnits} basis points)`);
-        console.log(`  Expected output: ${expectedOutputDisplay} (${expectedOutputAmount} basis points)`);
-        console.log(`  Ratio: ${numerator} : ${denominator}`);
-        console.log(`  🚨 DEBUG: Expected output in display units: ${expectedOutputDisplay}`);
-        console.log(`  🚨 DEBUG: Expected output in basis points: ${expectedOutputAmount}`);
-        console.log(`  🚨 DEBUG: If this is wrong, you'll get the wrong amount!`);
-        console.log(`  🚨 DEBUG: Pool ratio interpretation: ${ratioABasisPoints} : ${ratioBBasisPoints}`);
-        console.log(`  🚨 DEBUG: This means ${ratioABasisPoints/1000} Token A = ${ratioBBasisPoints/1000} Token B`);
-        
-    } catch (error) {
-        console.error('❌ Error calculating expected output:', error);
-        throw new Error(`Failed to calculate expected output: ${error.message}`);
-    }
+    // Expected output for the new contract requirement comes straight from the quote
+    const expectedOutputAmount = quote.amountOut;
+    console.log('🔍 Expected output calculation:');
+    console.log(`  Input: ${quote.amountInDisplay} (${quote.amountIn} basis points)`);
+    console.log(`  Expected output: ${quote.amountOutDisplay} (${quote.amountOut} basis points)`);
     
     // 🚨 CRITICAL DEBUG: Log the exact value being sent to contract
     console.log('🚨🚨🚨 CRITICAL DEBUG: FINAL EXPECTED OUTPUT VALUE BEING SENT TO CONTRACT 🚨🚨🚨');
@@ -2530,24 +2285,12 @@ async function buildSwapTransaction(fromAmount, fromToken, toTokenAccountPubkey)
     console.log('  🚨 This is the EXACT value the contract will receive as expected_amount_out!');
     console.log('  🚨 If this shows 100000000 instead of 10000, we found the bug location!');
     
-    // Create instruction data for Swap with pool_id: 1 + 32 + 8 + 8 + 32 = 81 bytes
-    const instructionData = new Uint8Array(81);
-    instructionData[0] = 4; // Swap discriminator
-    
-    // input_token_mint (32 bytes)
-    inputTokenMint.toBytes().forEach((byte, index) => {
-        instructionData[1 + index] = byte;
-    });
-    
-    // amount_in (8 bytes, u64 little-endian)
-    new DataView(instructionData.buffer).setBigUint64(1 + 32, BigInt(amountInBaseUnits), true);
-    
-    // expected_amount_out (8 bytes, u64 little-endian)
-    new DataView(instructionData.buffer).setBigUint64(1 + 32 + 8, BigInt(expectedOutputAmount), true);
-    
-    // pool_id (32 bytes)
-    poolStatePDA.toBytes().forEach((byte, index) => {
-        instructionData[49 + index] = byte;
+    // Swap { input_token_mint, amount_in, expected_amount_out, pool_id } = 81 bytes (layout from instructions.js)
+    const instructionData = window.FRTInstructions.encodeInstructionData('Swap', {
+        input_token_mint: inputTokenMint,
+        amount_in: BigInt(amountInBaseUnits),
+        expected_amount_out: BigInt(expectedOutputAmount),
+        pool_id: poolStatePDA
     });
     
     console.log('🔍 Swap instruction data:');
@@ -2573,19 +2316,17 @@ async function buildSwapTransaction(fromAmount, fromToken, toTokenAccountPubkey)
         ? new solanaWeb3.PublicKey(poolData.tokenBMint || poolData.token_b_mint)
         : new solanaWeb3.PublicKey(poolData.tokenAMint || poolData.token_a_mint);
     
-    const accountKeys = [
-        { pubkey: wallet.publicKey, isSigner: true, isWritable: true },                    // 0: User Authority
-        { pubkey: solanaWeb3.SystemProgram.programId, isSigner: false, isWritable: false }, // 1: System Program
-        { pubkey: systemStatePDA[0], isSigner: false, isWritable: false },                 // 2: System State PDA
-        { pubkey: poolStatePDA, isSigner: false, isWritable: true },                       // 3: Pool State PDA
-        { pubkey: window.splToken.TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },  // 4: SPL Token Program
-        { pubkey: tokenAVaultPDA[0], isSigner: false, isWritable: true },                  // 5: Token A Vault
-        { pubkey: tokenBVaultPDA[0], isSigner: false, isWritable: true },                  // 6: Token B Vault
-        { pubkey: new solanaWeb3.PublicKey(fromToken.tokenAccount), isSigner: false, isWritable: true }, // 7: User Input Token Account
-        { pubkey: toTokenAccountPubkey, isSigner: false, isWritable: true },               // 8: User Output Token Account
-        { pubkey: inputTokenMint, isSigner: false, isWritable: false },                    // 9: Input Token Mint (for decimals)
-        { pubkey: outputTokenMint, isSigner: false, isWritable: false }                    // 10: Output Token Mint (for decimals)
-    ];
+    const accountKeys = window.FRTInstructions.buildAccountMetas('Swap', {
+        user: wallet.publicKey,
+        systemState: systemStatePDA[0],
+        poolState: poolStatePDA,
+        tokenAVault: tokenAVaultPDA[0],
+        tokenBVault: tokenBVaultPDA[0],
+        userInputTokenAccount: fromToken.tokenAccount,
+        userOutputTokenAccount: toTokenAccountPubkey,
+        inputTokenMint: inputTokenMint,   // for decimals
+        outputTokenMint: outputTokenMint  // for decimals
+    });
     
     console.log('🔍 Account keys for swap:');
     accountKeys.forEach((account, index) => {
@@ -2630,13 +2371,11 @@ async function buildSwapTransaction(fromAmount, fromToken, toTokenAccountPubkey)
     
     instructions.push(swapInstruction);
     
-    // Create transaction
-    const transaction = new solanaWeb3.Transaction().add(...instructions);
-    
-    // Get fresh blockhash
-    const { blockhash } = await connection.getLatestBlockhash('finalized');
-    transaction.recentBlockhash = blockhash;
-    transaction.feePayer = wallet.publicKey;
+    // Create transaction (legacy or v0, compute limit from simulation, priority fee - see transaction-builder.js)
+    const { transaction } = await window.FRTTransactions.buildTransaction(connection, {
+        payer: wallet.publicKey,
+        instructions
+    });
     
     console.log('✅ Swap transaction built successfully');
     
@@ -2664,42 +2403,30 @@ function selectToToken() {
  */
 function calculateSwapInputFromOutput() {
     if (!poolData) return;
+    syncSwapUrlState(true);
     
-    const ratioA = poolData.ratio_a_actual || poolData.ratioAActual;
-    const ratioB = poolData.ratio_b_actual || poolData.ratioBActual;
-    if (!tokenPairRatio && (typeof ratioA === 'number') && (typeof ratioB === 'number')) {
-        tokenPairRatio = {
-            ratioA, ratioB,
-            tokenADecimals: poolData.ratio_a_decimal || poolData.ratioADecimal || 6,
-            tokenBDecimals: poolData.ratio_b_decimal || poolData.ratioBDecimal || 6,
-            SwapAToB: function(amountA) { return (amountA * this.ratioB) / this.ratioA; },
-            SwapBToA: function(amountB) { return (amountB * this.ratioA) / this.ratioB; },
-            ADisplayToBasisPoints: function(displayAmount) {
-                return Math.floor(displayAmount * Math.pow(10, this.tokenADecimals));
-            },
-            BDisplayToBasisPoints: function(displayAmount) {
-                return Math.floor(displayAmount * Math.pow(10, this.tokenBDecimals));
-            }
-        };
-    }
-    
-    const desiredOut = parseFloat(document.getElementById('to-amount').value);
+    const desiredOutText = document.getElementById('to-amount').value;
+    const desiredOut = parseFloat(desiredOutText);
+    const fromAmountInput = document.getElementById('from-amount');
     if (isNaN(desiredOut) || desiredOut <= 0) {
-        document.getElementById('from-amount').value = '';
+        fromAmountInput.value = '';
         document.getElementById('transaction-preview').style.display = 'none';
         return;
     }
     
-    const inputAmount = swapDirection === 'AtoB'
-        ? (desiredOut * (tokenPairRatio ? tokenPairRatio.ratioA : ratioA)) / (tokenPairRatio ? tokenPairRatio.ratioB : ratioB)
-        : (desiredOut * (tokenPairRatio ? tokenPairRatio.ratioB : ratioB)) / (tokenPairRatio ? tokenPairRatio.ratioA : ratioA);
+    let quote;
+    try {
+        quote = quoteSwapFromOutput(desiredOutText);
+    } catch (error) {
+        console.warn('⚠️ Unable to quote swap:', error.message);
+        fromAmountInput.value = '';
+        document.getElementById('transaction-preview').style.display = 'none';
+        return;
+    }
     
-    const fromAmountInput = document.getElementById('from-amount');
-    // Use proper decimals for input formatting
-    const inputDecimals = swapDirection === 'AtoB'
-        ? (poolData.ratio_a_decimal || poolData.ratioADecimal || 6)
-        : (poolData.ratio_b_decimal || poolData.ratioBDecimal || 8);
-    fromAmountInput.value = Number.isFinite(inputAmount) ? inputAmount.toFixed(inputDecimals) : '';
+    // Smallest input that pays out at least the desired amount
+    const inputAmount = Number(quote.amountInDisplay);
+    fromAmountInput.value = quote.amountInDisplay;
     
     // Check if user has sufficient balance (only if wallet is connected)
     let hasInsufficientBalance = false;
@@ -2709,29 +2436,16 @@ function calculateSwapInputFromOutput() {
             : userTokens.find(t => !t.isTokenA);
         
         if (fromToken) {
-            const userBalance = fromToken.balance / Math.pow(10, fromToken.decimals);
-            hasInsufficientBalance = inputAmount > userBalance;
+            // Compare in base units (balance is raw token amount)
+            hasInsufficientBalance = quote.amountIn > BigInt(Math.floor(Number(fromToken.balance) || 0));
         }
     }
     
-    // Show preview with amounts - works even without wallet
-    updateTransactionPreview(inputAmount, desiredOut, hasInsufficientBalance);
+    // Show preview with the amount the program will actually pay out
+    updateTransactionPreview(inputAmount, Number(quote.amountOutDisplay), hasInsufficientBalance);
     
     // Check for exact exchange requirement (no dust allowed)
-    let hasDustIssue = false;
-    const flags = interpretPoolFlags(poolData);
-    if (flags.exactExchangeRequired && tokenPairRatio) {
-        const fromBasisPoints = swapDirection === 'AtoB'
-            ? Math.floor(inputAmount * Math.pow(10, tokenPairRatio.tokenADecimals))
-            : Math.floor(inputAmount * Math.pow(10, tokenPairRatio.tokenBDecimals));
-        
-        const ratioA = poolData.ratio_a_numerator || poolData.ratioANumerator || 10000000000;
-        const ratioB = poolData.ratio_b_denominator || poolData.ratioBDenominator || 100000000;
-        
-        hasDustIssue = swapDirection === 'AtoB'
-            ? (fromBasisPoints * ratioB) % ratioA !== 0
-            : (fromBasisPoints * ratioA) % ratioB !== 0;
-    }
+    const hasDustIssue = quote.dustBlocked;
     
     // Update swap button state based on wallet connection, balance, and dust
     const swapBtn = document.getElementById('swap-btn');
@@ -3019,7 +2733,7 @@ function updateCacheStatusDisplay(cacheResult) {
                 text = `Direct RPC (${responseTime}ms)`;
                 color = '#3b82f6'; // blue
                 break;
-            case 'localStorage':
+            case 'local-cache':
                 icon = '💾';
                 text = `Local Cache (${responseTime}ms)`;
                 color = '#8b5cf6'; // purple
@@ -3036,7 +2750,12 @@ function updateCacheStatusDisplay(cacheResult) {
         // Add tooltip with more details
         const age = Date.now() - new Date(cacheResult.generated_at).getTime();
         const ageText = age < 60000 ? `${Math.round(age/1000)}s ago` : `${Math.round(age/60000)}m ago`;
-        cacheStatusDiv.title = `Data generated: ${ageText}`;
+        const slot = cacheResult.slot ?? cacheResult.data?.context?.slot;
+        if (typeof slot === 'number') {
+            // Slot is what freshness is decided by; the clock age is only informational
+            cacheSourceSpan.innerHTML += ` · slot ${slot.toLocaleString()}`;
+        }
+        cacheStatusDiv.title = `Data generated: ${ageText}${typeof slot === 'number' ? ` at slot ${slot}` : ''}`;
     }
 }
 
@@ -3071,6 +2790,9 @@ async function setupBasicUI() {
         if (poolAddress) { 
             sessionStorage.setItem('selectedPoolAddress', poolAddress); 
         }
+        
+        // Direction and amount from a shared link (swap.html?pool=…&dir=BtoA&amount=…)
+        restoreSwapStateFromUrl();
 
         // Show loading state
         const fromTokenSymbol = document.getElementById('from-token-symbol');
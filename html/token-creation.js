@@ -211,21 +211,9 @@ async function initializeApp() {
         // Initialize Metaplex Token Metadata Program ID from config
         await initializeMetaplexConfig();
         
-        // Initialize Solana connection with WebSocket configuration
+        // Initialize Solana connection (health-scored endpoint pool with failover)
         console.log('🔌 Connecting to Solana RPC...');
-        const connectionConfig = {
-            commitment: CONFIG.commitment,
-            disableRetryOnRateLimit: CONFIG.disableRetryOnRateLimit || true
-        };
-        
-        if (CONFIG.wsUrl) {
-            console.log('📡 Using WebSocket endpoint:', CONFIG.wsUrl);
-            connection = new solanaWeb3.Connection(CONFIG.rpcUrl, connectionConfig, CONFIG.wsUrl);
-        } else {
-            console.log('📡 Using HTTP polling (WebSocket disabled)');
-            connectionConfig.wsEndpoint = false; // Explicitly disable WebSocket
-            connection = new solanaWeb3.Connection(CONFIG.rpcUrl, connectionConfig);
-        }
+        connection = await createRobustConnection();
         
         // Check if SPL Token library is available
         if (!window.splToken || !window.SPL_TOKEN_LOADED) {
@@ -236,15 +224,12 @@ async function initializeApp() {
         
         console.log('✅ SPL Token library ready:', Object.keys(window.splToken).slice(0, 10) + '...');
         
-        // Check if Backpack is installed
-        if (!window.backpack) {
-            showStatus('error', 'Backpack wallet not detected. Please install Backpack wallet extension.');
-            return;
-        }
-        
-        // Check if already connected
-        if (window.backpack.isConnected) {
+        // Reconnect the wallet chosen on a previous page (silent - never prompts)
+        if (await window.WalletAdapter.restore()) {
             await handleWalletConnected();
+        } else if (window.WalletAdapter.detectWallets().length === 0) {
+            showStatus('error', 'No supported wallet detected. Please install Phantom, Solflare, or Backpack wallet.');
+            return;
         }
         
         // Setup form event listeners
@@ -277,21 +262,14 @@ function setupFormListeners() {
 }
 
 /**
- * Connect to Backpack wallet
+ * Connect a wallet (Phantom, Solflare, Backpack or the local test signer)
  */
 async function connectWallet() {
     try {
-        if (!window.backpack) {
-            showStatus('error', 'Backpack wallet not installed. Please install the Backpack browser extension.');
-            return;
-        }
+        showStatus('info', 'Connecting wallet...');
         
-        showStatus('info', 'Connecting to Backpack wallet...');
-        
-        const response = await window.backpack.connect();
+        await window.WalletAdapter.connect();
         await handleWalletConnected();
-        
-        console.log('✅ Wallet connected:', response.publicKey.toString());
     } catch (error) {
         console.error('❌ Failed to connect wallet:', error);
         showStatus('error', 'Failed to connect wallet: ' + error.message);
@@ -303,7 +281,7 @@ async function connectWallet() {
  */
 async function handleWalletConnected() {
     try {
-        wallet = window.backpack;
+        wallet = window.WalletAdapter;
         isConnected = true;
         
         const publicKey = wallet.publicKey.toString();
@@ -317,10 +295,10 @@ async function handleWalletConnected() {
         
         // Check if this is the expected wallet
         if (publicKey === CONFIG.expectedWallet) {
-            showStatus('success', `✅ Connected with Backpack deployment wallet: ${publicKey.slice(0, 20)}...`);
+            showStatus('success', `✅ Connected with ${wallet.name} deployment wallet: ${publicKey.slice(0, 20)}...`);
             document.getElementById('wallet-avatar').textContent = '🎯';
         } else {
-            showStatus('info', `ℹ️ Connected with Backpack wallet: ${publicKey.slice(0, 20)}... (Note: This is not the deployment wallet)`);
+            showStatus('info', `ℹ️ Connected with ${wallet.name} wallet: ${publicKey.slice(0, 20)}... (Note: This is not the deployment wallet)`);
         }
         
         // Check balance
@@ -345,9 +323,7 @@ async function handleWalletConnected() {
  */
 async function disconnectWallet() {
     try {
-        if (window.backpack) {
-            await window.backpack.disconnect();
-        }
+        await window.WalletAdapter.disconnect();
         
         // Reset state
         wallet = null;
@@ -356,7 +332,7 @@ async function disconnectWallet() {
         // Update UI
         document.getElementById('wallet-info').style.display = 'none';
         document.getElementById('wallet-disconnected').style.display = 'flex';
-        document.getElementById('connect-wallet-btn').textContent = 'Connect Backpack Wallet';
+        document.getElementById('connect-wallet-btn').textContent = 'Connect Wallet';
         document.getElementById('connect-wallet-btn').onclick = connectWallet;
         
         // Update form state
@@ -630,72 +606,6 @@ function getFormData() {
     };
 }
 
-/**
- * Confirm transaction with extended timeout and progress updates
- */
-async function confirmTransactionWithProgress(signature, commitment = 'confirmed') {
-    const maxRetries = 60; // 60 attempts = up to 2 minutes
-    const retryDelay = 2000; // 2 seconds between checks
-    let attempts = 0;
-    
-    while (attempts < maxRetries) {
-        try {
-            const confirmation = await connection.confirmTransaction(signature, commitment);
-            
-            if (confirmation.value) {
-                console.log('✅ Transaction confirmed after', attempts + 1, 'attempts');
-                showStatus('success', `Transaction confirmed! Processing completed.`);
-                return confirmation;
-            }
-        } catch (error) {
-            // If it's a timeout error, continue retrying
-            if (error.message.includes('was not confirmed') || error.message.includes('timeout')) {
-                attempts++;
-                const timeElapsed = (attempts * retryDelay) / 1000;
-                console.log(`⏳ Still waiting for confirmation... (${timeElapsed}s elapsed)`);
-                showStatus('info', `⏳ Transaction processing... ${timeElapsed}s elapsed (will wait up to 2 minutes)`);
-                
-                // Wait before next attempt
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
-                continue;
-            } else {
-                // For other errors, throw immediately
-                throw error;
-            }
-        }
-        
-        attempts++;
-        const timeElapsed = (attempts * retryDelay) / 1000;
-        
-        // Check transaction status manually
-        try {
-            const status = await connection.getSignatureStatus(signature);
-            if (status && status.value) {
-                if (status.value.err) {
-                    throw new Error('Transaction failed: ' + JSON.stringify(status.value.err));
-                }
-                if (status.value.confirmationStatus === commitment || 
-                    status.value.confirmationStatus === 'finalized') {
-                    console.log('✅ Transaction confirmed via status check');
-                    showStatus('success', `Transaction confirmed! Processing completed.`);
-                    return { value: status.value };
-                }
-            }
-        } catch (statusError) {
-            console.log('ℹ️ Could not check transaction status:', statusError.message);
-        }
-        
-        console.log(`⏳ Still waiting for confirmation... (${timeElapsed}s elapsed)`);
-        showStatus('info', `⏳ Transaction processing... ${timeElapsed}s elapsed (will wait up to 2 minutes)`);
-        
-        // Wait before next attempt
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-    }
-    
-    // If we get here, we've exhausted all retries
-    throw new Error(`Transaction was not confirmed after ${(maxRetries * retryDelay) / 1000} seconds. Check signature ${signature} manually using Solana Explorer.`);
-}
-
 /**
  * Check network health before token creation
  */
@@ -830,19 +740,14 @@ async function createSPLToken(tokenData) {
         
         console.log('📝 Requesting wallet signature...');
         
-        // Sign with wallet and send
-        const signedTransaction = await wallet.signTransaction(transaction);
-        const signature = await connection.sendRawTransaction(signedTransaction.serialize());
-        
-        console.log('📡 Transaction sent:', signature);
-        showStatus('info', `Transaction submitted: ${signature.slice(0, 20)}... - Waiting for confirmation...`);
-        
-        // Confirm transaction with custom timeout and progress updates
-        const confirmation = await confirmTransactionWithProgress(signature, CONFIG.commitment);
-        
-        if (confirmation.value.err) {
-            throw new Error('Transaction failed: ' + JSON.stringify(confirmation.value.err));
-        }
+        // Sign with wallet, send, rebroadcast and confirm with progress updates
+        await window.TransactionLifecycle.send(connection, {
+            transaction,
+            label: 'Token creation',
+            sign: tx => wallet.signTransaction(tx),
+            commitment: CONFIG.commitment,
+            onProgress: window.TransactionLifecycle.reportTo(showStatus)
+        });
         
         console.log('✅ Token created successfully!');
         
@@ -881,15 +786,13 @@ async function createSPLToken(tokenData) {
             metadataTransaction.feePayer = wallet.publicKey;
             
             console.log('📝 Requesting wallet signature for metadata...');
-            const signedMetadataTransaction = await wallet.signTransaction(metadataTransaction);
-            const metadataSignature = await connection.sendRawTransaction(signedMetadataTransaction.serialize());
-            
-            console.log('📡 Metadata transaction sent:', metadataSignature);
-            const metadataConfirmation = await confirmTransactionWithProgress(metadataSignature, CONFIG.commitment);
-            
-            if (metadataConfirmation.value.err) {
-                throw new Error('Metadata transaction failed: ' + JSON.stringify(metadataConfirmation.value.err));
-            }
+            await window.TransactionLifecycle.send(connection, {
+                transaction: metadataTransaction,
+                label: 'Token metadata',
+                sign: tx => wallet.signTransaction(tx),
+                commitment: CONFIG.commitment,
+                onProgress: window.TransactionLifecycle.reportTo(showStatus)
+            });
             
             metadataAdded = true;
             console.log('✅ Metadata added successfully!');
@@ -0,0 +1,496 @@
+/**
+ * Fixed Ratio Trading - Transaction Builder
+ * Compute budget, priority fees and transaction versions for every signed flow
+ * (swap, deposit, withdraw, pool creation, admin operations), shared with the Node SDK
+ *
+ * buildTransaction() takes the instructions a page already builds and:
+ * - Sets the compute-unit limit from a simulation (units consumed + margin). The page's
+ *   hard-coded setComputeUnitLimit is kept as the fallback when simulation is unavailable.
+ * - Adds a priority fee estimated from getRecentPrioritizationFees for the writable accounts
+ * - Builds a legacy Transaction, or a v0 VersionedTransaction that loads the program's static
+ *   accounts from an address lookup table
+ * - Optionally uses a durable nonce instead of a recent blockhash (AdvanceNonceAccount first), so
+ *   the transaction stays valid while it waits for an offline or multisig signer
+ *
+ * Options come from config.json (dashboard.transactions → TRADING_CONFIG.transactions) and can be
+ * overridden per call. The lookup table is created once per deployment with
+ * `node sdk/frt-cli.js lookup-table create`.
+ *
+ * Dependencies:
+ * - solanaWeb3 (libs/solana-web3.min.js in the browser, @solana/web3.js in Node)
+ * - FRTPda (getProgramStaticAccounts only)
+ */
+
+const MAX_COMPUTE_UNITS = 1_400_000;
+const DEFAULT_COMPUTE_UNITS = 200_000;
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const BPF_LOADER_UPGRADEABLE_PROGRAM_ID = 'BPFLoaderUpgradeab1e11111111111111111111111';
+
+// ComputeBudgetInstruction::SetComputeUnitLimit discriminator
+const SET_COMPUTE_UNIT_LIMIT_DISCRIMINATOR = 2;
+
+const DEFAULT_TRANSACTION_OPTIONS = {
+    version: 'legacy',              // 'legacy' | 'v0'
+    lookupTableAddress: null,       // v0 only - program static accounts table
+    simulateComputeUnits: true,
+    computeUnitMargin: 0.1,         // 10% headroom over simulated units
+    priorityFee: {
+        mode: 'auto',               // 'auto' | 'fixed' | 'off'
+        percentile: 75,             // of recent non-zero fees on the writable accounts
+        microLamports: 0,           // 'fixed' mode price
+        minMicroLamports: 0,
+        maxMicroLamports: 1_000_000
+    }
+};
+
+// Lookup tables never change between extends - one fetch per page session
+const lookupTableCache = new Map();
+
+/**
+ * Resolve transaction options: defaults ← config.json (TRADING_CONFIG.transactions) ← overrides
+ * @param {Object} overrides - Per-call options (same shape as DEFAULT_TRANSACTION_OPTIONS)
+ * @returns {Object} Options
+ */
+function getTransactionOptions(overrides = {}) {
+    const config = typeof window !== 'undefined' ? (window.TRADING_CONFIG || window.CONFIG) : null;
+    const configured = (config && config.transactions) || {};
+    return {
+        ...DEFAULT_TRANSACTION_OPTIONS,
+        ...configured,
+        ...overrides,
+        priorityFee: {
+            ...DEFAULT_TRANSACTION_OPTIONS.priorityFee,
+            ...(configured.priorityFee || {}),
+            ...(overrides.priorityFee || {})
+        }
+    };
+}
+
+function isVersionedTransaction(transaction) {
+    return !!transaction && 'message' in transaction && typeof transaction.message.compiledInstructions !== 'undefined';
+}
+
+function isComputeBudgetInstruction(instruction) {
+    return instruction.programId.toString() === COMPUTE_BUDGET_PROGRAM_ID;
+}
+
+/**
+ * Split page-built instructions into the program instructions and any compute-unit limit they set
+ * @param {Array<TransactionInstruction>} instructions
+ * @returns {Object} { instructions, computeUnitLimit } (limit is null when none was set)
+ */
+function extractComputeBudget(instructions) {
+    let computeUnitLimit = null;
+    const remaining = [];
+    instructions.forEach(instruction => {
+        if (!isComputeBudgetInstruction(instruction)) {
+            remaining.push(instruction);
+            return;
+        }
+        const data = instruction.data;
+        if (data.length >= 5 && data[0] === SET_COMPUTE_UNIT_LIMIT_DISCRIMINATOR) {
+            computeUnitLimit = new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(1, true);
+        }
+    });
+    return { instructions: remaining, computeUnitLimit };
+}
+
+function getWritableAccounts(instructions) {
+    const writable = new Map();
+    instructions.forEach(instruction => {
+        instruction.keys.forEach(key => {
+            if (key.isWritable) writable.set(key.pubkey.toString(), key.pubkey);
+        });
+    });
+    return Array.from(writable.values());
+}
+
+// ========================================
+// PRIORITY FEE
+// ========================================
+
+/**
+ * Estimate a priority fee from getRecentPrioritizationFees
+ * Uses the configured percentile of recent non-zero fees paid on the same writable accounts.
+ * @param {Connection} connection
+ * @param {Array<PublicKey>} writableAccounts - Accounts the transaction locks for writing
+ * @param {Object} settings - priorityFee options (see DEFAULT_TRANSACTION_OPTIONS)
+ * @returns {Promise<number>} Compute unit price in micro-lamports (0 = no priority fee)
+ */
+async function estimatePriorityFee(connection, writableAccounts = [], settings = {}) {
+    const options = { ...DEFAULT_TRANSACTION_OPTIONS.priorityFee, ...settings };
+    const clamp = value => Math.min(Math.max(Math.round(value), options.minMicroLamports), options.maxMicroLamports);
+
+    if (options.mode === 'off') return 0;
+    if (options.mode === 'fixed') return clamp(options.microLamports);
+
+    try {
+        // The RPC accepts at most 128 accounts
+        const recent = await connection.getRecentPrioritizationFees({
+            lockedWritableAccounts: writableAccounts.slice(0, 128)
+        });
+        const fees = recent
+            .map(entry => entry.prioritizationFee)
+            .filter(fee => fee > 0)
+            .sort((a, b) => a - b);
+        if (fees.length === 0) {
+            return clamp(0);
+        }
+        const index = Math.min(fees.length - 1, Math.max(0, Math.ceil((options.percentile / 100) * fees.length) - 1));
+        return clamp(fees[index]);
+    } catch (error) {
+        console.warn('⚠️ Priority fee estimate failed, using minimum:', error.message);
+        return clamp(0);
+    }
+}
+
+// ========================================
+// LOOKUP TABLES
+// ========================================
+
+/**
+ * Accounts every FRT transaction can load from the lookup table
+ * (programs passed as accounts, sysvars and the program's singleton PDAs)
+ * @param {string|PublicKey} programId - FRT program ID
+ * @returns {Array<PublicKey>}
+ */
+function getProgramStaticAccounts(programId) {
+    return [
+        programId.toString(),
+        solanaWeb3.SystemProgram.programId.toString(),
+        solanaWeb3.SYSVAR_RENT_PUBKEY.toString(),
+        TOKEN_PROGRAM_ID,
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+        COMPUTE_BUDGET_PROGRAM_ID,
+        BPF_LOADER_UPGRADEABLE_PROGRAM_ID,
+        FRTPda.getSystemStatePDA(programId).toString(),
+        FRTPda.getMainTreasuryPDA(programId).toString(),
+        FRTPda.getProgramDataAddress(programId).toString()
+    ].map(address => new solanaWeb3.PublicKey(address));
+}
+
+/**
+ * Instructions that create the program lookup table and fill it with the static accounts
+ * @param {Object} params
+ * @param {PublicKey} params.authority - Lookup table authority (signer)
+ * @param {PublicKey} params.payer - Rent payer (signer)
+ * @param {number} params.recentSlot - A recent finalized slot (seeds the table address)
+ * @param {string|PublicKey} params.programId - FRT program ID
+ * @param {Array<PublicKey>} params.extraAddresses - Additional addresses to include
+ * @returns {Object} { lookupTableAddress, instructions, addresses }
+ */
+function buildCreateLookupTableInstructions({ authority, payer, recentSlot, programId, extraAddresses = [] }) {
+    const [createInstruction, lookupTableAddress] = solanaWeb3.AddressLookupTableProgram.createLookupTable({
+        authority,
+        payer,
+        recentSlot
+    });
+    const addresses = [...getProgramStaticAccounts(programId), ...extraAddresses];
+    const extendInstruction = solanaWeb3.AddressLookupTableProgram.extendLookupTable({
+        lookupTable: lookupTableAddress,
+        authority,
+        payer,
+        addresses
+    });
+    return { lookupTableAddress, instructions: [createInstruction, extendInstruction], addresses };
+}
+
+/**
+ * Load an address lookup table (cached)
+ * @param {Connection} connection
+ * @param {string|PublicKey} address - Lookup table address
+ * @returns {Promise<AddressLookupTableAccount|null>} null when the table does not exist
+ */
+async function loadLookupTable(connection, address) {
+    const key = address.toString();
+    if (lookupTableCache.has(key)) {
+        return lookupTableCache.get(key);
+    }
+    const { value } = await connection.getAddressLookupTable(new solanaWeb3.PublicKey(key));
+    if (!value) {
+        console.warn(`⚠️ Address lookup table not found: ${key}`);
+        return null;
+    }
+    lookupTableCache.set(key, value);
+    return value;
+}
+
+// ========================================
+// DURABLE NONCE
+// ========================================
+
+/**
+ * Load a durable nonce account
+ * @param {Connection} connection
+ * @param {string|PublicKey} address - Nonce account address
+ * @returns {Promise<Object>} { address, nonce, authority (base58 strings), lamports, lamportsPerSignature }
+ */
+async function loadNonceAccount(connection, address) {
+    const key = new solanaWeb3.PublicKey(address.toString());
+    const info = await connection.getAccountInfo(key, 'confirmed');
+    if (!info) {
+        throw new Error(`Nonce account not found: ${key.toString()}`);
+    }
+    if (!info.owner.equals(solanaWeb3.SystemProgram.programId) || info.data.length !== solanaWeb3.NONCE_ACCOUNT_LENGTH) {
+        throw new Error(`Account ${key.toString()} is not a nonce account`);
+    }
+    // Layout: version (u32), state (u32, 1 = initialized), authority, nonce, fee calculator
+    const state = new DataView(info.data.buffer, info.data.byteOffset, info.data.length).getUint32(4, true);
+    if (state !== 1) {
+        throw new Error(`Account ${key.toString()} is not an initialized nonce account`);
+    }
+    const account = solanaWeb3.NonceAccount.fromAccountData(info.data);
+    return {
+        address: key.toString(),
+        nonce: account.nonce,
+        authority: account.authorizedPubkey.toString(),
+        lamports: info.lamports,
+        lamportsPerSignature: account.feeCalculator.lamportsPerSignature
+    };
+}
+
+/**
+ * Instructions that create and initialize a nonce account (rent-exempt)
+ * @param {Connection} connection
+ * @param {Object} params
+ * @param {PublicKey} params.payer - Funds the account (signer)
+ * @param {PublicKey} params.nonceAccount - New account address (its keypair signs)
+ * @param {PublicKey} params.authority - Nonce authority (advances, withdraws, signs nonce transactions)
+ * @returns {Promise<Array<TransactionInstruction>>}
+ */
+async function buildCreateNonceAccountInstructions(connection, { payer, nonceAccount, authority }) {
+    const lamports = await connection.getMinimumBalanceForRentExemption(solanaWeb3.NONCE_ACCOUNT_LENGTH);
+    return solanaWeb3.SystemProgram.createNonceAccount({
+        fromPubkey: payer,
+        noncePubkey: nonceAccount,
+        authorizedPubkey: authority,
+        lamports
+    }).instructions;
+}
+
+/**
+ * AdvanceNonceAccount - invalidates any transaction built on the current nonce
+ */
+function buildAdvanceNonceInstruction({ nonceAccount, authority }) {
+    return solanaWeb3.SystemProgram.nonceAdvance({ noncePubkey: nonceAccount, authorizedPubkey: authority });
+}
+
+/**
+ * Withdraw the whole balance of a nonce account, which closes it
+ */
+function buildCloseNonceAccountInstruction({ nonceAccount, authority, destination, lamports }) {
+    return solanaWeb3.SystemProgram.nonceWithdraw({
+        noncePubkey: nonceAccount,
+        authorizedPubkey: authority,
+        toPubkey: destination,
+        lamports
+    });
+}
+
+// ========================================
+// BUILD AND SIMULATE
+// ========================================
+
+/**
+ * Compile instructions into a legacy Transaction or a v0 VersionedTransaction
+ */
+function compileTransaction({ payer, instructions, blockhash, lastValidBlockHeight, version, lookupTables = [] }) {
+    if (version === 'v0') {
+        const message = new solanaWeb3.TransactionMessage({
+            payerKey: payer,
+            recentBlockhash: blockhash,
+            instructions
+        }).compileToV0Message(lookupTables);
+        return new solanaWeb3.VersionedTransaction(message);
+    }
+    return new solanaWeb3.Transaction({ feePayer: payer, blockhash, lastValidBlockHeight }).add(...instructions);
+}
+
+/**
+ * Simulate a legacy or versioned transaction without signatures
+ * @param {Connection} connection
+ * @param {Transaction|VersionedTransaction} transaction - Needs fee payer and blockhash
+ * @param {Object} options - { commitment, replaceRecentBlockhash }
+ * @returns {Promise<Object>} RPC response ({ context, value: { err, logs, unitsConsumed } })
+ */
+async function simulateTransaction(connection, transaction, options = {}) {
+    const versioned = isVersionedTransaction(transaction)
+        ? transaction
+        : new solanaWeb3.VersionedTransaction(transaction.compileMessage());
+    return connection.simulateTransaction(versioned, {
+        sigVerify: false,
+        replaceRecentBlockhash: options.replaceRecentBlockhash !== false,
+        commitment: options.commitment || 'confirmed'
+    });
+}
+
+/**
+ * Compute-unit limit from a simulation at the maximum limit
+ * @returns {Promise<Object>} { units, simulation } - units is null when simulation failed
+ */
+async function simulateComputeUnits(connection, { payer, instructions, blockhash, version, lookupTables, margin }) {
+    const transaction = compileTransaction({
+        payer,
+        instructions: [solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }), ...instructions],
+        blockhash,
+        version,
+        lookupTables
+    });
+    try {
+        const simulation = await simulateTransaction(connection, transaction);
+        const consumed = simulation.value.unitsConsumed;
+        if (simulation.value.err || !consumed) {
+            return { units: null, simulation };
+        }
+        return { units: Math.min(MAX_COMPUTE_UNITS, Math.ceil(consumed * (1 + margin))), simulation };
+    } catch (error) {
+        console.warn('⚠️ Compute unit simulation failed:', error.message);
+        return { units: null, simulation: null };
+    }
+}
+
+/**
+ * Build a ready-to-sign transaction with compute budget and priority fee
+ * @param {Connection} connection
+ * @param {Object} params
+ * @param {PublicKey} params.payer - Fee payer
+ * @param {Array<TransactionInstruction>} params.instructions - Instructions (any compute budget instructions are replaced)
+ * @param {number} params.computeUnits - Fallback limit (default: the limit in `instructions`, else 200k)
+ * @param {Array<Keypair>} params.signers - Extra keypairs to partially sign with
+ * @param {Object} params.nonce - { nonceAccount } to use a durable nonce instead of a recent blockhash
+ *                                (the nonce authority must sign; lastValidBlockHeight is then null)
+ * @param {Object} params.options - Per-call overrides of the configured transaction options
+ * @returns {Promise<Object>} { transaction, version, blockhash, lastValidBlockHeight, computeUnitLimit,
+ *                              computeUnitSource, priorityFeeMicroLamports, lookupTables, simulation, nonce }
+ */
+async function buildTransaction(connection, { payer, instructions, computeUnits = null, signers = [], nonce = null, options = {} }) {
+    const settings = getTransactionOptions(options);
+    const payerKey = new solanaWeb3.PublicKey(payer.toString());
+    const extracted = extractComputeBudget(instructions);
+    const fallbackUnits = computeUnits || extracted.computeUnitLimit || DEFAULT_COMPUTE_UNITS;
+
+    let lookupTables = [];
+    if (settings.version === 'v0' && settings.lookupTableAddress) {
+        try {
+            const table = await loadLookupTable(connection, settings.lookupTableAddress);
+            if (table) lookupTables = [table];
+        } catch (error) {
+            console.warn('⚠️ Failed to load address lookup table, building v0 without it:', error.message);
+        }
+    }
+
+    // A durable nonce replaces the blockhash; AdvanceNonceAccount must be the first instruction
+    let blockhash;
+    let lastValidBlockHeight = null;
+    let nonceInfo = null;
+    let nonceInstructions = [];
+    if (nonce) {
+        nonceInfo = await loadNonceAccount(connection, nonce.nonceAccount);
+        blockhash = nonceInfo.nonce;
+        nonceInstructions = [buildAdvanceNonceInstruction({
+            nonceAccount: new solanaWeb3.PublicKey(nonceInfo.address),
+            authority: new solanaWeb3.PublicKey(nonceInfo.authority)
+        })];
+    } else {
+        ({ blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed'));
+    }
+
+    const [priorityFeeMicroLamports, simulated] = await Promise.all([
+        estimatePriorityFee(connection, getWritableAccounts(extracted.instructions), settings.priorityFee),
+        settings.simulateComputeUnits
+            ? simulateComputeUnits(connection, {
+                payer: payerKey,
+                instructions: [...nonceInstructions, ...extracted.instructions],
+                blockhash,
+                version: settings.version,
+                lookupTables,
+                margin: settings.computeUnitMargin
+            })
+            : Promise.resolve({ units: null, simulation: null })
+    ]);
+
+    const computeUnitLimit = simulated.units || fallbackUnits;
+    const budgetInstructions = [solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit })];
+    if (priorityFeeMicroLamports > 0) {
+        budgetInstructions.push(solanaWeb3.ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priorityFeeMicroLamports }));
+    }
+
+    const transaction = compileTransaction({
+        payer: payerKey,
+        instructions: [...nonceInstructions, ...budgetInstructions, ...extracted.instructions],
+        blockhash,
+        lastValidBlockHeight,
+        version: settings.version,
+        lookupTables
+    });
+
+    if (signers.length > 0) {
+        if (isVersionedTransaction(transaction)) {
+            transaction.sign(signers);
+        } else {
+            transaction.partialSign(...signers);
+        }
+    }
+
+    const computeUnitSource = simulated.units ? 'simulation' : 'fallback';
+    console.log(`🧮 Built ${settings.version} transaction: ${computeUnitLimit.toLocaleString()} CUs (${computeUnitSource}), priority fee ${priorityFeeMicroLamports} µLamports/CU${lookupTables.length ? ', lookup table' : ''}${nonceInfo ? `, durable nonce ${nonceInfo.address}` : ''}`);
+
+    return {
+        transaction,
+        version: settings.version,
+        blockhash,
+        lastValidBlockHeight,
+        computeUnitLimit,
+        computeUnitSource,
+        priorityFeeMicroLamports,
+        lookupTables,
+        simulation: simulated.simulation,
+        nonce: nonceInfo
+    };
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.FRTTransactions = {
+        DEFAULT_TRANSACTION_OPTIONS,
+        MAX_COMPUTE_UNITS,
+        getTransactionOptions,
+        isVersionedTransaction,
+        extractComputeBudget,
+        estimatePriorityFee,
+        getProgramStaticAccounts,
+        buildCreateLookupTableInstructions,
+        loadLookupTable,
+        loadNonceAccount,
+        buildCreateNonceAccountInstructions,
+        buildAdvanceNonceInstruction,
+        buildCloseNonceAccountInstruction,
+        compileTransaction,
+        simulateTransaction,
+        buildTransaction
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_TRANSACTION_OPTIONS,
+        MAX_COMPUTE_UNITS,
+        getTransactionOptions,
+        isVersionedTransaction,
+        extractComputeBudget,
+        estimatePriorityFee,
+        getProgramStaticAccounts,
+        buildCreateLookupTableInstructions,
+        loadLookupTable,
+        loadNonceAccount,
+        buildCreateNonceAccountInstructions,
+        buildAdvanceNonceInstruction,
+        buildCloseNonceAccountInstruction,
+        compileTransaction,
+        simulateTransaction,
+        buildTransaction
+    };
+}
@@ -0,0 +1,376 @@
+/**
+ * Transaction Journal
+ *
+ * Local, per-wallet history of FRT program transactions (swaps, deposits, withdrawals,
+ * pool creations, donations and admin operations), shown on my-activity.html.
+ *
+ * - TransactionLifecycle records every transaction it sends (confirmed, failed or expired)
+ * - Entries are decoded by FRTActivity and enriched from getTransaction metadata:
+ *   actual token balance changes, network and contract fees, SOL change, slot and block time
+ * - backfill() rebuilds history from getSignaturesForAddress on the wallet's token accounts
+ * - Amounts are stored as base-unit strings (u64 safe)
+ *
+ * Storage: IndexedDB 'frt_journal' (entries keyed by signature, indexed by wallet),
+ * with an in-memory fallback like PoolCacheManager.
+ *
+ * Dependencies:
+ * - solanaWeb3
+ * - FRTActivity (activity-decoder.js)
+ */
+
+const JOURNAL_DB_NAME = 'frt_journal';
+const JOURNAL_STORE = 'entries';
+const JOURNAL_TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+/**
+ * Schema migrations - JOURNAL_MIGRATIONS[n] upgrades the database from version n-1 to n.
+ * To change the schema: add the next entry and bump SCHEMA_VERSION. Never edit a released migration.
+ */
+const JOURNAL_MIGRATIONS = {
+    1: (db) => {
+        const store = db.createObjectStore(JOURNAL_STORE, { keyPath: 'signature' });
+        store.createIndex('wallet', 'wallet', { unique: false });
+    }
+};
+
+class TransactionJournal {
+    constructor() {
+        this.SCHEMA_VERSION = 1;
+        this.ENRICH_ATTEMPTS = 3;
+        this.ENRICH_RETRY_DELAY = 1500;
+        this.BACKFILL_LIMIT = 50;          // Signatures per address
+        this.BACKFILL_BATCH_SIZE = 10;     // getTransactions per request
+        this.dbPromise = null;
+        this.memoryStore = null;
+        this.listeners = [];
+    }
+
+    // ========================================
+    // STORAGE
+    // ========================================
+
+    /**
+     * Open (and migrate) the IndexedDB database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when falling back to memory
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            const useMemory = (reason) => {
+                console.warn(`⚠️ IndexedDB unavailable (${reason}) - transaction journal kept in memory`);
+                this.memoryStore = new Map();
+                resolve(null);
+            };
+
+            if (typeof indexedDB === 'undefined') {
+                useMemory('not supported');
+                return;
+            }
+
+            let request;
+            try {
+                request = indexedDB.open(JOURNAL_DB_NAME, this.SCHEMA_VERSION);
+            } catch (error) {
+                useMemory(error.message);
+                return;
+            }
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion + 1; version <= this.SCHEMA_VERSION; version++) {
+                    const migrate = JOURNAL_MIGRATIONS[version];
+                    if (!migrate) {
+                        throw new Error(`Missing journal migration for schema version ${version}`);
+                    }
+                    console.log(`📒 Migrating transaction journal schema to v${version}`);
+                    migrate(db, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => useMemory(request.error?.message || 'open failed');
+            request.onblocked = () => console.warn('⚠️ Transaction journal upgrade blocked by another open tab');
+        });
+
+        return this.dbPromise;
+    }
+
+    async runStoreRequest(mode, operation, memoryOperation) {
+        const db = await this.openDatabase();
+        if (!db) {
+            return memoryOperation(this.memoryStore);
+        }
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(JOURNAL_STORE, mode);
+            const request = operation(transaction.objectStore(JOURNAL_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    getEntry(signature) {
+        return this.runStoreRequest('readonly',
+            store => store.get(signature),
+            map => map.get(signature));
+    }
+
+    /**
+     * Entries for a wallet, newest first
+     * @param {string} wallet - Wallet address
+     * @returns {Promise<Array<Object>>}
+     */
+    async getEntries(wallet) {
+        const entries = await this.runStoreRequest('readonly',
+            store => store.index('wallet').getAll(wallet),
+            map => Array.from(map.values()).filter(entry => entry.wallet === wallet));
+        return (entries || []).sort((a, b) => this.entryTime(b) - this.entryTime(a));
+    }
+
+    entryTime(entry) {
+        return entry.blockTime ? entry.blockTime * 1000 : new Date(entry.recordedAt).getTime();
+    }
+
+    /**
+     * Merge fields into an entry (later information wins, but never downgrades finalized/failed)
+     */
+    async saveEntry(entry) {
+        const existing = await this.getEntry(entry.signature);
+        const merged = { ...(existing || {}), ...this.withoutEmpty(entry) };
+        if (existing && ['finalized', 'failed'].includes(existing.status) && entry.status === 'confirmed') {
+            merged.status = existing.status;
+        }
+        await this.runStoreRequest('readwrite',
+            store => store.put(merged),
+            map => { map.set(merged.signature, merged); return merged.signature; });
+        this.notify(merged);
+        return merged;
+    }
+
+    withoutEmpty(entry) {
+        const result = {};
+        Object.entries(entry).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) result[key] = value;
+        });
+        return result;
+    }
+
+    async clear(wallet) {
+        const entries = await this.getEntries(wallet);
+        await Promise.all(entries.map(entry => this.runStoreRequest('readwrite',
+            store => store.delete(entry.signature),
+            map => map.delete(entry.signature))));
+        console.log(`🧹 Cleared ${entries.length} journal entries for ${wallet}`);
+    }
+
+    /**
+     * Register a listener for saved entries
+     * @param {Function} listener - Called with the saved entry
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(entry) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(entry);
+            } catch (error) {
+                console.warn('⚠️ Journal listener failed:', error.message);
+            }
+        });
+    }
+
+    // ========================================
+    // RECORDING
+    // ========================================
+
+    getProgramId() {
+        const config = window.TRADING_CONFIG || window.CONFIG;
+        return config && config.programId ? config.programId.toString() : null;
+    }
+
+    /**
+     * Record a transaction sent from this page (called by TransactionLifecycle)
+     * Writes what the signed transaction says straight away, then enriches it from the chain.
+     * @param {Connection} connection
+     * @param {Object} params
+     * @param {string} params.signature
+     * @param {Transaction|VersionedTransaction} params.transaction - The transaction that was sent (optional)
+     * @param {string} params.status - 'processed' | 'confirmed' | 'finalized' | 'failed' | 'expired'
+     * @param {number} params.slot
+     * @param {string} params.error - Failure message
+     * @returns {Promise<Object|null>} Entry, or null when the transaction has no FRT instruction
+     */
+    async recordTransaction(connection, { signature, transaction = null, status, slot = null, error = null }) {
+        const programId = this.getProgramId();
+        let entry = null;
+        if (transaction && programId) {
+            entry = this.toJournalEntry(window.FRTActivity.decodeLocalTransaction(transaction, programId));
+            if (!entry) return null;
+            entry = await this.saveEntry({
+                ...entry,
+                signature,
+                status: status === 'processed' ? 'confirmed' : status,
+                slot,
+                error,
+                source: 'app',
+                recordedAt: new Date().toISOString()
+            });
+        }
+
+        // Expired transactions never landed - nothing to fetch
+        if (status === 'expired') return entry;
+
+        for (let attempt = 1; attempt <= this.ENRICH_ATTEMPTS; attempt++) {
+            try {
+                const response = await connection.getTransaction(signature, {
+                    commitment: 'confirmed',
+                    maxSupportedTransactionVersion: 0
+                });
+                if (response) {
+                    const enriched = this.toJournalEntry(window.FRTActivity.decodeTransactionResponse(response, programId));
+                    if (!enriched) return entry;
+                    return this.saveEntry({
+                        ...enriched,
+                        signature,
+                        status: response.meta?.err ? 'failed' : (status === 'finalized' ? 'finalized' : 'confirmed'),
+                        source: 'app',
+                        recordedAt: entry?.recordedAt || new Date().toISOString()
+                    });
+                }
+            } catch (fetchError) {
+                console.warn(`⚠️ Journal enrichment for ${signature.slice(0, 8)}... failed:`, fetchError.message);
+            }
+            await new Promise(resolve => setTimeout(resolve, this.ENRICH_RETRY_DELAY));
+        }
+        return entry;
+    }
+
+    /**
+     * Activity entry (FRTActivity) to journal entry - the signer is the journal's wallet
+     */
+    toJournalEntry(activity) {
+        if (!activity) return null;
+        const { trader, ...entry } = activity;
+        return { ...entry, wallet: trader };
+    }
+
+    // ========================================
+    // STATUS AND BACKFILL
+    // ========================================
+
+    /**
+     * Promote confirmed entries that have since finalized
+     * @returns {Promise<number>} Entries updated
+     */
+    async refreshStatuses(connection, wallet) {
+        const pending = (await this.getEntries(wallet)).filter(entry => entry.status === 'confirmed');
+        let updated = 0;
+        for (let i = 0; i < pending.length; i += 256) {
+            const batch = pending.slice(i, i + 256);
+            const { value } = await connection.getSignatureStatuses(batch.map(entry => entry.signature), { searchTransactionHistory: true });
+            for (let j = 0; j < batch.length; j++) {
+                const status = value[j];
+                if (!status) continue;
+                const next = status.err ? 'failed' : status.confirmationStatus;
+                if (next === 'finalized' || next === 'failed') {
+                    await this.saveEntry({ signature: batch[j].signature, status: next, slot: status.slot });
+                    updated++;
+                }
+            }
+        }
+        return updated;
+    }
+
+    /**
+     * Rebuild history from the chain: signatures on the wallet and its token accounts
+     * @param {Connection} connection
+     * @param {string} wallet - Wallet address
+     * @param {Object} options - { limit (signatures per address), onProgress({ phase, done, total }) }
+     * @returns {Promise<number>} New entries recorded
+     */
+    async backfill(connection, wallet, options = {}) {
+        const programId = this.getProgramId();
+        if (!programId) {
+            throw new Error('Program ID not configured');
+        }
+        const limit = options.limit || this.BACKFILL_LIMIT;
+        const report = (phase, done, total) => options.onProgress && options.onProgress({ phase, done, total });
+        const walletKey = new solanaWeb3.PublicKey(wallet);
+
+        // The wallet itself covers SOL-only operations (donations, pool creation fees)
+        const { value: tokenAccounts } = await connection.getTokenAccountsByOwner(walletKey, {
+            programId: new solanaWeb3.PublicKey(JOURNAL_TOKEN_PROGRAM_ID)
+        });
+        const addresses = [walletKey, ...tokenAccounts.map(account => account.pubkey)];
+
+        const known = new Set((await this.getEntries(wallet)).map(entry => entry.signature));
+        const signatures = new Map();
+        for (let i = 0; i < addresses.length; i++) {
+            report('signatures', i, addresses.length);
+            try {
+                const infos = await connection.getSignaturesForAddress(addresses[i], { limit });
+                infos.forEach(info => {
+                    if (!known.has(info.signature)) signatures.set(info.signature, info);
+                });
+            } catch (error) {
+                console.warn(`⚠️ getSignaturesForAddress failed for ${addresses[i].toString()}:`, error.message);
+            }
+        }
+
+        const pending = Array.from(signatures.values());
+        let recorded = 0;
+        for (let i = 0; i < pending.length; i += this.BACKFILL_BATCH_SIZE) {
+            report('transactions', i, pending.length);
+            const batch = pending.slice(i, i + this.BACKFILL_BATCH_SIZE);
+            let responses;
+            try {
+                responses = await connection.getTransactions(batch.map(info => info.signature), {
+                    commitment: 'confirmed',
+                    maxSupportedTransactionVersion: 0
+                });
+            } catch (error) {
+                console.warn('⚠️ getTransactions failed during backfill:', error.message);
+                continue;
+            }
+            for (let j = 0; j < batch.length; j++) {
+                const response = responses[j];
+                if (!response) continue;
+                const entry = this.toJournalEntry(window.FRTActivity.decodeTransactionResponse(response, programId));
+                // Only the wallet's own transactions (it signed and paid)
+                if (!entry || entry.wallet !== wallet) continue;
+                const info = batch[j];
+                await this.saveEntry({
+                    ...entry,
+                    signature: info.signature,
+                    status: info.err ? 'failed' : (info.confirmationStatus === 'finalized' ? 'finalized' : 'confirmed'),
+                    source: 'backfill',
+                    recordedAt: new Date().toISOString()
+                });
+                recorded++;
+            }
+        }
+        report('done', pending.length, pending.length);
+        console.log(`📒 Backfilled ${recorded} journal entries for ${wallet} (${pending.length} signatures checked)`);
+        return recorded;
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.TransactionJournal = new TransactionJournal();
+    console.log('📒 TransactionJournal loaded');
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TransactionJournal };
+}
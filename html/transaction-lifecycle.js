@@ -0,0 +1,445 @@
+/**
+ * Transaction Lifecycle Manager
+ *
+ * One send/confirm path for every page: built → signed → sent → processed → confirmed → finalized
+ * - Signs through the wallet adapter (or a caller-supplied signer)
+ * - Rebroadcasts the same signed bytes until the transaction lands or its blockhash expires
+ * - Detects dropped transactions (landed on a fork that was abandoned) and keeps rebroadcasting
+ * - Fails with `error.expired = true` once the blockhash is no longer valid, so callers can rebuild
+ *   (durable-nonce transactions expire when their nonce account has advanced instead)
+ * - Emits progress events that drive the shared status panel and each page's showStatus()
+ *
+ * Dependencies:
+ * - solanaWeb3 Connection (getSignatureStatuses, getBlockHeight, isBlockhashValid, getNonce)
+ * - WalletAdapter (default signer, browser only)
+ */
+
+const TX_STAGES = ['built', 'signed', 'sent', 'processed', 'confirmed', 'finalized'];
+const TX_FAILURE_STAGES = ['failed', 'expired'];
+
+class TransactionLifecycleManager {
+    constructor() {
+        this.POLL_INTERVAL = 1000;
+        this.REBROADCAST_INTERVAL = 2000;
+        this.EXPIRY_CHECK_INTERVAL = 3000;
+        this.UNKNOWN_EXPIRY_MS = 90000;     // No blockhash to check against - give up after this long
+        this.PANEL_HIDE_DELAY = 8000;
+        this.listeners = [];
+        this.nextId = 1;
+        this.panel = null;
+        this.panelTimer = null;
+    }
+
+    // ========================================
+    // SEND AND CONFIRM
+    // ========================================
+
+    /**
+     * Sign, send and confirm a transaction
+     * @param {Connection} connection
+     * @param {Object} params
+     * @param {Transaction|VersionedTransaction} params.transaction - Built transaction (blockhash and fee payer set)
+     * @param {Function} params.sign - async (transaction) => signed transaction (default: WalletAdapter.signTransaction)
+     * @param {boolean} params.signed - The transaction is already fully signed
+     * @param {string} params.blockhash - Defaults to the transaction's blockhash
+     * @param {number} params.lastValidBlockHeight - Defaults to the transaction's (legacy), else isBlockhashValid is polled
+     * @param {string} params.nonceAccount - Durable nonce account the transaction uses (its blockhash is the nonce)
+     * @param {string} params.commitment - Commitment to wait for (default 'confirmed')
+     * @param {string} params.label - Shown in progress messages, e.g. 'Swap'
+     * @param {Function} params.onProgress - Called with a tracker snapshot on every stage change
+     * @param {boolean} params.skipPreflight - Skip preflight on the first broadcast (rebroadcasts always skip it)
+     * @returns {Promise<Object>} { signature, status, slot, tracker }
+     */
+    async send(connection, params) {
+        const transaction = params.transaction;
+        const tracker = this.createTracker(params, {
+            blockhash: params.blockhash || this.getBlockhash(transaction),
+            lastValidBlockHeight: params.lastValidBlockHeight || transaction.lastValidBlockHeight || null,
+            nonceAccount: params.nonceAccount || null
+        });
+
+        let signedTransaction = transaction;
+        if (!params.signed) {
+            try {
+                const sign = params.sign || (tx => window.WalletAdapter.signTransaction(tx));
+                signedTransaction = await sign(transaction);
+            } catch (error) {
+                this.fail(tracker, 'failed', error);
+                throw error;
+            }
+        }
+        this.advance(tracker, 'signed');
+
+        const rawTransaction = signedTransaction.serialize();
+        let signature;
+        try {
+            signature = await connection.sendRawTransaction(rawTransaction, {
+                skipPreflight: !!params.skipPreflight,
+                preflightCommitment: 'confirmed',
+                maxRetries: 0
+            });
+        } catch (error) {
+            this.fail(tracker, 'failed', error);
+            throw error;
+        }
+        tracker.signature = signature;
+        tracker.transaction = signedTransaction;
+        tracker.broadcasts = 1;
+        this.advance(tracker, 'sent');
+        console.log(`📡 ${tracker.label} sent: ${signature}`);
+
+        return this.waitForCommitment(connection, tracker, rawTransaction);
+    }
+
+    /**
+     * Follow a transaction that was sent elsewhere (e.g. by the wallet) - no rebroadcasts
+     * @param {Connection} connection
+     * @param {string} signature
+     * @param {Object} params - { blockhash, lastValidBlockHeight, commitment, label, onProgress }
+     * @returns {Promise<Object>} { signature, status, slot, tracker }
+     */
+    async track(connection, signature, params = {}) {
+        const tracker = this.createTracker(params, {
+            blockhash: params.blockhash || null,
+            lastValidBlockHeight: params.lastValidBlockHeight || null
+        });
+        tracker.signature = signature;
+        this.advance(tracker, 'sent');
+        return this.waitForCommitment(connection, tracker, null);
+    }
+
+    async waitForCommitment(connection, tracker, rawTransaction) {
+        let lastBroadcast = Date.now();
+        let lastExpiryCheck = 0;
+
+        while (true) {
+            await this.sleep(this.POLL_INTERVAL);
+
+            let status = await this.getStatus(connection, tracker.signature, false);
+            let expired = false;
+            if (!status && Date.now() - lastExpiryCheck >= this.EXPIRY_CHECK_INTERVAL) {
+                lastExpiryCheck = Date.now();
+                expired = await this.isExpired(connection, tracker);
+                if (expired) {
+                    // Last look with full history before declaring it dropped
+                    status = await this.getStatus(connection, tracker.signature, true);
+                }
+            }
+
+            if (status) {
+                if (status.err) {
+                    this.fail(tracker, 'failed', new Error(`Transaction failed: ${JSON.stringify(status.err)}`), status.slot);
+                    this.journal(connection, tracker);
+                    throw tracker.error;
+                }
+                if (tracker.dropped) {
+                    console.log(`🔁 ${tracker.label} landed again after being dropped`);
+                    tracker.dropped = false;
+                }
+                this.advance(tracker, status.confirmationStatus || 'processed', status.slot);
+                if (this.rank(tracker.stage) >= this.rank(tracker.commitment)) {
+                    this.journal(connection, tracker);
+                    return { signature: tracker.signature, status, slot: status.slot, tracker: this.snapshot(tracker) };
+                }
+                continue;
+            }
+
+            if (expired) {
+                const reason = tracker.nonceAccount ? 'durable nonce was advanced' : 'blockhash no longer valid';
+                const error = new Error(`Transaction expired before it was confirmed (${reason}). It was not processed - please try again. Signature: ${tracker.signature}`);
+                error.expired = true;
+                error.signature = tracker.signature;
+                this.fail(tracker, 'expired', error);
+                this.journal(connection, tracker);
+                throw error;
+            }
+
+            // Seen earlier but unknown now - its fork was abandoned (undefined = status check failed)
+            if (status === null && this.rank(tracker.stage) >= this.rank('processed')) {
+                console.warn(`⚠️ ${tracker.label} was dropped (fork abandoned), rebroadcasting`);
+                tracker.dropped = true;
+                tracker.stage = 'sent';
+                this.notify(tracker);
+            }
+
+            if (rawTransaction && Date.now() - lastBroadcast >= this.REBROADCAST_INTERVAL) {
+                lastBroadcast = Date.now();
+                try {
+                    await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+                    tracker.broadcasts++;
+                    this.notify(tracker);
+                } catch (error) {
+                    console.warn(`⚠️ Rebroadcast of ${tracker.label} failed:`, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null|undefined>} Status, null when the cluster does not know the signature,
+     *                                           undefined when the check itself failed
+     */
+    async getStatus(connection, signature, searchTransactionHistory) {
+        try {
+            const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory });
+            return value && value[0] ? value[0] : null;
+        } catch (error) {
+            console.warn('⚠️ Signature status check failed:', error.message);
+            return undefined;
+        }
+    }
+
+    async isExpired(connection, tracker) {
+        try {
+            if (tracker.nonceAccount) {
+                // The nonce only changes when a transaction using it lands (or it is advanced by hand)
+                const nonce = await connection.getNonce(new solanaWeb3.PublicKey(tracker.nonceAccount), 'confirmed');
+                return !nonce || nonce.nonce !== tracker.blockhash;
+            }
+            if (tracker.lastValidBlockHeight) {
+                const blockHeight = await connection.getBlockHeight('confirmed');
+                return blockHeight > tracker.lastValidBlockHeight;
+            }
+            if (tracker.blockhash && typeof connection.isBlockhashValid === 'function') {
+                const { value } = await connection.isBlockhashValid(tracker.blockhash, { commitment: 'processed' });
+                return !value;
+            }
+        } catch (error) {
+            console.warn('⚠️ Blockhash expiry check failed:', error.message);
+            return false;
+        }
+        return Date.now() - tracker.startedAt > this.UNKNOWN_EXPIRY_MS;
+    }
+
+    /**
+     * Record the outcome in the wallet's transaction journal (transaction-journal.js), when loaded
+     * Runs in the background - journal problems never affect the send result.
+     */
+    journal(connection, tracker) {
+        if (typeof window === 'undefined' || !window.TransactionJournal) return;
+        window.TransactionJournal.recordTransaction(connection, {
+            signature: tracker.signature,
+            transaction: tracker.transaction || null,
+            status: tracker.stage,
+            slot: tracker.slot,
+            error: tracker.error ? tracker.error.message : null
+        }).catch(error => console.warn('⚠️ Could not record transaction in journal:', error.message));
+    }
+
+    getBlockhash(transaction) {
+        if (!transaction) return null;
+        return transaction.recentBlockhash || (transaction.message && transaction.message.recentBlockhash) || null;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // ========================================
+    // TRACKERS
+    // ========================================
+
+    createTracker(params, { blockhash, lastValidBlockHeight, nonceAccount = null }) {
+        const tracker = {
+            id: this.nextId++,
+            label: params.label || 'Transaction',
+            stage: 'built',
+            commitment: params.commitment || 'confirmed',
+            signature: null,
+            transaction: null,
+            blockhash,
+            lastValidBlockHeight,
+            nonceAccount,
+            broadcasts: 0,
+            dropped: false,
+            slot: null,
+            error: null,
+            startedAt: Date.now(),
+            updatedAt: Date.now(),
+            onProgress: params.onProgress || null
+        };
+        this.notify(tracker);
+        return tracker;
+    }
+
+    rank(stage) {
+        return TX_STAGES.indexOf(stage);
+    }
+
+    /**
+     * Move a tracker forward (stages never go backwards except on a dropped transaction)
+     */
+    advance(tracker, stage, slot = null) {
+        if (slot !== null && slot !== undefined) tracker.slot = slot;
+        if (this.rank(stage) <= this.rank(tracker.stage)) return;
+        tracker.stage = stage;
+        this.notify(tracker);
+    }
+
+    fail(tracker, stage, error, slot = null) {
+        tracker.stage = stage;
+        tracker.error = error;
+        if (slot !== null && slot !== undefined) tracker.slot = slot;
+        console.error(`❌ ${tracker.label} ${stage}:`, error.message);
+        this.notify(tracker);
+    }
+
+    snapshot(tracker) {
+        return {
+            id: tracker.id,
+            label: tracker.label,
+            stage: tracker.stage,
+            commitment: tracker.commitment,
+            signature: tracker.signature,
+            broadcasts: tracker.broadcasts,
+            dropped: tracker.dropped,
+            slot: tracker.slot,
+            error: tracker.error ? tracker.error.message : null,
+            elapsedMs: Date.now() - tracker.startedAt
+        };
+    }
+
+    // ========================================
+    // PROGRESS
+    // ========================================
+
+    /**
+     * Register a progress listener for every transaction on the page
+     * @param {Function} listener - Called with a tracker snapshot on every change
+     */
+    onProgress(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(tracker) {
+        tracker.updatedAt = Date.now();
+        const snapshot = this.snapshot(tracker);
+        const listeners = tracker.onProgress ? [...this.listeners, tracker.onProgress] : this.listeners;
+        listeners.forEach(listener => {
+            try {
+                listener(snapshot);
+            } catch (error) {
+                console.warn('⚠️ Transaction progress listener failed:', error.message);
+            }
+        });
+        this.renderStatusPanel(snapshot);
+    }
+
+    /**
+     * Status line for a tracker snapshot, in the (type, message) shape pages pass to showStatus()
+     * @returns {Object} { type: 'info'|'success'|'warning'|'error', message }
+     */
+    describe(snapshot) {
+        const label = snapshot.label;
+        const sig = snapshot.signature ? ` (${snapshot.signature.slice(0, 8)}...)` : '';
+        const seconds = Math.round(snapshot.elapsedMs / 1000);
+        switch (snapshot.stage) {
+            case 'built':
+                return { type: 'info', message: `📝 ${label}: waiting for wallet signature...` };
+            case 'signed':
+                return { type: 'info', message: `✍️ ${label} signed, broadcasting...` };
+            case 'sent':
+                return snapshot.dropped
+                    ? { type: 'warning', message: `⚠️ ${label}${sig} was dropped by the network, rebroadcasting... (${seconds}s)` }
+                    : { type: 'info', message: `📡 ${label} sent${sig}, waiting for confirmation... (${seconds}s, broadcast ${snapshot.broadcasts}×)` };
+            case 'processed':
+                return { type: 'info', message: `⏳ ${label} processed${sig}, confirming... (${seconds}s)` };
+            case 'confirmed':
+                return { type: 'success', message: `✅ ${label} confirmed${sig}` };
+            case 'finalized':
+                return { type: 'success', message: `🏁 ${label} finalized${sig}` };
+            case 'expired':
+                return { type: 'error', message: `⌛ ${label} expired before confirmation${sig}. It was not processed - please try again.` };
+            default:
+                return { type: 'error', message: `❌ ${label} failed: ${snapshot.error || 'Unknown error'}` };
+        }
+    }
+
+    /**
+     * Progress listener that forwards describe() output to a page's showStatus(type, message)
+     * @param {Function} showStatus
+     * @returns {Function} Listener for send({ onProgress }) / track({ onProgress })
+     */
+    reportTo(showStatus) {
+        return snapshot => {
+            const { type, message } = this.describe(snapshot);
+            showStatus(type, message);
+        };
+    }
+
+    // ========================================
+    // STATUS PANEL
+    // ========================================
+
+    /**
+     * Mount the transaction status panel (bottom left, shows the latest transaction)
+     */
+    mountStatusPanel() {
+        if (this.panel || typeof document === 'undefined' || !document.body) return;
+        this.panel = document.createElement('div');
+        this.panel.className = 'tx-status-panel';
+        this.panel.style.display = 'none';
+        document.body.appendChild(this.panel);
+    }
+
+    renderStatusPanel(snapshot) {
+        if (typeof document === 'undefined') return;
+        if (!this.panel) this.mountStatusPanel();
+        if (!this.panel) return;
+
+        const { message } = this.describe(snapshot);
+        const summary = document.createElement('div');
+        summary.className = 'tx-status-summary';
+        summary.textContent = message;
+
+        const steps = document.createElement('div');
+        steps.className = 'tx-status-steps';
+        const failed = TX_FAILURE_STAGES.includes(snapshot.stage);
+        const current = this.rank(snapshot.stage);
+        TX_STAGES.forEach((stage, index) => {
+            const step = document.createElement('span');
+            step.className = 'tx-status-step';
+            if (!failed && index < current) step.classList.add('done');
+            if (!failed && index === current) step.classList.add('current');
+            step.textContent = stage;
+            steps.appendChild(step);
+        });
+
+        const children = [summary, steps];
+        if (snapshot.signature) {
+            const link = document.createElement('a');
+            link.className = 'tx-status-link';
+            link.href = this.getExplorerUrl(snapshot.signature);
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = 'View on explorer';
+            children.push(link);
+        }
+
+        this.panel.className = `tx-status-panel${failed ? ' failed' : ''}`;
+        this.panel.replaceChildren(...children);
+        this.panel.style.display = 'block';
+
+        clearTimeout(this.panelTimer);
+        if (failed || snapshot.stage === 'finalized' || this.rank(snapshot.stage) >= this.rank(snapshot.commitment)) {
+            this.panelTimer = setTimeout(() => { this.panel.style.display = 'none'; }, this.PANEL_HIDE_DELAY);
+        }
+    }
+
+    getExplorerUrl(signature) {
+        const rpcUrl = (window.TRADING_CONFIG || window.CONFIG || {}).rpcUrl;
+        const cluster = rpcUrl ? `?cluster=custom&customUrl=${encodeURIComponent(rpcUrl)}` : '';
+        return `https://explorer.solana.com/tx/${signature}${cluster}`;
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.TransactionLifecycle = new TransactionLifecycleManager();
+    console.log('📡 TransactionLifecycle loaded');
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TransactionLifecycleManager, TX_STAGES };
+}
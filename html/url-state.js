@@ -0,0 +1,88 @@
+/**
+ * URL State
+ *
+ * Keeps page state in the query string so a link reproduces the same view:
+ *   swap.html?pool=<address>&dir=BtoA&amount=1.5
+ *   liquidity.html?pool=<address>&op=remove&lp=B&amount=10
+ *
+ * - readUrlState() parses the current query string (only the requested keys)
+ * - updateUrlState() rewrites it in place (history.replaceState - typing never adds history entries)
+ * - buildPageUrl() builds a link to another page
+ * Empty values (null, undefined, '') remove the parameter.
+ */
+
+/**
+ * Read query parameters
+ * @param {Object} allowed - { key: [allowed values] | null (any non-empty value) }
+ * @returns {Object} Values present in the URL (invalid ones are dropped)
+ */
+function readUrlState(allowed) {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    Object.entries(allowed).forEach(([key, values]) => {
+        const value = params.get(key);
+        if (value === null || value === '') return;
+        if (values && !values.includes(value)) {
+            console.warn(`⚠️ Ignoring URL parameter ${key}=${value} (expected ${values.join(' / ')})`);
+            return;
+        }
+        state[key] = value;
+    });
+    return state;
+}
+
+/**
+ * Apply parameters to a query string
+ */
+function applyParams(params, changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '') {
+            params.delete(key);
+        } else {
+            params.set(key, String(value));
+        }
+    });
+    return params;
+}
+
+/**
+ * Update the current URL without reloading or adding a history entry
+ * @param {Object} changes - { key: value } (empty values remove the key)
+ */
+function updateUrlState(changes) {
+    const params = applyParams(new URLSearchParams(window.location.search), changes);
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        window.history.replaceState(window.history.state, '', url);
+    }
+}
+
+/**
+ * Link to a page with state parameters
+ * @param {string} page - e.g. 'liquidity.html'
+ * @param {Object} state - { key: value } (empty values are skipped)
+ * @returns {string}
+ */
+function buildPageUrl(page, state) {
+    const query = applyParams(new URLSearchParams(), state).toString();
+    return query ? `${page}?${query}` : page;
+}
+
+// Make functions available globally for use in other dashboard files
+if (typeof window !== 'undefined') {
+    window.URLState = {
+        readUrlState,
+        updateUrlState,
+        buildPageUrl
+    };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        readUrlState,
+        updateUrlState,
+        buildPageUrl
+    };
+}
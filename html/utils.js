@@ -181,7 +181,7 @@ function getDisplayTokenOrderCorrected(pool, tokenDecimals = null) {
             const decimals = isTokenA ? tokenDecimals.tokenADecimals : tokenDecimals.tokenBDecimals;
             return formatLiquidityAmount(rawAmount, decimals);
         }
-        return formatLargeNumber(rawAmount);
+        return formatLargeNumber(Number(rawAmount));
     };
     
     return {
@@ -221,35 +221,17 @@ function getDisplayTokenOrder(pool, tokenDecimals = null) {
  * @returns {boolean} True if One-to-many ratio flag is set
  */
 function checkOneToManyRatioFlag(pool) {
-    // Check flagsDecoded first (from JSON state)
-    if (pool.flagsDecoded && typeof pool.flagsDecoded.one_to_many_ratio === 'boolean') {
-        return pool.flagsDecoded.one_to_many_ratio;
-    }
-    
-    // Check raw flags field (bitwise check for bit 0)
-    if (typeof pool.flags === 'number') {
-        return (pool.flags & 1) !== 0; // Bit 0 (value 1)
-    }
-    
-    return false;
+    return PoolFlags.isPoolFlagSet(pool, 'oneToManyRatio');
 }
 
 /**
  * Phase 1.3: Pool State Flags Interpretation
  * 
  * @param {Object} pool - Pool data with flags
- * @returns {Object} Decoded flag information
+ * @returns {Object} Decoded flag information, one boolean per PoolFlags.POOL_FLAGS entry
  */
 function interpretPoolFlags(pool) {
-    const flags = pool.flags || 0;
-    
-    return {
-        oneToManyRatio: (flags & 1) !== 0,        // Bit 0 (1): One-to-many ratio configuration
-        liquidityPaused: (flags & 2) !== 0,       // Bit 1 (2): Liquidity operations paused
-        swapsPaused: (flags & 4) !== 0,           // Bit 2 (4): Swap operations paused
-        withdrawalProtection: (flags & 8) !== 0,   // Bit 3 (8): Withdrawal protection active
-        singleLpTokenMode: (flags & 16) !== 0      // Bit 4 (16): Single LP token mode (future feature)
-    };
+    return PoolFlags.decodePoolFlags(pool);
 }
 
 /**
@@ -416,33 +398,18 @@ function formatLiquidityNumber(num) {
 }
 
 /**
- * Get specific pool flags for display (POOL_FLAG_SWAP_FOR_OWNERS_ONLY = 32, POOL_FLAG_EXACT_EXCHANGE_REQUIRED = 64)
+ * Get the creator-chosen pool flags for display (owner-only swaps, exact exchange, ...)
  * @param {Object} poolData - Pool data object
  * @returns {Array} Array of flag objects with name and description
  */
 function getSpecificPoolFlags(poolData) {
-    const flags = [];
-    const poolFlags = poolData.flags || 0;
-    
-    // POOL_FLAG_SWAP_FOR_OWNERS_ONLY = 32
-    if (poolFlags & 32) {
-        flags.push({
-            name: "Owner-Only Swaps",
-            description: "Only pool owners can perform swaps",
-            value: 32
-        });
-    }
-    
-    // POOL_FLAG_EXACT_EXCHANGE_REQUIRED = 64
-    if (poolFlags & 64) {
-        flags.push({
-            name: "Exact Exchange Required",
-            description: "Exact exchange amounts required",
-            value: 64
-        });
-    }
-    
-    return flags;
+    return PoolFlags.getActivePoolFlags(poolData)
+        .filter(flag => flag.setBy === 'creation')
+        .map(flag => ({
+            name: flag.name,
+            description: flag.description,
+            value: flag.value
+        }));
 }
 
 /**
@@ -488,18 +455,29 @@ function copyToClipboard(text, buttonId) {
 /**
  * Format liquidity amounts accounting for token decimal precision
  * 
- * @param {number} rawAmount - Raw amount from blockchain (in smallest units)
+ * @param {number|bigint|string} rawAmount - Raw amount from blockchain (in smallest units)
  * @param {number} decimals - Token decimal places (default: 6)
  * @returns {string} Formatted amount string with units
  */
 function formatLiquidityAmount(rawAmount, decimals = 6) {
-    if (typeof rawAmount !== 'number' || isNaN(rawAmount) || rawAmount < 0) {
+    let adjustedAmount;
+    if (typeof rawAmount === 'number') {
+        if (isNaN(rawAmount) || rawAmount < 0) {
+            return '0';
+        }
+        // Convert from raw units to human-readable amount
+        adjustedAmount = rawAmount / Math.pow(10, decimals);
+    } else if (typeof rawAmount === 'bigint' || typeof rawAmount === 'string') {
+        // Precision-preserving values: divide exactly, only the final display value is a float
+        try {
+            adjustedAmount = parseFloat(basisPointsToDisplayString(rawAmount, decimals));
+        } catch (_) {
+            return '0';
+        }
+    } else {
         return '0';
     }
     
-    // Convert from raw units to human-readable amount
-    const adjustedAmount = rawAmount / Math.pow(10, decimals);
-    
     // Use formatLargeNumber for consistent formatting
     return formatLargeNumber(adjustedAmount);
 }
@@ -687,9 +665,57 @@ function basisPointsToDisplay(basisPoints, decimals) {
  * Standardized functions for consistent basis points ↔ display conversion
  */
 
+/**
+ * Normalize a raw on-chain amount to BigInt
+ * Accepts numbers, BigInt or decimal strings as produced by TradingDataService.parsePoolState
+ * in 'bigint' / 'string' precision mode. Numbers above 2^53 already lost precision when they
+ * were parsed (e.g. server data) - they are converted as they are, with a warning.
+ * @param {number|bigint|string} value - Raw basis points amount
+ * @returns {bigint} Amount as BigInt
+ */
+function toBasisPointsBigInt(value) {
+    if (value === null || value === undefined || value === '') return 0n;
+    if (typeof value === 'bigint') {
+        if (value < 0n) {
+            throw new Error(`Invalid basis points: ${value}. Must be non-negative.`);
+        }
+        return value;
+    }
+    if (typeof value === 'number') {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Invalid basis points: ${value}. Must be a non-negative integer.`);
+        }
+        if (!Number.isSafeInteger(value)) {
+            console.warn(`⚠️ Basis points ${value} exceed 2^53 - value is approximate (use BigInt or string precision)`);
+        }
+        return BigInt(value);
+    }
+    const str = String(value).trim();
+    if (!/^\d+$/.test(str)) {
+        throw new Error(`Invalid basis points: ${value}. Must be a non-negative integer string.`);
+    }
+    return BigInt(str);
+}
+
+/**
+ * Convert basis points to an exact display string without going through floating point
+ * @param {number|bigint|string} basisPoints - Raw basis points amount
+ * @param {number} decimals - Token decimal places
+ * @returns {string} Exact display amount (e.g. "1.5"), trailing zeros trimmed
+ */
+function basisPointsToDisplayString(basisPoints, decimals) {
+    const raw = toBasisPointsBigInt(basisPoints).toString();
+    if (!decimals) return raw;
+    
+    const padded = raw.padStart(decimals + 1, '0');
+    const whole = padded.slice(0, padded.length - decimals);
+    const fraction = padded.slice(padded.length - decimals).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+}
+
 /**
  * Convert basis points to display amount with proper decimal handling
- * @param {number} basisPoints - Raw basis points amount
+ * @param {number|bigint|string} basisPoints - Raw basis points amount
  * @param {number} decimals - Token decimal places
  * @returns {number} Display amount
  */
@@ -697,12 +723,19 @@ function basisPointsToDisplay(basisPoints, decimals) {
     if (basisPoints === 0) return 0;
     if (basisPoints === null || basisPoints === undefined) return 0;
     
+    // Imprecise numbers (fractions, values above 2^53) can only be divided approximately
+    if (typeof basisPoints === 'number' && !Number.isSafeInteger(basisPoints) && Number.isFinite(basisPoints) && basisPoints > 0) {
+        const displayAmount = basisPoints / Math.pow(10, decimals);
+        console.warn(`⚠️ BASIS POINTS TO DISPLAY: ${basisPoints} is not a safe integer - approximate result ${displayAmount}`);
+        return displayAmount;
+    }
+    
     // ✅ INTEGER MATH: Use string manipulation to avoid floating-point precision issues
-    const basisPointsStr = basisPoints.toString();
+    const basisPointsStr = toBasisPointsBigInt(basisPoints).toString();
     
     if (decimals === 0) {
         // No conversion needed for 0 decimals
-        const displayAmount = basisPoints;
+        const displayAmount = Number(basisPointsStr);
         console.log(`🔧 BASIS POINTS TO DISPLAY: ${basisPoints} basis points ÷ 10^${decimals} = ${displayAmount} display units (0 decimals)`);
         return displayAmount;
     } else if (basisPointsStr.length <= decimals) {
@@ -759,7 +792,7 @@ function getTokenLiquidityFormatted(pool, tokenType) {
         const decimals = pool.ratioADecimal;
         if (decimals === undefined) {
             console.warn('⚠️ Missing Token A decimal info, using raw amount');
-            return formatLargeNumber(rawAmount);
+            return formatLargeNumber(Number(rawAmount));
         }
         return formatLiquidityWithDecimals(rawAmount, decimals);
     } else {
@@ -767,7 +800,7 @@ function getTokenLiquidityFormatted(pool, tokenType) {
         const decimals = pool.ratioBDecimal;
         if (decimals === undefined) {
             console.warn('⚠️ Missing Token B decimal info, using raw amount');
-            return formatLargeNumber(rawAmount);
+            return formatLargeNumber(Number(rawAmount));
         }
         return formatLiquidityWithDecimals(rawAmount, decimals);
     }
@@ -844,10 +877,10 @@ class TokenPairRatio {
     /**
      * Create a TokenPairRatio instance
      * @param {string} tickerA - Token A symbol (e.g., "TS")
-     * @param {number} ratioA - Token A ratio in basis points
+     * @param {number|bigint|string} ratioA - Token A ratio in basis points
      * @param {number} decimalA - Token A decimal places
      * @param {string} tickerB - Token B symbol (e.g., "MST")
-     * @param {number} ratioB - Token B ratio in basis points
+     * @param {number|bigint|string} ratioB - Token B ratio in basis points
      * @param {number} decimalB - Token B decimal places
      */
     constructor(tickerA, ratioA, decimalA, tickerB, ratioB, decimalB) {
@@ -855,10 +888,10 @@ class TokenPairRatio {
         if (!tickerA || !tickerB) {
             throw new Error('Both ticker symbols are required');
         }
-        if (typeof ratioA !== 'number' || ratioA <= 0) {
+        if (!['number', 'bigint', 'string'].includes(typeof ratioA) || !(Number(ratioA) > 0)) {
             throw new Error(`Invalid ratioA: ${ratioA}. Must be a positive number.`);
         }
-        if (typeof ratioB !== 'number' || ratioB <= 0) {
+        if (!['number', 'bigint', 'string'].includes(typeof ratioB) || !(Number(ratioB) > 0)) {
             throw new Error(`Invalid ratioB: ${ratioB}. Must be a positive number.`);
         }
         if (typeof decimalA !== 'number' || decimalA < 0 || decimalA > 9) {
@@ -876,8 +909,21 @@ class TokenPairRatio {
         this.decimalB = decimalB;
 
         // Calculate display values once
-        this.displayA = this.ratioA / Math.pow(10, this.decimalA);
-        this.displayB = this.ratioB / Math.pow(10, this.decimalB);
+        this.displayA = Number(this.ratioA) / Math.pow(10, this.decimalA);
+        this.displayB = Number(this.ratioB) / Math.pow(10, this.decimalB);
+    }
+
+    /**
+     * Quote pair for the shared SwapQuote engine (exact integer math)
+     * @returns {Object} Pair accepted by SwapQuote.quoteExactIn / quoteExactOut
+     */
+    QuotePair() {
+        return window.SwapQuote.getQuotePair({
+            ratioANumerator: this.ratioA,
+            ratioBDenominator: this.ratioB,
+            ratioADecimal: this.decimalA,
+            ratioBDecimal: this.decimalB
+        });
     }
 
     /**
@@ -938,30 +984,32 @@ class TokenPairRatio {
 
     /**
      * Calculate Token A amount from Token B amount (basis points to basis points)
-     * @param {number} bAmountBasisPoints - Token B amount in basis points
-     * @returns {number} Token A amount in basis points
+     * @param {number|bigint} bAmountBasisPoints - Token B amount in basis points
+     * @returns {number|bigint} Token A amount in basis points (BigInt when given a BigInt)
      */
     CalculateA(bAmountBasisPoints) {
-        if (typeof bAmountBasisPoints !== 'number' || bAmountBasisPoints < 0) {
+        if (!['number', 'bigint'].includes(typeof bAmountBasisPoints) || bAmountBasisPoints < 0) {
             throw new Error(`Invalid bAmountBasisPoints: ${bAmountBasisPoints}. Must be a non-negative number.`);
         }
         
-        // B → A: (bAmount * ratioA) / ratioB
-        return Math.floor((bAmountBasisPoints * this.ratioA) / this.ratioB);
+        // B → A: floor((bAmount * ratioA) / ratioB), exactly as the contract computes it
+        const { amountOut } = window.SwapQuote.quoteExactIn(this.QuotePair(), 'BtoA', bAmountBasisPoints);
+        return typeof bAmountBasisPoints === 'bigint' ? amountOut : Number(amountOut);
     }
 
     /**
      * Calculate Token B amount from Token A amount (basis points to basis points)
-     * @param {number} aAmountBasisPoints - Token A amount in basis points
-     * @returns {number} Token B amount in basis points
+     * @param {number|bigint} aAmountBasisPoints - Token A amount in basis points
+     * @returns {number|bigint} Token B amount in basis points (BigInt when given a BigInt)
      */
     CalculateB(aAmountBasisPoints) {
-        if (typeof aAmountBasisPoints !== 'number' || aAmountBasisPoints < 0) {
+        if (!['number', 'bigint'].includes(typeof aAmountBasisPoints) || aAmountBasisPoints < 0) {
             throw new Error(`Invalid aAmountBasisPoints: ${aAmountBasisPoints}. Must be a non-negative number.`);
         }
         
-        // A → B: (aAmount * ratioB) / ratioA
-        return Math.floor((aAmountBasisPoints * this.ratioB) / this.ratioA);
+        // A → B: floor((aAmount * ratioB) / ratioA), exactly as the contract computes it
+        const { amountOut } = window.SwapQuote.quoteExactIn(this.QuotePair(), 'AtoB', aAmountBasisPoints);
+        return typeof aAmountBasisPoints === 'bigint' ? amountOut : Number(amountOut);
     }
 
     /**
@@ -1423,6 +1471,8 @@ if (typeof window !== 'undefined') {
         // BASIS POINTS REFACTOR: New conversion functions
         displayToBasisPoints,
         basisPointsToDisplay,
+        basisPointsToDisplayString,
+        toBasisPointsBigInt,
         formatLiquidityWithDecimals,
         getTokenLiquidityFormatted,
         validateOneToManyRatio,
@@ -1556,6 +1606,8 @@ if (typeof module !== 'undefined' && module.exports) {
         // BASIS POINTS REFACTOR: New conversion functions
         displayToBasisPoints,
         basisPointsToDisplay,
+        basisPointsToDisplayString,
+        toBasisPointsBigInt,
         formatLiquidityWithDecimals,
         getTokenLiquidityFormatted,
         validateOneToManyRatio,
@@ -0,0 +1,663 @@
+/**
+ * Wallet Adapter
+ *
+ * One wallet layer for every page:
+ * - Detects Phantom, Solflare and Backpack and connects through the same API
+ * - Remembers the chosen wallet across pages (localStorage wallet_connected / wallet_type)
+ *   and silently restores it on the next page load
+ * - Shows a small picker when several wallets are installed and none was chosen yet
+ * - Includes a scriptable in-page keypair signer for automated tests against a local validator
+ *
+ * The adapter is itself provider-shaped (publicKey, isConnected, connect, disconnect,
+ * signTransaction, signAllTransactions, signAndSendTransaction), so pages can keep
+ * `wallet = window.WalletAdapter` and existing signing code works unchanged.
+ *
+ * Test signer (local validator only):
+ *   WalletAdapter.useTestSigner([...secretKeyBytes]);   // or a base58/JSON string
+ *   await WalletAdapter.connect('test-signer');
+ * The secret is kept in sessionStorage so the signer follows the test across page loads. Loading,
+ * restoring and connecting it all require config.rpcUrl and every fallbackRpcUrls entry to be local.
+ *
+ * Dependencies:
+ * - solanaWeb3 (test signer only - wallet extensions work without it)
+ */
+
+const WALLET_STORAGE_KEYS = {
+    connected: 'wallet_connected',
+    type: 'wallet_type',
+    testSignerSecret: 'frt_test_signer_secret'
+};
+
+const WALLET_PROVIDERS = [
+    {
+        type: 'phantom',
+        name: 'Phantom',
+        icon: '👻',
+        installUrl: 'https://phantom.app/',
+        detect: () => {
+            if (window.phantom && window.phantom.solana && window.phantom.solana.isPhantom) return window.phantom.solana;
+            if (window.solana && window.solana.isPhantom) return window.solana;
+            return null;
+        }
+    },
+    {
+        type: 'solflare',
+        name: 'Solflare',
+        icon: '🔥',
+        installUrl: 'https://solflare.com/',
+        detect: () => (window.solflare && window.solflare.isSolflare ? window.solflare : null)
+    },
+    {
+        type: 'backpack',
+        name: 'Backpack',
+        icon: '🎒',
+        installUrl: 'https://backpack.app/',
+        detect: () => window.backpack || null
+    }
+];
+
+const LOCAL_RPC_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'];
+
+/**
+ * In-page keypair signer with the same surface as a wallet extension
+ * Only meant for automated tests against a local validator.
+ */
+class LocalKeypairSigner {
+    constructor(secretKey) {
+        this.secretKey = Uint8Array.from(secretKey);
+        this.keypair = null;
+        this.isTestSigner = true;
+    }
+
+    get publicKey() {
+        return this.keypair ? this.keypair.publicKey : null;
+    }
+
+    get isConnected() {
+        return !!this.keypair;
+    }
+
+    async connect() {
+        if (!window.solanaWeb3) {
+            throw new Error('solanaWeb3 must be loaded before connecting the test signer');
+        }
+        if (!this.keypair) {
+            this.keypair = solanaWeb3.Keypair.fromSecretKey(this.secretKey);
+        }
+        return { publicKey: this.keypair.publicKey };
+    }
+
+    async disconnect() {
+        this.keypair = null;
+    }
+
+    async signTransaction(transaction) {
+        if (!this.keypair) {
+            throw new Error('Test signer not connected');
+        }
+        if (typeof transaction.partialSign === 'function') {
+            // Legacy Transaction - keep signatures from any other signers
+            transaction.partialSign(this.keypair);
+        } else {
+            // VersionedTransaction
+            transaction.sign([this.keypair]);
+        }
+        return transaction;
+    }
+
+    async signAllTransactions(transactions) {
+        const signed = [];
+        for (const transaction of transactions) {
+            signed.push(await this.signTransaction(transaction));
+        }
+        return signed;
+    }
+
+    async signMessage(message) {
+        throw new Error('Test signer does not support signMessage');
+    }
+}
+
+class WalletAdapter {
+    constructor() {
+        this.PUBLIC_KEY_WAIT_ATTEMPTS = 10;
+        this.PUBLIC_KEY_WAIT_MS = 100;
+        this.provider = null;
+        this.type = null;
+        this.testSigner = null;
+        this.testSignerForced = false;
+        this.connection = null;
+        this.listeners = [];
+        this.providerEvents = null;
+        this.picker = null;
+    }
+
+    // ========================================================================
+    // PROVIDER-SHAPED SURFACE
+    // ========================================================================
+
+    get publicKey() {
+        return this.provider ? this.provider.publicKey || null : null;
+    }
+
+    get isConnected() {
+        return !!this.publicKey;
+    }
+
+    get walletType() {
+        return this.type;
+    }
+
+    get name() {
+        if (this.type === 'test-signer') return 'Test Signer';
+        const entry = WALLET_PROVIDERS.find(candidate => candidate.type === this.type);
+        return entry ? entry.name : 'Wallet';
+    }
+
+    /**
+     * Sign a legacy or versioned transaction with the connected wallet
+     * @param {Transaction|VersionedTransaction} transaction
+     * @returns {Promise<Transaction|VersionedTransaction>} Signed transaction
+     */
+    async signTransaction(transaction) {
+        return this.requireProvider().signTransaction(transaction);
+    }
+
+    async signAllTransactions(transactions) {
+        const provider = this.requireProvider();
+        if (typeof provider.signAllTransactions === 'function') {
+            return provider.signAllTransactions(transactions);
+        }
+        const signed = [];
+        for (const transaction of transactions) {
+            signed.push(await provider.signTransaction(transaction));
+        }
+        return signed;
+    }
+
+    /**
+     * Sign and submit a transaction
+     * Uses the wallet's own signAndSendTransaction when it has one, otherwise signs
+     * here and sends through the page connection (see setConnection).
+     * @returns {Promise<{signature: string}>}
+     */
+    async signAndSendTransaction(transaction, options = {}) {
+        const provider = this.requireProvider();
+        if (typeof provider.signAndSendTransaction === 'function') {
+            return provider.signAndSendTransaction(transaction, options);
+        }
+        const signed = await provider.signTransaction(transaction);
+        const signature = await this.getSendConnection().sendRawTransaction(signed.serialize(), options);
+        return { signature };
+    }
+
+    async signMessage(message, display) {
+        const provider = this.requireProvider();
+        if (typeof provider.signMessage !== 'function') {
+            throw new Error(`${this.name} does not support signMessage`);
+        }
+        return provider.signMessage(message, display);
+    }
+
+    requireProvider() {
+        if (!this.provider || !this.provider.publicKey) {
+            throw new Error('Wallet not connected');
+        }
+        return this.provider;
+    }
+
+    /**
+     * Connection used by signAndSendTransaction when the wallet cannot send itself
+     * @param {solanaWeb3.Connection} connection
+     */
+    setConnection(connection) {
+        this.connection = connection;
+    }
+
+    getSendConnection() {
+        if (this.connection) return this.connection;
+        const config = window.TRADING_CONFIG || window.CONFIG;
+        if (!config || !window.solanaWeb3) {
+            throw new Error('No connection available to send the transaction');
+        }
+        this.connection = window.RpcEndpointPool && window.RpcEndpointPool.config
+            ? window.RpcEndpointPool.getConnection()
+            : new solanaWeb3.Connection(config.rpcUrl, { commitment: config.commitment || 'confirmed' });
+        return this.connection;
+    }
+
+    // ========================================================================
+    // DETECTION AND CONNECTION
+    // ========================================================================
+
+    /**
+     * Wallets available on this page (the test signer is listed once configured)
+     * @returns {Array} [{type, name, icon, installUrl, provider}]
+     */
+    detectWallets() {
+        // Config loads after this script - a stored test signer is picked up once it names a local RPC
+        this.loadTestSignerFromSession();
+        const wallets = WALLET_PROVIDERS
+            .map(entry => ({ type: entry.type, name: entry.name, icon: entry.icon, installUrl: entry.installUrl, provider: entry.detect() }))
+            .filter(entry => entry.provider);
+        if (this.testSigner) {
+            wallets.push({ type: 'test-signer', name: 'Test Signer', icon: '🧪', installUrl: null, provider: this.testSigner });
+        }
+        return wallets;
+    }
+
+    getProvider(type) {
+        const wallet = this.detectWallets().find(entry => entry.type === type);
+        return wallet ? wallet.provider : null;
+    }
+
+    getRememberedType() {
+        try {
+            if (localStorage.getItem(WALLET_STORAGE_KEYS.connected) !== 'true') return null;
+            return localStorage.getItem(WALLET_STORAGE_KEYS.type);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    remember(type) {
+        try {
+            localStorage.setItem(WALLET_STORAGE_KEYS.connected, 'true');
+            localStorage.setItem(WALLET_STORAGE_KEYS.type, type);
+        } catch (error) {
+            console.warn('⚠️ Could not remember wallet choice:', error.message);
+        }
+    }
+
+    forget() {
+        try {
+            localStorage.removeItem(WALLET_STORAGE_KEYS.connected);
+            localStorage.removeItem(WALLET_STORAGE_KEYS.type);
+        } catch (error) {
+            // Storage unavailable - nothing to clear
+        }
+    }
+
+    /**
+     * Connect a wallet
+     * Without a type: the remembered wallet, else the only installed one, else a picker.
+     * @param {string} [type] - 'phantom' | 'solflare' | 'backpack' | 'test-signer'
+     * @returns {Promise<WalletAdapter>} This adapter, connected
+     */
+    async connect(type) {
+        if (!type) {
+            type = await this.chooseWalletType();
+        }
+
+        const provider = this.getProvider(type);
+        if (!provider) {
+            throw new Error(`${this.getDisplayName(type)} wallet not detected. Please install it first.`);
+        }
+        if (type === 'test-signer') {
+            this.assertTestSignerEndpoint();
+        }
+
+        console.log(`🔗 Connecting to ${this.getDisplayName(type)} wallet...`);
+        if (type === 'phantom') {
+            try {
+                await provider.connect({ onlyIfTrusted: false });
+            } catch (phantomError) {
+                // Older Phantom builds reject the options object
+                await provider.connect();
+            }
+        } else {
+            await provider.connect();
+        }
+
+        await this.waitForPublicKey(provider, type);
+        this.setActiveProvider(provider, type);
+        this.remember(type);
+        console.log(`✅ ${this.name} connected:`, this.publicKey.toString());
+        this.notify('connect');
+        return this;
+    }
+
+    /**
+     * Silently reconnect the wallet remembered from a previous page
+     * Never prompts: Phantom is asked with onlyIfTrusted, other wallets reconnect without a popup once authorized.
+     * @returns {Promise<boolean>} True if a wallet is connected afterwards
+     */
+    async restore() {
+        if (this.isConnected) return true;
+
+        const type = this.getRememberedType();
+        if (!type) return false;
+
+        const provider = this.getProvider(type);
+        if (!provider) {
+            console.log(`⚠️ ${this.getDisplayName(type)} wallet not available, clearing persistence`);
+            this.forget();
+            return false;
+        }
+
+        try {
+            console.log(`🔄 Restoring previous ${this.getDisplayName(type)} wallet connection...`);
+            if (type === 'test-signer') {
+                this.assertTestSignerEndpoint();
+            }
+            if (type === 'phantom') {
+                await provider.connect({ onlyIfTrusted: true });
+            } else if (!provider.publicKey) {
+                await provider.connect();
+            }
+            await this.waitForPublicKey(provider, type);
+            this.setActiveProvider(provider, type);
+            console.log(`✅ ${this.name} wallet connection restored:`, this.publicKey.toString());
+            this.notify('connect');
+            return true;
+        } catch (error) {
+            console.log(`⚠️ Could not restore ${this.getDisplayName(type)} wallet connection:`, error.message);
+            this.forget();
+            return false;
+        }
+    }
+
+    async disconnect() {
+        const provider = this.provider;
+        const name = this.name;
+        this.detachProviderEvents();
+        this.provider = null;
+        this.type = null;
+        this.forget();
+
+        if (provider && typeof provider.disconnect === 'function') {
+            try {
+                await provider.disconnect();
+            } catch (error) {
+                console.warn(`⚠️ ${name} disconnect method failed:`, error.message);
+            }
+        }
+        console.log(`🔌 ${name} disconnected`);
+        this.notify('disconnect');
+    }
+
+    async waitForPublicKey(provider, type) {
+        // Some wallets need a moment for publicKey to be available
+        let attempts = 0;
+        while (!provider.publicKey && attempts < this.PUBLIC_KEY_WAIT_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, this.PUBLIC_KEY_WAIT_MS));
+            attempts++;
+        }
+        if (!provider.publicKey) {
+            throw new Error(`${this.getDisplayName(type)} connection failed - publicKey not available`);
+        }
+    }
+
+    setActiveProvider(provider, type) {
+        this.detachProviderEvents();
+        this.provider = provider;
+        this.type = type;
+        this.attachProviderEvents(provider);
+    }
+
+    getDisplayName(type) {
+        if (type === 'test-signer') return 'Test Signer';
+        const entry = WALLET_PROVIDERS.find(candidate => candidate.type === type);
+        return entry ? entry.name : (type || 'Wallet');
+    }
+
+    async chooseWalletType() {
+        const wallets = this.detectWallets();
+        const remembered = this.getRememberedType();
+        if (remembered && wallets.some(entry => entry.type === remembered)) {
+            return remembered;
+        }
+        if (wallets.length === 0) {
+            throw new Error('No supported wallets detected. Please install Phantom, Solflare, or Backpack wallet.');
+        }
+        if (wallets.length === 1 || typeof document === 'undefined') {
+            return wallets[0].type;
+        }
+        return this.showPicker(wallets);
+    }
+
+    // ========================================================================
+    // EVENTS
+    // ========================================================================
+
+    /**
+     * Subscribe to wallet changes
+     * @param {Function} listener - Called with (event, adapter); event is 'connect' | 'disconnect' | 'accountChanged'
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(existing => existing !== listener);
+        };
+    }
+
+    notify(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event, this);
+            } catch (error) {
+                console.warn('⚠️ Wallet listener failed:', error.message);
+            }
+        });
+    }
+
+    attachProviderEvents(provider) {
+        if (typeof provider.on !== 'function') return;
+
+        const onAccountChanged = (publicKey) => {
+            if (this.provider !== provider) return;
+            if (!publicKey && !provider.publicKey) {
+                this.disconnect();
+                return;
+            }
+            console.log('🔄 Wallet account changed:', (publicKey || provider.publicKey).toString());
+            this.notify('accountChanged');
+        };
+        const onDisconnect = () => {
+            if (this.provider === provider) this.disconnect();
+        };
+
+        provider.on('accountChanged', onAccountChanged);
+        provider.on('disconnect', onDisconnect);
+        this.providerEvents = { provider, onAccountChanged, onDisconnect };
+    }
+
+    detachProviderEvents() {
+        if (!this.providerEvents) return;
+        const { provider, onAccountChanged, onDisconnect } = this.providerEvents;
+        const off = provider.off || provider.removeListener;
+        if (typeof off === 'function') {
+            off.call(provider, 'accountChanged', onAccountChanged);
+            off.call(provider, 'disconnect', onDisconnect);
+        }
+        this.providerEvents = null;
+    }
+
+    // ========================================================================
+    // TEST SIGNER
+    // ========================================================================
+
+    /**
+     * Enable the in-page keypair signer (local validator only)
+     * @param {number[]|Uint8Array|string} secretKey - 64-byte secret key, as bytes, a JSON array string or base58
+     * @param {Object} [options] - { force: true } to allow a non-local RPC endpoint (not kept across page loads)
+     * @returns {LocalKeypairSigner} The signer (connect it with WalletAdapter.connect('test-signer'))
+     */
+    useTestSigner(secretKey, options = {}) {
+        this.assertTestSignerEndpoint(!!options.force);
+
+        const bytes = this.parseSecretKey(secretKey);
+        if (this.provider === this.testSigner) {
+            this.detachProviderEvents();
+            this.provider = null;
+            this.type = null;
+        }
+        this.testSigner = new LocalKeypairSigner(bytes);
+        this.testSignerForced = !!options.force;
+        try {
+            if (this.testSignerForced) {
+                sessionStorage.removeItem(WALLET_STORAGE_KEYS.testSignerSecret);
+            } else {
+                sessionStorage.setItem(WALLET_STORAGE_KEYS.testSignerSecret, JSON.stringify(Array.from(bytes)));
+            }
+        } catch (error) {
+            console.warn('⚠️ Test signer will not survive page loads:', error.message);
+        }
+        console.log('🧪 Test signer enabled');
+        return this.testSigner;
+    }
+
+    clearTestSigner() {
+        if (this.type === 'test-signer') {
+            this.provider = null;
+            this.type = null;
+            this.forget();
+        }
+        this.testSigner = null;
+        this.testSignerForced = false;
+        try {
+            sessionStorage.removeItem(WALLET_STORAGE_KEYS.testSignerSecret);
+        } catch (error) {
+            // Storage unavailable - nothing to clear
+        }
+    }
+
+    /**
+     * Restore the test signer kept in sessionStorage - only once the config names local endpoints
+     * A secret stored for a page that now talks to a remote RPC is discarded, never loaded.
+     */
+    loadTestSignerFromSession() {
+        if (this.testSigner) return;
+        try {
+            const stored = sessionStorage.getItem(WALLET_STORAGE_KEYS.testSignerSecret);
+            if (!stored || !(window.TRADING_CONFIG || window.CONFIG)) return;
+
+            const remoteUrl = this.findNonLocalEndpoint();
+            if (remoteUrl !== null) {
+                sessionStorage.removeItem(WALLET_STORAGE_KEYS.testSignerSecret);
+                console.warn(`⚠️ Stored test signer discarded - ${remoteUrl} is not a local validator`);
+                return;
+            }
+            this.testSigner = new LocalKeypairSigner(JSON.parse(stored));
+            console.log('🧪 Test signer loaded from session');
+        } catch (error) {
+            // No sessionStorage (or bad value) - test signer stays off
+        }
+    }
+
+    /**
+     * First configured RPC endpoint that is not a local validator ('unknown' before config loads)
+     * Fallbacks count too: the RPC pool may send the test signer's transactions to any of them.
+     * @returns {string|null} Null when every endpoint is local
+     */
+    findNonLocalEndpoint() {
+        const config = window.TRADING_CONFIG || window.CONFIG;
+        if (!config || !config.rpcUrl) return 'unknown';
+        const urls = [config.rpcUrl, ...(config.fallbackRpcUrls || [])];
+        const remoteUrl = urls.find(url => !this.isLocalEndpoint(url));
+        return remoteUrl === undefined ? null : remoteUrl;
+    }
+
+    assertTestSignerEndpoint(forced = this.testSignerForced) {
+        if (forced) return;
+        const remoteUrl = this.findNonLocalEndpoint();
+        if (remoteUrl !== null) {
+            throw new Error(`Test signer is only available against a local validator (RPC: ${remoteUrl})`);
+        }
+    }
+
+    parseSecretKey(secretKey) {
+        let bytes = secretKey;
+        if (typeof secretKey === 'string') {
+            const trimmed = secretKey.trim();
+            if (trimmed.startsWith('[')) {
+                bytes = JSON.parse(trimmed);
+            } else if (window.solanaWeb3 && solanaWeb3.utils && solanaWeb3.utils.bs58) {
+                bytes = solanaWeb3.utils.bs58.decode(trimmed);
+            } else {
+                throw new Error('Base58 secret keys need solanaWeb3 loaded - pass the byte array instead');
+            }
+        }
+        if (!bytes || bytes.length !== 64) {
+            throw new Error('Test signer secret key must be 64 bytes');
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    isLocalEndpoint(url) {
+        if (!url) return false;
+        try {
+            return LOCAL_RPC_HOSTS.includes(new URL(url).hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // ========================================================================
+    // PICKER
+    // ========================================================================
+
+    /**
+     * Modal wallet picker (pages without their own wallet menu)
+     * @param {Array} wallets - detectWallets() entries
+     * @returns {Promise<string>} Chosen wallet type (rejects if dismissed)
+     */
+    showPicker(wallets) {
+        this.closePicker();
+
+        return new Promise((resolve, reject) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'wallet-picker-overlay';
+
+            const dialog = document.createElement('div');
+            dialog.className = 'wallet-picker';
+
+            const header = document.createElement('div');
+            header.className = 'wallet-picker-header';
+            header.textContent = 'Choose Wallet';
+            dialog.appendChild(header);
+
+            wallets.forEach(entry => {
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'wallet-picker-option';
+                option.textContent = `${entry.icon} ${entry.name}`;
+                option.onclick = () => {
+                    this.closePicker();
+                    resolve(entry.type);
+                };
+                dialog.appendChild(option);
+            });
+
+            overlay.onclick = (event) => {
+                if (event.target !== overlay) return;
+                this.closePicker();
+                reject(new Error('Wallet selection cancelled'));
+            };
+
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+            this.picker = overlay;
+        });
+    }
+
+    closePicker() {
+        if (this.picker) {
+            this.picker.remove();
+            this.picker = null;
+        }
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.WalletAdapter = new WalletAdapter();
+    window.LocalKeypairSigner = LocalKeypairSigner;
+    console.log('👛 WalletAdapter loaded');
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WalletAdapter, LocalKeypairSigner, WALLET_PROVIDERS };
+}
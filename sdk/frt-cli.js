@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+/**
+ * Fixed Ratio Trading - Command Line Tool
+ * Pool inspection, quotes, swaps and liquidity operations from the terminal
+ *
+ * Built on frt-sdk.js, so parsing, PDAs, quotes and transactions match the dashboard exactly.
+ * Reads the same config.json schema as html/config.js and signs with a Solana CLI keypair file.
+ *
+ * Usage: node sdk/frt-cli.js <command> [args] [options]   (see --help)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Module diagnostics go to stderr so stdout stays clean for results and --json
+console.log = console.error;
+console.info = console.error;
+
+const { FRTClient, SwapQuote, PoolFlags, FRTTransactions, FRTConsolidationRunner, loadKeypair } = require('./frt-sdk.js');
+
+const DEFAULT_CONFIG_PATHS = [
+    path.join(__dirname, '..', 'html', 'config.json'),
+    path.join(__dirname, '..', 'html', 'sample-config.json')
+];
+const DEFAULT_KEYPAIR_PATH = path.join(os.homedir(), '.config', 'solana', 'id.json');
+const LAMPORTS_PER_SOL = 1_000_000_000;
+
+const HELP = `
+Fixed Ratio Trading CLI
+
+Usage: node sdk/frt-cli.js <command> [args] [options]
+
+Commands:
+  pools list                                  List all pools
+  pool show <pool>                            Show pool details
+  quote <pool> <inputMint> <amount>           Quote a swap
+  swap <pool> <inputMint> <amount>            Swap tokens
+  deposit <pool> <mint> <amount>              Add liquidity for one side of a pool
+  withdraw <pool> <mint> <lpAmount>           Burn LP tokens and receive <mint>
+  treasury info                               Show main treasury state
+  treasury consolidate                        Dry-run fee consolidation for all pools (simulation only)
+  system status                               Show system pause state and admin authority
+  lookup-table create                         Create the program's address lookup table for v0 transactions
+
+Options:
+  --config <path>       config.json to use (default: html/config.json, then html/sample-config.json)
+  --keypair <path>      Signing keypair file (default: ~/.config/solana/id.json)
+  --rpc <url>           Override solana.rpcUrl
+  --program-id <id>     Override program.programId
+  --tx-version <v>      legacy or v0 (default: dashboard.transactions.version)
+  --priority-fee <n>    Fixed priority fee in micro-lamports per CU (0 disables; default: estimated)
+  --admin <address>     Admin authority simulated by treasury consolidate (default: system state admin)
+  --batch-size <n>      Pools per consolidation transaction (default: 5)
+  --withdraw            treasury consolidate also plans the fee withdrawal (blocked while the cooldown runs)
+  --raw                 Amounts are basis points instead of display units
+  --simulate            Simulate transactions instead of sending them
+  --json                Print machine-readable JSON
+  --help                Show this help
+`;
+
+// ========================================
+// ARGUMENT PARSING
+// ========================================
+
+const BOOLEAN_OPTIONS = new Set(['raw', 'simulate', 'withdraw', 'json', 'help']);
+
+/**
+ * Split argv into positional arguments and --options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { positional, options }
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.slice(2).split('=', 2);
+        if (BOOLEAN_OPTIONS.has(name)) {
+            options[name] = true;
+        } else if (inlineValue !== undefined) {
+            options[name] = inlineValue;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+    return { positional, options };
+}
+
+/**
+ * Load config.json (explicit path or the dashboard defaults)
+ */
+function loadConfig(configPath) {
+    const candidates = configPath ? [configPath] : DEFAULT_CONFIG_PATHS;
+    for (const candidate of candidates) {
+        if (fs.existsSync(candidate)) {
+            const config = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+            if (!config.solana?.rpcUrl || !config.program?.programId) {
+                throw new Error(`Config ${candidate} is missing solana.rpcUrl or program.programId`);
+            }
+            return config;
+        }
+    }
+    throw new Error(`Config file not found: ${candidates.join(', ')}`);
+}
+
+function requireArgs(args, count, usage) {
+    if (args.length < count) {
+        throw new Error(`Usage: ${usage}`);
+    }
+    return args;
+}
+
+// ========================================
+// OUTPUT
+// ========================================
+
+/**
+ * JSON.stringify with BigInt support
+ */
+function toJson(value) {
+    return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+}
+
+function print(options, data, lines) {
+    if (options.json) {
+        process.stdout.write(toJson(data) + '\n');
+    } else {
+        process.stdout.write(lines.join('\n') + '\n');
+    }
+}
+
+function formatAmount(baseUnits, decimals) {
+    return SwapQuote.fromBaseUnits(baseUnits, decimals);
+}
+
+function formatSol(lamports) {
+    return `${(Number(lamports) / LAMPORTS_PER_SOL).toFixed(9)} SOL`;
+}
+
+function formatTimestamp(seconds) {
+    return seconds ? new Date(Number(seconds) * 1000).toISOString() : 'never';
+}
+
+function describePool(pool) {
+    const activeFlags = PoolFlags.getActivePoolFlags(pool.flags).map(flag => flag.stateKey);
+    return [
+        `Pool:              ${pool.address}`,
+        `Token A:           ${pool.tokenAMint} (${pool.ratioADecimal} decimals)`,
+        `Token B:           ${pool.tokenBMint} (${pool.ratioBDecimal} decimals)`,
+        `Ratio:             ${formatAmount(pool.ratioANumerator, pool.ratioADecimal)} A = ${formatAmount(pool.ratioBDenominator, pool.ratioBDecimal)} B`,
+        `Liquidity A:       ${formatAmount(pool.tokenALiquidity, pool.ratioADecimal)}`,
+        `Liquidity B:       ${formatAmount(pool.tokenBLiquidity, pool.ratioBDecimal)}`,
+        `Vault A:           ${pool.tokenAVault}`,
+        `Vault B:           ${pool.tokenBVault}`,
+        `LP Mint A:         ${pool.lpTokenAMint}`,
+        `LP Mint B:         ${pool.lpTokenBMint}`,
+        `Flags:             ${pool.flags}${activeFlags.length ? ` (${activeFlags.join(', ')})` : ''}`,
+        `Liquidity Fee:     ${formatSol(pool.contractLiquidityFee)}`,
+        `Swap Fee:          ${formatSol(pool.swapContractFee)}`,
+        `Collected Fees:    ${formatSol(pool.totalSolFeesCollected)}`,
+        `Owner:             ${pool.owner}`
+    ];
+}
+
+// ========================================
+// TRANSACTIONS
+// ========================================
+
+/**
+ * Convert a CLI amount to base units
+ */
+function parseAmount(amount, decimals, options) {
+    return options.raw ? BigInt(amount) : SwapQuote.toBaseUnits(amount, decimals);
+}
+
+/**
+ * Sign and send (or simulate) a built transaction
+ * @returns {Promise<Object>} { signature } or { simulation }
+ */
+async function submit(client, transaction, signer, options) {
+    if (options.simulate) {
+        const result = await FRTTransactions.simulateTransaction(client.connection, transaction);
+        if (result.value.err) {
+            const logs = (result.value.logs || []).join('\n  ');
+            throw new Error(`Simulation failed: ${JSON.stringify(result.value.err)}\n  ${logs}`);
+        }
+        return { simulated: true, unitsConsumed: result.value.unitsConsumed, logs: result.value.logs };
+    }
+    const signature = await client.sendTransaction(transaction, [signer]);
+    return { simulated: false, signature };
+}
+
+function describeSubmission(result) {
+    return result.simulated
+        ? [`🧪 Simulation succeeded (${result.unitsConsumed ?? 'unknown'} compute units)`]
+        : [`✅ Confirmed: ${result.signature}`];
+}
+
+// ========================================
+// COMMANDS
+// ========================================
+
+const COMMANDS = {
+    'pools list': async (client, args, options) => {
+        const pools = await client.listPools();
+        const lines = pools.length === 0
+            ? ['No pools found']
+            : pools.map(pool => `${pool.address}  ${formatAmount(pool.ratioANumerator, pool.ratioADecimal)} ${pool.tokenAMint} = ${formatAmount(pool.ratioBDenominator, pool.ratioBDecimal)} ${pool.tokenBMint}`);
+        print(options, pools, [`📊 ${pools.length} pool(s)`, ...lines]);
+    },
+
+    'pool show': async (client, args, options) => {
+        const [address] = requireArgs(args, 1, 'pool show <pool>');
+        const pool = await client.getPool(address);
+        print(options, pool, describePool(pool));
+    },
+
+    'quote': async (client, args, options) => {
+        const [address, inputMint, amount] = requireArgs(args, 3, 'quote <pool> <inputMint> <amount>');
+        const pool = await client.getPool(address);
+        const decimals = inputMint === pool.tokenAMint ? pool.ratioADecimal : pool.ratioBDecimal;
+        const quote = await client.quoteSwap(pool, inputMint, parseAmount(amount, decimals, options));
+        const lines = [
+            `Input:   ${quote.amountInDisplay} (${quote.amountIn} basis points)`,
+            `Output:  ${quote.amountOutDisplay} (${quote.amountOut} basis points)`
+        ];
+        if (quote.hasDust) {
+            lines.push(quote.dustBlocked
+                ? '🚫 Pool requires exact exchange - this amount leaves dust and will be rejected'
+                : '⚠️ Amount does not divide evenly - the rounding remainder stays in the pool');
+        }
+        print(options, quote, lines);
+    },
+
+    'swap': async (client, args, options, signer) => {
+        const [address, inputMint, amount] = requireArgs(args, 3, 'swap <pool> <inputMint> <amount>');
+        const pool = await client.getPool(address);
+        const decimals = inputMint === pool.tokenAMint ? pool.ratioADecimal : pool.ratioBDecimal;
+        const { transaction, quote } = await client.buildSwapTransaction({
+            pool,
+            user: signer().publicKey,
+            inputMint,
+            amountIn: parseAmount(amount, decimals, options)
+        });
+        const result = await submit(client, transaction, signer(), options);
+        print(options, { quote, ...result }, [
+            `🔄 Swap ${quote.amountInDisplay} → ${quote.amountOutDisplay}`,
+            ...describeSubmission(result)
+        ]);
+    },
+
+    'deposit': async (client, args, options, signer) => {
+        const [address, mint, amount] = requireArgs(args, 3, 'deposit <pool> <mint> <amount>');
+        const pool = await client.getPool(address);
+        const decimals = mint === pool.tokenAMint ? pool.ratioADecimal : pool.ratioBDecimal;
+        const baseUnits = parseAmount(amount, decimals, options);
+        const { transaction, lpMint } = await client.buildDepositTransaction({
+            pool,
+            user: signer().publicKey,
+            depositMint: mint,
+            amount: baseUnits
+        });
+        const result = await submit(client, transaction, signer(), options);
+        print(options, { amount: baseUnits, lpMint, ...result }, [
+            `💧 Deposit ${formatAmount(baseUnits, decimals)} of ${mint}`,
+            ...describeSubmission(result)
+        ]);
+    },
+
+    'withdraw': async (client, args, options, signer) => {
+        const [address, mint, lpAmount] = requireArgs(args, 3, 'withdraw <pool> <mint> <lpAmount>');
+        const pool = await client.getPool(address);
+        const { lpTokenAMint, lpTokenBMint } = client.getLpMintPDAs(pool.address);
+        const lpMint = mint === pool.tokenAMint ? lpTokenAMint : lpTokenBMint;
+        const lpDecimals = await client.getMintDecimals(lpMint);
+        const baseUnits = parseAmount(lpAmount, lpDecimals, options);
+        const { transaction } = await client.buildWithdrawTransaction({
+            pool,
+            user: signer().publicKey,
+            withdrawMint: mint,
+            lpAmount: baseUnits
+        });
+        const result = await submit(client, transaction, signer(), options);
+        print(options, { lpAmount: baseUnits, lpMint, ...result }, [
+            `💸 Withdraw ${formatAmount(baseUnits, lpDecimals)} LP tokens for ${mint}`,
+            ...describeSubmission(result)
+        ]);
+    },
+
+    'treasury info': async (client, args, options) => {
+        const treasury = await client.getMainTreasuryState();
+        if (!treasury) {
+            throw new Error('Failed to parse main treasury state');
+        }
+        print(options, { address: client.getMainTreasuryPDA().toString(), ...treasury }, [
+            `Treasury:            ${client.getMainTreasuryPDA().toString()}`,
+            `Balance:             ${formatSol(treasury.total_balance)}`,
+            `Rent Exempt Min:     ${formatSol(treasury.rent_exempt_minimum)}`,
+            `Total Withdrawn:     ${formatSol(treasury.total_withdrawn)}`,
+            `Pool Creations:      ${treasury.pool_creation_count} (${formatSol(treasury.total_pool_creation_fees)})`,
+            `Liquidity Ops:       ${treasury.liquidity_operation_count} (${formatSol(treasury.total_liquidity_fees)})`,
+            `Swaps:               ${treasury.regular_swap_count} (${formatSol(treasury.total_regular_swap_fees)})`,
+            `Swap Contract Fees:  ${formatSol(treasury.total_swap_contract_fees)}`,
+            `Donations:           ${treasury.donation_count} (${formatSol(treasury.total_donations)})`,
+            `Consolidations:      ${treasury.total_consolidations_performed}`,
+            `Last Update:         ${formatTimestamp(treasury.last_update_timestamp)}`,
+            `Last Withdrawal:     ${formatTimestamp(treasury.last_withdrawal_timestamp)}`
+        ]);
+    },
+
+    'treasury consolidate': async (client, args, options) => {
+        // Simulation only - real runs are signed by the admin wallet on admin-treasury.html
+        const batchSize = options['batch-size'] !== undefined ? Number(options['batch-size']) : undefined;
+        const report = await client.dryRunConsolidation({
+            admin: options.admin || null,
+            batchSize,
+            withdraw: !!options.withdraw
+        });
+        print(options, report, FRTConsolidationRunner.formatConsolidationReport(report));
+    },
+
+    'system status': async (client, args, options) => {
+        const state = await client.getSystemState();
+        if (!state) {
+            throw new Error('Failed to parse system state');
+        }
+        print(options, { address: client.getSystemStatePDA().toString(), ...state }, [
+            `System State:     ${client.getSystemStatePDA().toString()}`,
+            `Status:           ${state.is_paused ? '⏸️ PAUSED' : '✅ Active'}`,
+            ...(state.is_paused ? [
+                `Paused At:        ${formatTimestamp(state.pause_timestamp)}`,
+                `Reason Code:      ${state.pause_reason_code}`
+            ] : []),
+            `Admin:            ${state.admin_authority}`,
+            `Pending Admin:    ${state.pending_admin_authority || 'none'}`
+        ]);
+    },
+
+    'lookup-table create': async (client, args, options, signer) => {
+        const authority = signer().publicKey;
+        const recentSlot = await client.connection.getSlot('finalized');
+        const { lookupTableAddress, instructions, addresses } = FRTTransactions.buildCreateLookupTableInstructions({
+            authority,
+            payer: authority,
+            recentSlot,
+            programId: client.programId
+        });
+        // The table cannot be used by the transaction that creates it - always legacy
+        const { transaction } = await FRTTransactions.buildTransaction(client.connection, {
+            payer: authority,
+            instructions,
+            options: { ...client.transactionOptions, version: 'legacy' }
+        });
+        const result = await submit(client, transaction, signer(), options);
+        print(options, { lookupTableAddress: lookupTableAddress.toString(), addresses: addresses.map(String), ...result }, [
+            `📇 Lookup table ${lookupTableAddress.toString()} (${addresses.length} addresses)`,
+            ...describeSubmission(result),
+            'Set dashboard.transactions.lookupTableAddress to this address and version to "v0" in config.json'
+        ]);
+    }
+};
+
+/**
+ * Resolve the command name (one or two words) from positional arguments
+ */
+function resolveCommand(positional) {
+    const twoWord = positional.slice(0, 2).join(' ');
+    if (COMMANDS[twoWord]) return { name: twoWord, args: positional.slice(2) };
+    if (COMMANDS[positional[0]]) return { name: positional[0], args: positional.slice(1) };
+    return null;
+}
+
+async function main(argv) {
+    const { positional, options } = parseArgs(argv);
+    const command = resolveCommand(positional);
+    if (options.help || !command) {
+        process.stdout.write(HELP);
+        return positional.length === 0 || options.help ? 0 : 1;
+    }
+
+    const transactionOptions = {};
+    if (options['tx-version']) {
+        if (!['legacy', 'v0'].includes(options['tx-version'])) {
+            throw new Error(`Invalid --tx-version: ${options['tx-version']} (expected legacy or v0)`);
+        }
+        transactionOptions.version = options['tx-version'];
+    }
+    if (options['priority-fee'] !== undefined) {
+        const microLamports = Number(options['priority-fee']);
+        if (!Number.isFinite(microLamports) || microLamports < 0) {
+            throw new Error(`Invalid --priority-fee: ${options['priority-fee']}`);
+        }
+        transactionOptions.priorityFee = { mode: microLamports > 0 ? 'fixed' : 'off', microLamports };
+    }
+
+    const client = FRTClient.fromConfig(loadConfig(options.config), {
+        rpcUrl: options.rpc,
+        programId: options['program-id'],
+        transactionOptions
+    });
+
+    // Keypair is loaded lazily - read-only commands never touch it
+    let keypair = null;
+    const signer = () => {
+        if (!keypair) keypair = loadKeypair(options.keypair || DEFAULT_KEYPAIR_PATH);
+        return keypair;
+    };
+
+    await COMMANDS[command.name](client, command.args, options, signer);
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,608 @@
+/**
+ * Fixed Ratio Trading - Headless Node SDK
+ * Pool parsing, PDA derivation, swap quotes and transaction builders without a DOM
+ *
+ * The SDK reuses the dashboard modules in ../html directly, so scripts and pages cannot drift:
+ * - data-service.js   pool, treasury and system state parsing
+ * - pda.js            PDA derivation
+ * - instructions.js   instruction layouts and account orders
+ * - program-interface.js  layouts per deployed program version (GetVersion)
+ * - swap-quote.js     exact integer swap quotes
+ * - transaction-builder.js  compute budget, priority fees, legacy/v0 transactions
+ * - consolidation-runner.js  treasury fee consolidation runs and reports
+ *
+ * Requires @solana/web3.js (v1). Works against mainnet, devnet or a local test validator.
+ */
+
+const solanaWeb3 = require('@solana/web3.js');
+const fs = require('fs');
+
+// The dashboard modules resolve web3 and the flags registry through browser globals
+if (typeof globalThis.solanaWeb3 === 'undefined') {
+    globalThis.solanaWeb3 = solanaWeb3;
+}
+const PoolFlags = require('../html/pool-flags.js');
+if (typeof globalThis.PoolFlags === 'undefined') {
+    globalThis.PoolFlags = PoolFlags;
+}
+
+const TradingDataService = require('../html/data-service.js');
+const FRTPda = require('../html/pda.js');
+if (typeof globalThis.FRTPda === 'undefined') {
+    globalThis.FRTPda = FRTPda;
+}
+const FRTInstructions = require('../html/instructions.js');
+if (typeof globalThis.FRTInstructions === 'undefined') {
+    globalThis.FRTInstructions = FRTInstructions;
+}
+const FRTProgramInterface = require('../html/program-interface.js');
+const SwapQuote = require('../html/swap-quote.js');
+const FRTTransactions = require('../html/transaction-builder.js');
+const FRTConsolidationRunner = require('../html/consolidation-runner.js');
+
+const TOKEN_PROGRAM_ID = new solanaWeb3.PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const ASSOCIATED_TOKEN_PROGRAM_ID = new solanaWeb3.PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+
+// Compute unit limits used by the dashboard pages (fallbacks when simulation is unavailable)
+const COMPUTE_UNITS = {
+    swap: 250_000,
+    deposit: 310_000,
+    withdraw: 290_000
+};
+
+// SPL mint layout: mint_authority COption<Pubkey> (36) + supply u64 (8) → decimals at byte 44
+const MINT_DECIMALS_OFFSET = 44;
+
+/**
+ * Derive the associated token account address for an owner and mint
+ * @param {string|PublicKey} owner - Wallet address
+ * @param {string|PublicKey} mint - Token mint
+ * @returns {PublicKey} Associated token account address
+ */
+function getAssociatedTokenAddress(owner, mint) {
+    const [address] = solanaWeb3.PublicKey.findProgramAddressSync(
+        [
+            new solanaWeb3.PublicKey(owner.toString()).toBuffer(),
+            TOKEN_PROGRAM_ID.toBuffer(),
+            new solanaWeb3.PublicKey(mint.toString()).toBuffer()
+        ],
+        ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+    return address;
+}
+
+/**
+ * Build the associated token account creation instruction (same as spl-token's legacy builder)
+ */
+function createAssociatedTokenAccountInstruction(payer, associatedToken, owner, mint) {
+    return new solanaWeb3.TransactionInstruction({
+        keys: [
+            { pubkey: payer, isSigner: true, isWritable: true },
+            { pubkey: associatedToken, isSigner: false, isWritable: true },
+            { pubkey: owner, isSigner: false, isWritable: false },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: solanaWeb3.SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: solanaWeb3.SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false }
+        ],
+        programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+        data: Buffer.alloc(0)
+    });
+}
+
+/**
+ * Load a Solana CLI keypair file (JSON array of 64 secret key bytes)
+ * @param {string} path - Keypair file path
+ * @returns {Keypair} Loaded keypair
+ */
+function loadKeypair(path) {
+    const secret = JSON.parse(fs.readFileSync(path, 'utf8'));
+    if (!Array.isArray(secret) || secret.length !== 64) {
+        throw new Error(`Invalid keypair file: ${path}`);
+    }
+    return solanaWeb3.Keypair.fromSecretKey(Uint8Array.from(secret));
+}
+
+class FRTClient {
+    /**
+     * @param {Object} options
+     * @param {Connection} options.connection - Existing connection (optional)
+     * @param {string} options.rpcUrl - RPC URL used when no connection is given
+     * @param {string} options.programId - FRT program ID
+     * @param {string} options.commitment - Commitment level (default 'confirmed')
+     * @param {Object} options.transactionOptions - Transaction version, lookup table and priority fee
+     *                                              (see FRTTransactions.DEFAULT_TRANSACTION_OPTIONS)
+     */
+    constructor({ connection = null, rpcUrl = null, programId, commitment = 'confirmed', transactionOptions = {} } = {}) {
+        if (!programId) {
+            throw new Error('programId is required');
+        }
+        if (!connection && !rpcUrl) {
+            throw new Error('Either connection or rpcUrl is required');
+        }
+
+        this.programId = new solanaWeb3.PublicKey(programId);
+        this.commitment = commitment;
+        this.connection = connection || new solanaWeb3.Connection(rpcUrl, commitment);
+        this.transactionOptions = transactionOptions;
+        this.decimalsCache = new Map();
+
+        // Exact u64 values end to end - scripts must never lose precision
+        this.dataService = new TradingDataService();
+        this.dataService.initialize({ programId: this.programId.toString() }, this.connection);
+        this.dataService.setPrecisionMode('bigint');
+    }
+
+    /**
+     * Create a client from the dashboard's config.json schema
+     * @param {Object|string} config - Parsed config.json or a path to it
+     * @param {Object} overrides - Optional { rpcUrl, programId, commitment, transactionOptions }
+     * @returns {FRTClient}
+     */
+    static fromConfig(config, overrides = {}) {
+        const shared = typeof config === 'string' ? JSON.parse(fs.readFileSync(config, 'utf8')) : config;
+        return new FRTClient({
+            rpcUrl: overrides.rpcUrl || shared.solana?.rpcUrl,
+            programId: overrides.programId || shared.program?.programId,
+            commitment: overrides.commitment || shared.solana?.commitment || 'confirmed',
+            transactionOptions: {
+                ...(shared.dashboard?.transactions || {}),
+                ...(overrides.transactionOptions || {})
+            }
+        });
+    }
+
+    // ========================================
+    // PDAs
+    // ========================================
+
+    getSystemStatePDA() {
+        return FRTPda.getSystemStatePDA(this.programId);
+    }
+
+    getMainTreasuryPDA() {
+        return FRTPda.getMainTreasuryPDA(this.programId);
+    }
+
+    getPoolStatePDA(tokenAMint, tokenBMint, ratioA, ratioB) {
+        return FRTPda.getPoolStatePDA(tokenAMint, tokenBMint, ratioA, ratioB, this.programId);
+    }
+
+    getPoolVaultPDAs(poolAddress) {
+        return FRTPda.getPoolVaultPDAs(poolAddress, this.programId);
+    }
+
+    getLpMintPDAs(poolAddress) {
+        return FRTPda.getLpMintPDAs(poolAddress, this.programId);
+    }
+
+    getProgramDataAddress() {
+        return FRTPda.getProgramDataAddress(this.programId);
+    }
+
+    // ========================================
+    // ACCOUNT READS
+    // ========================================
+
+    /**
+     * Get token decimals from a mint account (cached)
+     * @param {string|PublicKey} mint - Token mint
+     * @returns {Promise<number>} Decimals
+     */
+    async getMintDecimals(mint) {
+        const key = mint.toString();
+        if (this.decimalsCache.has(key)) {
+            return this.decimalsCache.get(key);
+        }
+        const account = await this.connection.getAccountInfo(new solanaWeb3.PublicKey(key), this.commitment);
+        if (!account) {
+            throw new Error(`Token mint account not found: ${key}`);
+        }
+        if (!account.owner.equals(TOKEN_PROGRAM_ID) || account.data.length <= MINT_DECIMALS_OFFSET) {
+            throw new Error(`Account is not an SPL token mint: ${key}`);
+        }
+        const decimals = account.data[MINT_DECIMALS_OFFSET];
+        this.decimalsCache.set(key, decimals);
+        return decimals;
+    }
+
+    /**
+     * Attach token decimals to a parsed pool (ratioADecimal / ratioBDecimal)
+     */
+    async enrichPoolDecimals(pool) {
+        const [decA, decB] = await Promise.all([
+            this.getMintDecimals(pool.tokenAMint),
+            this.getMintDecimals(pool.tokenBMint)
+        ]);
+        pool.ratioADecimal = decA;
+        pool.ratioBDecimal = decB;
+        return pool;
+    }
+
+    /**
+     * Load and parse a pool (u64 fields as BigInt, decimals attached)
+     * @param {string|PublicKey} poolAddress - Pool state address
+     * @returns {Promise<Object>} Parsed pool
+     */
+    async getPool(poolAddress) {
+        const address = poolAddress.toString();
+        const account = await this.connection.getAccountInfo(new solanaWeb3.PublicKey(address), this.commitment);
+        if (!account) {
+            throw new Error(`Pool account not found: ${address}`);
+        }
+        if (!account.owner.equals(this.programId)) {
+            throw new Error(`Pool account ${address} is not owned by program ${this.programId.toString()}`);
+        }
+        const pool = this.dataService.parsePoolState(account.data, address);
+        return this.enrichPoolDecimals(pool);
+    }
+
+    /**
+     * List all pools owned by the program
+     * @param {Object} options - { withDecimals: true } fetches mint decimals for every pool
+     * @returns {Promise<Array>} Parsed pools
+     */
+    async listPools({ withDecimals = true } = {}) {
+        const accounts = await this.connection.getProgramAccounts(this.programId, { commitment: this.commitment });
+        const pools = [];
+        for (const { pubkey, account } of accounts) {
+            // Pool states are larger than the treasury/system state accounts (same rule as the dashboard)
+            if (account.data.length <= 300) continue;
+            try {
+                pools.push(this.dataService.parsePoolState(account.data, pubkey.toString()));
+            } catch (error) {
+                console.warn(`⚠️ Failed to parse pool at ${pubkey.toString()}:`, error.message);
+            }
+        }
+        if (withDecimals) {
+            await Promise.all(pools.map(pool => this.enrichPoolDecimals(pool)));
+        }
+        return pools;
+    }
+
+    /**
+     * Load and parse the system state
+     */
+    async getSystemState() {
+        const account = await this.connection.getAccountInfo(this.getSystemStatePDA(), this.commitment);
+        if (!account) {
+            throw new Error('System state account not found. Is the program initialized?');
+        }
+        return this.dataService.parseSystemState(account.data, account.owner);
+    }
+
+    /**
+     * Load and parse the main treasury state
+     */
+    async getMainTreasuryState() {
+        const account = await this.connection.getAccountInfo(this.getMainTreasuryPDA(), this.commitment);
+        if (!account) {
+            throw new Error('Main treasury account not found. Is the program initialized?');
+        }
+        return this.dataService.parseMainTreasuryState(account.data, account.owner);
+    }
+
+    /**
+     * Ask the program for its version and encode instructions with that version's interface
+     * @param {PublicKey} payer - Existing account used as fee payer for the GetVersion simulation
+     * @returns {Promise<Object>} Active interface { version, id, instructions, stateLayouts }
+     * @throws {Error} error.unknownVersion when the program version is not in the manifest
+     */
+    async loadProgramInterface(payer = null) {
+        return FRTProgramInterface.loadProgramInterface(this.connection, this.programId, payer);
+    }
+
+    // ========================================
+    // TREASURY
+    // ========================================
+
+    /**
+     * Simulate instructions without signatures (nothing is sent)
+     * @param {Array<TransactionInstruction>} instructions
+     * @param {PublicKey} feePayer - Existing account used as fee payer
+     * @returns {Promise<Object>} { logs, error }
+     */
+    async simulateInstructions(instructions, feePayer) {
+        const { blockhash } = await this.connection.getLatestBlockhash(this.commitment);
+        const message = new solanaWeb3.TransactionMessage({
+            payerKey: new solanaWeb3.PublicKey(feePayer.toString()),
+            recentBlockhash: blockhash,
+            instructions
+        }).compileToLegacyMessage();
+        const simulation = await this.connection.simulateTransaction(new solanaWeb3.VersionedTransaction(message), {
+            sigVerify: false,
+            replaceRecentBlockhash: true,
+            commitment: this.commitment
+        });
+        return { logs: simulation.value.logs || [], error: simulation.value.err || null };
+    }
+
+    /**
+     * Simulate ConsolidatePoolFees for pools (as the admin, nothing is sent)
+     * @param {string|PublicKey|Array} pools - Pool address or addresses
+     * @param {string|PublicKey} admin - Admin authority (system_state.admin_authority)
+     * @returns {Promise<Object>} { logs, error }
+     */
+    async simulateConsolidatePoolFees(pools, admin) {
+        await this.loadProgramInterface(admin);
+        const poolList = Array.isArray(pools) ? pools : [pools];
+        const instruction = FRTInstructions.buildInstruction('ConsolidatePoolFees', { pool_count: poolList.length }, {
+            admin,
+            systemState: this.getSystemStatePDA(),
+            mainTreasury: this.getMainTreasuryPDA(),
+            programData: this.getProgramDataAddress(),
+            pools: poolList
+        }, this.programId);
+        return this.simulateInstructions([instruction], admin);
+    }
+
+    /**
+     * Treasury withdrawal cooldown, read from a simulated WithdrawTreasuryFees (amount 0 = all available)
+     * @param {string|PublicKey} admin - Admin authority
+     * @returns {Promise<Object>} { blocked, reason, secondsRemaining } (see FRTConsolidationRunner.analyzeWithdrawalLogs)
+     */
+    async getWithdrawalStatus(admin) {
+        await this.loadProgramInterface(admin);
+        const instruction = FRTInstructions.buildInstruction('WithdrawTreasuryFees', { amount: 0n }, {
+            admin,
+            mainTreasury: this.getMainTreasuryPDA(),
+            destination: admin,
+            systemState: this.getSystemStatePDA(),
+            programData: this.getProgramDataAddress()
+        }, this.programId);
+        const { logs } = await this.simulateInstructions([instruction], admin);
+        return FRTConsolidationRunner.analyzeWithdrawalLogs(logs);
+    }
+
+    /**
+     * Dry-run the fee consolidation runner: simulate every pool and report the batches a run would send
+     * @param {Object} options - { admin (default: system state admin), batchSize, withdraw, onProgress }
+     * @returns {Promise<Object>} Run report (see FRTConsolidationRunner.runConsolidation)
+     */
+    async dryRunConsolidation({ admin = null, batchSize, withdraw = false, onProgress } = {}) {
+        const authority = admin || (await this.getSystemState()).admin_authority;
+        return FRTConsolidationRunner.runConsolidation({
+            discoverPools: () => this.listPools({ withDecimals: false }),
+            simulatePool: address => this.simulateConsolidatePoolFees(address, authority),
+            getWithdrawalStatus: () => this.getWithdrawalStatus(authority)
+        }, { dryRun: true, batchSize, withdraw, onProgress });
+    }
+
+    // ========================================
+    // QUOTES
+    // ========================================
+
+    /**
+     * Resolve a pool argument (address or parsed pool)
+     */
+    async resolvePool(pool) {
+        if (pool && typeof pool === 'object' && pool.tokenAMint) {
+            return pool.ratioADecimal === undefined ? this.enrichPoolDecimals(pool) : pool;
+        }
+        return this.getPool(pool);
+    }
+
+    /**
+     * Swap direction for an input mint
+     */
+    getSwapDirection(pool, inputMint) {
+        const mint = inputMint.toString();
+        if (mint === pool.tokenAMint) return 'AtoB';
+        if (mint === pool.tokenBMint) return 'BtoA';
+        throw new Error(`Mint ${mint} is not part of pool ${pool.address}`);
+    }
+
+    /**
+     * Quote a swap with the exact on-chain math
+     * @param {string|Object} pool - Pool address or parsed pool
+     * @param {string|PublicKey} inputMint - Mint being sold
+     * @param {number|bigint|string} amountIn - Input amount in base units
+     * @returns {Promise<Object>} Quote (see SwapQuote.quoteExactIn)
+     */
+    async quoteSwap(pool, inputMint, amountIn) {
+        const resolved = await this.resolvePool(pool);
+        return SwapQuote.quoteExactIn(SwapQuote.getQuotePair(resolved), this.getSwapDirection(resolved, inputMint), amountIn);
+    }
+
+    // ========================================
+    // TRANSACTION BUILDERS
+    // ========================================
+
+    /**
+     * Build a legacy or v0 transaction with fee payer, fresh blockhash, simulated compute limit
+     * and priority fee (the setComputeUnitLimit in `instructions` is the fallback limit)
+     * @returns {Promise<Transaction|VersionedTransaction>}
+     */
+    async finalizeTransaction(instructions, feePayer) {
+        const { transaction } = await FRTTransactions.buildTransaction(this.connection, {
+            payer: feePayer,
+            instructions,
+            options: this.transactionOptions
+        });
+        return transaction;
+    }
+
+    /**
+     * Add an associated token account creation instruction when the account does not exist yet
+     */
+    async ensureAssociatedTokenAccount(instructions, owner, mint) {
+        const ownerKey = new solanaWeb3.PublicKey(owner.toString());
+        const mintKey = new solanaWeb3.PublicKey(mint.toString());
+        const address = getAssociatedTokenAddress(ownerKey, mintKey);
+        const info = await this.connection.getAccountInfo(address, this.commitment);
+        if (!info) {
+            instructions.push(createAssociatedTokenAccountInstruction(ownerKey, address, ownerKey, mintKey));
+        }
+        return address;
+    }
+
+    /**
+     * Build a swap transaction (mirrors swap.js buildSwapTransaction)
+     * @param {Object} params
+     * @param {string|Object} params.pool - Pool address or parsed pool
+     * @param {string|PublicKey} params.user - Wallet paying and signing
+     * @param {string|PublicKey} params.inputMint - Mint being sold
+     * @param {number|bigint|string} params.amountIn - Input amount in base units
+     * @param {string|PublicKey} params.userInputTokenAccount - Defaults to the user's ATA
+     * @param {number} params.computeUnits - Fallback compute unit limit (simulation sets the actual limit)
+     * @returns {Promise<Object>} { transaction, quote }
+     */
+    async buildSwapTransaction({ pool, user, inputMint, amountIn, userInputTokenAccount = null, computeUnits = COMPUTE_UNITS.swap }) {
+        const resolved = await this.resolvePool(pool);
+        const userKey = new solanaWeb3.PublicKey(user.toString());
+        const direction = this.getSwapDirection(resolved, inputMint);
+        const quote = SwapQuote.quoteExactIn(SwapQuote.getQuotePair(resolved), direction, amountIn);
+
+        if (quote.dustBlocked) {
+            throw new Error('This pool requires exact amounts only. The selected amount would leave dust.');
+        }
+        if (quote.amountOut === 0n) {
+            throw new Error('Swap amount too small: output would be zero');
+        }
+
+        const outputMint = direction === 'AtoB' ? resolved.tokenBMint : resolved.tokenAMint;
+        const { tokenAVault, tokenBVault } = this.getPoolVaultPDAs(resolved.address);
+
+        const instructions = [];
+        const userOutputTokenAccount = await this.ensureAssociatedTokenAccount(instructions, userKey, outputMint);
+        instructions.push(solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }));
+        instructions.push(FRTInstructions.buildInstruction('Swap', {
+            input_token_mint: inputMint.toString(),
+            amount_in: quote.amountIn,
+            expected_amount_out: quote.amountOut,
+            pool_id: resolved.address
+        }, {
+            user: userKey,
+            systemState: this.getSystemStatePDA(),
+            poolState: resolved.address,
+            tokenAVault,
+            tokenBVault,
+            userInputTokenAccount: userInputTokenAccount || getAssociatedTokenAddress(userKey, inputMint),
+            userOutputTokenAccount,
+            inputTokenMint: inputMint.toString(),
+            outputTokenMint: outputMint
+        }, this.programId));
+
+        return { transaction: await this.finalizeTransaction(instructions, userKey), quote };
+    }
+
+    /**
+     * Build a liquidity deposit transaction (mirrors liquidity.js addLiquidity)
+     * @param {Object} params
+     * @param {string|Object} params.pool - Pool address or parsed pool
+     * @param {string|PublicKey} params.user - Wallet paying and signing
+     * @param {string|PublicKey} params.depositMint - Token A or B mint
+     * @param {number|bigint|string} params.amount - Deposit amount in base units
+     * @param {string|PublicKey} params.userInputTokenAccount - Defaults to the user's ATA
+     * @param {number} params.computeUnits - Fallback compute unit limit (simulation sets the actual limit)
+     * @returns {Promise<Object>} { transaction, lpMint, userLpTokenAccount }
+     */
+    async buildDepositTransaction({ pool, user, depositMint, amount, userInputTokenAccount = null, computeUnits = COMPUTE_UNITS.deposit }) {
+        const resolved = await this.resolvePool(pool);
+        const userKey = new solanaWeb3.PublicKey(user.toString());
+        const isTokenA = this.getSwapDirection(resolved, depositMint) === 'AtoB';
+        const { lpTokenAMint, lpTokenBMint } = this.getLpMintPDAs(resolved.address);
+        const lpMint = isTokenA ? lpTokenAMint : lpTokenBMint;
+
+        const instructions = [solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits })];
+        const userLpTokenAccount = await this.ensureAssociatedTokenAccount(instructions, userKey, lpMint);
+        instructions.push(FRTInstructions.buildInstruction('Deposit', {
+            deposit_token_mint: depositMint.toString(),
+            amount,
+            pool_id: resolved.address
+        }, {
+            user: userKey,
+            systemState: this.getSystemStatePDA(),
+            poolState: resolved.address,
+            tokenAVault: resolved.tokenAVault,
+            tokenBVault: resolved.tokenBVault,
+            userInputTokenAccount: userInputTokenAccount || getAssociatedTokenAddress(userKey, depositMint),
+            userLpTokenAccount,
+            lpTokenAMint,
+            lpTokenBMint
+        }, this.programId));
+
+        return { transaction: await this.finalizeTransaction(instructions, userKey), lpMint, userLpTokenAccount };
+    }
+
+    /**
+     * Build a liquidity withdrawal transaction (mirrors liquidity.js removeLiquidity)
+     * @param {Object} params
+     * @param {string|Object} params.pool - Pool address or parsed pool
+     * @param {string|PublicKey} params.user - Wallet paying and signing
+     * @param {string|PublicKey} params.withdrawMint - Token A or B mint to receive
+     * @param {number|bigint|string} params.lpAmount - LP tokens to burn in base units
+     * @param {number} params.computeUnits - Fallback compute unit limit (simulation sets the actual limit)
+     * @returns {Promise<Object>} { transaction, lpMint, userOutputTokenAccount }
+     */
+    async buildWithdrawTransaction({ pool, user, withdrawMint, lpAmount, computeUnits = COMPUTE_UNITS.withdraw }) {
+        const resolved = await this.resolvePool(pool);
+        const userKey = new solanaWeb3.PublicKey(user.toString());
+        const isTokenA = this.getSwapDirection(resolved, withdrawMint) === 'AtoB';
+        const { lpTokenAMint, lpTokenBMint } = this.getLpMintPDAs(resolved.address);
+        const lpMint = isTokenA ? lpTokenAMint : lpTokenBMint;
+
+        const instructions = [solanaWeb3.ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits })];
+        const userOutputTokenAccount = await this.ensureAssociatedTokenAccount(instructions, userKey, withdrawMint);
+        instructions.push(FRTInstructions.buildInstruction('Withdraw', {
+            withdraw_token_mint: withdrawMint.toString(),
+            lp_amount_to_burn: lpAmount,
+            pool_id: resolved.address
+        }, {
+            user: userKey,
+            systemState: this.getSystemStatePDA(),
+            poolState: resolved.address,
+            tokenAVault: resolved.tokenAVault,
+            tokenBVault: resolved.tokenBVault,
+            userLpTokenAccount: getAssociatedTokenAddress(userKey, lpMint),
+            userOutputTokenAccount,
+            lpTokenAMint,
+            lpTokenBMint
+        }, this.programId));
+
+        return { transaction: await this.finalizeTransaction(instructions, userKey), lpMint, userOutputTokenAccount };
+    }
+
+    /**
+     * Sign, send and confirm a transaction with local keypairs
+     * @param {Transaction|VersionedTransaction} transaction - Built transaction
+     * @param {Array<Keypair>} signers - Signers (fee payer first)
+     * @returns {Promise<string>} Signature
+     */
+    async sendTransaction(transaction, signers) {
+        if (!FRTTransactions.isVersionedTransaction(transaction)) {
+            return solanaWeb3.sendAndConfirmTransaction(this.connection, transaction, signers, { commitment: this.commitment });
+        }
+        transaction.sign(signers);
+        // A height fetched now is an upper bound for the transaction's older blockhash
+        const { lastValidBlockHeight } = await this.connection.getLatestBlockhash(this.commitment);
+        const signature = await this.connection.sendRawTransaction(transaction.serialize());
+        const confirmation = await this.connection.confirmTransaction({
+            signature,
+            blockhash: transaction.message.recentBlockhash,
+            lastValidBlockHeight
+        }, this.commitment);
+        if (confirmation.value.err) {
+            throw new Error(`Transaction ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+        }
+        return signature;
+    }
+}
+
+module.exports = {
+    FRTClient,
+    TradingDataService,
+    FRTPda,
+    FRTInstructions,
+    FRTProgramInterface,
+    SwapQuote,
+    PoolFlags,
+    FRTTransactions,
+    FRTConsolidationRunner,
+    TOKEN_PROGRAM_ID,
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    COMPUTE_UNITS,
+    getAssociatedTokenAddress,
+    createAssociatedTokenAccountInstruction,
+    loadKeypair
+};
@@ -0,0 +1,90 @@
+/**
+ * Fixed Ratio Trading - Instruction Layout Round-Trip Tests
+ *
+ * Every instruction in html/instructions.js is encoded from the arguments in
+ * fixtures/instructions.json and compared byte for byte with the known-good encoding,
+ * decoded back into the same arguments, and its account metas are checked against the
+ * expected account order.
+ *
+ * Run: node --test tests/   (needs @solana/web3.js v1, see sdk/README.md)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// instructions.js resolves web3 through the browser global, like the dashboard pages
+globalThis.solanaWeb3 = require('@solana/web3.js');
+const FRTInstructions = require('../html/instructions.js');
+const { instructions: fixtures } = require('./fixtures/instructions.json');
+
+const toHex = bytes => Buffer.from(bytes).toString('hex');
+
+/**
+ * Fixture arguments with the types decodeInstructionData returns (u64 as BigInt)
+ */
+function expectedArgs(name, args) {
+    const expected = {};
+    for (const [field, type] of FRTInstructions.getInstructionLayout(name).fields) {
+        expected[field] = type === 'u64' ? BigInt(args[field]) : args[field];
+    }
+    return expected;
+}
+
+test('every instruction layout has a fixture', () => {
+    assert.deepEqual(
+        fixtures.map(fixture => fixture.name).sort(),
+        Object.keys(FRTInstructions.INSTRUCTION_LAYOUTS).sort()
+    );
+});
+
+for (const fixture of fixtures) {
+    test(`${fixture.name} round-trips`, () => {
+        const data = FRTInstructions.encodeInstructionData(fixture.name, fixture.args);
+        assert.equal(toHex(data), fixture.data, 'encoding differs from the fixture');
+
+        const decoded = FRTInstructions.decodeInstructionData(Buffer.from(fixture.data, 'hex'));
+        assert.equal(decoded.name, fixture.name);
+        assert.equal(decoded.discriminator, FRTInstructions.getInstructionLayout(fixture.name).discriminator);
+        assert.deepEqual(decoded.args, expectedArgs(fixture.name, fixture.args));
+
+        // Decoded arguments encode to the same bytes again
+        assert.equal(toHex(FRTInstructions.encodeInstructionData(fixture.name, decoded.args)), fixture.data);
+    });
+
+    test(`${fixture.name} account order`, () => {
+        const metas = FRTInstructions.buildAccountMetas(fixture.name, fixture.accounts);
+        assert.deepEqual(
+            metas.map(meta => [meta.pubkey.toString(), meta.isSigner, meta.isWritable]),
+            fixture.expectedAccounts
+        );
+
+        const { accounts } = FRTInstructions.decodeInstruction({ data: Buffer.from(fixture.data, 'hex'), keys: metas });
+        for (const [name, address] of Object.entries(fixture.accounts)) {
+            assert.deepEqual(accounts[name], address, `account ${name}`);
+        }
+    });
+}
+
+test('u64 values above 2^53 must not be passed as Numbers', () => {
+    assert.throws(
+        () => FRTInstructions.encodeInstructionData('WithdrawTreasuryFees', { amount: 2 ** 53 + 2 }),
+        /safe integer/
+    );
+    const data = FRTInstructions.encodeInstructionData('WithdrawTreasuryFees', { amount: 2n ** 64n - 1n });
+    assert.equal(FRTInstructions.decodeInstructionData(data).args.amount, 2n ** 64n - 1n);
+});
+
+test('malformed instruction data is rejected', () => {
+    const swap = fixtures.find(fixture => fixture.name === 'Swap');
+    const bytes = Buffer.from(swap.data, 'hex');
+    assert.throws(() => FRTInstructions.decodeInstructionData(bytes.subarray(0, bytes.length - 1)), /too short/);
+    assert.throws(() => FRTInstructions.decodeInstructionData(Buffer.concat([bytes, Buffer.from([0])])), /Trailing bytes/);
+    assert.throws(() => FRTInstructions.decodeInstructionData(Buffer.from([255])), /Unknown FRT instruction discriminator/);
+    assert.throws(() => FRTInstructions.decodeInstructionData(Buffer.alloc(0)), /Empty instruction data/);
+});
+
+test('missing arguments and accounts are rejected', () => {
+    assert.throws(() => FRTInstructions.encodeInstructionData('PauseSystem', {}), /Missing argument reason_code/);
+    assert.throws(() => FRTInstructions.encodeInstructionData('PauseSystem', { reason_code: 256 }), /Invalid u8/);
+    assert.throws(() => FRTInstructions.buildAccountMetas('GetTreasuryInfo', {}), /Missing account: mainTreasury/);
+});
@@ -0,0 +1,79 @@
+/**
+ * Fixed Ratio Trading - Program Interface Manifest Tests
+ *
+ * Every entry in PROGRAM_INTERFACES (html/program-interface.js) is selected from a GetVersion
+ * result and the instructions most likely to move between versions are encoded and decoded with
+ * its layouts, against the known-good encodings in fixtures/program-interfaces.json. Versions
+ * without an entry must be rejected rather than guessed.
+ *
+ * Run: node --test tests/   (needs @solana/web3.js v1, see sdk/README.md)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// program-interface.js and instructions.js resolve their dependencies through browser globals
+globalThis.solanaWeb3 = require('@solana/web3.js');
+globalThis.FRTInstructions = require('../html/instructions.js');
+const FRTProgramInterface = require('../html/program-interface.js');
+const { interfaces: fixtures } = require('./fixtures/program-interfaces.json');
+
+const toHex = bytes => Buffer.from(bytes).toString('hex');
+
+test('every program interface has a fixture', () => {
+    assert.deepEqual(
+        fixtures.map(fixture => fixture.id).sort(),
+        FRTProgramInterface.PROGRAM_INTERFACES.map(entry => entry.id).sort()
+    );
+});
+
+test('every version belongs to exactly one interface', () => {
+    const versions = FRTProgramInterface.PROGRAM_INTERFACES.flatMap(entry => entry.versions);
+    assert.equal(new Set(versions).size, versions.length);
+});
+
+for (const entry of FRTProgramInterface.PROGRAM_INTERFACES) {
+    test(`${entry.id} keeps GetVersion at 14 and has unique discriminators`, () => {
+        assert.equal(entry.instructions.GetVersion.discriminator, 14);
+        const discriminators = Object.values(entry.instructions).map(layout => layout.discriminator);
+        assert.equal(new Set(discriminators).size, discriminators.length);
+    });
+}
+
+for (const fixture of fixtures) {
+    test(`${fixture.id} encodes and decodes its instructions`, () => {
+        const selected = FRTProgramInterface.selectProgramInterface(fixture.version);
+        assert.equal(selected.id, fixture.id);
+        assert.equal(FRTProgramInterface.getActiveProgramInterface().version, fixture.version);
+
+        for (const instruction of fixture.instructions) {
+            const data = FRTInstructions.encodeInstructionData(instruction.name, instruction.args);
+            assert.equal(toHex(data), instruction.data, `${instruction.name} encoding`);
+            assert.equal(FRTInstructions.decodeInstructionData(data).name, instruction.name);
+        }
+        for (const name of fixture.missing) {
+            assert.throws(() => FRTInstructions.getInstructionLayout(name), /Unknown FRT instruction/);
+        }
+    });
+}
+
+test('program versions without a sourced interface are not guessed', () => {
+    // v0.15 and older: their instruction indices are unknown, so nothing may be encoded for them
+    assert.throws(() => FRTProgramInterface.selectProgramInterface('0.15.0'), error => error.unknownVersion === true);
+});
+
+test('an unknown program version is rejected', () => {
+    assert.throws(() => FRTProgramInterface.selectProgramInterface('9.9.1'), error => {
+        assert.equal(error.unknownVersion, true);
+        assert.equal(error.version, '9.9.1');
+        return /Unsupported program version v9\.9\.1/.test(error.message);
+    });
+});
+
+test('the version is read from GetVersion logs', () => {
+    assert.equal(FRTProgramInterface.parseVersionFromLogs([
+        'Program log: Fixed Ratio Trading',
+        'Program log: Contract Version: 0.17.1070'
+    ]), '0.17.1070');
+    assert.equal(FRTProgramInterface.parseVersionFromLogs(['Program log: nothing here']), null);
+});